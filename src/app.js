@@ -9,6 +9,7 @@
  * - API documentation (Swagger)
  * - Traceability and logging middleware
  * - Database connectivity middleware
+ * - Audit trail middleware
  * - Request parsing middleware
  * - CORS configuration
  * - Rate limiting and validation
@@ -32,15 +33,32 @@ import cors from 'cors'
 import { initRabbitMQ } from './middleware/rabbitMQ.js'
 import helmet from 'helmet'
 import router from './routes/ollama.route.js'
-import { NODE_ENV } from './config/env.js'
-import { errorHandler } from './errors.js'
+import conversationRouter from './routes/conversation.route.js'
+import modelRouter from './routes/model.route.js'
+import openAIRouter from './routes/openai.route.js'
+import usageRouter from './routes/usage.route.js'
+import embeddingRouter from './routes/embedding.route.js'
+import knowledgeRouter from './routes/knowledge.route.js'
+import personaRouter from './routes/persona.route.js'
+import templateRouter from './routes/template.route.js'
+import cacheRouter from './routes/cache.route.js'
+import metricsRouter from './routes/metrics.route.js'
+import healthRouter from './routes/health.route.js'
+import batchRouter, { batchBodyParser } from './routes/batch.route.js'
+import jobRouter from './routes/job.route.js'
+import { NODE_ENV, BATCH_TIMEOUT_MS } from './config/env.js'
+import { errorHandler, openAIErrorHandler } from './errors.js'
 import { validatePrompt } from './validations.js'
 import { rateLimiter } from './utils.js'
 import swaggerUi from 'swagger-ui-express'
 import swaggerOptions from './config/swagger.js'
 import swaggerJsdoc from 'swagger-jsdoc'
 import requestLogger from './middleware/logger.js'
+import auditMiddleware from './middleware/audit.js'
 import traceabilityMiddleware from './middleware/traceability.js'
+import priorityMiddleware from './middleware/priority.js'
+import cancellationMiddleware, { createCancellationMiddleware } from './middleware/cancellation.js'
+import { chatJsonParser, receiveImages } from './middleware/images.js'
 import { databaseConnectionMiddleware } from './dbDriver/mongoDriver.js'
 
 /**
@@ -105,6 +123,18 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec))
 // Also logs incoming requests with detailed information
 app.use(traceabilityMiddleware)
 
+// Priority middleware
+// Assigns the lane the request's model calls wait in when the model is busy
+// Derived from the API key and the X-Priority header; anonymous callers get the low lane
+app.use(priorityMiddleware)
+
+// Cancellation middleware
+// Gives the request an AbortSignal that stops its model calls
+// Aborts after REQUEST_TIMEOUT_MS (504) or when the client disconnects
+// Batches may run for up to BATCH_TIMEOUT_MS, so /batch gets its own signal first
+app.use('/batch', createCancellationMiddleware({ timeoutMs: BATCH_TIMEOUT_MS }))
+app.use(cancellationMiddleware)
+
 // Database connection middleware
 // Ensures database connectivity before processing requests
 // Implements automatic retry logic for failed connections
@@ -116,6 +146,11 @@ app.use(databaseConnectionMiddleware)
 // Records metrics such as response time, status codes, and request characteristics
 app.use(requestLogger)
 
+// Audit trail middleware
+// Persists an audit entry for every request when its response finishes
+// Controllers enrich the entry through res.locals.audit
+app.use(auditMiddleware)
+
 // CORS middleware
 // Configures Cross-Origin Resource Sharing policies
 // Currently allows requests from localhost:5173 (frontend development server)
@@ -134,6 +169,10 @@ app.use(cors({
 // Middleware that parses incoming request bodies with JSON payloads
 // Populates req.body with the parsed data
 // Implements security limits to prevent overly large payloads
+// Chat requests may carry base64 images, so POST / has a larger limit of its own
+// Batches carry up to BATCH_MAX_ITEMS prompts, as JSON or NDJSON, so POST /batch does too
+app.post('/', chatJsonParser)
+app.post('/batch', batchBodyParser)
 app.use(express.json())
 
 // Initialize RabbitMQ connection
@@ -142,11 +181,71 @@ app.use(express.json())
 // Required for audit logging and other background tasks
 app.use(initRabbitMQ)
 
+// Conversation management routes
+// Mounted before the main route, whose prompt validation applies to every path
+// Rate limited like the chat endpoint
+app.use('/conversations', rateLimiter, conversationRouter)
+
+// Model catalogue route
+// Lists the installed Ollama models and which ones clients may select
+app.use('/models', rateLimiter, modelRouter)
+
+// Embeddings route
+// Vector embeddings of one or many texts, rate limited and audited like chat
+app.use('/embeddings', rateLimiter, embeddingRouter)
+
+// Knowledge base routes
+// Documents that chat requests can ground their answers in
+app.use('/knowledge-bases', rateLimiter, knowledgeRouter)
+
+// Persona administration
+// System prompts and defaults that chat requests can answer with
+// Changes require an admin API key, as every chat using the persona picks them up
+app.use('/personas', rateLimiter, personaRouter)
+
+// Prompt template routes
+// Versioned prompt scaffolding rendered server-side with typed variables
+// Changes require an admin API key; running a template does not
+app.use('/templates', rateLimiter, templateRouter)
+
+// Response cache administration
+// Inspect and purge the cached chat responses; purging requires an admin API key
+app.use('/cache', rateLimiter, cacheRouter)
+
+// Runtime metrics route
+// Model queue depth and wait times of this instance
+app.use('/metrics', rateLimiter, metricsRouter)
+
+// Health check route
+// Model circuit breaker state, polled by load balancers and uptime checks
+// Not rate limited, so frequent probes never lock themselves out
+app.use('/health', healthRouter)
+
+// Batch route
+// Many prompts with shared settings in one request, answered with bounded concurrency
+// Rate limited as a single request
+app.use('/batch', rateLimiter, batchRouter)
+
+// Chat job routes
+// Prompts answered in the background by the job worker, for long generations
+// Needs the RabbitMQ channel, hence mounted after initRabbitMQ
+app.use('/jobs', rateLimiter, jobRouter)
+
+// Usage summary route
+// Aggregates the tokens and model time recorded for chat requests
+app.use('/usage', rateLimiter, usageRouter)
+
+// OpenAI-compatible API
+// Chat completions and model listing in the OpenAI wire format
+// Errors are answered with OpenAI error objects by its own error handler
+app.use('/v1', rateLimiter, openAIRouter, openAIErrorHandler)
+
 // Main route with rate limiting and validation
 // Registers the primary application routes with protective middleware
 // Applies rate limiting to prevent API abuse
+// Receives the images of vision requests (JSON or multipart) before validation
 // Validates incoming prompts before processing
-app.use('/', rateLimiter, validatePrompt, router)
+app.use('/', rateLimiter, receiveImages, validatePrompt, router)
 
 // Error handling middleware
 // Centralized error handling for the entire application
@@ -0,0 +1,100 @@
+/**
+ * Response cache registry.
+ * Selects the backend that stores cached chat responses.
+ * The cache service depends only on the backend interface described below,
+ * so the storage can be swapped through configuration and tests can use
+ * their own in-memory instance.
+ *
+ * Backend Interface:
+ * - name: Backend identifier ('memory' or 'mongo')
+ * - get(key): Promise resolving to the live entry or null; counts a hit
+ * - peek(key): Same as get, without counting a hit (for inspection)
+ * - set(key, { model, prompt, response, scope, embedding }, ttlSeconds): Promise, replaces any
+ *   previous entry; scope and embedding are only given when the semantic cache is enabled
+ * - candidates(scope): Promise resolving to `[{ key, embedding }]` for the live entries of a scope
+ * - delete(key): Promise resolving to whether an entry was removed
+ * - clear(): Promise resolving to the number of entries removed
+ * - list({ limit, offset }): Promise resolving to `{ total, entries }`, entries without their response
+ *
+ * Entry Format:
+ * - key, model, prompt, response, hits, createdAt, expiresAt
+ * - Embeddings are only returned by candidates()
+ *
+ * Available Backends:
+ * - memory: Per-process LRU map bounded by CACHE_MAX_ENTRIES
+ * - mongo: Shared collection with a TTL index
+ * - none: Caching disabled
+ *
+ * @file
+ * @module cache
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../config/env.js} CACHE_BACKEND configuration
+ */
+
+import { CACHE_BACKEND, CACHE_MAX_ENTRIES } from '../config/env.js'
+import { createMemoryCache } from './memory.cache.js'
+import { createMongoCache } from './mongo.cache.js'
+
+/**
+ * Factories for each supported backend, keyed by CACHE_BACKEND value.
+ *
+ * @type {Object<string, Function>}
+ * @constant {Object<string, Function>}
+ * @memberof module:cache
+ * @since 1.1.0
+ */
+const factories = {
+  memory: () => createMemoryCache({ maxEntries: CACHE_MAX_ENTRIES }),
+  mongo: () => createMongoCache(),
+  none: () => null
+}
+
+/**
+ * The backend in use, created on first access (null when disabled).
+ *
+ * @type {Object|null|undefined}
+ * @memberof module:cache
+ * @since 1.1.0
+ */
+let cache
+
+/**
+ * Returns the configured backend, creating it on first use.
+ *
+ * @function getCache
+ * @returns {Object|null} The backend selected by CACHE_BACKEND, or null when caching is disabled
+ * @throws {Error} If CACHE_BACKEND names an unknown backend
+ * @memberof module:cache
+ * @since 1.1.0
+ */
+export const getCache = () => {
+  if (cache === undefined) {
+    const factory = factories[CACHE_BACKEND]
+    if (!factory) {
+      throw new Error(`Unknown cache backend: ${CACHE_BACKEND}`)
+    }
+    cache = factory()
+  }
+  return cache
+}
+
+/**
+ * Replaces the backend in use.
+ * Intended for tests; null disables caching and passing nothing restores
+ * the configured backend.
+ *
+ * @function setCache
+ * @param {Object|null} [instance] - A backend implementing the interface above
+ * @returns {void}
+ * @memberof module:cache
+ * @since 1.1.0
+ *
+ * @example
+ * setCache(createMemoryCache({ maxEntries: 10 }))
+ */
+export const setCache = (instance) => {
+  cache = instance
+}
@@ -0,0 +1,129 @@
+/**
+ * In-memory cache backend.
+ * Keeps responses in a per-process LRU map: every read moves the entry to
+ * the most recent position and the least recently used entry is evicted
+ * once the capacity is reached. Entries are lost on restart and are not
+ * shared between instances; use the 'mongo' backend for that.
+ *
+ * @file
+ * @module cache/memory
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ./index.js} Cache backend interface
+ */
+
+/**
+ * Copies an entry without its scope and embedding, which stay internal.
+ *
+ * @function expose
+ * @param {Object} entry - A stored cache entry
+ * @returns {Object} The entry as returned to callers
+ * @memberof module:cache/memory
+ * @since 1.1.0
+ */
+const expose = ({ scope, embedding, ...entry }) => entry
+
+/**
+ * Strips the response from an entry, for listings.
+ *
+ * @function describe
+ * @param {Object} entry - A stored cache entry
+ * @returns {Object} The entry without its response
+ * @memberof module:cache/memory
+ * @since 1.1.0
+ */
+const describe = (entry) => {
+  const { response, ...description } = expose(entry)
+  return description
+}
+
+/**
+ * Creates an in-memory LRU cache backend.
+ *
+ * @function createMemoryCache
+ * @param {Object} [config] - Backend configuration
+ * @param {number} [config.maxEntries=1000] - Maximum number of entries kept
+ * @param {Function} [config.now=Date.now] - Clock, in milliseconds
+ * @returns {Object} A cache backend (see module:cache)
+ * @memberof module:cache/memory
+ * @since 1.1.0
+ *
+ * @example
+ * const cache = createMemoryCache({ maxEntries: 2 })
+ * await cache.set(key, { model, prompt, response }, 60)
+ */
+export const createMemoryCache = ({ maxEntries = 1000, now = Date.now } = {}) => {
+  // Map iteration follows insertion order, so the first key is the least recently used
+  const entries = new Map()
+
+  const find = (key) => {
+    const entry = entries.get(key)
+    if (entry && entry.expiresAt.getTime() <= now()) {
+      entries.delete(key)
+      return null
+    }
+    return entry ?? null
+  }
+
+  const live = () => [...entries.keys()].map(find).filter(Boolean)
+
+  return {
+    name: 'memory',
+
+    async get (key) {
+      const entry = find(key)
+      if (!entry) return null
+      entries.delete(key)
+      entries.set(key, entry)
+      entry.hits++
+      return expose(entry)
+    },
+
+    async peek (key) {
+      const entry = find(key)
+      return entry && expose(entry)
+    },
+
+    async set (key, { model, prompt, response, scope, embedding }, ttlSeconds) {
+      entries.delete(key)
+      entries.set(key, {
+        key,
+        model,
+        prompt,
+        response,
+        scope,
+        embedding,
+        hits: 0,
+        createdAt: new Date(now()),
+        expiresAt: new Date(now() + ttlSeconds * 1000)
+      })
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value)
+      }
+    },
+
+    async candidates (scope) {
+      return live()
+        .filter((entry) => entry.scope === scope && entry.embedding)
+        .map(({ key, embedding }) => ({ key, embedding }))
+    },
+
+    async delete (key) {
+      return entries.delete(key)
+    },
+
+    async clear () {
+      const count = entries.size
+      entries.clear()
+      return count
+    },
+
+    async list ({ limit = 20, offset = 0 } = {}) {
+      // Most recently used first
+      const current = live().reverse()
+      return { total: current.length, entries: current.slice(offset, offset + limit).map(describe) }
+    }
+  }
+}
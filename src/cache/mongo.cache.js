@@ -0,0 +1,93 @@
+/**
+ * MongoDB cache backend.
+ * Stores responses in the cacheentries collection, shared by every
+ * instance of the backend. A TTL index removes expired entries; reads
+ * also ignore them, since MongoDB only purges expired documents about
+ * once a minute.
+ *
+ * @file
+ * @module cache/mongo
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ./index.js} Cache backend interface
+ * @see {@link ../models/cacheEntry.model.js} Cache Entry Model
+ */
+
+import CacheEntry from '../models/cacheEntry.model.js'
+
+/**
+ * Fields returned for cache entries.
+ *
+ * @type {Object}
+ * @constant {Object}
+ * @memberof module:cache/mongo
+ * @since 1.1.0
+ */
+const PROJECTION = { _id: 0, __v: 0, scope: 0, embedding: 0 }
+
+/**
+ * Creates a MongoDB cache backend.
+ *
+ * @function createMongoCache
+ * @returns {Object} A cache backend (see module:cache)
+ * @memberof module:cache/mongo
+ * @since 1.1.0
+ */
+export const createMongoCache = () => {
+  const live = () => ({ expiresAt: { $gt: new Date() } })
+
+  return {
+    name: 'mongo',
+
+    async get (key) {
+      return CacheEntry.findOneAndUpdate(
+        { key, ...live() },
+        { $inc: { hits: 1 } },
+        { new: true, projection: PROJECTION }
+      ).lean()
+    },
+
+    async peek (key) {
+      return CacheEntry.findOne({ key, ...live() }, PROJECTION).lean()
+    },
+
+    async set (key, { model, prompt, response, scope, embedding }, ttlSeconds) {
+      await CacheEntry.replaceOne(
+        { key },
+        { key, model, prompt, response, scope, embedding, hits: 0, createdAt: new Date(), expiresAt: new Date(Date.now() + ttlSeconds * 1000) },
+        { upsert: true }
+      )
+    },
+
+    async candidates (scope) {
+      return CacheEntry.find(
+        { scope, embedding: { $exists: true }, ...live() },
+        { _id: 0, key: 1, embedding: 1 }
+      ).lean()
+    },
+
+    async delete (key) {
+      const { deletedCount } = await CacheEntry.deleteOne({ key })
+      return deletedCount > 0
+    },
+
+    async clear () {
+      const { deletedCount } = await CacheEntry.deleteMany({})
+      return deletedCount
+    },
+
+    async list ({ limit = 20, offset = 0 } = {}) {
+      const [total, entries] = await Promise.all([
+        CacheEntry.countDocuments(live()),
+        CacheEntry.find(live(), { ...PROJECTION, response: 0 })
+          .sort({ createdAt: -1 })
+          .skip(offset)
+          .limit(limit)
+          .lean()
+      ])
+      return { total, entries }
+    }
+  }
+}
@@ -15,6 +15,47 @@
  * - MONGODB_URI: MongoDB connection string (default: 'mongodb://localhost:27017/chatbot')
  * - MONGO_MAX_RETRIES: Database connection retry attempts (default: 5)
  * - MONGO_RETRY_DELAY: Delay between retries in milliseconds (default: 5000)
+ * - CONVERSATION_HISTORY_LIMIT: Stored turns replayed to the model (default: 20)
+ * - OLLAMA_MODEL: Model used when a request does not choose one (default: 'qwen3:0.6b')
+ * - OLLAMA_ALLOWED_MODELS: Comma-separated models clients may select (default: OLLAMA_MODEL)
+ * - OLLAMA_VISION_MODELS: Comma-separated models that accept images (default: none)
+ * - IMAGE_MAX_BYTES, IMAGE_MAX_DIMENSION, IMAGE_MAX_COUNT: Limits of the images of a chat request (default: 5 MiB, 4096 px, 4)
+ * - OLLAMA_TEMPERATURE, OLLAMA_TOP_P, OLLAMA_TOP_K, OLLAMA_NUM_CTX, OLLAMA_NUM_PREDICT:
+ *   Server-side default generation options (default: unset, Ollama's own defaults)
+ * - OLLAMA_MAX_NUM_CTX: Ceiling for the context window (default: 8192)
+ * - OLLAMA_MAX_NUM_PREDICT: Ceiling for generated tokens (default: 2048)
+ * - LLM_PROVIDER: Model provider, 'ollama', 'openai' or 'mock' (default: 'ollama')
+ * - OLLAMA_HOST: Ollama server URL (default: 'http://127.0.0.1:11434')
+ * - OPENAI_BASE_URL: Base URL of an OpenAI-compatible API (default: 'http://127.0.0.1:8000/v1')
+ * - OPENAI_API_KEY: Bearer token for the OpenAI-compatible API (default: unset)
+ * - TOOL_MAX_ITERATIONS: Maximum tool-calling rounds per chat request (default: 5)
+ * - STRUCTURED_OUTPUT_MAX_RETRIES: Extra attempts when a JSON answer fails validation (default: 2)
+ * - OLLAMA_EMBEDDING_MODEL: Model used for embeddings (default: 'nomic-embed-text')
+ * - RAG_CHUNK_SIZE, RAG_CHUNK_OVERLAP, RAG_TOP_K: Knowledge base chunking and retrieval (default: 1000, 150, 4)
+ * - RATE_LIMIT_MAX: Requests per client and minute (default: 20)
+ * - REASONING_ENABLED: Return the reasoning of thinking models (default: true)
+ * - CACHE_BACKEND: Response cache backend, 'memory', 'mongo' or 'none' (default: 'memory')
+ * - CACHE_TTL_SECONDS: Lifetime of cached responses (default: 3600)
+ * - CACHE_MAX_ENTRIES: Capacity of the in-memory cache (default: 1000)
+ * - SEMANTIC_CACHE_ENABLED: Serve cached answers to paraphrased prompts (default: false)
+ * - SEMANTIC_CACHE_THRESHOLD: Minimum cosine similarity of a semantic match (default: 0.92)
+ * - MODEL_MAX_CONCURRENCY: Model calls running at once (default: 2)
+ * - MODEL_MAX_QUEUE: Model calls waiting for a slot before new ones are rejected (default: 20)
+ * - PRIORITY_API_KEYS: Comma-separated `key=lane` pairs assigning API keys a lane (default: none)
+ * - ADMIN_API_KEYS: Comma-separated API keys allowed to change personas, templates and the response cache (default: none)
+ * - PRIORITY_AGING_MS: Wait after which a queued call is served regardless of its lane (default: 30000)
+ * - REQUEST_TIMEOUT_MS: Time a request may spend waiting for and running model calls (default: 120000)
+ * - MODEL_RETRIES: Extra attempts after a transient model failure (default: 2)
+ * - MODEL_RETRY_BASE_MS, MODEL_RETRY_MAX_MS: Backoff before the first retry and its ceiling (default: 250, 4000)
+ * - CIRCUIT_FAILURE_THRESHOLD: Consecutive transient failures that open the circuit (default: 5)
+ * - CIRCUIT_RESET_MS: Time the circuit stays open before a probe is let through (default: 30000)
+ * - MODEL_FALLBACKS: Comma-separated `route=model|model` pairs, the models tried in order when the requested one fails (default: none)
+ * - MODEL_FALLBACK_TIMEOUT_MS: Time a model gets to answer before the next model of the chain is tried (default: 60000)
+ * - BATCH_MAX_ITEMS: Prompts accepted by one POST /batch request (default: 1000)
+ * - BATCH_CONCURRENCY: Prompts of one batch sent to the model at once (default: MODEL_MAX_CONCURRENCY)
+ * - BATCH_TIMEOUT_MS: Time a whole batch may run; each prompt is still bound by REQUEST_TIMEOUT_MS (default: 3600000)
+ * - JOB_TIMEOUT_MS: Time a background chat job may run before its model calls are aborted (default: 1800000)
+ * - CHAT_JOB_CONCURRENCY: Chat jobs a job worker runs at once (default: MODEL_MAX_CONCURRENCY)
  * 
  * @file
  * @module config/env
@@ -103,6 +144,601 @@ export const NODE_ENV = process.env.NODE_ENV || 'development'
  */
 export const VERSION = process.env.VERSION || '1.0.0'
 
+/**
+ * Maximum number of stored conversation turns replayed to the model.
+ * Only the most recent turns are sent, which keeps long conversations
+ * within the model's context window.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 20
+ */
+export const CONVERSATION_HISTORY_LIMIT = Number(process.env.CONVERSATION_HISTORY_LIMIT) || 20
+
+/**
+ * Default Ollama model.
+ * Used for every chat request that does not select a model explicitly.
+ *
+ * @type {string}
+ * @constant {string}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 'qwen3:0.6b'
+ */
+export const DEFAULT_MODEL = process.env.OLLAMA_MODEL || 'qwen3:0.6b'
+
+/**
+ * Models that clients are allowed to select per request.
+ * Parsed from a comma-separated list; the default model is always allowed.
+ *
+ * Example:
+ * - OLLAMA_ALLOWED_MODELS=qwen3:0.6b,llama3.2:1b,gemma3:270m
+ *
+ * @type {string[]}
+ * @constant {string[]}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default [DEFAULT_MODEL]
+ */
+export const ALLOWED_MODELS = [...new Set([
+  DEFAULT_MODEL,
+  ...(process.env.OLLAMA_ALLOWED_MODELS || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+])]
+
+/**
+ * Models that declare vision capability, i.e. accept images with the prompt.
+ * Parsed from a comma-separated list; chat requests with images are
+ * rejected for any other model, and their fallback chains skip them.
+ *
+ * Example:
+ * - OLLAMA_VISION_MODELS=llava:7b,gemma3:4b
+ *
+ * @type {string[]}
+ * @constant {string[]}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default []
+ */
+export const VISION_MODELS = (process.env.OLLAMA_VISION_MODELS || '')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean)
+
+/**
+ * Maximum size, in bytes, of each image of a chat request (decoded, not base64).
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 5242880
+ */
+export const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024
+
+/**
+ * Maximum width and height, in pixels, of each image of a chat request.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 4096
+ */
+export const IMAGE_MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION) || 4096
+
+/**
+ * Maximum number of images sent with one chat request.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 4
+ */
+export const IMAGE_MAX_COUNT = Number(process.env.IMAGE_MAX_COUNT) || 4
+
+/**
+ * Server-side default generation options.
+ * Applied to every chat request before the client's own options.
+ * Only the variables that are set are included, so unset values fall back
+ * to the defaults of the Ollama model.
+ *
+ * @type {Object}
+ * @constant {Object}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default {}
+ */
+export const DEFAULT_OPTIONS = Object.fromEntries(
+  Object.entries({
+    temperature: process.env.OLLAMA_TEMPERATURE,
+    top_p: process.env.OLLAMA_TOP_P,
+    top_k: process.env.OLLAMA_TOP_K,
+    num_ctx: process.env.OLLAMA_NUM_CTX,
+    num_predict: process.env.OLLAMA_NUM_PREDICT
+  })
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => [key, Number(value)])
+)
+
+/**
+ * Upper bounds for resource-heavy generation options.
+ * Requested values above a ceiling are lowered to it, which protects the
+ * GPU from oversized contexts and unbounded generations.
+ *
+ * @type {{ num_ctx: number, num_predict: number }}
+ * @constant {Object}
+ * @memberof module:config/env
+ * @since 1.1.0
+ */
+export const OPTION_CEILINGS = {
+  num_ctx: Number(process.env.OLLAMA_MAX_NUM_CTX) || 8192,
+  num_predict: Number(process.env.OLLAMA_MAX_NUM_PREDICT) || 2048
+}
+
+/**
+ * The LLM provider used to serve chat, streaming, model listing and embeddings.
+ *
+ * Valid Values:
+ * - 'ollama': Local or remote Ollama daemon
+ * - 'openai': Any OpenAI-compatible HTTP API (vLLM, LM Studio, OpenAI...)
+ * - 'mock': Deterministic in-process provider for tests and local development
+ *
+ * @type {string}
+ * @constant {string}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 'ollama'
+ */
+export const LLM_PROVIDER = process.env.LLM_PROVIDER || 'ollama'
+
+/**
+ * URL of the Ollama server used by the 'ollama' provider.
+ *
+ * @type {string}
+ * @constant {string}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 'http://127.0.0.1:11434'
+ */
+export const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://127.0.0.1:11434'
+
+/**
+ * Base URL of the OpenAI-compatible API used by the 'openai' provider.
+ * Must include the version prefix (e.g. '/v1').
+ *
+ * @type {string}
+ * @constant {string}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 'http://127.0.0.1:8000/v1'
+ */
+export const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'http://127.0.0.1:8000/v1'
+
+/**
+ * API key sent as a Bearer token by the 'openai' provider.
+ * Optional for self-hosted servers that do not require authentication.
+ *
+ * Security Considerations:
+ * - Never log this value
+ * - Store it in the environment, not in the repository
+ *
+ * @type {string|undefined}
+ * @constant {string|undefined}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default undefined
+ */
+export const OPENAI_API_KEY = process.env.OPENAI_API_KEY
+
+/**
+ * Maximum number of tool-calling rounds for a single chat request.
+ * Each round runs the tools requested by the model and sends the results
+ * back; once the limit is reached the model must answer without tools.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 5
+ */
+export const TOOL_MAX_ITERATIONS = Number(process.env.TOOL_MAX_ITERATIONS) || 5
+
+/**
+ * Number of extra attempts made when a structured (JSON) answer cannot be
+ * parsed or does not match the requested schema. Zero disables retries.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 2
+ */
+export const STRUCTURED_OUTPUT_MAX_RETRIES = Math.max(0, Number(process.env.STRUCTURED_OUTPUT_MAX_RETRIES ?? 2) || 0)
+
+/**
+ * Model used by POST /embeddings to compute vector embeddings.
+ * Must be an embedding model installed in the LLM provider.
+ *
+ * @type {string}
+ * @constant {string}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 'nomic-embed-text'
+ */
+export const EMBEDDING_MODEL = process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text'
+
+/**
+ * Default size, in characters, of the chunks knowledge documents are split into.
+ * Can be overridden per document at ingestion time.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 1000
+ */
+export const RAG_CHUNK_SIZE = Number(process.env.RAG_CHUNK_SIZE) || 1000
+
+/**
+ * Default number of characters shared by consecutive chunks, so sentences cut
+ * at a chunk boundary keep their context. Can be overridden per document.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 150
+ */
+export const RAG_CHUNK_OVERLAP = Number(process.env.RAG_CHUNK_OVERLAP ?? 150) || 0
+
+/**
+ * Number of chunks retrieved and injected into the prompt when a chat
+ * request uses a knowledge base.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 4
+ */
+export const RAG_TOP_K = Number(process.env.RAG_TOP_K) || 4
+
+/**
+ * Maximum number of requests a client (IP address) may make per minute.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 20
+ */
+export const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX) || 20
+
+/**
+ * Whether the reasoning of thinking models (e.g. qwen3's `<think>` block) is
+ * returned to clients in a separate `reasoning` field. The reasoning is always
+ * removed from the answer itself; requests can override this with `reasoning`.
+ *
+ * @type {boolean}
+ * @constant {boolean}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default true
+ */
+export const REASONING_ENABLED = process.env.REASONING_ENABLED !== 'false'
+
+/**
+ * Backend of the response cache: 'memory' (per-process LRU), 'mongo'
+ * (shared collection with a TTL index) or 'none' to disable caching.
+ *
+ * @type {string}
+ * @constant {string}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 'memory'
+ */
+export const CACHE_BACKEND = process.env.CACHE_BACKEND || 'memory'
+
+/**
+ * Time, in seconds, a cached response is served before the model is asked again.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 3600
+ */
+export const CACHE_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS) || 3600
+
+/**
+ * Maximum number of responses kept by the in-memory cache; the least
+ * recently used entry is evicted beyond it.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 1000
+ */
+export const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 1000
+
+/**
+ * Whether the response cache also serves paraphrases: prompts are embedded
+ * and matched against the prompts of cached responses by similarity.
+ *
+ * @type {boolean}
+ * @constant {boolean}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default false
+ */
+export const SEMANTIC_CACHE_ENABLED = process.env.SEMANTIC_CACHE_ENABLED === 'true'
+
+/**
+ * Minimum cosine similarity between two prompt embeddings for the cached
+ * answer of one to be served for the other. Higher values mean fewer,
+ * safer matches.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 0.92
+ */
+export const SEMANTIC_CACHE_THRESHOLD = Number(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.92
+
+/**
+ * Maximum number of chat calls the backend sends to the model at once,
+ * across every request. Further calls wait in the model queue.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 2
+ */
+export const MODEL_MAX_CONCURRENCY = Number(process.env.MODEL_MAX_CONCURRENCY) || 2
+
+/**
+ * Maximum number of chat calls waiting in the model queue. Calls beyond it
+ * are rejected with 503 and a Retry-After header. 0 disables waiting.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 20
+ */
+export const MODEL_MAX_QUEUE = Number(process.env.MODEL_MAX_QUEUE ?? 20)
+
+/**
+ * Lane assigned to each API key sent in the X-API-Key header, parsed from
+ * comma-separated `key=lane` pairs. Lanes are high, normal and low.
+ *
+ * Example:
+ * - PRIORITY_API_KEYS=k-premium-123=high,k-partner-456=normal
+ *
+ * @type {Object<string, string>}
+ * @constant {Object<string, string>}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default {}
+ */
+export const PRIORITY_API_KEYS = Object.fromEntries(
+  (process.env.PRIORITY_API_KEYS || '')
+    .split(',')
+    .map((pair) => pair.split('=').map((part) => part.trim()))
+    .filter(([key, lane]) => key && lane)
+)
+
+/**
+ * API keys, sent in the X-API-Key header, allowed to change shared state:
+ * personas, prompt templates and the response cache. Parsed from a
+ * comma-separated list; with none configured those changes are refused.
+ *
+ * Example:
+ * - ADMIN_API_KEYS=k-admin-789
+ *
+ * @type {string[]}
+ * @constant {string[]}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default []
+ */
+export const ADMIN_API_KEYS = (process.env.ADMIN_API_KEYS || '')
+  .split(',')
+  .map((key) => key.trim())
+  .filter(Boolean)
+
+/**
+ * Time, in milliseconds, after which a queued model call is served before
+ * calls of higher lanes, so low priority work is never starved.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 30000
+ */
+export const PRIORITY_AGING_MS = Number(process.env.PRIORITY_AGING_MS) || 30000
+
+/**
+ * Time, in milliseconds, a request may spend waiting for and running model
+ * calls, counted from its arrival. Model calls still running after it are
+ * aborted and the request fails with 504.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 120000
+ */
+export const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS) || 120000
+
+/**
+ * Extra attempts made after a model call fails with a transient error
+ * (connection reset, 502, 503...). Set to 0 to disable retries.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 2
+ */
+export const MODEL_RETRIES = Math.max(0, Number(process.env.MODEL_RETRIES ?? 2) || 0)
+
+/**
+ * Backoff, in milliseconds, before the first retry of a model call. It
+ * doubles with each retry and is randomized (full jitter).
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 250
+ */
+export const MODEL_RETRY_BASE_MS = Number(process.env.MODEL_RETRY_BASE_MS) || 250
+
+/**
+ * Ceiling, in milliseconds, of the backoff between retries of a model call.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 4000
+ */
+export const MODEL_RETRY_MAX_MS = Number(process.env.MODEL_RETRY_MAX_MS) || 4000
+
+/**
+ * Consecutive transient model failures after which the circuit opens and
+ * model calls fail fast with 503.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 5
+ */
+export const CIRCUIT_FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5
+
+/**
+ * Time, in milliseconds, the circuit stays open before a probe call is let
+ * through to check whether the model recovered.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 30000
+ */
+export const CIRCUIT_RESET_MS = Number(process.env.CIRCUIT_RESET_MS) || 30000
+
+/**
+ * Models tried, in order, when the requested model is missing, times out or
+ * has its circuit open, parsed from comma-separated `route=model|model`
+ * pairs. Routes are `chat` (POST /) and `openai` (/v1/chat/completions);
+ * `default` applies to routes without a chain of their own.
+ *
+ * Example:
+ * - MODEL_FALLBACKS=default=llama3.2:1b,openai=llama3.2:1b|gemma3:1b
+ *
+ * @type {Object<string, string[]>}
+ * @constant {Object<string, string[]>}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default {}
+ */
+export const MODEL_FALLBACKS = Object.fromEntries(
+  (process.env.MODEL_FALLBACKS || '')
+    .split(',')
+    .map((pair) => pair.split('='))
+    .map(([route, models = '']) => [route.trim(), models.split('|').map((model) => model.trim()).filter(Boolean)])
+    .filter(([route, models]) => route && models.length > 0)
+)
+
+/**
+ * Time, in milliseconds, a model gets to answer before the next model of
+ * its fallback chain is tried. The last model of a chain is only bound by
+ * REQUEST_TIMEOUT_MS.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 60000
+ */
+export const MODEL_FALLBACK_TIMEOUT_MS = Number(process.env.MODEL_FALLBACK_TIMEOUT_MS) || 60000
+
+/**
+ * Maximum number of prompts in one POST /batch request.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 1000
+ */
+export const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS) || 1000
+
+/**
+ * Number of prompts of one batch sent to the model at once.
+ * The rest wait in the batch, not in the model queue, so a large batch
+ * never fills the queue (MODEL_MAX_QUEUE) and starves other requests.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default MODEL_MAX_CONCURRENCY
+ */
+export const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || MODEL_MAX_CONCURRENCY
+
+/**
+ * Time, in milliseconds, a whole batch may run before its pending prompts
+ * are abandoned. Each prompt is still bound by REQUEST_TIMEOUT_MS.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 3600000
+ */
+export const BATCH_TIMEOUT_MS = Number(process.env.BATCH_TIMEOUT_MS) || 3600000
+
+/**
+ * Time, in milliseconds, a background job may run before it is aborted.
+ * Jobs run outside any request, so REQUEST_TIMEOUT_MS does not bind them;
+ * only handlers that take a signal (chat jobs) stop at this limit.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default 1800000
+ */
+export const JOB_TIMEOUT_MS = Number(process.env.JOB_TIMEOUT_MS) || 1800000
+
+/**
+ * Number of chat jobs a job worker runs at once (RabbitMQ prefetch of the
+ * chat job queue). Their model calls still wait in the model queue of the
+ * worker, so running more than MODEL_MAX_CONCURRENCY only makes them queue
+ * there instead of in RabbitMQ.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:config/env
+ * @since 1.1.0
+ * @default MODEL_MAX_CONCURRENCY
+ */
+export const CHAT_JOB_CONCURRENCY = Number(process.env.CHAT_JOB_CONCURRENCY) || MODEL_MAX_CONCURRENCY
+
 // Log that environment variables have been loaded
 // This provides confirmation that configuration loading was successful
 // and displays the current environment settings for debugging purposes
@@ -110,5 +746,12 @@ export const VERSION = process.env.VERSION || '1.0.0'
 logger.info('Environment variables loaded', { 
   NODE_ENV, 
   PORT: PORT ? 'Defined' : 'Not defined', 
-  VERSION 
+  VERSION,
+  DEFAULT_MODEL,
+  ALLOWED_MODELS,
+  VISION_MODELS,
+  LLM_PROVIDER,
+  CACHE_BACKEND,
+  MODEL_MAX_CONCURRENCY,
+  MODEL_MAX_QUEUE
 })
\ No newline at end of file
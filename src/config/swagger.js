@@ -39,7 +39,7 @@
  * @see {@link https://github.com/swagger-api/swagger-ui} Swagger UI
  */
 
-import { VERSION } from '../config/env.js'
+import { VERSION, DEFAULT_MODEL, IMAGE_MAX_BYTES, IMAGE_MAX_DIMENSION, IMAGE_MAX_COUNT, BATCH_MAX_ITEMS } from '../config/env.js'
 import logger from '../logger.js'
 
 /**
@@ -220,6 +220,43 @@ const swaggerDefinition = {
    * - Better organization
    */
   components: {
+    /**
+     * Security schemes.
+     * Admin API keys (ADMIN_API_KEYS) guard the routes that change personas,
+     * prompt templates and the response cache.
+     */
+    securitySchemes: {
+      AdminApiKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'An admin API key, one of ADMIN_API_KEYS'
+      }
+    },
+
+    /**
+     * Response definitions.
+     * Refusals of the routes guarded by an admin API key.
+     */
+    responses: {
+      AdminKeyRequired: {
+        description: 'No X-API-Key header was sent',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/ErrorResponse' }
+          }
+        }
+      },
+      AdminKeyForbidden: {
+        description: 'The API key is not an admin API key',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/ErrorResponse' }
+          }
+        }
+      }
+    },
+
     /**
      * Schema definitions.
      * Defines the data models used in the API for requests and responses.
@@ -260,6 +297,105 @@ const swaggerDefinition = {
             type: 'string',
             description: 'The user\'s prompt to send to the AI model',
             example: 'Hello, how are you?'
+          },
+          stream: {
+            type: 'boolean',
+            description: 'Stream the answer as Server-Sent Events (same as sending Accept: text/event-stream)',
+            example: false
+          },
+          conversationId: {
+            type: 'string',
+            description: 'ID of a stored conversation whose history is replayed to the model',
+            example: '66d1f0c2a5b4c3d2e1f00a11'
+          },
+          model: {
+            type: 'string',
+            description: 'Model to answer with; must be one of the allowed models (see GET /models)',
+            example: DEFAULT_MODEL
+          },
+          options: {
+            type: 'object',
+            description: 'Generation options, merged over server defaults and capped by server ceilings',
+            additionalProperties: false,
+            properties: {
+              temperature: { type: 'number', minimum: 0, maximum: 2, example: 0.7 },
+              top_p: { type: 'number', minimum: 0, maximum: 1 },
+              top_k: { type: 'integer', minimum: 1, maximum: 1000 },
+              num_ctx: { type: 'integer', minimum: 128, maximum: 131072 },
+              num_predict: { type: 'integer', minimum: -1, maximum: 32768 },
+              repeat_penalty: { type: 'number', minimum: 0, maximum: 2 },
+              seed: { type: 'integer', example: 42 },
+              stop: { type: 'array', maxItems: 8, items: { type: 'string' } }
+            }
+          },
+          tools: {
+            type: 'array',
+            maxItems: 16,
+            uniqueItems: true,
+            description: 'Server-side tools the model may call while answering. Not available with streaming.',
+            items: { type: 'string', enum: ['get_current_time', 'calculate'] },
+            example: ['calculate']
+          },
+          format: {
+            type: 'string',
+            enum: ['json'],
+            description: 'Ask for a JSON answer; the parsed value is returned in `parsed`. Not available with streaming.'
+          },
+          responseSchema: {
+            type: 'object',
+            description: 'JSON Schema the answer must match; implies JSON output and takes precedence over `format`',
+            example: {
+              type: 'object',
+              properties: { city: { type: 'string' }, population: { type: 'integer' } },
+              required: ['city', 'population']
+            }
+          },
+          reasoning: {
+            type: 'boolean',
+            description: 'Return the model\'s reasoning (`<think>` block) in a separate `reasoning` field, which makes the body an object; defaults to the server setting'
+          },
+          cache: {
+            type: 'boolean',
+            description: 'Set to false to skip the response cache (same as `Cache-Control: no-cache`)'
+          },
+          knowledgeBase: {
+            type: 'string',
+            pattern: '^[a-zA-Z0-9][\\w-]{0,63}$',
+            description: 'Ground the answer in the most relevant chunks of this knowledge base; the sources are returned in `citations`',
+            example: 'soporte'
+          },
+          persona: {
+            type: 'string',
+            pattern: '^[a-z0-9][a-z0-9_-]{0,63}$',
+            description: 'Answer as this persona: its system prompt is sent first, and its model, options and tools apply unless set in the request',
+            example: 'soporte'
+          },
+          images: {
+            type: 'array',
+            minItems: 1,
+            maxItems: IMAGE_MAX_COUNT,
+            description: `PNG, JPEG or WebP images for vision models (see \`vision\` in GET /models), as base64 or data URLs; at most ${IMAGE_MAX_BYTES} bytes and ${IMAGE_MAX_DIMENSION} pixels a side each`,
+            items: { type: 'string', format: 'byte' }
+          }
+        }
+      },
+
+      /**
+       * Multipart prompt schema.
+       * The chat request with the images uploaded as files.
+       */
+      PromptUpload: {
+        type: 'object',
+        required: ['prompt', 'images'],
+        description: 'The fields of `Prompt` as form fields: text fields as they are, the others (stream, options, tools...) JSON-encoded',
+        properties: {
+          prompt: { type: 'string', example: 'Describe la imagen' },
+          model: { type: 'string', example: 'llava:7b' },
+          images: {
+            type: 'array',
+            minItems: 1,
+            maxItems: IMAGE_MAX_COUNT,
+            items: { type: 'string', format: 'binary' }
           }
         }
       },
@@ -282,7 +418,7 @@ const swaggerDefinition = {
           model: {
             type: 'string',
             description: 'The AI model used for the response',
-            example: 'gemma3:270m'
+            example: DEFAULT_MODEL
           },
           createdAt: {
             type: 'string',
@@ -322,6 +458,704 @@ const swaggerDefinition = {
         }
       },
       
+      /**
+       * Embedding request schema.
+       * Accepted by POST /embeddings.
+       */
+      EmbeddingRequest: {
+        type: 'object',
+        required: ['input'],
+        properties: {
+          input: {
+            oneOf: [
+              { type: 'string', minLength: 1, maxLength: 8192 },
+              { type: 'array', minItems: 1, maxItems: 64, items: { type: 'string', minLength: 1, maxLength: 8192 } }
+            ],
+            description: 'A text or a list of texts to embed',
+            example: ['¿Cuál es el horario de atención?', 'Política de devoluciones']
+          }
+        }
+      },
+
+      /**
+       * Embedding response schema.
+       * Returned by POST /embeddings.
+       */
+      EmbeddingResponse: {
+        type: 'object',
+        properties: {
+          model: { type: 'string', example: 'nomic-embed-text' },
+          dimensions: { type: 'integer', example: 768 },
+          data: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                index: { type: 'integer', description: 'Position of the text in `input`', example: 0 },
+                embedding: { type: 'array', items: { type: 'number' } }
+              }
+            }
+          },
+          usage: {
+            type: 'object',
+            properties: {
+              promptTokens: { type: 'integer', example: 14 },
+              totalTokens: { type: 'integer', example: 14 }
+            }
+          }
+        }
+      },
+
+      /**
+       * Knowledge document request schema.
+       * Accepted by POST /knowledge-bases/{name}/documents.
+       */
+      KnowledgeDocumentRequest: {
+        type: 'object',
+        required: ['title', 'content'],
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: 200, example: 'Política de devoluciones' },
+          source: { type: 'string', maxLength: 500, description: 'Where the original lives; returned in citations', example: 'https://example.com/devoluciones' },
+          format: { type: 'string', enum: ['text', 'markdown'], default: 'text', description: 'In markdown, every heading starts a new chunk' },
+          content: { type: 'string', minLength: 1, maxLength: 50000 },
+          chunkSize: { type: 'integer', minimum: 100, maximum: 8000, description: 'Maximum chunk length in characters; defaults to RAG_CHUNK_SIZE' },
+          chunkOverlap: { type: 'integer', minimum: 0, maximum: 2000, description: 'Characters shared by consecutive chunks, at most half of chunkSize; defaults to RAG_CHUNK_OVERLAP' }
+        }
+      },
+
+      /**
+       * Knowledge document schema.
+       * A stored document, without its content.
+       */
+      KnowledgeDocument: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '665f1c2e8b3f4a0012ab34cd' },
+          knowledgeBase: { type: 'string', example: 'soporte' },
+          title: { type: 'string', example: 'Política de devoluciones' },
+          source: { type: 'string', example: 'https://example.com/devoluciones' },
+          format: { type: 'string', enum: ['text', 'markdown'] },
+          chunkSize: { type: 'integer', example: 1000 },
+          chunkOverlap: { type: 'integer', example: 150 },
+          chunkCount: { type: 'integer', example: 3 },
+          embeddingModel: { type: 'string', example: 'nomic-embed-text' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+
+      /**
+       * Knowledge base schema.
+       * Summary of the documents in a knowledge base.
+       */
+      KnowledgeBase: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', example: 'soporte' },
+          documents: { type: 'integer', example: 12 },
+          chunks: { type: 'integer', example: 87 },
+          embeddingModels: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Embedding models of the documents; more than one means a re-embedding is pending',
+            example: ['nomic-embed-text']
+          },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+
+      /**
+       * Chunk schema.
+       * A piece of a knowledge document, as injected into prompts.
+       */
+      Chunk: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          knowledgeBase: { type: 'string', example: 'soporte' },
+          document: { type: 'string', example: '665f1c2e8b3f4a0012ab34cd' },
+          index: { type: 'integer', description: 'Position of the chunk in its document', example: 0 },
+          text: { type: 'string', example: 'Los envíos son gratuitos a partir de 50 €.' },
+          embeddingModel: { type: 'string', example: 'nomic-embed-text' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+
+      /**
+       * Background job schema.
+       * Status and progress of a job run through the RabbitMQ job queue.
+       */
+      Job: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '665f1d4a8b3f4a0012ab34ef' },
+          type: { type: 'string', example: 'reembed' },
+          params: { type: 'object', description: 'Parameters of the job; chat jobs leave out the system prompt of their persona', example: { knowledgeBase: 'soporte' } },
+          status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+          progress: {
+            type: 'object',
+            properties: {
+              processed: { type: 'integer', example: 64 },
+              total: { type: 'integer', example: 87 }
+            }
+          },
+          result: { type: 'object', description: 'Outcome of a completed job', example: { chunks: 87, embeddingModel: 'nomic-embed-text', promptTokens: 9120 } },
+          error: { type: 'string', description: 'Error message of a failed job' },
+          requestId: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          startedAt: { type: 'string', format: 'date-time' },
+          finishedAt: { type: 'string', format: 'date-time' },
+          timing: {
+            type: 'object',
+            description: 'Time spent queued and running, up to now for jobs that have not ended (/jobs routes)',
+            properties: {
+              queuedMs: { type: 'integer', example: 1200 },
+              runningMs: { type: 'integer', example: 95400 }
+            }
+          }
+        }
+      },
+
+      /**
+       * Chat job request schema.
+       * A prompt answered in the background, with the settings of a batch.
+       */
+      ChatJobRequest: {
+        type: 'object',
+        required: ['prompt'],
+        properties: {
+          prompt: { $ref: '#/components/schemas/Prompt/properties/prompt' },
+          model: { $ref: '#/components/schemas/Prompt/properties/model' },
+          options: { $ref: '#/components/schemas/Prompt/properties/options' },
+          tools: { $ref: '#/components/schemas/Prompt/properties/tools' },
+          format: { $ref: '#/components/schemas/Prompt/properties/format' },
+          responseSchema: { $ref: '#/components/schemas/Prompt/properties/responseSchema' },
+          reasoning: { type: 'boolean' },
+          persona: { $ref: '#/components/schemas/Prompt/properties/persona' },
+          cache: { type: 'boolean' }
+        }
+      },
+
+      /**
+       * Cache entry schema.
+       * A chat response stored by the response cache.
+       */
+      CacheEntry: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'SHA-256 of the normalized prompt, model, options and system prompt' },
+          model: { type: 'string', example: 'qwen3:0.6b' },
+          prompt: { type: 'string', example: '¿Cuál es el horario de atención?' },
+          hits: { type: 'integer', description: 'Times the entry was served', example: 14 },
+          createdAt: { type: 'string', format: 'date-time' },
+          expiresAt: { type: 'string', format: 'date-time' }
+        }
+      },
+
+      /**
+       * Cache metrics schema.
+       * Rates are relative to cacheable requests (hits and misses), the false
+       * positive rate to semantic hits; they are null when there is nothing to divide by.
+       */
+      CacheMetrics: {
+        type: 'object',
+        properties: {
+          requests: { type: 'integer', example: 120 },
+          hits: { type: 'integer', example: 48 },
+          exactHits: { type: 'integer', example: 40 },
+          semanticHits: { type: 'integer', example: 8 },
+          misses: { type: 'integer', example: 60 },
+          bypasses: { type: 'integer', example: 12 },
+          falsePositives: { type: 'integer', description: 'Semantic hits reported as wrong answers', example: 1 },
+          hitRate: { type: 'number', nullable: true, example: 0.444 },
+          semanticHitRate: { type: 'number', nullable: true, example: 0.074 },
+          falsePositiveRate: { type: 'number', nullable: true, example: 0.125 }
+        }
+      },
+
+      /**
+       * Model queue metrics schema.
+       * Returned by GET /metrics. Times are in milliseconds.
+       */
+      QueueMetrics: {
+        type: 'object',
+        properties: {
+          concurrency: { type: 'integer', description: 'Model calls allowed to run at once', example: 2 },
+          maxQueued: { type: 'integer', description: 'Model calls allowed to wait, across lanes', example: 20 },
+          agingMs: { type: 'integer', nullable: true, description: 'Wait after which a call is served regardless of its lane', example: 30000 },
+          active: { type: 'integer', description: 'Model calls running', example: 2 },
+          waiting: { type: 'integer', description: 'Model calls waiting for a slot', example: 3 },
+          started: { type: 'integer', description: 'Model calls started since the process started', example: 140 },
+          queued: { type: 'integer', description: 'Model calls that had to wait', example: 35 },
+          rejected: { type: 'integer', description: 'Model calls rejected with 503', example: 2 },
+          cancelled: { type: 'integer', description: 'Queued model calls abandoned because their request timed out or was cancelled', example: 0 },
+          averageDurationMs: { type: 'integer', nullable: true, description: 'Moving average of the model call durations', example: 2400 },
+          wait: {
+            type: 'object',
+            properties: {
+              samples: { type: 'integer', example: 35 },
+              averageMs: { type: 'integer', nullable: true, example: 1800 },
+              p95Ms: { type: 'integer', nullable: true, example: 4900 },
+              maxMs: { type: 'integer', nullable: true, example: 6100 }
+            }
+          },
+          lanes: {
+            type: 'object',
+            description: 'Counters and wait times per priority lane (high, normal, low)',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                waiting: { type: 'integer', example: 1 },
+                started: { type: 'integer', example: 60 },
+                queued: { type: 'integer', example: 20 },
+                rejected: { type: 'integer', example: 0 },
+                cancelled: { type: 'integer', example: 0 },
+                aged: { type: 'integer', description: 'Calls served ahead of higher lanes after waiting agingMs', example: 2 },
+                wait: {
+                  type: 'object',
+                  properties: {
+                    samples: { type: 'integer' },
+                    averageMs: { type: 'integer', nullable: true },
+                    p95Ms: { type: 'integer', nullable: true },
+                    maxMs: { type: 'integer', nullable: true }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+
+      /**
+       * Model fallback metrics schema.
+       * Returned by GET /metrics.
+       */
+      FallbackMetrics: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer', description: 'Fallbacks to the next model of a chain since the process started', example: 3 },
+          reasons: {
+            type: 'object',
+            properties: {
+              'model-not-found': { type: 'integer', example: 2 },
+              timeout: { type: 'integer', example: 1 },
+              'circuit-open': { type: 'integer', example: 0 }
+            }
+          },
+          models: {
+            type: 'object',
+            description: 'Counters by model name',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                failed: { type: 'integer', description: 'Times the model was skipped for the next one', example: 3 },
+                answered: { type: 'integer', description: 'Times the model answered in place of an earlier one', example: 0 }
+              }
+            }
+          }
+        }
+      },
+
+      /**
+       * Health schema.
+       * Returned by GET /health.
+       */
+      Health: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['ok', 'degraded', 'unavailable'], example: 'ok' },
+          provider: { type: 'string', example: 'ollama' },
+          circuits: {
+            type: 'object',
+            description: 'Circuit breaker of each model called so far, by model name',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                state: { type: 'string', enum: ['closed', 'open', 'half-open'], example: 'closed' },
+                failures: { type: 'integer', description: 'Consecutive transient failures', example: 0 },
+                failureThreshold: { type: 'integer', example: 5 },
+                resetMs: { type: 'integer', description: 'Time the circuit stays open before probing', example: 30000 },
+                openedAt: { type: 'string', format: 'date-time', nullable: true },
+                retryAfter: { type: 'integer', nullable: true, description: 'Seconds until the next probe, while open', example: null },
+                opened: { type: 'integer', description: 'Times the circuit opened since the process started', example: 1 },
+                rejected: { type: 'integer', description: 'Calls failed fast with 503', example: 12 },
+                probes: { type: 'integer', description: 'Probe calls let through while half-open', example: 1 }
+              }
+            }
+          },
+          queue: {
+            type: 'object',
+            properties: {
+              active: { type: 'integer', example: 1 },
+              waiting: { type: 'integer', example: 0 }
+            }
+          }
+        }
+      },
+
+      /**
+       * Usage summary schema.
+       * Returned by GET /usage. Durations are in nanoseconds, as reported by Ollama.
+       */
+      UsageSummary: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', format: 'date-time', nullable: true },
+          to: { type: 'string', format: 'date-time', nullable: true },
+          groupBy: { type: 'array', items: { type: 'string', enum: ['day', 'model', 'user'] }, example: ['day', 'model', 'user'] },
+          totals: { $ref: '#/components/schemas/Usage' },
+          groups: {
+            type: 'array',
+            items: {
+              allOf: [
+                {
+                  type: 'object',
+                  properties: {
+                    day: { type: 'string', example: '2025-06-01' },
+                    model: { type: 'string', nullable: true, example: DEFAULT_MODEL },
+                    userId: { type: 'string', nullable: true, example: 'ana@example.com' }
+                  }
+                },
+                { $ref: '#/components/schemas/Usage' }
+              ]
+            }
+          }
+        }
+      },
+
+      /**
+       * Usage totals schema.
+       * Tokens and model time consumed by a set of requests.
+       */
+      Usage: {
+        type: 'object',
+        properties: {
+          requests: { type: 'integer', example: 12 },
+          calls: { type: 'integer', description: 'Model calls, including tool rounds and structured output retries', example: 14 },
+          promptTokens: { type: 'integer', example: 840 },
+          completionTokens: { type: 'integer', example: 2310 },
+          totalTokens: { type: 'integer', example: 3150 },
+          totalDuration: { type: 'integer', description: 'Nanoseconds', example: 41200000000 },
+          loadDuration: { type: 'integer', description: 'Nanoseconds' },
+          promptEvalDuration: { type: 'integer', description: 'Nanoseconds' },
+          evalDuration: { type: 'integer', description: 'Nanoseconds' }
+        }
+      },
+
+      /**
+       * Model catalogue entry schema.
+       * Describes a model installed in Ollama and whether clients may select it.
+       */
+      Model: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            example: DEFAULT_MODEL
+          },
+          size: {
+            type: 'number',
+            description: 'Model size on disk in bytes'
+          },
+          family: {
+            type: 'string',
+            example: 'qwen3'
+          },
+          parameterSize: {
+            type: 'string',
+            example: '751.63M'
+          },
+          quantizationLevel: {
+            type: 'string',
+            example: 'Q4_K_M'
+          },
+          allowed: {
+            type: 'boolean',
+            description: 'Whether the model can be selected with the `model` field'
+          },
+          vision: {
+            type: 'boolean',
+            description: 'Whether the model accepts images (OLLAMA_VISION_MODELS)'
+          }
+        }
+      },
+
+      /**
+       * Persona request schema.
+       * Defines the body used to create a persona.
+       */
+      PersonaRequest: {
+        type: 'object',
+        required: ['name', 'systemPrompt'],
+        properties: {
+          name: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}$', example: 'soporte' },
+          description: { type: 'string', maxLength: 500, example: 'Asistente de soporte técnico' },
+          systemPrompt: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 8000,
+            example: 'Eres el asistente de soporte de ACME. Responde en español, con frases breves.'
+          },
+          model: { type: 'string', description: 'Model used when the request does not name one', example: 'qwen3:0.6b' },
+          fallbacks: {
+            type: 'array',
+            items: { type: 'string' },
+            maxItems: 8,
+            description: 'Models tried in order when the model fails, instead of the MODEL_FALLBACKS chain of the route',
+            example: ['llama3.2:1b']
+          },
+          options: { $ref: '#/components/schemas/Prompt/properties/options' },
+          tools: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'The only tools the persona may use; offered when the request names none',
+            example: ['clock']
+          }
+        }
+      },
+
+      /**
+       * Persona update schema.
+       * Every field is optional; description, model, fallbacks and options may be null to remove them.
+       */
+      PersonaUpdate: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          description: { type: 'string', nullable: true, maxLength: 500 },
+          systemPrompt: { type: 'string', minLength: 1, maxLength: 8000 },
+          model: { type: 'string', nullable: true },
+          fallbacks: { type: 'array', items: { type: 'string' }, maxItems: 8, nullable: true },
+          options: { allOf: [{ $ref: '#/components/schemas/Prompt/properties/options' }], nullable: true },
+          tools: { type: 'array', items: { type: 'string' } }
+        }
+      },
+
+      /**
+       * Persona schema.
+       * Defines a stored persona with its version.
+       */
+      Persona: {
+        allOf: [
+          { $ref: '#/components/schemas/PersonaRequest' },
+          {
+            type: 'object',
+            properties: {
+              _id: { type: 'string' },
+              version: { type: 'integer', description: 'Incremented on every update', example: 1 },
+              createdAt: { type: 'string', format: 'date-time' },
+              updatedAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        ]
+      },
+
+      /**
+       * Template variable schema.
+       * Declares the type and bounds of a variable of a prompt template.
+       */
+      TemplateVariable: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string', enum: ['string', 'number', 'integer', 'boolean', 'enum'] },
+          description: { type: 'string', maxLength: 200 },
+          optional: { type: 'boolean', description: 'The variable may be left out; it then renders as empty text' },
+          default: { description: 'Value used when the variable is left out', oneOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }] },
+          minLength: { type: 'integer', description: 'string only' },
+          maxLength: { type: 'integer', description: 'string only' },
+          min: { type: 'number', description: 'number and integer only' },
+          max: { type: 'number', description: 'number and integer only' },
+          values: { type: 'array', items: { type: 'string' }, description: 'enum only: the allowed values' }
+        }
+      },
+
+      /**
+       * Template version request schema.
+       * Defines the body of a version of a prompt template.
+       */
+      TemplateVersionRequest: {
+        type: 'object',
+        required: ['body'],
+        properties: {
+          description: { type: 'string', maxLength: 500, example: 'Resumen de tickets de soporte' },
+          body: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 4096,
+            description: 'Prompt text with `{{variable}}` placeholders',
+            example: 'Resume el siguiente ticket en un tono {{tone}} y en menos de {{words}} palabras:\n\n{{ticket}}'
+          },
+          variables: {
+            type: 'object',
+            maxProperties: 32,
+            additionalProperties: { $ref: '#/components/schemas/TemplateVariable' },
+            example: {
+              ticket: { type: 'string', maxLength: 3000 },
+              tone: { type: 'enum', values: ['formal', 'informal'], default: 'formal' },
+              words: { type: 'integer', min: 10, max: 300, default: 80 }
+            }
+          }
+        }
+      },
+
+      /**
+       * Template schema.
+       * Defines a stored version of a prompt template.
+       */
+      Template: {
+        allOf: [
+          { $ref: '#/components/schemas/TemplateVersionRequest' },
+          {
+            type: 'object',
+            properties: {
+              _id: { type: 'string' },
+              name: { type: 'string', example: 'resumen-ticket' },
+              version: { type: 'integer', example: 1 },
+              createdAt: { type: 'string', format: 'date-time' },
+              updatedAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        ]
+      },
+
+      /**
+       * Template run request schema.
+       * Defines the body used to run a prompt template.
+       */
+      TemplateRunRequest: {
+        type: 'object',
+        properties: {
+          variables: {
+            type: 'object',
+            description: 'The value of each variable, validated against the declaration of the template',
+            example: { ticket: 'La impresora no imprime desde la actualización.', tone: 'informal' }
+          },
+          version: { type: 'integer', minimum: 1, description: 'The version to run; the latest when omitted' },
+          model: { $ref: '#/components/schemas/Prompt/properties/model' },
+          options: { $ref: '#/components/schemas/Prompt/properties/options' },
+          persona: { $ref: '#/components/schemas/Prompt/properties/persona' },
+          reasoning: { type: 'boolean' },
+          cache: { type: 'boolean' }
+        }
+      },
+
+      /**
+       * Batch request schema.
+       * The prompts of a batch with the settings they share.
+       */
+      BatchRequest: {
+        type: 'object',
+        required: ['items'],
+        properties: {
+          items: {
+            type: 'array',
+            minItems: 1,
+            maxItems: BATCH_MAX_ITEMS,
+            description: 'The prompts, each a string or an object whose `id` is echoed back in its result',
+            items: {
+              oneOf: [
+                { type: 'string', minLength: 1, maxLength: 4096 },
+                {
+                  type: 'object',
+                  required: ['prompt'],
+                  properties: {
+                    id: { oneOf: [{ type: 'string', maxLength: 128 }, { type: 'number' }] },
+                    prompt: { type: 'string', minLength: 1, maxLength: 4096 }
+                  }
+                }
+              ]
+            },
+            example: [{ id: 'fila-1', prompt: 'Clasifica el ticket: "No arranca"' }, 'Clasifica el ticket: "Pantalla rota"']
+          },
+          model: { $ref: '#/components/schemas/Prompt/properties/model' },
+          options: { $ref: '#/components/schemas/Prompt/properties/options' },
+          tools: { $ref: '#/components/schemas/Prompt/properties/tools' },
+          format: { $ref: '#/components/schemas/Prompt/properties/format' },
+          responseSchema: { $ref: '#/components/schemas/Prompt/properties/responseSchema' },
+          reasoning: { type: 'boolean' },
+          persona: { $ref: '#/components/schemas/Prompt/properties/persona' },
+          cache: { type: 'boolean' }
+        }
+      },
+
+      /**
+       * Batch result schema.
+       * The outcome of one prompt of a batch.
+       */
+      BatchResult: {
+        type: 'object',
+        required: ['index', 'status'],
+        properties: {
+          index: { type: 'integer', description: 'Position of the prompt in the batch' },
+          id: { oneOf: [{ type: 'string' }, { type: 'number' }], description: 'The `id` sent with the prompt' },
+          status: { type: 'string', enum: ['ok', 'error'] },
+          response: { type: 'string' },
+          parsed: { description: 'The validated JSON answer, for structured batches' },
+          reasoning: { type: 'string' },
+          model: { type: 'string', description: 'The model that answered' },
+          cache: { type: 'string', enum: ['HIT', 'MISS', 'BYPASS'] },
+          error: {
+            type: 'object',
+            description: 'Why the prompt failed, with the status code it would have had as a request of its own',
+            properties: {
+              status: { type: 'integer', example: 400 },
+              message: { type: 'string' },
+              details: { type: 'array', items: { type: 'object' } }
+            }
+          }
+        }
+      },
+
+      /**
+       * Conversation schema.
+       * Defines a persisted multi-turn conversation and its messages.
+       */
+      Conversation: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+            description: 'Conversation ID'
+          },
+          title: {
+            type: 'string',
+            example: 'Soporte técnico'
+          },
+          messages: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                role: {
+                  type: 'string',
+                  enum: ['system', 'user', 'assistant']
+                },
+                content: {
+                  type: 'string'
+                },
+                requestId: {
+                  type: 'string'
+                },
+                createdAt: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            }
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          updatedAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+
       /**
        * Error response schema.
        * Defines the structure for error responses.
@@ -346,6 +1180,166 @@ const swaggerDefinition = {
             example: 'The prompt cannot be empty'
           }
         }
+      },
+
+      /**
+       * Structured response schema.
+       * Returned by POST / when `format` or `responseSchema` is used,
+       * when reasoning is enabled for the request or when a knowledge base is used.
+       */
+      StructuredResponse: {
+        type: 'object',
+        properties: {
+          response: {
+            type: 'string',
+            description: 'The raw text generated by the model',
+            example: '{"city":"Madrid","population":3300000}'
+          },
+          parsed: {
+            description: 'The parsed answer, validated against `responseSchema` when given (structured requests only)',
+            example: { city: 'Madrid', population: 3300000 }
+          },
+          reasoning: {
+            type: 'string',
+            description: 'The model\'s reasoning, kept out of `response`; present whenever reasoning is enabled, empty when the model did not reason',
+            example: 'The user asks for the capital of Spain and its population.'
+          },
+          citations: {
+            type: 'array',
+            description: 'Knowledge base chunks given to the model (knowledge base requests only)',
+            items: { $ref: '#/components/schemas/Citation' }
+          }
+        }
+      },
+
+      /**
+       * Citation schema.
+       * A knowledge base chunk the answer was grounded in.
+       */
+      Citation: {
+        type: 'object',
+        properties: {
+          ref: { type: 'integer', description: 'The [n] marker the model uses to cite this chunk', example: 1 },
+          documentId: { type: 'string', example: '665f1c2e8b3f4a0012ab34cd' },
+          title: { type: 'string', example: 'Política de devoluciones' },
+          source: { type: 'string', example: 'https://example.com/devoluciones' },
+          chunk: { type: 'integer', description: 'Position of the chunk in its document', example: 0 },
+          score: { type: 'number', description: 'Cosine similarity with the question', example: 0.82 }
+        }
+      },
+
+      /**
+       * Structured output error schema.
+       * Returned when no attempt produced a valid structured answer.
+       */
+      StructuredOutputError: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', example: 'error' },
+          error: { type: 'string', example: 'El modelo no generó una respuesta JSON válida tras 3 intentos.' },
+          details: { type: 'array', items: { type: 'string' }, example: ['/population: must be integer'] },
+          raw: { type: 'string', description: 'The last raw answer of the model' }
+        }
+      },
+
+      /**
+       * OpenAI-compatible chat completion request schema.
+       * Subset of the OpenAI request accepted by POST /v1/chat/completions.
+       */
+      ChatCompletionRequest: {
+        type: 'object',
+        required: ['messages'],
+        properties: {
+          model: { type: 'string', example: DEFAULT_MODEL },
+          messages: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            items: {
+              type: 'object',
+              required: ['role', 'content'],
+              properties: {
+                role: { type: 'string', enum: ['system', 'user', 'assistant'] },
+                content: { type: 'string', maxLength: 4096 }
+              }
+            },
+            example: [{ role: 'user', content: 'Hola, ¿cómo estás?' }]
+          },
+          stream: { type: 'boolean', default: false },
+          stream_options: {
+            type: 'object',
+            properties: { include_usage: { type: 'boolean' } }
+          },
+          temperature: { type: 'number', minimum: 0, maximum: 2 },
+          top_p: { type: 'number', minimum: 0, maximum: 1 },
+          seed: { type: 'integer' },
+          max_tokens: { type: 'integer', minimum: 1, maximum: 32768 },
+          stop: {
+            oneOf: [
+              { type: 'string' },
+              { type: 'array', maxItems: 8, items: { type: 'string' } }
+            ]
+          }
+        }
+      },
+
+      /**
+       * OpenAI-compatible chat completion schema.
+       * Non-streaming answer of POST /v1/chat/completions.
+       */
+      ChatCompletion: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', example: 'chatcmpl-123e4567-e89b-12d3-a456-426614174000' },
+          object: { type: 'string', example: 'chat.completion' },
+          created: { type: 'integer', example: 1735689600 },
+          model: { type: 'string', example: DEFAULT_MODEL },
+          choices: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                index: { type: 'integer', example: 0 },
+                message: {
+                  type: 'object',
+                  properties: {
+                    role: { type: 'string', example: 'assistant' },
+                    content: { type: 'string', example: '¡Hola! Estoy bien, gracias.' },
+                    reasoning_content: { type: 'string', description: 'The model\'s reasoning, when the server returns it' }
+                  }
+                },
+                finish_reason: { type: 'string', enum: ['stop', 'length'] }
+              }
+            }
+          },
+          usage: {
+            type: 'object',
+            properties: {
+              prompt_tokens: { type: 'integer' },
+              completion_tokens: { type: 'integer' },
+              total_tokens: { type: 'integer' }
+            }
+          }
+        }
+      },
+
+      /**
+       * OpenAI-compatible error schema.
+       * Error body of every /v1 route.
+       */
+      OpenAIError: {
+        type: 'object',
+        properties: {
+          error: {
+            type: 'object',
+            properties: {
+              message: { type: 'string', example: 'El modelo solicitado no está permitido.' },
+              type: { type: 'string', enum: ['invalid_request_error', 'rate_limit_error', 'server_error'] },
+              param: { type: 'string', nullable: true, example: 'model' },
+              code: { type: 'string', nullable: true }
+            }
+          }
+        }
       }
     }
   }
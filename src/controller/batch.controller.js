@@ -0,0 +1,191 @@
+/**
+ * Batch controller.
+ * Handles POST /batch, which answers many prompts with shared settings in
+ * one request, for bulk work such as classifying the rows of a dataset.
+ *
+ * Controller Responsibilities:
+ * 1. Read the batch from a JSON or an NDJSON body
+ * 2. Validate the shared settings, then each prompt on its own
+ * 3. Run the prompts with bounded concurrency through the batch service
+ * 4. Return per-item results and errors, as JSON or streamed as NDJSON
+ * 5. Record the settings, item counts and usage in the audit entry
+ *
+ * Error Handling:
+ * - Invalid shared settings or item counts are raised as ZodError (400)
+ * - Unknown personas are CustomError (404)
+ * - Errors of a prompt (validation, forbidden patterns, model failures)
+ *   only fail that prompt; the response is a 200 with partial success
+ *
+ * @file
+ * @module controller/batch
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import { runBatch, readNDJSON } from '../service/batch.service.js'
+import { chatWithCache } from '../service/cache.service.js'
+import { chatStructured } from '../service/structured.service.js'
+import { getPersona, applyPersona } from '../service/persona.service.js'
+import { resolveOptions } from '../service/generation.service.js'
+import { fallbackChain } from '../service/fallback.service.js'
+import { addUsage } from '../service/usage.service.js'
+import { batchSchema, batchSettingsSchema, batchItemSchema } from '../zod.js'
+import { findForbiddenPattern } from '../validations.js'
+import { REASONING_ENABLED } from '../config/env.js'
+import { CustomError, StructuredOutputError } from '../errors.js'
+import { asyncErrorHandler } from '../utils.js'
+import logger from '../logger.js'
+
+/**
+ * Media type of NDJSON bodies, accepted and produced by POST /batch.
+ *
+ * @type {string}
+ * @constant {string}
+ * @memberof module:controller/batch
+ * @since 1.1.0
+ */
+export const NDJSON_TYPE = 'application/x-ndjson'
+
+/**
+ * Reads and validates the batch of a request.
+ * Items keep the client `id` they carry, so even an invalid item can be
+ * matched with its result.
+ *
+ * @function readBatch
+ * @param {Object} req - The HTTP request object
+ * @returns {Object} The shared settings and `items`: `[{ id?, value?, error? }]`
+ * @throws {ZodError} If the settings or the number of items are not valid
+ * @memberof module:controller/batch
+ * @since 1.1.0
+ */
+const readBatch = (req) => {
+  let settings
+  let items
+  if (req.is(NDJSON_TYPE)) {
+    const read = readNDJSON(typeof req.body === 'string' ? req.body : '')
+    settings = batchSettingsSchema.parse(read.settings ?? {})
+    items = batchSchema.shape.items.parse(read.items)
+  } else {
+    ({ items, ...settings } = batchSchema.parse(req.body ?? {}))
+    items = items.map((value) => ({ value }))
+  }
+
+  return {
+    ...settings,
+    items: items.map((item) => {
+      const id = item.value?.id
+      return typeof id === 'string' || typeof id === 'number' ? { ...item, id } : item
+    })
+  }
+}
+
+/**
+ * Answers a batch of prompts sent with shared settings.
+ *
+ * Processing Flow:
+ * 1. Read the batch and validate the shared settings
+ * 2. Apply the persona and the generation defaults once for the whole batch
+ * 3. Validate and screen each prompt as POST / would, failing it alone
+ * 4. Answer the valid prompts through the response cache (or the structured
+ *    output service), BATCH_CONCURRENCY at a time
+ *
+ * Input Formats:
+ * - JSON: `{ items: [prompt | { id, prompt }], model, options, ... }`
+ * - NDJSON (`Content-Type: application/x-ndjson`): one item per line, the
+ *   first line may be `{ "settings": { model, options, ... } }`
+ *
+ * Response Format:
+ * - JSON: `{ total, succeeded, failed, results }` with the results in item order
+ * - NDJSON (when preferred by the Accept header, by default for NDJSON input):
+ *   one result per line as soon as it is ready, then
+ *   `{ done: true, total, succeeded, failed }`
+ * - Each result: `{ index, id?, status: 'ok', response, parsed?, reasoning?, model, cache }`
+ *   or `{ index, id?, status: 'error', error: { status, message, details? } }`
+ *
+ * @async
+ * @function run
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/batch
+ * @since 1.1.0
+ */
+export const run = asyncErrorHandler(async (req, res) => {
+  const { items, persona: personaName, format, responseSchema, reasoning, cache, ...request } = readBatch(req)
+  const streaming = req.accepts(req.is(NDJSON_TYPE) ? [NDJSON_TYPE, 'application/json'] : ['application/json', NDJSON_TYPE]) === NDJSON_TYPE
+
+  logger.info('Received batch request', { items: items.length, streaming, requestId: req.requestId })
+
+  // The settings are resolved once and shared by every prompt
+  const persona = personaName ? await getPersona(personaName) : null
+  const { system, model, tools, ...settings } = applyPersona(persona, request)
+  const options = resolveOptions(settings.options)
+  const outputFormat = responseSchema ?? format
+  const includeReasoning = reasoning ?? REASONING_ENABLED
+  const fallbacks = fallbackChain('chat', persona)
+  res.locals.audit.chat = { model, options, tools }
+  if (persona) {
+    res.locals.audit.chat.persona = { name: persona.name, version: persona.version }
+  }
+  if (outputFormat) {
+    res.locals.audit.chat.format = responseSchema ? 'schema' : 'json'
+  }
+
+  let usage
+  const answer = async ({ value, error }, signal) => {
+    if (error) throw error
+    const { prompt } = batchItemSchema.parse(value)
+
+    const pattern = findForbiddenPattern(prompt)
+    if (pattern) {
+      logger.warn('Prompt contains forbidden pattern', {
+        pattern: pattern.toString(),
+        prompt: prompt.substring(0, 50) + (prompt.length > 50 ? '...' : ''),
+        requestId: req.requestId
+      })
+      throw new CustomError('El prompt contiene patrones bloqueados por seguridad (jailbreak, etc.).', 400)
+    }
+
+    const params = { system, model, fallbacks, options, tools, priority: req.priority, signal }
+    try {
+      const { response, cache: status } = outputFormat
+        ? { response: await chatStructured(prompt, req.requestId, { ...params, format: outputFormat }), cache: 'BYPASS' }
+        : await chatWithCache(prompt, req.requestId, params, { bypass: cache === false })
+      usage = addUsage(usage, response.usage)
+      return {
+        response: response.message.content,
+        ...(outputFormat ? { parsed: response.parsed } : {}),
+        ...(includeReasoning && response.reasoning ? { reasoning: response.reasoning } : {}),
+        model: response.model ?? model,
+        cache: status
+      }
+    } catch (error) {
+      // Rejected structured answers still consumed tokens
+      if (error instanceof StructuredOutputError) usage = addUsage(usage, error.usage)
+      throw error
+    }
+  }
+
+  // Stream each result as soon as it is ready
+  if (streaming) {
+    res.status(200).type(NDJSON_TYPE)
+    res.flushHeaders()
+  }
+  const results = await runBatch(items, answer, {
+    signal: req.signal,
+    requestId: req.requestId,
+    ...(streaming ? { onResult: (result) => res.write(`${JSON.stringify(result)}\n`) } : {})
+  })
+
+  const failed = results.filter(({ status }) => status === 'error').length
+  const summary = { total: results.length, succeeded: results.length - failed, failed }
+  res.locals.audit.batch = summary
+  if (usage) res.locals.audit.usage = usage
+
+  if (streaming) {
+    return res.end(`${JSON.stringify({ done: true, ...summary })}\n`)
+  }
+  res.status(200).json({ ...summary, results })
+})
@@ -0,0 +1,133 @@
+/**
+ * Cache controller.
+ * Handles the administration of the response cache: listing, inspecting
+ * and purging cached chat responses, hit rate metrics and reports of wrong
+ * semantic matches.
+ *
+ * Controller Responsibilities:
+ * 1. Validate cache keys, pagination, metrics queries and reports
+ * 2. Call the cache service
+ *
+ * Error Handling:
+ * - Validation failures are raised as ZodError (400)
+ * - Unknown keys and requests without a semantic match are CustomError (404)
+ *
+ * @file
+ * @module controller/cache
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import {
+  listCacheEntries,
+  getCacheEntry,
+  deleteCacheEntry,
+  purgeCache,
+  cacheMetrics,
+  reportFalsePositive
+} from '../service/cache.service.js'
+import { cacheKeySchema, paginationSchema, cacheMetricsQuerySchema, falsePositiveSchema } from '../zod.js'
+import { asyncErrorHandler } from '../utils.js'
+
+/**
+ * Lists the cached responses, most recent first, without their content.
+ *
+ * @async
+ * @function list
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/cache
+ * @since 1.1.0
+ */
+export const list = asyncErrorHandler(async (req, res) => {
+  const pagination = paginationSchema.parse(req.query)
+  const page = await listCacheEntries(pagination)
+  res.status(200).json({ ...pagination, ...page })
+})
+
+/**
+ * Fetches a cached response.
+ *
+ * @async
+ * @function get
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/cache
+ * @since 1.1.0
+ */
+export const get = asyncErrorHandler(async (req, res) => {
+  const key = cacheKeySchema.parse(req.params.key)
+  const entry = await getCacheEntry(key)
+  res.status(200).json(entry)
+})
+
+/**
+ * Deletes a cached response.
+ *
+ * @async
+ * @function remove
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/cache
+ * @since 1.1.0
+ */
+export const remove = asyncErrorHandler(async (req, res) => {
+  const key = cacheKeySchema.parse(req.params.key)
+  await deleteCacheEntry(key)
+  res.status(204).end()
+})
+
+/**
+ * Deletes every cached response.
+ *
+ * @async
+ * @function purge
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/cache
+ * @since 1.1.0
+ */
+export const purge = asyncErrorHandler(async (req, res) => {
+  const deleted = await purgeCache()
+  res.status(200).json({ deleted })
+})
+
+/**
+ * Summarizes the cache hit rates and reported false positives.
+ *
+ * @async
+ * @function metrics
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/cache
+ * @since 1.1.0
+ */
+export const metrics = asyncErrorHandler(async (req, res) => {
+  const query = cacheMetricsQuerySchema.parse(req.query)
+  const summary = await cacheMetrics(query)
+  res.status(200).json(summary)
+})
+
+/**
+ * Reports a semantic cache hit that answered the wrong question.
+ *
+ * @async
+ * @function falsePositive
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/cache
+ * @since 1.1.0
+ */
+export const falsePositive = asyncErrorHandler(async (req, res) => {
+  const { requestId } = falsePositiveSchema.parse(req.body ?? {})
+  const match = await reportFalsePositive(requestId)
+  res.status(200).json({ requestId, ...match })
+})
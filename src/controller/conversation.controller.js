@@ -0,0 +1,100 @@
+/**
+ * Conversation controller.
+ * Handles the HTTP requests for managing persisted chat conversations.
+ * Request bodies, query strings and route parameters are validated with Zod
+ * before the conversation service is called.
+ *
+ * Controller Responsibilities:
+ * 1. Validate request input
+ * 2. Call the conversation service
+ * 3. Format HTTP responses
+ *
+ * Error Handling:
+ * - Validation failures are raised as ZodError (400)
+ * - Missing conversations are raised as CustomError (404)
+ * - All errors are forwarded through asyncErrorHandler to errorHandler
+ *
+ * @file
+ * @module controller/conversation
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import {
+  createConversation,
+  listConversations,
+  getConversation,
+  deleteConversation
+} from '../service/conversation.service.js'
+import { conversationSchema, objectIdSchema, paginationSchema } from '../zod.js'
+import { asyncErrorHandler } from '../utils.js'
+
+/**
+ * Creates a new conversation.
+ *
+ * @async
+ * @function create
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/conversation
+ * @since 1.1.0
+ */
+export const create = asyncErrorHandler(async (req, res) => {
+  const data = conversationSchema.parse(req.body ?? {})
+  const conversation = await createConversation(data)
+  res.status(201).json(conversation)
+})
+
+/**
+ * Lists conversations without their message histories.
+ *
+ * @async
+ * @function list
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/conversation
+ * @since 1.1.0
+ */
+export const list = asyncErrorHandler(async (req, res) => {
+  const pagination = paginationSchema.parse(req.query)
+  const page = await listConversations(pagination)
+  res.status(200).json({ ...pagination, ...page })
+})
+
+/**
+ * Fetches a conversation with its full message history.
+ *
+ * @async
+ * @function get
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/conversation
+ * @since 1.1.0
+ */
+export const get = asyncErrorHandler(async (req, res) => {
+  const id = objectIdSchema.parse(req.params.id)
+  const conversation = await getConversation(id)
+  res.status(200).json(conversation)
+})
+
+/**
+ * Deletes a conversation.
+ *
+ * @async
+ * @function remove
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/conversation
+ * @since 1.1.0
+ */
+export const remove = asyncErrorHandler(async (req, res) => {
+  const id = objectIdSchema.parse(req.params.id)
+  await deleteConversation(id)
+  res.status(204).end()
+})
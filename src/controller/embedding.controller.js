@@ -0,0 +1,69 @@
+/**
+ * Embedding controller.
+ * Handles requests for vector embeddings of one or many texts.
+ *
+ * Controller Responsibilities:
+ * 1. Validate the texts (count and length limits)
+ * 2. Call the embedding service
+ * 3. Record the model and usage in the audit entry
+ * 4. Format the vectors for the HTTP response
+ *
+ * Error Handling:
+ * - Validation failures are raised as ZodError (400)
+ * - Ollama connection errors are forwarded to errorHandler (503)
+ *
+ * @file
+ * @module controller/embedding
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import { embedTexts } from '../service/embedding.service.js'
+import { toUsage } from '../service/usage.service.js'
+import { embeddingSchema } from '../zod.js'
+import { asyncErrorHandler } from '../utils.js'
+import logger from '../logger.js'
+
+/**
+ * Computes the embeddings of the texts in the request body.
+ * A single text is treated as a list of one, so the response shape is
+ * the same in both cases.
+ *
+ * Response Format:
+ * - model: The embedding model used
+ * - dimensions: Length of every vector
+ * - data: `[{ index, embedding }]` in the order of the input texts
+ * - usage: `{ promptTokens, totalTokens }`
+ *
+ * @async
+ * @function embed
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/embedding
+ * @since 1.1.0
+ */
+export const embed = asyncErrorHandler(async (req, res) => {
+  const { input } = embeddingSchema.parse(req.body ?? {})
+  const texts = Array.isArray(input) ? input : [input]
+
+  logger.info('Received embedding request', {
+    inputs: texts.length,
+    requestId: req.requestId
+  })
+
+  const { model, embeddings, dimensions, promptTokens } = await embedTexts(texts, req.requestId)
+
+  // Record the call like chat requests, so it shows up in the usage summary
+  res.locals.audit.embedding = { model, inputs: texts.length, dimensions }
+  res.locals.audit.usage = toUsage({ prompt_eval_count: promptTokens })
+
+  res.status(200).json({
+    model,
+    dimensions,
+    data: embeddings.map((embedding, index) => ({ index, embedding })),
+    usage: { promptTokens, totalTokens: promptTokens }
+  })
+})
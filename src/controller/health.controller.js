@@ -0,0 +1,65 @@
+/**
+ * Health controller.
+ * Reports whether this backend instance can currently answer chat requests,
+ * for load balancers, orchestrators and uptime checks.
+ *
+ * Controller Responsibilities:
+ * 1. Derive the health status from the circuit breakers of the models
+ * 2. Answer 503 while every circuit is open, so traffic can be routed elsewhere
+ *
+ * @file
+ * @module controller/health
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../service/resilience.service.js} Model Resilience Service
+ */
+
+import { getProvider } from '../providers/index.js'
+import { circuitStats } from '../service/resilience.service.js'
+import { queueStats } from '../service/queue.service.js'
+
+/**
+ * Derives the health status from the states of the model circuits.
+ *
+ * @function toStatus
+ * @param {string[]} states - The state of each model circuit
+ * @returns {string} 'unavailable' if every circuit is open, 'degraded' if
+ *   any circuit is not closed, 'ok' otherwise (also before any model call)
+ * @memberof module:controller/health
+ * @since 1.1.0
+ */
+const toStatus = (states) => {
+  if (states.length > 0 && states.every((state) => state === 'open')) return 'unavailable'
+  return states.some((state) => state !== 'closed') ? 'degraded' : 'ok'
+}
+
+/**
+ * Returns the health of the instance.
+ *
+ * Response Format:
+ * - status: 'ok', 'degraded' (some model failing or recovering) or 'unavailable'
+ * - provider: the LLM provider in use
+ * - circuits: state and counters of the circuit breaker of each model called so far
+ * - queue: active and waiting model calls
+ *
+ * @function health
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {void}
+ * @memberof module:controller/health
+ * @since 1.1.0
+ */
+export const health = (req, res) => {
+  const circuits = circuitStats()
+  const status = toStatus(Object.values(circuits).map(({ state }) => state))
+  const { active, waiting } = queueStats()
+
+  res.status(status === 'unavailable' ? 503 : 200).json({
+    status,
+    provider: getProvider().name,
+    circuits,
+    queue: { active, waiting }
+  })
+}
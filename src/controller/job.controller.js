@@ -0,0 +1,181 @@
+/**
+ * Job controller.
+ * Handles chat jobs: prompts answered in the background by the job worker
+ * (see service/job), for generations that outlast the load balancer timeout.
+ *
+ * Controller Responsibilities:
+ * 1. Validate and screen the prompt, as POST / would, before queuing it
+ * 2. Resolve the persona and the generation defaults when the job is queued
+ * 3. Report the status, result and timing of a job, without the system
+ *    prompt of its persona
+ * 4. Cancel jobs that have not ended yet
+ *
+ * Error Handling:
+ * - Validation failures are raised as ZodError (400)
+ * - Forbidden patterns are CustomError (400)
+ * - Unknown personas and jobs are CustomError (404)
+ * - Cancelling an ended job is CustomError (409)
+ * - A missing RabbitMQ channel is CustomError (503)
+ *
+ * @file
+ * @module controller/job
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../service/job.service.js} Job Service
+ */
+
+import { enqueueJob, getJob, cancelJob } from '../service/job.service.js'
+import { getPersona, applyPersona } from '../service/persona.service.js'
+import { resolveOptions } from '../service/generation.service.js'
+import { fallbackChain } from '../service/fallback.service.js'
+import { chatJobSchema, objectIdSchema } from '../zod.js'
+import { findForbiddenPattern } from '../validations.js'
+import { REASONING_ENABLED } from '../config/env.js'
+import { CustomError } from '../errors.js'
+import { asyncErrorHandler } from '../utils.js'
+import logger from '../logger.js'
+
+/**
+ * Fetches a chat job. Jobs of other types (e.g. re-embedding) are only
+ * visible where they were created.
+ *
+ * @async
+ * @function getChatJob
+ * @param {string} id - The job ID from the request path
+ * @returns {Promise<Object>} The job
+ * @throws {ZodError} If the ID is not valid
+ * @throws {CustomError} 404 if there is no chat job with this ID
+ * @memberof module:controller/job
+ * @since 1.1.0
+ */
+const getChatJob = async (id) => {
+  const job = await getJob(objectIdSchema.parse(id))
+  if (job.type !== 'chat') {
+    throw new CustomError('Trabajo no encontrado', 404)
+  }
+  return job
+}
+
+/**
+ * Prepares a job for the response. The system prompt of the persona is
+ * left out of the parameters, as GET /personas/:name is the place to read
+ * it. The time the job waited in the queue and the time it ran are added,
+ * in milliseconds, counted up to now while the job has not ended.
+ *
+ * @function toJobView
+ * @param {Object} job - The job, as a plain object
+ * @param {Date} [now=new Date()] - The current time
+ * @returns {Object} The job with `timing: { queuedMs, runningMs? }`
+ * @memberof module:controller/job
+ * @since 1.1.0
+ */
+const toJobView = ({ params: { system, ...params } = {}, ...job }, now = new Date()) => {
+  const { createdAt, startedAt, finishedAt } = job
+  const end = finishedAt ?? now
+  return {
+    ...job,
+    params,
+    timing: {
+      queuedMs: (startedAt ?? end) - createdAt,
+      ...(startedAt ? { runningMs: end - startedAt } : {})
+    }
+  }
+}
+
+/**
+ * Queues a prompt to be answered in the background.
+ * Responds 202 with the job (see toJobView); its status and result are
+ * available at the Location URL.
+ *
+ * Processing Flow:
+ * 1. Validate the prompt and its settings, and reject forbidden patterns
+ * 2. Apply the persona, its fallback models and the generation defaults,
+ *    so the job runs with the settings in force when it was queued
+ * 3. Store and publish the job through the RabbitMQ channel
+ *
+ * @async
+ * @function create
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/job
+ * @since 1.1.0
+ */
+export const create = asyncErrorHandler(async (req, res) => {
+  const { prompt, persona: personaName, format, responseSchema, reasoning, cache, ...request } = chatJobSchema.parse(req.body ?? {})
+
+  const pattern = findForbiddenPattern(prompt)
+  if (pattern) {
+    logger.warn('Prompt contains forbidden pattern', {
+      pattern: pattern.toString(),
+      prompt: prompt.substring(0, 50) + (prompt.length > 50 ? '...' : ''),
+      requestId: req.requestId
+    })
+    throw new CustomError('El prompt contiene patrones bloqueados por seguridad (jailbreak, etc.).', 400)
+  }
+
+  const persona = personaName ? await getPersona(personaName) : null
+  const { system, model, tools, ...settings } = applyPersona(persona, request)
+  const options = resolveOptions(settings.options)
+  const outputFormat = responseSchema ?? format
+  res.locals.audit.chat = { model, options, tools }
+  if (persona) {
+    res.locals.audit.chat.persona = { name: persona.name, version: persona.version }
+  }
+  if (outputFormat) {
+    res.locals.audit.chat.format = responseSchema ? 'schema' : 'json'
+  }
+
+  const job = await enqueueJob(req.rabbitChannel, 'chat', {
+    prompt,
+    system,
+    model,
+    fallbacks: fallbackChain('chat', persona),
+    options,
+    tools,
+    format: outputFormat,
+    reasoning: reasoning ?? REASONING_ENABLED,
+    cache,
+    priority: req.priority
+  }, req.requestId)
+
+  res
+    .status(202)
+    .location(`${req.baseUrl}/${job.id}`)
+    .json(toJobView(job.toObject()))
+})
+
+/**
+ * Reports the status, result and timing of a chat job.
+ *
+ * @async
+ * @function get
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/job
+ * @since 1.1.0
+ */
+export const get = asyncErrorHandler(async (req, res) => {
+  const job = await getChatJob(req.params.id)
+  res.status(200).json(toJobView(job))
+})
+
+/**
+ * Cancels a chat job that is queued or running.
+ *
+ * @async
+ * @function cancel
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/job
+ * @since 1.1.0
+ */
+export const cancel = asyncErrorHandler(async (req, res) => {
+  const { _id } = await getChatJob(req.params.id)
+  const job = await cancelJob(_id)
+  res.status(200).json(toJobView(job))
+})
@@ -0,0 +1,280 @@
+/**
+ * Knowledge controller.
+ * Handles the ingestion and management of the documents in knowledge bases,
+ * which chat requests can use to ground their answers (see `knowledgeBase` on POST /).
+ *
+ * Controller Responsibilities:
+ * 1. Validate the knowledge base name, IDs and bodies
+ * 2. Call the knowledge service to chunk, embed, store, list and delete documents
+ * 3. Queue re-embedding jobs and report their progress
+ * 4. Record the embedding model and usage of ingestions in the audit entry
+ *
+ * Error Handling:
+ * - Validation failures are raised as ZodError (400)
+ * - Unknown knowledge bases, documents and jobs are CustomError (404)
+ * - Ollama connection errors are forwarded to errorHandler (503)
+ *
+ * @file
+ * @module controller/knowledge
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import {
+  ingestDocument,
+  listKnowledgeBases,
+  getKnowledgeBase,
+  deleteKnowledgeBase,
+  listDocuments,
+  getDocument,
+  updateDocument,
+  deleteDocument,
+  listChunks
+} from '../service/knowledge.service.js'
+import { enqueueJob, getJob } from '../service/job.service.js'
+import { toUsage } from '../service/usage.service.js'
+import {
+  knowledgeBaseNameSchema,
+  documentSchema,
+  documentUpdateSchema,
+  reembedSchema,
+  objectIdSchema,
+  paginationSchema
+} from '../zod.js'
+import { CustomError } from '../errors.js'
+import { asyncErrorHandler } from '../utils.js'
+import logger from '../logger.js'
+
+/**
+ * Adds a document to a knowledge base.
+ * Knowledge bases are created implicitly by their first document.
+ *
+ * Response Format:
+ * - The stored document without its content, including the number of chunks
+ *
+ * @async
+ * @function ingest
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/knowledge
+ * @since 1.1.0
+ */
+export const ingest = asyncErrorHandler(async (req, res) => {
+  const knowledgeBase = knowledgeBaseNameSchema.parse(req.params.name)
+  const data = documentSchema.parse(req.body ?? {})
+
+  logger.info('Received knowledge document', {
+    knowledgeBase,
+    title: data.title,
+    length: data.content.length,
+    requestId: req.requestId
+  })
+
+  const { document, dimensions, promptTokens, calls } = await ingestDocument(knowledgeBase, data, req.requestId)
+
+  // Record the embedding calls like embedding requests, for the usage summary
+  res.locals.audit.embedding = { model: document.embeddingModel, inputs: document.chunkCount, dimensions }
+  res.locals.audit.usage = { ...toUsage({ prompt_eval_count: promptTokens }), calls }
+
+  res.status(201).json(document)
+})
+
+/**
+ * Lists the knowledge bases.
+ *
+ * @async
+ * @function list
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/knowledge
+ * @since 1.1.0
+ */
+export const list = asyncErrorHandler(async (req, res) => {
+  const knowledgeBases = await listKnowledgeBases()
+  res.status(200).json({ knowledgeBases })
+})
+
+/**
+ * Summarizes a knowledge base.
+ *
+ * @async
+ * @function get
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/knowledge
+ * @since 1.1.0
+ */
+export const get = asyncErrorHandler(async (req, res) => {
+  const knowledgeBase = knowledgeBaseNameSchema.parse(req.params.name)
+  const summary = await getKnowledgeBase(knowledgeBase)
+  res.status(200).json(summary)
+})
+
+/**
+ * Deletes a knowledge base with all its documents.
+ *
+ * @async
+ * @function remove
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/knowledge
+ * @since 1.1.0
+ */
+export const remove = asyncErrorHandler(async (req, res) => {
+  const knowledgeBase = knowledgeBaseNameSchema.parse(req.params.name)
+  await deleteKnowledgeBase(knowledgeBase)
+  res.status(204).end()
+})
+
+/**
+ * Lists the documents of a knowledge base without their content.
+ *
+ * @async
+ * @function listDocs
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/knowledge
+ * @since 1.1.0
+ */
+export const listDocs = asyncErrorHandler(async (req, res) => {
+  const knowledgeBase = knowledgeBaseNameSchema.parse(req.params.name)
+  const pagination = paginationSchema.parse(req.query)
+  const page = await listDocuments(knowledgeBase, pagination)
+  res.status(200).json({ ...pagination, ...page })
+})
+
+/**
+ * Fetches a document with its content.
+ *
+ * @async
+ * @function getDoc
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/knowledge
+ * @since 1.1.0
+ */
+export const getDoc = asyncErrorHandler(async (req, res) => {
+  const knowledgeBase = knowledgeBaseNameSchema.parse(req.params.name)
+  const id = objectIdSchema.parse(req.params.id)
+  const document = await getDocument(knowledgeBase, id)
+  res.status(200).json(document)
+})
+
+/**
+ * Updates the title or source of a document.
+ *
+ * @async
+ * @function updateDoc
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/knowledge
+ * @since 1.1.0
+ */
+export const updateDoc = asyncErrorHandler(async (req, res) => {
+  const knowledgeBase = knowledgeBaseNameSchema.parse(req.params.name)
+  const id = objectIdSchema.parse(req.params.id)
+  const changes = documentUpdateSchema.parse(req.body ?? {})
+  const document = await updateDocument(knowledgeBase, id, changes)
+  res.status(200).json(document)
+})
+
+/**
+ * Deletes a document and its chunks.
+ *
+ * @async
+ * @function removeDoc
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/knowledge
+ * @since 1.1.0
+ */
+export const removeDoc = asyncErrorHandler(async (req, res) => {
+  const knowledgeBase = knowledgeBaseNameSchema.parse(req.params.name)
+  const id = objectIdSchema.parse(req.params.id)
+  await deleteDocument(knowledgeBase, id)
+  res.status(204).end()
+})
+
+/**
+ * Lists the chunks of a document, as injected into prompts.
+ *
+ * @async
+ * @function chunks
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/knowledge
+ * @since 1.1.0
+ */
+export const chunks = asyncErrorHandler(async (req, res) => {
+  const knowledgeBase = knowledgeBaseNameSchema.parse(req.params.name)
+  const id = objectIdSchema.parse(req.params.id)
+  const pagination = paginationSchema.parse(req.query)
+  const page = await listChunks(knowledgeBase, id, pagination)
+  res.status(200).json({ ...pagination, ...page })
+})
+
+/**
+ * Queues the re-embedding of a knowledge base, or of one of its documents,
+ * with the current embedding model.
+ * Responds 202 with the job; its progress is available at the Location URL.
+ *
+ * @async
+ * @function reembed
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/knowledge
+ * @since 1.1.0
+ */
+export const reembed = asyncErrorHandler(async (req, res) => {
+  const knowledgeBase = knowledgeBaseNameSchema.parse(req.params.name)
+  const { documentId } = reembedSchema.parse(req.body ?? {})
+
+  // Fail fast on unknown targets instead of queuing a job that does nothing
+  if (documentId) {
+    await getDocument(knowledgeBase, documentId)
+  } else {
+    await getKnowledgeBase(knowledgeBase)
+  }
+
+  const job = await enqueueJob(req.rabbitChannel, 'reembed', { knowledgeBase, documentId }, req.requestId)
+
+  res
+    .status(202)
+    .location(`${req.baseUrl}/${knowledgeBase}/jobs/${job.id}`)
+    .json(job)
+})
+
+/**
+ * Reports the status and progress of a re-embedding job.
+ *
+ * @async
+ * @function job
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/knowledge
+ * @since 1.1.0
+ */
+export const job = asyncErrorHandler(async (req, res) => {
+  const knowledgeBase = knowledgeBaseNameSchema.parse(req.params.name)
+  const id = objectIdSchema.parse(req.params.jobId)
+  const found = await getJob(id)
+
+  // Jobs are only visible under the knowledge base they belong to
+  if (found.params?.knowledgeBase !== knowledgeBase) {
+    throw new CustomError('Trabajo no encontrado', 404)
+  }
+  res.status(200).json(found)
+})
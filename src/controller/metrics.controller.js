@@ -0,0 +1,37 @@
+/**
+ * Metrics controller.
+ * Reports the runtime state of the backend that is not kept in the audit
+ * log, such as the model queue and the model fallbacks.
+ *
+ * Controller Responsibilities:
+ * 1. Collect the in-process metrics of each service
+ *
+ * @file
+ * @module controller/metrics
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import { queueStats } from '../service/queue.service.js'
+import { fallbackStats } from '../service/fallback.service.js'
+
+/**
+ * Returns the in-process metrics.
+ * Metrics describe this process only; each instance of the backend keeps its own.
+ *
+ * Response Format:
+ * - queue: limits, depth, counters and recent wait times of the model queue
+ * - fallbacks: fallbacks to the next model of a chain, by reason and by model
+ *
+ * @function metrics
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {void}
+ * @memberof module:controller/metrics
+ * @since 1.1.0
+ */
+export const metrics = (req, res) => {
+  res.status(200).json({ queue: queueStats(), fallbacks: fallbackStats() })
+}
@@ -0,0 +1,53 @@
+/**
+ * Model catalogue controller.
+ * Handles requests for the list of models available to the chatbot.
+ *
+ * Controller Responsibilities:
+ * 1. Query the installed models through the Ollama service
+ * 2. Report the default model and the selection allowlist
+ *
+ * Error Handling:
+ * - Ollama connection errors are forwarded to errorHandler (503)
+ *
+ * @file
+ * @module controller/model
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import { listModels } from '../service/ollama.service.js'
+import { DEFAULT_MODEL } from '../config/env.js'
+import { asyncErrorHandler } from '../utils.js'
+import logger from '../logger.js'
+
+/**
+ * Returns the models installed in Ollama.
+ * Each entry says whether clients may select it with the `model` field.
+ *
+ * Response Format:
+ * - defaultModel: model used when a request does not choose one
+ * - models: installed models with name, size, family and `allowed` flag
+ *
+ * @async
+ * @function list
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/model
+ * @since 1.1.0
+ */
+export const list = asyncErrorHandler(async (req, res) => {
+  const models = await listModels()
+
+  logger.info('Listing available models', {
+    count: models.length,
+    requestId: req.requestId
+  })
+
+  res.status(200).json({
+    defaultModel: DEFAULT_MODEL,
+    models
+  })
+})
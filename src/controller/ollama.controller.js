@@ -30,11 +30,132 @@
  * @see {@link https://expressjs.com/en/guide/writing-middleware.html} Express Middleware
  */
 
-import chatOllama from "../service/ollama.service.js"
-import { asyncErrorHandler } from "../utils.js"
+import { streamOllama, toResponseMetadata } from '../service/ollama.service.js'
+import { chatStructured } from '../service/structured.service.js'
+import { chatWithCache } from '../service/cache.service.js'
+import { getConversation, toHistory, appendMessages } from '../service/conversation.service.js'
+import { resolveOptions } from '../service/generation.service.js'
+import { retrieveChunks, buildGroundedPrompt, toCitations } from '../service/knowledge.service.js'
+import { toUsage, addUsage } from '../service/usage.service.js'
+import { fallbackChain } from '../service/fallback.service.js'
+import { getPersona, applyPersona } from '../service/persona.service.js'
+import { supportsVision, assertVisionModel, toImageRefs } from '../service/image.service.js'
+import { DEFAULT_MODEL, REASONING_ENABLED } from '../config/env.js'
+import { asyncErrorHandler, openEventStream, writeEvent, recordAnsweringModel } from '../utils.js'
+import { CustomError } from '../errors.js'
 import logger from "../logger.js"
 import { error } from "console"
 
+/**
+ * Determines whether the client asked for a streamed response.
+ * Streaming is opt-in, either through `stream: true` in the body or by
+ * preferring `text/event-stream` over JSON in the Accept header.
+ *
+ * @function wantsStream
+ * @param {Object} req - The HTTP request object
+ * @returns {boolean} True when the response should be sent as SSE
+ * @memberof module:controller/ollama
+ * @since 1.1.0
+ */
+const wantsStream = (req) =>
+    req.validatedPrompt.stream === true ||
+    req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream'
+
+/**
+ * Determines whether the client asked to skip the response cache, either
+ * through `cache: false` in the body or a `Cache-Control: no-cache` (or
+ * `no-store`) request header.
+ *
+ * @function bypassesCache
+ * @param {Object} req - The HTTP request object
+ * @returns {boolean} True when the model must answer even if a cached response exists
+ * @memberof module:controller/ollama
+ * @since 1.1.0
+ */
+const bypassesCache = (req) =>
+    req.validatedPrompt.cache === false ||
+    /\bno-(cache|store)\b/.test(req.get('Cache-Control') ?? '')
+
+/**
+ * Relays an Ollama streaming response to the client as Server-Sent Events.
+ *
+ * Event Sequence:
+ * 1. `reasoning`: one event per reasoning chunk with `{ content }` (only when reasoning is enabled)
+ * 2. `token`: one event per answer chunk with `{ content }`
+ * 3. `done`: final event with the response metadata, request ID and, for
+ *    knowledge base requests, the citations
+ *
+ * The stream is opened before the SSE headers are flushed, so connection
+ * errors still produce a regular JSON error response. Errors raised after
+ * that point are reported by `errorHandler` as an `error` event.
+ * The usage reported in the final chunk is added to the audit entry.
+ * The response is left open so the caller can persist the answer first.
+ *
+ * @async
+ * @function streamChat
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @param {string} prompt - The prompt sent to the model
+ * @param {Object} params - The chat parameters passed to streamOllama (system, history, images, model, fallbacks, options, priority, signal)
+ * @param {Object} extras - What else to send to the client
+ * @param {boolean} extras.includeReasoning - Whether reasoning chunks are relayed to the client
+ * @param {Object[]} [extras.citations] - Citations of the knowledge base chunks, sent with `done`
+ * @returns {Promise<string>} The full answer assembled from the streamed chunks, without the reasoning
+ * @memberof module:controller/ollama
+ * @since 1.1.0
+ */
+const streamChat = async (req, res, prompt, params, { includeReasoning, citations }) => {
+    const stream = await streamOllama(prompt, req.requestId, params)
+
+    recordAnsweringModel(res, stream.model, stream.fallbackFrom)
+    openEventStream(res)
+
+    let answer = ''
+    for await (const chunk of stream) {
+        const { content, thinking } = chunk.message ?? {}
+        if (thinking && includeReasoning) {
+            writeEvent(res, 'reasoning', { content: thinking })
+        }
+        if (content) {
+            answer += content
+            writeEvent(res, 'token', { content })
+        }
+        if (chunk.done) {
+            res.locals.audit.usage = addUsage(res.locals.audit.usage, toUsage(chunk))
+            writeEvent(res, 'done', {
+                ...toResponseMetadata(chunk),
+                ...(citations ? { citations } : {}),
+                requestId: req.requestId
+            })
+        }
+    }
+
+    logger.info('Chat stream finished', { requestId: req.requestId })
+    return answer
+}
+
+/**
+ * Appends the new user and assistant turns to the stored conversation.
+ * Does nothing for stateless requests that did not send a `conversationId`.
+ *
+ * @async
+ * @function saveTurns
+ * @param {Object|null} conversation - The conversation being continued
+ * @param {string} prompt - The user's prompt
+ * @param {string} answer - The assistant's answer
+ * @param {string} requestId - The unique request ID
+ * @returns {Promise<void>}
+ * @memberof module:controller/ollama
+ * @since 1.1.0
+ */
+const saveTurns = async (conversation, prompt, answer, requestId) => {
+    if (!conversation) return
+    await appendMessages(conversation.id, [
+        { role: 'user', content: prompt },
+        { role: 'assistant', content: answer }
+    ], requestId)
+}
+
 /**
  * Handles chat requests by sending the user's prompt to the Ollama service.
  * This is the main controller function for the chat endpoint, responsible for
@@ -45,15 +166,31 @@ import { error } from "console"
  * 2. Log incoming request
  * 3. Call Ollama service with prompt
  * 4. Log response
- * 5. Send HTTP response
+ * 5. Send HTTP response (or relay SSE events in streaming mode)
  * 
  * Request Processing:
  * - Extracts prompt from request body
+ * - Replays the stored history when a conversationId is given
+ * - Grounds the answer in the most relevant chunks of a knowledge base
+ *   when `knowledgeBase` is given
+ * - Answers as a persona when `persona` is given: its system prompt is sent
+ *   first and its model, options and tools apply unless the request sets them
+ * - Sends the images received by middleware/images to vision models; only
+ *   their references are audited and only the text is kept in the conversation
  * - Uses requestId for traceability
  * - Sends audit message to RabbitMQ
  * 
  * Response Handling:
  * - Formats Ollama response for HTTP delivery
+ * - Repeated stateless prompts are served from the response cache; the
+ *   `X-Cache` header tells whether the answer was a HIT, a MISS or BYPASSed it;
+ *   answers matched by meaning also carry `X-Cache-Similarity`
+ * - Structured requests return `{ response, parsed }` with the validated JSON
+ * - The model's reasoning is never part of the answer; when enabled the body
+ *   becomes `{ response, reasoning }`, with an empty reasoning when the model
+ *   did not reason (also added to structured bodies)
+ * - Knowledge base requests return `{ response, citations }`, where each
+ *   citation's `ref` is the [n] marker the model uses in the answer
  * - Logs response content (truncated for security)
  * - Handles service errors appropriately
  * 
@@ -62,6 +199,17 @@ import { error } from "console"
  * @param {Object} req - The HTTP request object
  * @param {Object} req.body - The request body
  * @param {string} req.body.prompt - The user's prompt
+ * @param {string} [req.body.conversationId] - The conversation to continue
+ * @param {string} [req.body.model] - The allowlisted model to answer with
+ * @param {Object} [req.body.options] - Generation options (temperature, top_p, num_ctx, seed, stop...)
+ * @param {string[]} [req.body.tools] - Registered tools the model may call
+ * @param {string} [req.body.format] - 'json' to request a JSON answer
+ * @param {Object} [req.body.responseSchema] - JSON Schema the answer must match
+ * @param {boolean} [req.body.reasoning] - Whether to return the model's reasoning (defaults to REASONING_ENABLED)
+ * @param {string} [req.body.knowledgeBase] - Knowledge base to ground the answer in
+ * @param {string} [req.body.persona] - Persona to answer as
+ * @param {boolean} [req.body.cache] - False to skip the response cache
+ * @param {Array<Object>} [req.images] - The validated images of the request (see middleware/images)
  * @param {string} req.requestId - The unique request ID
  * @param {Object} req.rabbitChannel - The RabbitMQ channel for audit logging
  * @param {Object} res - The HTTP response object
@@ -72,27 +220,100 @@ import { error } from "console"
  *   post:
  *     summary: Send a prompt to the AI chatbot
  *     description: Send a text prompt to the Ollama-powered AI chatbot and receive a response
+ *     parameters:
+ *       - in: header
+ *         name: X-API-Key
+ *         schema:
+ *           type: string
+ *         description: API key; its tier sets the priority lane when the model is busy (callers without a known key wait in the low lane)
+ *       - in: header
+ *         name: X-Priority
+ *         schema:
+ *           type: string
+ *           enum: [high, normal, low]
+ *         description: Requested priority lane; only lanes below the caller's own are honored
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/Prompt'
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/PromptUpload'
  *     responses:
  *       200:
  *         description: Successful response from the AI chatbot
+ *         headers:
+ *           X-Cache:
+ *             description: HIT when served from the response cache, MISS when stored in it, BYPASS otherwise
+ *             schema:
+ *               type: string
+ *               enum: [HIT, MISS, BYPASS]
+ *           X-Cache-Similarity:
+ *             description: Cosine similarity to the cached prompt, when the hit came from the semantic cache
+ *             schema:
+ *               type: number
+ *           X-Model:
+ *             description: The model that answered; a fallback model when the requested one failed
+ *             schema:
+ *               type: string
+ *           X-Model-Fallback:
+ *             description: The models skipped before the one that answered, with the reason (model-not-found, timeout or circuit-open)
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ChatResponse'
+ *               oneOf:
+ *                 - type: string
+ *                   description: The answer alone, when reasoning is disabled and neither a format nor a knowledge base is used
+ *                 - $ref: '#/components/schemas/StructuredResponse'
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               description: >
+ *                 Sent when `stream` is true or the client accepts text/event-stream.
+ *                 Emits `reasoning` events (when enabled) and `token` events with `{ content }`,
+ *                 then a final `done` event with the response metadata, or an `error`
+ *                 event if generation fails.
  *       400:
- *         description: Invalid request due to bad input
+ *         description: Invalid request due to bad input, including invalid images or images for a model without vision
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: The conversation, the knowledge base or the persona does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: An image exceeds IMAGE_MAX_BYTES, or the body exceeds the JSON limit of POST /
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       502:
+ *         description: The model never produced JSON matching `format` / `responseSchema`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StructuredOutputError'
  *       503:
- *         description: Service unavailable, typically when Ollama is not running
+ *         description: Service unavailable, when Ollama is not running, the model queue is full or the model circuit is open
+ *         headers:
+ *           Retry-After:
+ *             description: Seconds to wait before retrying, when the model queue is full or the circuit is open
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       504:
+ *         description: The model did not answer within REQUEST_TIMEOUT_MS; the model call is aborted
  *         content:
  *           application/json:
  *             schema:
@@ -138,15 +359,124 @@ const chat = asyncErrorHandler(async (req, res) => {
     // Log incoming chat request for debugging and monitoring
     // Includes the prompt (for debugging) and request ID (for traceability)
     // Prompt is logged for visibility but care is taken with sensitive data
+    // The body as parsed by validatePrompt, with the schema's transforms applied
+    const body = req.validatedPrompt
     logger.info('Received chat request', { 
-      prompt: req.body.prompt,
+      prompt: body.prompt,
+      images: req.images?.length ?? 0,
       requestId: req.requestId
     })
+
+    // Load the stored history when the client continues a conversation
+    // Unknown conversation IDs are rejected with a 404 before calling the model
+    const { prompt, conversationId, knowledgeBase, format, responseSchema } = body
+    const includeReasoning = body.reasoning ?? REASONING_ENABLED
+    const streaming = wantsStream(req)
+    const conversation = conversationId ? await getConversation(conversationId) : null
+    const history = conversation ? toHistory(conversation) : []
+
+    // Answer as the persona: its system prompt comes first and its defaults
+    // apply to what the request leaves unset
+    // Unknown personas are rejected with a 404 before calling the model
+    const persona = body.persona ? await getPersona(body.persona) : null
+    const { system, model, ...settings } = applyPersona(persona, body)
+
+    // Streamed answers cannot run tools, so the persona's tools are only
+    // offered when the answer is not streamed
+    const tools = streaming && !body.tools ? [] : settings.tools
+
+    // Apply server-side defaults and ceilings to the client's options
+    // The effective options are recorded in the audit entry of this request,
+    // with the persona version that produced them
+    const options = resolveOptions(settings.options)
+    res.locals.audit.chat = { model, options, tools }
+    if (persona) {
+      res.locals.audit.chat.persona = { name: persona.name, version: persona.version }
+    }
+
+    // Images only go to models that declare vision capability
+    // The audit entry records their hashes, never their bytes
+    const images = req.images?.map(({ data }) => data)
+    if (images) {
+      assertVisionModel(model ?? DEFAULT_MODEL)
+      res.locals.audit.chat.images = toImageRefs(req.images)
+    }
+
+    // Models to answer with when the requested one is missing or failing,
+    // the persona's first (see fallbackChain)
+    // A fallback for a request with images must be able to see them too
+    const chain = fallbackChain('chat', persona)
+    const fallbacks = images ? chain.filter(supportsVision) : chain
+
+    // A response schema implies JSON output and takes precedence over `format`
+    const outputFormat = responseSchema ?? format
+    if (outputFormat) {
+      res.locals.audit.chat.format = responseSchema ? 'schema' : 'json'
+    }
+
+    // Ground the answer in the knowledge base: the model receives the
+    // retrieved chunks with the question, the conversation keeps the question
+    let modelPrompt = prompt
+    let citations
+    if (knowledgeBase) {
+      const retrieval = await retrieveChunks(knowledgeBase, prompt, req.requestId)
+      modelPrompt = buildGroundedPrompt(prompt, retrieval.chunks)
+      citations = toCitations(retrieval.chunks)
+      res.locals.audit.retrieval = {
+        knowledgeBase,
+        chunks: retrieval.chunks.map((chunk) => ({ document: chunk.document._id, index: chunk.index, score: chunk.score }))
+      }
+      res.locals.audit.usage = toUsage({ prompt_eval_count: retrieval.promptTokens })
+    }
+
+    // Relay the answer chunk by chunk when the client opted into streaming
+    if (streaming) {
+      // Tool rounds need the complete model answer, so they cannot be streamed
+      if (tools.length > 0) {
+        throw new CustomError('Las herramientas no están disponibles en modo streaming.', 400)
+      }
+      // Structured answers are validated as a whole before being returned
+      if (outputFormat) {
+        throw new CustomError('La salida estructurada no está disponible en modo streaming.', 400)
+      }
+
+      // Streamed answers are never cached
+      res.set('X-Cache', 'BYPASS')
+      const answer = await streamChat(req, res, modelPrompt, { system, history, images, model, fallbacks, options, priority: req.priority, signal: req.signal }, { includeReasoning, citations })
+      await saveTurns(conversation, prompt, answer, req.requestId)
+      return res.end()
+    }
     
     // Call the Ollama service to process the prompt
     // This is the core business logic that interacts with the AI model
     // The service handles the complexity of communicating with Ollama
-    const response = await chatOllama(req.body.prompt, req.requestId)
+    // Structured requests are parsed, validated and retried by the structured output service
+    // Other requests go through the response cache, which skips grounded answers
+    // since their context changes with the knowledge base, and answers about
+    // images since the key only covers the text
+    const { response, cache, match } = outputFormat
+      ? { response: await chatStructured(modelPrompt, req.requestId, { system, history, images, model, fallbacks, options, tools, format: outputFormat, priority: req.priority, signal: req.signal }), cache: 'BYPASS' }
+      : await chatWithCache(modelPrompt, req.requestId, { system, history, images, model, fallbacks, options, tools, priority: req.priority, signal: req.signal }, { bypass: bypassesCache(req) || Boolean(knowledgeBase || images) })
+    res.set('X-Cache', cache)
+    res.locals.audit.cache = cache
+    recordAnsweringModel(res, response.model ?? model, response.fallbackFrom)
+    if (match) {
+      res.locals.audit.cacheMatch = match
+      if (match.kind === 'semantic') {
+        res.set('X-Cache-Similarity', match.similarity.toFixed(4))
+      }
+    }
+
+    // Record every tool invocation in the audit entry of this request
+    if (response.toolCalls?.length) {
+      res.locals.audit.toolCalls = response.toolCalls
+    }
+
+    // Record the tokens and model time consumed, for the usage summary
+    res.locals.audit.usage = addUsage(res.locals.audit.usage, response.usage)
+
+    // Persist the new turns so the next request can replay them
+    await saveTurns(conversation, prompt, response.message.content, req.requestId)
     
     // Log the response before sending to client
     // This provides visibility into AI responses for debugging and monitoring
@@ -157,9 +487,19 @@ const chat = asyncErrorHandler(async (req, res) => {
     })
     
     // Send the response back to the client
-    // The response format is determined by the Ollama service
+    // Only the generated text is returned; metadata stays server-side
+    // Structured requests also get the parsed value next to the raw text
+    // Returning the reasoning, or citations, also turns the body into an object; the reasoning
+    // is empty when the model did not reason, so the shape only depends on the request
     // Status code 200 indicates successful processing
-    res.status(200).json(response)
+    res.status(200).json(outputFormat || includeReasoning || citations
+      ? {
+          response: response.message.content,
+          ...(outputFormat ? { parsed: response.parsed } : {}),
+          ...(includeReasoning ? { reasoning: response.reasoning ?? '' } : {}),
+          ...(citations ? { citations } : {})
+        }
+      : response.message.content)
 })
 
 export default chat
\ No newline at end of file
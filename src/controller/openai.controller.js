@@ -0,0 +1,205 @@
+/**
+ * OpenAI-compatible controller.
+ * Serves the OpenAI wire format on top of the existing chat pipeline, so
+ * tools built for the OpenAI API can talk to the chatbot without changes.
+ *
+ * Controller Responsibilities:
+ * 1. Translate OpenAI chat completion requests into chatOllama/streamOllama calls
+ * 2. Translate the answers into `chat.completion` objects or `chat.completion.chunk` events
+ * 3. List the selectable models as an OpenAI model list
+ *
+ * Translation Rules:
+ * - The last message is the prompt; earlier messages are the history
+ * - max_tokens: forwarded as num_predict
+ * - temperature, top_p, seed, stop: forwarded as generation options
+ * - Server-side defaults and ceilings apply as on POST /
+ * - Reasoning: returned as `reasoning_content` when REASONING_ENABLED, never in `content`
+ *
+ * Error Handling:
+ * - Errors are forwarded to openAIErrorHandler, which answers with OpenAI error objects
+ *
+ * @file
+ * @module controller/openai
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://platform.openai.com/docs/api-reference/chat} OpenAI Chat API
+ */
+
+import chatOllama, { streamOllama, listModels, toResponseMetadata } from '../service/ollama.service.js'
+import { resolveOptions } from '../service/generation.service.js'
+import { toUsage } from '../service/usage.service.js'
+import { fallbackChain } from '../service/fallback.service.js'
+import { DEFAULT_MODEL, REASONING_ENABLED } from '../config/env.js'
+import { asyncErrorHandler, openEventStream, writeData, recordAnsweringModel } from '../utils.js'
+import logger from '../logger.js'
+
+/**
+ * Builds the generation options from the OpenAI sampling fields.
+ *
+ * @function toOptions
+ * @param {Object} completion - The validated chat completion request
+ * @returns {Object} Client generation options in the Ollama format
+ * @memberof module:controller/openai
+ * @since 1.1.0
+ */
+const toOptions = ({ temperature, top_p: topP, seed, max_tokens: maxTokens, stop }) => {
+  const options = { temperature, top_p: topP, seed, num_predict: maxTokens }
+  if (stop !== undefined) options.stop = Array.isArray(stop) ? stop : [stop]
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+}
+
+/**
+ * Builds the OpenAI usage object from Ollama token counts.
+ *
+ * @function toOpenAIUsage
+ * @param {Object} metadata - Response metadata with promptEvalCount and evalCount
+ * @returns {{ prompt_tokens: number, completion_tokens: number, total_tokens: number }} The usage
+ * @memberof module:controller/openai
+ * @since 1.1.0
+ */
+const toOpenAIUsage = ({ promptEvalCount = 0, evalCount = 0 }) => ({
+  prompt_tokens: promptEvalCount,
+  completion_tokens: evalCount,
+  total_tokens: promptEvalCount + evalCount
+})
+
+/**
+ * Maps an Ollama done reason to an OpenAI finish reason.
+ *
+ * @function toFinishReason
+ * @param {string} [doneReason] - Ollama's done_reason
+ * @returns {string} 'length' when the token limit was hit, otherwise 'stop'
+ * @memberof module:controller/openai
+ * @since 1.1.0
+ */
+const toFinishReason = (doneReason) => doneReason === 'length' ? 'length' : 'stop'
+
+/**
+ * Handles OpenAI-compatible chat completion requests.
+ *
+ * Processing Flow:
+ * 1. Split the messages into history and prompt
+ * 2. Resolve the generation options and record them in the audit entry
+ * 3. Call the chat pipeline (streaming or not)
+ * 4. Send a `chat.completion` object, or `chat.completion.chunk` events ending with `[DONE]`
+ *
+ * The `model` of the answer is the model that actually answered, which is a
+ * fallback model when the requested one failed (MODEL_FALLBACKS route `openai`).
+ *
+ * @async
+ * @function chatCompletions
+ * @param {Object} req - The HTTP request object (validated by validateChatCompletion)
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/openai
+ * @since 1.1.0
+ */
+export const chatCompletions = asyncErrorHandler(async (req, res) => {
+  const completion = req.validatedCompletion
+  const { model = DEFAULT_MODEL, messages } = completion
+  const history = messages.slice(0, -1)
+  const prompt = messages.at(-1).content.trim()
+
+  const options = resolveOptions(toOptions(completion))
+  res.locals.audit.chat = { model, options }
+  const fallbacks = fallbackChain('openai')
+
+  logger.info('Received chat completion request', {
+    model,
+    messages: messages.length,
+    stream: Boolean(completion.stream),
+    requestId: req.requestId
+  })
+
+  const id = `chatcmpl-${req.requestId}`
+  const created = Math.floor(Date.now() / 1000)
+
+  if (completion.stream) {
+    const stream = await streamOllama(prompt, req.requestId, { history, model, fallbacks, options, priority: req.priority, signal: req.signal })
+
+    recordAnsweringModel(res, stream.model, stream.fallbackFrom)
+    openEventStream(res)
+
+    const chunk = (delta, finishReason = null) => ({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model: stream.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    })
+
+    writeData(res, chunk({ role: 'assistant', content: '' }))
+    for await (const part of stream) {
+      const { content, thinking } = part.message ?? {}
+      if (thinking && REASONING_ENABLED) {
+        writeData(res, chunk({ reasoning_content: thinking }))
+      }
+      if (content) {
+        writeData(res, chunk({ content }))
+      }
+      if (part.done) {
+        res.locals.audit.usage = toUsage(part)
+        const metadata = toResponseMetadata(part)
+        writeData(res, chunk({}, toFinishReason(metadata.doneReason)))
+        if (completion.stream_options?.include_usage) {
+          writeData(res, { ...chunk({}), choices: [], usage: toOpenAIUsage(metadata) })
+        }
+      }
+    }
+    writeData(res, '[DONE]')
+
+    logger.info('Chat completion stream finished', { requestId: req.requestId })
+    return res.end()
+  }
+
+  const response = await chatOllama(prompt, req.requestId, { history, model, fallbacks, options, priority: req.priority, signal: req.signal })
+  res.locals.audit.usage = response.usage
+  recordAnsweringModel(res, response.model ?? model, response.fallbackFrom)
+
+  res.status(200).json({
+    id,
+    object: 'chat.completion',
+    created,
+    model: response.model ?? model,
+    choices: [{
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: response.message.content,
+        ...(REASONING_ENABLED && response.reasoning ? { reasoning_content: response.reasoning } : {})
+      },
+      finish_reason: toFinishReason(response.doneReason)
+    }],
+    usage: toOpenAIUsage(response)
+  })
+})
+
+/**
+ * Lists the selectable models as an OpenAI model list.
+ * Only installed models that clients are allowed to request are included.
+ *
+ * @async
+ * @function models
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/openai
+ * @since 1.1.0
+ */
+export const models = asyncErrorHandler(async (req, res) => {
+  const installed = await listModels()
+
+  res.status(200).json({
+    object: 'list',
+    data: installed
+      .filter(({ allowed }) => allowed)
+      .map(({ name, family }) => ({
+        id: name,
+        object: 'model',
+        created: 0,
+        owned_by: family ?? 'library'
+      }))
+  })
+})
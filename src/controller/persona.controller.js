@@ -0,0 +1,121 @@
+/**
+ * Persona controller.
+ * Handles the HTTP requests for administering personas, which chat requests
+ * can answer as (see `persona` on POST /).
+ * Request bodies, query strings and route parameters are validated with Zod
+ * before the persona service is called.
+ *
+ * Controller Responsibilities:
+ * 1. Validate request input
+ * 2. Call the persona service
+ * 3. Format HTTP responses
+ *
+ * Error Handling:
+ * - Validation failures are raised as ZodError (400)
+ * - Missing personas are raised as CustomError (404)
+ * - Duplicate names are raised as CustomError (409)
+ * - All errors are forwarded through asyncErrorHandler to errorHandler
+ *
+ * @file
+ * @module controller/persona
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import {
+  createPersona,
+  listPersonas,
+  getPersona,
+  updatePersona,
+  deletePersona
+} from '../service/persona.service.js'
+import { personaSchema, personaUpdateSchema, personaNameSchema, paginationSchema } from '../zod.js'
+import { asyncErrorHandler } from '../utils.js'
+
+/**
+ * Creates a persona.
+ *
+ * @async
+ * @function create
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/persona
+ * @since 1.1.0
+ */
+export const create = asyncErrorHandler(async (req, res) => {
+  const data = personaSchema.parse(req.body ?? {})
+  const persona = await createPersona(data)
+  res.status(201).location(`${req.baseUrl}/${persona.name}`).json(persona)
+})
+
+/**
+ * Lists personas in name order.
+ *
+ * @async
+ * @function list
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/persona
+ * @since 1.1.0
+ */
+export const list = asyncErrorHandler(async (req, res) => {
+  const pagination = paginationSchema.parse(req.query)
+  const page = await listPersonas(pagination)
+  res.status(200).json({ ...pagination, ...page })
+})
+
+/**
+ * Fetches a persona.
+ *
+ * @async
+ * @function get
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/persona
+ * @since 1.1.0
+ */
+export const get = asyncErrorHandler(async (req, res) => {
+  const name = personaNameSchema.parse(req.params.name)
+  const persona = await getPersona(name)
+  res.status(200).json(persona)
+})
+
+/**
+ * Updates a persona; every update creates a new version.
+ *
+ * @async
+ * @function update
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/persona
+ * @since 1.1.0
+ */
+export const update = asyncErrorHandler(async (req, res) => {
+  const name = personaNameSchema.parse(req.params.name)
+  const changes = personaUpdateSchema.parse(req.body ?? {})
+  const persona = await updatePersona(name, changes)
+  res.status(200).json(persona)
+})
+
+/**
+ * Deletes a persona.
+ *
+ * @async
+ * @function remove
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/persona
+ * @since 1.1.0
+ */
+export const remove = asyncErrorHandler(async (req, res) => {
+  const name = personaNameSchema.parse(req.params.name)
+  await deletePersona(name)
+  res.status(204).end()
+})
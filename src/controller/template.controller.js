@@ -0,0 +1,245 @@
+/**
+ * Prompt template controller.
+ * Handles the administration of prompt templates and their runs, which
+ * render a template with the variables sent by the client and send the
+ * result to the model.
+ *
+ * Controller Responsibilities:
+ * 1. Validate the template names, bodies and run requests
+ * 2. Call the template service to store, list, fetch and render templates
+ * 3. Screen rendered prompts with the forbidden patterns of POST /
+ * 4. Answer runs through the response cache, like POST /
+ * 5. Record the template version, model and usage of runs in the audit entry
+ *
+ * Error Handling:
+ * - Validation failures, including invalid variable values, are raised as ZodError (400)
+ * - Undeclared placeholders and invalid defaults are CustomError (400)
+ * - Unknown templates, versions and personas are CustomError (404)
+ * - Existing names are CustomError (409)
+ * - Model errors are forwarded to errorHandler
+ *
+ * @file
+ * @module controller/template
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import {
+  createTemplate,
+  addTemplateVersion,
+  listTemplates,
+  getTemplate,
+  listTemplateVersions,
+  deleteTemplate,
+  renderTemplate
+} from '../service/template.service.js'
+import { chatWithCache } from '../service/cache.service.js'
+import { getPersona, applyPersona } from '../service/persona.service.js'
+import { resolveOptions } from '../service/generation.service.js'
+import { fallbackChain } from '../service/fallback.service.js'
+import { addUsage } from '../service/usage.service.js'
+import {
+  templateNameSchema,
+  templateSchema,
+  templateVersionSchema,
+  templateVersionQuerySchema,
+  templateRunSchema,
+  promptSchema,
+  paginationSchema
+} from '../zod.js'
+import { findForbiddenPattern } from '../validations.js'
+import { REASONING_ENABLED } from '../config/env.js'
+import { asyncErrorHandler, recordAnsweringModel } from '../utils.js'
+import logger from '../logger.js'
+
+/**
+ * Creates a template at version 1.
+ *
+ * @async
+ * @function create
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/template
+ * @since 1.1.0
+ */
+export const create = asyncErrorHandler(async (req, res) => {
+  const data = templateSchema.parse(req.body ?? {})
+  const template = await createTemplate(data)
+  res.status(201).location(`${req.baseUrl}/${template.name}`).json(template)
+})
+
+/**
+ * Lists the latest version of every template.
+ *
+ * @async
+ * @function list
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/template
+ * @since 1.1.0
+ */
+export const list = asyncErrorHandler(async (req, res) => {
+  const pagination = paginationSchema.parse(req.query)
+  const page = await listTemplates(pagination)
+  res.status(200).json({ ...pagination, ...page })
+})
+
+/**
+ * Fetches the latest version of a template, or the one in `?version=`.
+ *
+ * @async
+ * @function get
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/template
+ * @since 1.1.0
+ */
+export const get = asyncErrorHandler(async (req, res) => {
+  const name = templateNameSchema.parse(req.params.name)
+  const { version } = templateVersionQuerySchema.parse(req.query)
+  const template = await getTemplate(name, version)
+  res.status(200).json(template)
+})
+
+/**
+ * Lists the versions of a template.
+ *
+ * @async
+ * @function versions
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/template
+ * @since 1.1.0
+ */
+export const versions = asyncErrorHandler(async (req, res) => {
+  const name = templateNameSchema.parse(req.params.name)
+  const found = await listTemplateVersions(name)
+  res.status(200).json({ name, versions: found })
+})
+
+/**
+ * Stores a new version of a template.
+ *
+ * @async
+ * @function addVersion
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/template
+ * @since 1.1.0
+ */
+export const addVersion = asyncErrorHandler(async (req, res) => {
+  const name = templateNameSchema.parse(req.params.name)
+  const data = templateVersionSchema.parse(req.body ?? {})
+  const template = await addTemplateVersion(name, data)
+  res
+    .status(201)
+    .location(`${req.baseUrl}/${name}?version=${template.version}`)
+    .json(template)
+})
+
+/**
+ * Deletes a template with all its versions.
+ *
+ * @async
+ * @function remove
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/template
+ * @since 1.1.0
+ */
+export const remove = asyncErrorHandler(async (req, res) => {
+  const name = templateNameSchema.parse(req.params.name)
+  await deleteTemplate(name)
+  res.status(204).end()
+})
+
+/**
+ * Renders a template with the variables of the request and sends the
+ * prompt to the model.
+ *
+ * Processing Flow:
+ * 1. Validate the request and fetch the template version
+ * 2. Validate the variables against its declaration and render the prompt
+ * 3. Apply the prompt limits and the forbidden patterns of POST /
+ * 4. Answer through the response cache, as the persona if one is given
+ *
+ * Response Format:
+ * - response: The answer of the model
+ * - template: The name and version of the template run
+ * - reasoning: The model's reasoning, when enabled and present
+ *
+ * @async
+ * @function run
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/template
+ * @since 1.1.0
+ */
+export const run = asyncErrorHandler(async (req, res) => {
+  const name = templateNameSchema.parse(req.params.name)
+  const { variables, version, persona: personaName, reasoning, cache, ...request } = templateRunSchema.parse(req.body ?? {})
+  const template = await getTemplate(name, version)
+
+  // The rendered prompt obeys the same limits as a prompt sent to POST /
+  const prompt = promptSchema.shape.prompt.parse(renderTemplate(template, variables))
+
+  // Variables are user input, so the rendered prompt is screened like any prompt
+  const pattern = findForbiddenPattern(prompt)
+  if (pattern) {
+    logger.warn('Prompt contains forbidden pattern', {
+      pattern: pattern.toString(),
+      prompt: prompt.substring(0, 50) + (prompt.length > 50 ? '...' : ''),
+      template: name,
+      requestId: req.requestId
+    })
+    return res.status(400).json({
+      error: 'Contenido no permitido',
+      message: 'El prompt contiene patrones bloqueados por seguridad (jailbreak, etc.).'
+    })
+  }
+
+  logger.info('Running prompt template', { template: name, version: template.version, requestId: req.requestId })
+
+  const persona = personaName ? await getPersona(personaName) : null
+  const { system, model, tools, ...settings } = applyPersona(persona, request)
+  const options = resolveOptions(settings.options)
+  res.locals.audit.chat = { model, options, tools, template: { name, version: template.version } }
+  if (persona) {
+    res.locals.audit.chat.persona = { name: persona.name, version: persona.version }
+  }
+
+  const { response, cache: status, match } = await chatWithCache(prompt, req.requestId, {
+    system,
+    model,
+    fallbacks: fallbackChain('chat', persona),
+    options,
+    tools,
+    priority: req.priority,
+    signal: req.signal
+  }, { bypass: cache === false })
+  res.set('X-Cache', status)
+  res.locals.audit.cache = status
+  if (match) res.locals.audit.cacheMatch = match
+  recordAnsweringModel(res, response.model ?? model, response.fallbackFrom)
+
+  if (response.toolCalls?.length) {
+    res.locals.audit.toolCalls = response.toolCalls
+  }
+  res.locals.audit.usage = addUsage(res.locals.audit.usage, response.usage)
+
+  const includeReasoning = reasoning ?? REASONING_ENABLED
+  res.status(200).json({
+    response: response.message.content,
+    template: { name, version: template.version },
+    ...(includeReasoning && response.reasoning ? { reasoning: response.reasoning } : {})
+  })
+})
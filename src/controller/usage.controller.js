@@ -0,0 +1,60 @@
+/**
+ * Usage controller.
+ * Handles requests for the summary of model consumption (tokens and model
+ * time) recorded for each chat request.
+ *
+ * Controller Responsibilities:
+ * 1. Validate the summary query
+ * 2. Aggregate the recorded usage through the usage service
+ *
+ * Error Handling:
+ * - Validation failures are raised as ZodError (400)
+ * - All errors are forwarded through asyncErrorHandler to errorHandler
+ *
+ * @file
+ * @module controller/usage
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import { summarizeUsage } from '../service/usage.service.js'
+import { usageQuerySchema } from '../zod.js'
+import { asyncErrorHandler } from '../utils.js'
+import logger from '../logger.js'
+
+/**
+ * Returns the usage recorded in a period, grouped by day, model and/or user.
+ *
+ * Response Format:
+ * - from, to, groupBy: the effective query
+ * - totals: usage added up over every group
+ * - groups: one entry per group with its keys, request count and usage
+ *
+ * @async
+ * @function summary
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ * @memberof module:controller/usage
+ * @since 1.1.0
+ */
+export const summary = asyncErrorHandler(async (req, res) => {
+  const query = usageQuerySchema.parse(req.query)
+  const { totals, groups } = await summarizeUsage(query)
+
+  logger.info('Usage summary requested', {
+    ...query,
+    groups: groups.length,
+    requestId: req.requestId
+  })
+
+  res.status(200).json({
+    from: query.from ?? null,
+    to: query.to ?? null,
+    groupBy: query.groupBy,
+    totals,
+    groups
+  })
+})
@@ -34,6 +34,8 @@
 
 import logger from './logger.js'
 import auditError from './service/errorAudit.service.js'
+import { writeEvent, writeData, toOpenAIError } from './utils.js'
+import { addUsage } from './service/usage.service.js'
 
 /**
  * Custom error class for application-specific errors.
@@ -108,48 +110,177 @@ export class CustomError extends Error{
 }
 
 /**
- * Centralized error handling middleware.
- * Catches errors thrown in the application and sends appropriate responses.
- * This is the final error handler in the Express middleware chain,
- * responsible for processing all unhandled errors and ensuring consistent responses.
+ * Error raised when the model never produces a valid structured answer.
+ * Thrown after every attempt allowed by STRUCTURED_OUTPUT_MAX_RETRIES returned
+ * text that is not JSON or does not match the requested schema.
  * 
- * Error Handling Strategy:
- * 1. Audit the error for debugging purposes
- * 2. Log the error with appropriate severity
- * 3. Classify the error type
- * 4. Send appropriate HTTP response
+ * Status Code: 502 Bad Gateway, since the upstream model produced an invalid answer
  * 
- * Error Classification:
- * - ZodError: Validation errors from Zod schema validation
- * - Connection Errors: Network/service connectivity issues
- * - General Errors: All other unhandled errors
+ * @class StructuredOutputError
+ * @extends CustomError
+ * @memberof module:errors
+ * @since 1.1.0
  * 
- * Response Strategy:
- * - Client errors (4xx): Detailed error information
- * - Server errors (5xx): Generic error messages for security
+ * @example
+ * throw new StructuredOutputError(3, ['/age: must be integer'], '{"age": "diez"}')
+ */
+export class StructuredOutputError extends CustomError {
+    /**
+     * Creates a new StructuredOutputError instance.
+     *
+     * @param {number} attempts - How many answers were requested from the model
+     * @param {string[]} details - Parse or validation errors of the last answer
+     * @param {string} raw - The last raw answer of the model
+     * @param {Object} [usage] - Tokens and durations consumed by all the attempts
+     * @memberof module:errors.StructuredOutputError
+     * @since 1.1.0
+     */
+    constructor (attempts, details, raw, usage) {
+        super(`El modelo no generó una respuesta JSON válida tras ${attempts} intentos.`, 502)
+        this.name = 'StructuredOutputError'
+        this.attempts = attempts
+        this.details = details
+        this.raw = raw
+        this.usage = usage
+    }
+}
+
+/**
+ * Error raised when the model queue is full and a call cannot even wait
+ * for a free slot.
  * 
- * Design Pattern: Chain of Responsibility
- * This middleware uses a chain of handlers to process different error types,
- * with each handler responsible for a specific error category.
+ * Status Code: 503 Service Unavailable, with a Retry-After header set from
+ * `retryAfter` by the error middlewares
  * 
- * @function errorHandler
- * @param {Error} error - The error object.
- * @param {express.Request} request - The Express request object.
- * @param {express.Response} response - The Express response object.
- * @param {Function} next - The next middleware function.
+ * @class QueueFullError
+ * @extends CustomError
  * @memberof module:errors
- * @since 1.0.0
+ * @since 1.1.0
  * 
  * @example
- * // Use as Express middleware
- * app.use(errorHandler);
+ * throw new QueueFullError(4)
  */
-export const errorHandler = (error, request, response, next) => {
-    const {
-        statusCode = 500,
-        message = 'An unexpected error occurred',
-    } = error
-    
+export class QueueFullError extends CustomError {
+    /**
+     * Creates a new QueueFullError instance.
+     *
+     * @param {number} retryAfter - Seconds the client should wait before retrying
+     * @memberof module:errors.QueueFullError
+     * @since 1.1.0
+     */
+    constructor (retryAfter) {
+        super('El modelo está atendiendo demasiadas solicitudes. Inténtalo de nuevo más tarde.', 503)
+        this.name = 'QueueFullError'
+        this.retryAfter = retryAfter
+    }
+}
+
+/**
+ * Error raised while the circuit breaker of the model is open, after
+ * repeated transient failures. Calls fail fast instead of waiting for a
+ * model that is known to be down.
+ *
+ * Status Code: 503 Service Unavailable, with a Retry-After header set from
+ * `retryAfter` by the error middlewares
+ *
+ * @class CircuitOpenError
+ * @extends CustomError
+ * @memberof module:errors
+ * @since 1.1.0
+ *
+ * @example
+ * throw new CircuitOpenError(12)
+ */
+export class CircuitOpenError extends CustomError {
+    /**
+     * Creates a new CircuitOpenError instance.
+     *
+     * @param {number} retryAfter - Seconds until the circuit lets a probe call through
+     * @memberof module:errors.CircuitOpenError
+     * @since 1.1.0
+     */
+    constructor (retryAfter) {
+        super('El modelo no está disponible en este momento. Inténtalo de nuevo más tarde.', 503)
+        this.name = 'CircuitOpenError'
+        this.retryAfter = retryAfter
+    }
+}
+
+/**
+ * Error raised when the model does not finish within REQUEST_TIMEOUT_MS.
+ * The model call is aborted, so the model stops generating.
+ *
+ * Status Code: 504 Gateway Timeout, since the upstream model did not answer in time
+ *
+ * @class UpstreamTimeoutError
+ * @extends CustomError
+ * @memberof module:errors
+ * @since 1.1.0
+ *
+ * @example
+ * throw new UpstreamTimeoutError(120000)
+ */
+export class UpstreamTimeoutError extends CustomError {
+    /**
+     * Creates a new UpstreamTimeoutError instance.
+     *
+     * @param {number} timeoutMs - The time limit that was exceeded, in milliseconds
+     * @memberof module:errors.UpstreamTimeoutError
+     * @since 1.1.0
+     */
+    constructor (timeoutMs) {
+        super(`El modelo no respondió en ${Math.round(timeoutMs / 1000)} segundos.`, 504)
+        this.name = 'UpstreamTimeoutError'
+        this.timeoutMs = timeoutMs
+    }
+}
+
+/**
+ * Error raised when the client disconnects before its answer is ready.
+ * The model call is aborted; the response is never seen by the client.
+ *
+ * Status Code: 499 Client Closed Request (nginx convention)
+ *
+ * @class RequestCancelledError
+ * @extends CustomError
+ * @memberof module:errors
+ * @since 1.1.0
+ *
+ * @example
+ * throw new RequestCancelledError()
+ */
+export class RequestCancelledError extends CustomError {
+    /**
+     * Creates a new RequestCancelledError instance.
+     *
+     * @memberof module:errors.RequestCancelledError
+     * @since 1.1.0
+     */
+    constructor () {
+        super('El cliente canceló la solicitud.', 499)
+        this.name = 'RequestCancelledError'
+    }
+}
+
+/**
+ * Audits and logs an error handled by one of the error middlewares.
+ *
+ * Reporting Steps:
+ * 1. Persist the error through the error audit service
+ * 2. Log server errors (5xx) as errors and client errors (4xx) as warnings
+ *
+ * Audit failures are logged and never interrupt the error response.
+ *
+ * @function reportError
+ * @param {Error} error - The error being handled
+ * @param {express.Request} request - The Express request object
+ * @returns {void}
+ * @memberof module:errors
+ * @since 1.1.0
+ */
+const reportError = (error, request) => {
+    const { statusCode = 500 } = error
+
     // Audit the error for debugging and monitoring purposes
     // This persists error information to the database for later analysis
     // Even if auditing fails, the main error flow continues
@@ -187,6 +318,62 @@ export const errorHandler = (error, request, response, next) => {
             requestId: request.requestId
         })
     }
+}
+
+/**
+ * Centralized error handling middleware.
+ * Catches errors thrown in the application and sends appropriate responses.
+ * This is the final error handler in the Express middleware chain,
+ * responsible for processing all unhandled errors and ensuring consistent responses.
+ *
+ * Error Handling Strategy:
+ * 1. Audit the error for debugging purposes
+ * 2. Log the error with appropriate severity
+ * 3. Classify the error type
+ * 4. Send appropriate HTTP response
+ *
+ * Error Classification:
+ * - RequestCancelledError: Requests whose client already disconnected
+ * - Streaming Errors: Errors raised after SSE headers were sent
+ * - ZodError: Validation errors from Zod schema validation
+ * - Connection Errors: Network/service connectivity issues
+ * - StructuredOutputError: Model answers that never matched the requested schema
+ * - UpstreamTimeoutError: Model calls aborted after REQUEST_TIMEOUT_MS
+ * - General Errors: All other unhandled errors
+ *
+ * Response Strategy:
+ * - Client errors (4xx): Detailed error information
+ * - Server errors (5xx): Generic error messages for security
+ *
+ * Design Pattern: Chain of Responsibility
+ * This middleware uses a chain of handlers to process different error types,
+ * with each handler responsible for a specific error category.
+ *
+ * @function errorHandler
+ * @param {Error} error - The error object.
+ * @param {express.Request} request - The Express request object.
+ * @param {express.Response} response - The Express response object.
+ * @param {Function} next - The next middleware function.
+ * @memberof module:errors
+ * @since 1.0.0
+ *
+ * @example
+ * // Use as Express middleware
+ * app.use(errorHandler);
+ */
+export const errorHandler = (error, request, response, next) => {
+    const {
+        statusCode = 500,
+        message = 'An unexpected error occurred'
+    } = error
+
+    // Audit and log the error before building the response
+    reportError(error, request)
+
+    // Tell throttled clients when to try again
+    if (error.retryAfter && !response.headersSent) {
+        response.set('Retry-After', String(error.retryAfter))
+    }
     
     /**
      * Map of error handlers for different error types.
@@ -200,6 +387,8 @@ export const errorHandler = (error, request, response, next) => {
      * Error Types Handled:
      * - ZodError: Validation errors from schema validation
      * - Connection Errors: Network/service connectivity issues
+     * - StructuredOutputError: Invalid structured answers (502)
+     * - UpstreamTimeoutError: Model timeouts (504)
      * - General Errors: Fallback for all other errors
      * 
      * @type {Map}
@@ -208,6 +397,64 @@ export const errorHandler = (error, request, response, next) => {
      * @since 1.0.0
      */
     const errorHandlers = new Map([
+        [
+            /**
+             * Condition function for cancelled requests.
+             *
+             * @param {Error} err - The error to check
+             * @returns {boolean} True if error is a RequestCancelledError
+             */
+            (err) => err instanceof RequestCancelledError,
+            /**
+             * Handler function for cancelled requests.
+             * The client is gone, so the response is closed without a body;
+             * the status code only reaches the logs and the audit trail.
+             *
+             * @param {RequestCancelledError} err - The error to handle
+             * @returns {express.Response} The response object
+             */
+            (err) => {
+                if (!response.headersSent) response.status(err.statusCode)
+                return response.end()
+            }
+        ],
+        [
+            /**
+             * Condition function for errors raised mid-stream.
+             * Once a Server-Sent Events or NDJSON response has flushed its
+             * headers, the status code can no longer be changed.
+             *
+             * @param {Error} err - The error to check (unused)
+             * @returns {boolean} True if the response headers were already sent
+             */
+            () => response.headersSent,
+            /**
+             * Handler function for errors raised mid-stream.
+             * Reports the failure to the client in the format of the stream
+             * and closes it.
+             *
+             * Event Format:
+             * - event: error
+             * - data: JSON with status and error message
+             *
+             * NDJSON Format (POST /batch):
+             * - A final line `{ error: { status, message } }`, shaped like
+             *   the error of a batch item
+             *
+             * @param {Error} err - The error to handle (unused)
+             * @returns {express.Response} The response object
+             */
+            () => {
+                if (/^application\/x-ndjson/.test(response.get('Content-Type'))) {
+                    return response.end(`${JSON.stringify({ error: { status: statusCode, message } })}\n`)
+                }
+                writeEvent(response, 'error', {
+                    status: 'error',
+                    error: message
+                })
+                return response.end()
+            }
+        ],
         [
             /**
              * Condition function for Zod validation errors.
@@ -281,6 +528,66 @@ export const errorHandler = (error, request, response, next) => {
                 })
             }
         ],
+        [
+            /**
+             * Condition function for structured output errors.
+             *
+             * @param {Error} err - The error to check
+             * @returns {boolean} True if error is a StructuredOutputError
+             */
+            (err) => err instanceof StructuredOutputError,
+            /**
+             * Handler function for structured output errors.
+             * Includes the validation errors and the last raw answer so the
+             * client can inspect what the model produced. The model time spent
+             * on the failed attempts is still recorded in the audit entry.
+             *
+             * Response Format:
+             * - Status: 502 Bad Gateway
+             * - Body: JSON with error message, details and raw answer
+             *
+             * @param {StructuredOutputError} err - The error to handle
+             * @returns {express.Response} The response object
+             */
+            (err) => {
+                if (response.locals?.audit && err.usage) {
+                    response.locals.audit.usage = addUsage(response.locals.audit.usage, err.usage)
+                }
+                return response.status(err.statusCode).json({
+                    status: 'error',
+                    error: err.message,
+                    details: err.details,
+                    raw: err.raw
+                })
+            }
+        ],
+        [
+            /**
+             * Condition function for model timeouts.
+             *
+             * @param {Error} err - The error to check
+             * @returns {boolean} True if error is an UpstreamTimeoutError
+             */
+            (err) => err instanceof UpstreamTimeoutError,
+            /**
+             * Handler function for model timeouts.
+             * The model call was aborted, so nothing is left running upstream.
+             *
+             * Response Format:
+             * - Status: 504 Gateway Timeout
+             * - Body: JSON with error message and the time limit in milliseconds
+             *
+             * @param {UpstreamTimeoutError} err - The error to handle
+             * @returns {express.Response} The response object
+             */
+            (err) => {
+                return response.status(err.statusCode).json({
+                    status: 'error',
+                    error: err.message,
+                    timeoutMs: err.timeoutMs
+                })
+            }
+        ],
         [
             /**
              * Fallback condition function for all other errors.
@@ -327,4 +634,64 @@ export const errorHandler = (error, request, response, next) => {
         const [_, handler] = matchedHandler
         handler(error)
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Error handling middleware for the OpenAI-compatible `/v1` routes.
+ * Audits and logs errors exactly like `errorHandler`, but answers with the
+ * OpenAI error object so OpenAI clients can surface the failure.
+ *
+ * Error Mapping:
+ * - Streaming Errors: final `data:` chunk with the error object, then the stream is closed
+ * - ZodError: 400 invalid_request_error, `param` set to the first invalid field
+ * - Connection Errors: 503 server_error
+ * - General Errors: error's statusCode (default 500) and message
+ *
+ * @function openAIErrorHandler
+ * @param {Error} error - The error object.
+ * @param {express.Request} request - The Express request object.
+ * @param {express.Response} response - The Express response object.
+ * @param {Function} next - The next middleware function.
+ * @memberof module:errors
+ * @since 1.1.0
+ *
+ * @example
+ * // Use as the error middleware of the /v1 mount
+ * app.use('/v1', rateLimiter, openAIRouter, openAIErrorHandler)
+ */
+export const openAIErrorHandler = (error, request, response, next) => {
+    reportError(error, request)
+
+    if (error.retryAfter && !response.headersSent) {
+        response.set('Retry-After', String(error.retryAfter))
+    }
+
+    // Nobody is left to read the error of a cancelled request
+    if (error instanceof RequestCancelledError) {
+        if (!response.headersSent) response.status(error.statusCode)
+        return response.end()
+    }
+
+    let { statusCode = 500, message = 'An unexpected error occurred' } = error
+    let param = null
+
+    if (error.name === 'ZodError') {
+        const [issue] = error.issues
+        statusCode = 400
+        message = issue.message
+        param = issue.path.join('.') || null
+    } else if (error.cause?.code === 'ECONNREFUSED') {
+        statusCode = 503
+        message = `Ollama, Service Unavailable: ${error.message}`
+    }
+
+    const body = toOpenAIError(statusCode, message, { param })
+
+    // Headers are already sent in streaming mode; report the error as a last chunk
+    if (response.headersSent) {
+        writeData(response, body)
+        return response.end()
+    }
+
+    return response.status(statusCode).json(body)
+}
@@ -0,0 +1,95 @@
+/**
+ * JSON Schema validation.
+ * Validates client-supplied JSON Schemas and the values checked against them.
+ * Zod covers the schemas the server defines itself; this module covers the
+ * schemas clients send at runtime (e.g. `responseSchema` on POST /).
+ *
+ * @file
+ * @module jsonSchema
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://ajv.js.org/} Ajv JSON Schema Validator
+ */
+
+import Ajv from 'ajv'
+
+/**
+ * Ajv options used for client schemas.
+ * `strict: false` tolerates keywords Ajv does not know (e.g. `example`),
+ * which are common in hand-written schemas.
+ *
+ * @type {Object}
+ * @constant {Object}
+ * @memberof module:jsonSchema
+ * @since 1.1.0
+ */
+const AJV_OPTIONS = { allErrors: true, strict: false }
+
+/**
+ * Shared validator, only used to check client schemas against the JSON
+ * Schema meta-schema. Client schemas are never compiled into it: Ajv keeps
+ * every schema it compiles for the life of the instance.
+ *
+ * @type {Ajv}
+ * @constant {Ajv}
+ * @memberof module:jsonSchema
+ * @since 1.1.0
+ */
+const ajv = new Ajv(AJV_OPTIONS)
+
+/**
+ * Compiles a client schema in a throwaway Ajv instance, so neither the
+ * schema nor its generated code outlive the request.
+ * A top-level `$id` is dropped: it only names the schema, and clients
+ * reusing one would otherwise collide.
+ *
+ * @function compileSchema
+ * @param {Object} schema - A JSON Schema that passed the meta-schema check
+ * @returns {Function} The Ajv validate function
+ * @throws {Error} If the schema cannot be compiled (e.g. unresolvable `$ref`)
+ * @memberof module:jsonSchema
+ * @since 1.1.0
+ */
+const compileSchema = ({ $id, ...schema }) =>
+  new Ajv({ ...AJV_OPTIONS, validateSchema: false }).compile(schema)
+
+/**
+ * Checks whether a value is a usable JSON Schema.
+ *
+ * @function isValidJSONSchema
+ * @param {Object} schema - The candidate schema
+ * @returns {boolean} True if the schema is valid and Ajv can compile it
+ * @memberof module:jsonSchema
+ * @since 1.1.0
+ */
+export const isValidJSONSchema = (schema) => {
+  try {
+    if (!ajv.validateSchema(schema)) return false
+    compileSchema(schema)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Validates a value against a JSON Schema.
+ *
+ * @function validateJSON
+ * @param {*} value - The value to check
+ * @param {Object} schema - A valid JSON Schema
+ * @returns {string[]} The validation errors, empty when the value matches
+ * @memberof module:jsonSchema
+ * @since 1.1.0
+ *
+ * @example
+ * validateJSON({ age: 'diez' }, { type: 'object', properties: { age: { type: 'integer' } } })
+ * // ['/age: must be integer']
+ */
+export const validateJSON = (value, schema) => {
+  const validate = compileSchema(schema)
+  if (validate(value)) return []
+  return validate.errors.map((error) => `${error.instancePath || '/'}: ${error.message}`)
+}
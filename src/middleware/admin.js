@@ -0,0 +1,56 @@
+/**
+ * Admin middleware.
+ * Restricts the routes that change state shared by every client, such as
+ * personas, prompt templates and the response cache, to admin API keys.
+ *
+ * Access Rules:
+ * 1. Requests without an X-API-Key header are refused with 401
+ * 2. Requests whose key is not in ADMIN_API_KEYS are refused with 403
+ *
+ * With no ADMIN_API_KEYS configured, every such change is refused.
+ *
+ * @file
+ * @module middleware/admin
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import { ADMIN_API_KEYS } from '../config/env.js'
+import { CustomError } from '../errors.js'
+import logger from '../logger.js'
+
+/**
+ * Middleware that lets a request through only with an admin API key.
+ * Refusals are passed to the error middleware as CustomError.
+ *
+ * @function requireAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ * @memberof module:middleware/admin
+ * @since 1.1.0
+ *
+ * @example
+ * router.delete('/:name', requireAdmin, remove)
+ */
+const requireAdmin = (req, res, next) => {
+  const apiKey = req.get('X-API-Key')?.trim()
+
+  if (!apiKey) {
+    return next(new CustomError('Se requiere una clave de API de administración.', 401))
+  }
+  if (!ADMIN_API_KEYS.includes(apiKey)) {
+    logger.warn('Refusing admin request without an admin API key', {
+      method: req.method,
+      url: req.originalUrl,
+      requestId: req.requestId
+    })
+    return next(new CustomError('La clave de API no permite esta operación.', 403))
+  }
+  next()
+}
+
+export default requireAdmin
@@ -0,0 +1,96 @@
+/**
+ * Audit trail middleware.
+ * Persists an audit entry for every request once its response has finished.
+ * This middleware connects the request lifecycle to the audit service, so
+ * each request leaves a record with its request ID, request details,
+ * response status and timing.
+ *
+ * Feature Details:
+ * Controllers can enrich the entry by adding fields to `res.locals.audit`
+ * (for example the model and generation options of a chat request).
+ * The fields are passed to `auditTransaction` when the response finishes.
+ * Requests whose client disconnects before the response is complete are
+ * recorded when the connection closes, flagged as `cancelled`.
+ *
+ * Error Handling:
+ * - Audit failures are logged and never affect the response
+ *
+ * @file
+ * @module middleware/audit
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../service/audit.service.js} Audit Service
+ */
+
+import auditTransaction from '../service/audit.service.js'
+import logger from '../logger.js'
+
+/**
+ * Middleware that records an audit entry when the response finishes.
+ *
+ * Middleware Processing Flow:
+ * 1. Record the start time
+ * 2. Initialize `res.locals.audit` for controllers to enrich
+ * 3. On response finish, save the audit entry
+ * 4. On connection close without a finished response, save it as cancelled
+ * 5. Continue to next middleware
+ *
+ * @function auditMiddleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @memberof module:middleware/audit
+ * @since 1.1.0
+ *
+ * @example
+ * // Use as Express middleware
+ * app.use(auditMiddleware)
+ *
+ * @example
+ * // Enrich the audit entry from a controller
+ * res.locals.audit.chat = { model, options }
+ * res.locals.audit.usage = response.usage
+ */
+const auditMiddleware = (req, res, next) => {
+  const start = Date.now()
+  res.locals.audit = {}
+
+  let recorded = false
+  const record = ({ cancelled }) => {
+    if (recorded) return
+    recorded = true
+
+    auditTransaction({
+      requestId: req.requestId,
+      method: req.method,
+      url: req.originalUrl,
+      headers: req.headers,
+      body: req.body,
+      query: req.query,
+      params: req.params,
+      ip: req.ip || req.connection?.remoteAddress,
+      userAgent: req.get('User-Agent'),
+      // Cancelled requests never got a status of their own; 499 follows the nginx convention
+      responseStatus: cancelled ? 499 : res.statusCode,
+      responseTime: Date.now() - start,
+      userId: req.userId,
+      ...res.locals.audit,
+      ...(cancelled ? { cancelled } : {})
+    }).catch((error) => {
+      // auditTransaction already logs the details; keep the response flow intact
+      logger.warn('Audit entry not recorded', {
+        error: error.message,
+        requestId: req.requestId
+      })
+    })
+  }
+
+  res.on('finish', () => record({ cancelled: false }))
+  res.on('close', () => record({ cancelled: !res.writableFinished }))
+
+  next()
+}
+
+export default auditMiddleware
@@ -0,0 +1,69 @@
+/**
+ * Cancellation middleware.
+ * Gives every request an AbortSignal, `req.signal`, that services pass to
+ * the model so generations stop as soon as nobody is waiting for them.
+ *
+ * The signal aborts when:
+ * 1. The request has run for REQUEST_TIMEOUT_MS (reason: UpstreamTimeoutError, 504)
+ * 2. The client disconnects before the response is complete
+ *    (reason: RequestCancelledError, 499)
+ *
+ * Services rethrow the abort reason, so the error middlewares answer
+ * timeouts with 504 and the audit trail marks disconnected requests as
+ * cancelled.
+ *
+ * A request that already has a signal keeps it, so an instance with a
+ * longer limit mounted on a path (e.g. /batch) takes precedence over the
+ * application-wide one registered after it.
+ *
+ * @file
+ * @module middleware/cancellation
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal} AbortSignal
+ */
+
+import { UpstreamTimeoutError, RequestCancelledError } from '../errors.js'
+import { REQUEST_TIMEOUT_MS } from '../config/env.js'
+import logger from '../logger.js'
+
+/**
+ * Creates the middleware.
+ *
+ * @function createCancellationMiddleware
+ * @param {Object} [settings] - Middleware settings
+ * @param {number} [settings.timeoutMs=REQUEST_TIMEOUT_MS] - Time limit of each request, in milliseconds
+ * @returns {Function} Express middleware attaching `req.signal`
+ * @memberof module:middleware/cancellation
+ * @since 1.1.0
+ *
+ * @example
+ * app.use('/batch', createCancellationMiddleware({ timeoutMs: 3600000 }))
+ * app.use(createCancellationMiddleware({ timeoutMs: 30000 }))
+ */
+export const createCancellationMiddleware = ({ timeoutMs = REQUEST_TIMEOUT_MS } = {}) => (req, res, next) => {
+  if (req.signal) return next()
+
+  const controller = new AbortController()
+
+  const timer = setTimeout(() => {
+    logger.warn('Request timed out, aborting model calls', { timeoutMs, requestId: req.requestId })
+    controller.abort(new UpstreamTimeoutError(timeoutMs))
+  }, timeoutMs)
+
+  // 'close' also follows every completed response; only an unfinished one means a disconnect
+  res.once('close', () => {
+    clearTimeout(timer)
+    if (!res.writableFinished && !controller.signal.aborted) {
+      logger.info('Client disconnected, aborting model calls', { requestId: req.requestId })
+      controller.abort(new RequestCancelledError())
+    }
+  })
+
+  req.signal = controller.signal
+  next()
+}
+
+export default createCancellationMiddleware()
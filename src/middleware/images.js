@@ -0,0 +1,185 @@
+/**
+ * Image input middleware.
+ * Receives the images of chat requests for vision models, sent either as
+ * base64 strings in the `images` field of a JSON body or as `images` files
+ * of a multipart/form-data body, and validates them (see service/image).
+ *
+ * Feature Details:
+ * The validated images are attached as `req.images` and removed from
+ * `req.body`, so the bytes never reach the logs or the audit trail; the
+ * chat controller records their references (SHA-256 hash, type,
+ * dimensions and size) instead.
+ * In multipart bodies the other fields of the request are sent as form
+ * fields: text fields (prompt, model, persona...) as they are, the rest
+ * (stream, options, tools...) JSON-encoded.
+ *
+ * Error Handling:
+ * - Malformed base64 is raised as ZodError (400)
+ * - Oversized images are CustomError (413), invalid ones CustomError (400)
+ *
+ * @file
+ * @module middleware/images
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../service/image.service.js} Image Input Service
+ */
+
+import express from 'express'
+import multer from 'multer'
+import { decodeImage, inspectImages } from '../service/image.service.js'
+import { imagesSchema } from '../zod.js'
+import { IMAGE_MAX_BYTES, IMAGE_MAX_COUNT } from '../config/env.js'
+import { CustomError } from '../errors.js'
+
+/**
+ * Fields of a multipart chat request that are plain text; every other
+ * field is JSON-encoded.
+ *
+ * @type {Set<string>}
+ * @constant {Set<string>}
+ * @memberof module:middleware/images
+ * @since 1.1.0
+ */
+const TEXT_FIELDS = new Set(['prompt', 'conversationId', 'model', 'format', 'knowledgeBase', 'persona'])
+
+/**
+ * Multer instance keeping the uploaded images in memory, within the image limits.
+ *
+ * @type {multer.Multer}
+ * @constant {multer.Multer}
+ * @memberof module:middleware/images
+ * @since 1.1.0
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_MAX_BYTES, files: IMAGE_MAX_COUNT }
+})
+
+/**
+ * JSON body parser of POST /, whose limit leaves room for IMAGE_MAX_COUNT
+ * base64 images on top of the default 100 KB of the rest of the body.
+ * Must be registered before the application-wide JSON parser.
+ *
+ * @type {Function}
+ * @constant {Function}
+ * @memberof module:middleware/images
+ * @since 1.1.0
+ *
+ * @example
+ * app.post('/', chatJsonParser)
+ * app.use(express.json())
+ */
+export const chatJsonParser = express.json({
+  limit: Math.ceil(IMAGE_MAX_BYTES * 4 / 3 + 64) * IMAGE_MAX_COUNT + 100 * 1024
+})
+
+/**
+ * Maps a multer error to the error reported to the client.
+ *
+ * @function toUploadError
+ * @param {multer.MulterError} error - The upload error
+ * @returns {CustomError} 413 for oversized images, 400 otherwise
+ * @memberof module:middleware/images
+ * @since 1.1.0
+ */
+const toUploadError = (error) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new CustomError(`Cada imagen puede ocupar como máximo ${IMAGE_MAX_BYTES} bytes.`, 413)
+    case 'LIMIT_FILE_COUNT':
+      return new CustomError(`No se pueden enviar más de ${IMAGE_MAX_COUNT} imágenes por petición.`, 400)
+    case 'LIMIT_UNEXPECTED_FILE':
+      return new CustomError('Las imágenes deben enviarse en el campo "images".', 400)
+    default:
+      return new CustomError('El formulario enviado no es válido.', 400)
+  }
+}
+
+/**
+ * Turns the form fields of a multipart body into the JSON body shape.
+ * Values that are not valid JSON are kept as text, so validation reports them.
+ *
+ * @function fromFormFields
+ * @param {Object} fields - The text fields parsed by multer
+ * @returns {Object} The request body
+ * @memberof module:middleware/images
+ * @since 1.1.0
+ *
+ * @example
+ * fromFormFields({ prompt: 'Describe la foto', stream: 'true' }) // { prompt: 'Describe la foto', stream: true }
+ */
+const fromFormFields = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([name, value]) => {
+    if (TEXT_FIELDS.has(name) || typeof value !== 'string') return [name, value]
+    try {
+      return [name, JSON.parse(value)]
+    } catch {
+      return [name, value]
+    }
+  })
+)
+
+/**
+ * Parses multipart/form-data bodies; other requests pass through untouched.
+ *
+ * @function receiveUploads
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ * @memberof module:middleware/images
+ * @since 1.1.0
+ */
+const receiveUploads = (req, res, next) => {
+  upload.array('images', IMAGE_MAX_COUNT)(req, res, (error) => {
+    if (error) return next(error instanceof multer.MulterError ? toUploadError(error) : error)
+    if (req.is('multipart/form-data')) req.body = fromFormFields(req.body ?? {})
+    next()
+  })
+}
+
+/**
+ * Validates the images of the request and moves them from `req.body` to
+ * `req.images`. Requests without images pass through untouched.
+ *
+ * @function extractImages
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ * @memberof module:middleware/images
+ * @since 1.1.0
+ */
+const extractImages = (req, res, next) => {
+  const { images: encoded, ...body } = req.body ?? {}
+  const files = req.files ?? []
+  if (encoded === undefined && files.length === 0) return next()
+
+  // Drop the bytes first, so they are not recorded even if validation fails
+  req.body = body
+  try {
+    req.images = inspectImages([
+      ...files.map((file) => ({ data: file.buffer, mimeType: file.mimetype })),
+      ...(encoded === undefined ? [] : imagesSchema.parse(encoded).map(decodeImage))
+    ])
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Middleware chain that receives the images of a chat request.
+ * Runs after the JSON body parser and before the prompt validation.
+ *
+ * @type {Function[]}
+ * @constant {Function[]}
+ * @memberof module:middleware/images
+ * @since 1.1.0
+ *
+ * @example
+ * app.use('/', rateLimiter, receiveImages, validatePrompt, router)
+ */
+export const receiveImages = [receiveUploads, extractImages]
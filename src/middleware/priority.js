@@ -0,0 +1,86 @@
+/**
+ * Priority middleware.
+ * Assigns every request the priority lane its model calls wait in when the
+ * model queue is busy (see service/queue).
+ *
+ * Lane Resolution:
+ * 1. API key tier: the X-API-Key header, looked up in PRIORITY_API_KEYS
+ * 2. Callers without a known API key, i.e. anonymous traffic, are served in
+ *    the low lane, behind internal and paying callers. X-User-ID is not
+ *    authenticated, so it never raises the lane. The 'normal' default of the
+ *    model queue only applies to calls made outside a request
+ * 3. X-Priority header: clients may ask for a lower lane than the one they
+ *    are entitled to (e.g. for bulk work), never for a higher one
+ *
+ * Unknown API keys and malformed X-Priority values are ignored.
+ *
+ * @file
+ * @module middleware/priority
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../service/queue.service.js} Model Queue Service
+ */
+
+import { PRIORITIES } from '../service/queue.service.js'
+import { PRIORITY_API_KEYS, ADMIN_API_KEYS } from '../config/env.js'
+import logger from '../logger.js'
+
+/**
+ * Resolves the priority lane of a caller.
+ *
+ * @function resolvePriority
+ * @param {Object} caller - What is known about the caller
+ * @param {string} [caller.apiKey] - The X-API-Key header
+ * @param {string} [caller.requested] - The X-Priority header
+ * @returns {string} The lane: 'high', 'normal' or 'low'
+ * @memberof module:middleware/priority
+ * @since 1.1.0
+ *
+ * @example
+ * // With PRIORITY_API_KEYS=k-partner-456=normal
+ * resolvePriority({ apiKey: 'k-partner-456', requested: 'low' }) // 'low'
+ * resolvePriority({ apiKey: 'k-partner-456', requested: 'high' }) // 'normal'
+ */
+export const resolvePriority = ({ apiKey, requested }) => {
+  const tier = PRIORITY_API_KEYS[apiKey]
+  const entitled = PRIORITIES.includes(tier) ? tier : 'low'
+
+  // A requested lane only applies when it is not above the entitled one
+  return PRIORITIES.indexOf(requested) > PRIORITIES.indexOf(entitled) ? requested : entitled
+}
+
+/**
+ * Middleware that attaches the priority lane of the request as `req.priority`.
+ * Must run after the traceability middleware, whose request ID it logs.
+ *
+ * @function priorityMiddleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ * @memberof module:middleware/priority
+ * @since 1.1.0
+ *
+ * @example
+ * app.use(traceabilityMiddleware)
+ * app.use(priorityMiddleware)
+ */
+const priorityMiddleware = (req, res, next) => {
+  const apiKey = req.get('X-API-Key')?.trim()
+  const requested = req.get('X-Priority')?.trim().toLowerCase()
+
+  // Admin keys have no lane of their own, so they are not reported as unknown
+  if (apiKey && !PRIORITY_API_KEYS[apiKey] && !ADMIN_API_KEYS.includes(apiKey)) {
+    logger.warn('Ignoring unknown X-API-Key header', { requestId: req.requestId })
+  }
+  if (requested && !PRIORITIES.includes(requested)) {
+    logger.warn('Ignoring malformed X-Priority header', { requestId: req.requestId })
+  }
+
+  req.priority = resolvePriority({ apiKey, requested })
+  next()
+}
+
+export default priorityMiddleware
@@ -5,11 +5,14 @@
  * processing of tasks such as audit logging and background jobs.
  * 
  * Middleware Responsibilities:
- * 1. Establish RabbitMQ connection
+ * 1. Establish RabbitMQ connection, once per process
  * 2. Create communication channel
  * 3. Assert required queues
  * 4. Attach channel to request object
  * 5. Handle connection errors
+ *
+ * Background jobs are published here and consumed by the job worker
+ * process (src/worker.js), which shares connectRabbitMQ.
  * 
  * Design Pattern: Connection Management Middleware
  * This middleware implements the Connection Management pattern,
@@ -24,7 +27,7 @@
  * - Scalability
  * 
  * Queue Configuration:
- * - Queue Name: 'auditoria'
+ * - Queue Names: 'auditoria', and the job queues (see JOB_QUEUES in service/job)
  * - Durability: Depends on RabbitMQ defaults
  * - Exclusive: false (shared queue)
  * - Auto-delete: false (persistent)
@@ -45,6 +48,7 @@
  */
 
 import amqp from 'amqplib';
+import { assertJobQueues } from '../service/job.service.js';
 
 /**
  * The RabbitMQ channel instance.
@@ -80,24 +84,102 @@ let channel = null;
  */
 let connection = null;
 
+/**
+ * The pending or established connection attempt.
+ * Shared by every caller, so requests arriving while the connection is
+ * being opened wait for it instead of opening connections of their own.
+ * Cleared when the attempt fails or the connection closes, so the next
+ * caller connects again.
+ *
+ * @type {Promise<{ connection: amqp.Connection, channel: amqp.Channel }>|null}
+ * @memberof module:middleware/rabbitMQ
+ * @since 1.1.0
+ */
+let connecting = null;
+
+/**
+ * Forgets the current connection, so the next caller opens a new one.
+ *
+ * @function reset
+ * @returns {void}
+ * @memberof module:middleware/rabbitMQ
+ * @since 1.1.0
+ */
+const reset = () => {
+  connecting = null;
+  channel = null;
+  connection = null;
+};
+
+/**
+ * Connects to RabbitMQ, unless already connected or connecting.
+ * Opens the connection and the shared channel, and asserts the queues
+ * messages are published to: 'auditoria' and the job queues.
+ *
+ * @async
+ * @function connectRabbitMQ
+ * @returns {Promise<{ connection: amqp.Connection, channel: amqp.Channel }>} The connection and its shared channel
+ * @throws {Error} If RabbitMQ cannot be reached
+ * @memberof module:middleware/rabbitMQ
+ * @since 1.1.0
+ *
+ * @example
+ * const { connection } = await connectRabbitMQ();
+ * await startJobWorker(connection);
+ */
+export const connectRabbitMQ = () => {
+  connecting ??= (async () => {
+    // Establish connection to RabbitMQ server
+    // Uses default connection settings (localhost:5672)
+    // In production, this should use environment variables
+    const opened = await amqp.connect('amqp://localhost');
+    connection = opened;
+    // A lost connection is reported, then forgotten so the next caller reconnects
+    opened.on('error', (error) => console.error('❌ Conexión a RabbitMQ perdida:', error));
+    opened.on('close', () => {
+      if (connection === opened) reset();
+    });
+
+    // Create communication channel
+    // Channels are lightweight connections that share a single TCP connection
+    // Multiple channels can be created per connection for different purposes
+    channel = await connection.createChannel();
+
+    // Assert that the 'auditoria' and job queues exist
+    // Creates the queues if they don't exist
+    // Ensures jobs can be queued before any worker is running
+    await channel.assertQueue('auditoria');
+    await assertJobQueues(channel);
+
+    // Log successful connection for monitoring purposes
+    // Helps verify that message queuing is operational
+    console.log('✅ Conectado a RabbitMQ');
+    return { connection, channel };
+  })().catch(async (error) => {
+    // Close a half-opened connection and let the next caller try again
+    await connection?.close().catch(() => {});
+    reset();
+    throw error;
+  });
+  return connecting;
+};
+
 /**
  * Express middleware to initialize RabbitMQ connection.
  * Ensures that a connection to RabbitMQ is established before
  * processing requests that require message queuing capabilities.
  * 
  * Initialization Process:
- * 1. Check if channel already exists
- * 2. If exists, attach to request and continue
- * 3. If not, establish new connection
- * 4. Create channel and assert queues
- * 5. Attach channel to request object
- * 6. Handle errors appropriately
+ * 1. Wait for the connection (see connectRabbitMQ): the established one,
+ *    the attempt in progress, or a new attempt
+ * 2. Attach channel to request object
+ * 3. Handle errors appropriately
  * 
  * Connection Lifecycle:
  * - Created on first request
  * - Reused for subsequent requests
  * - Closed during application shutdown
- * - Automatically reconnects on failure (in theory)
+ * - Opened again by the next request after a failure or a closed connection
  * 
  * Performance Considerations:
  * - Connection established lazily (on first request)
@@ -119,51 +201,18 @@ let connection = null;
  * app.use(initRabbitMQ);
  */
 export const initRabbitMQ = async (req, res, next) => {
-  // Check if channel already exists and is usable
-  // This prevents unnecessary connection attempts for subsequent requests
-  // Reuses the existing channel for better performance
-  if (channel) {
+  try {
     /**
-     * Attach existing channel to request object.
+     * Attach the shared channel to request object.
      * This makes the channel available to controllers and services
      * that need to send messages to the queue.
      * 
      * Channel Usage:
      * - Send audit messages
-     * - Process background jobs
+     * - Queue background jobs
      * - Handle asynchronous tasks
      */
-    req.rabbitChannel = channel;
-    return next();
-  }
-
-  try {
-    // Establish connection to RabbitMQ server
-    // Uses default connection settings (localhost:5672)
-    // In production, this should use environment variables
-    connection = await amqp.connect('amqp://localhost');
-    
-    // Create communication channel
-    // Channels are lightweight connections that share a single TCP connection
-    // Multiple channels can be created per connection for different purposes
-    channel = await connection.createChannel();
-    
-    // Assert that the 'auditoria' queue exists
-    // Creates the queue if it doesn't exist
-    // Ensures the queue is available for message sending
-    await channel.assertQueue('auditoria');
-    
-    // Log successful connection for monitoring purposes
-    // Helps verify that message queuing is operational
-    console.log('✅ API: Conectado a RabbitMQ');
-    
-    // Attach channel to request object for use in controllers
-    // Makes the channel available throughout the request lifecycle
-    req.rabbitChannel = channel;
-    
-    // Continue to next middleware in the chain
-    // Indicates successful initialization
-    next();
+    ({ channel: req.rabbitChannel } = await connectRabbitMQ());
   } catch (error) {
     // Log connection error for troubleshooting
     // Includes error details for debugging connectivity issues
@@ -174,4 +223,8 @@ export const initRabbitMQ = async (req, res, next) => {
     // Status 500 indicates server error
     return res.status(500).json({ error: 'Error de conexión a RabbitMQ' });
   }
+
+  // Continue to next middleware in the chain
+  // Indicates successful initialization
+  next();
 };
\ No newline at end of file
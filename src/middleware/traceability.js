@@ -10,6 +10,7 @@
  * 3. Request Logging: Detailed logging of incoming requests
  * 4. Response Logging: Logging of completed requests with status
  * 5. Context Preservation: Request ID attached to all log entries
+ * 6. Caller Identification: X-User-ID header attached as `req.userId`
  * 
  * Design Pattern: Request Context Enrichment
  * This middleware implements the Request Context Enrichment pattern,
@@ -43,6 +44,18 @@
 import logger from '../logger.js'
 import crypto from 'crypto'
 
+/**
+ * Accepted format for the X-User-ID header.
+ * Letters, digits and `_ . @ : -`, up to 128 characters, so IDs, emails
+ * and usernames fit while the value stays safe to log and group by.
+ *
+ * @type {RegExp}
+ * @constant {RegExp}
+ * @memberof module:middleware/traceability
+ * @since 1.1.0
+ */
+const USER_ID_PATTERN = /^[\w.@:-]{1,128}$/
+
 /**
  * Middleware to generate and attach a unique request ID to each incoming request.
  * This enables traceability across all components of the application.
@@ -51,9 +64,10 @@ import crypto from 'crypto'
  * 1. Generate unique request ID
  * 2. Attach ID to request object
  * 3. Add ID to response headers
- * 4. Log incoming request details
- * 5. Set up response completion logging
- * 6. Continue to next middleware
+ * 4. Identify the caller from the X-User-ID header
+ * 5. Log incoming request details
+ * 6. Set up response completion logging
+ * 7. Continue to next middleware
  * 
  * Request ID Characteristics:
  * - Universally unique (UUID v4)
@@ -106,6 +120,15 @@ const traceabilityMiddleware = (req, res, next) => {
   // This allows clients to correlate requests with server logs
   // Useful for debugging and support scenarios
   res.setHeader('X-Request-ID', requestId)
+
+  // Identify the caller so audit entries and usage can be attributed to a user
+  // Malformed values are ignored and the request is treated as anonymous
+  const userId = req.get('X-User-ID')?.trim()
+  if (userId && USER_ID_PATTERN.test(userId)) {
+    req.userId = userId
+  } else if (userId) {
+    logger.warn('Ignoring malformed X-User-ID header', { requestId })
+  }
   
   // Log the incoming request with its ID for traceability
   // Captures essential request metadata for monitoring and debugging
@@ -114,6 +137,7 @@ const traceabilityMiddleware = (req, res, next) => {
     requestId,
     method: req.method,
     url: req.url,
+    userId: req.userId,
     ip: req.ip || req.connection.remoteAddress,
     userAgent: req.get('User-Agent')
   })
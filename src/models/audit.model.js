@@ -60,6 +60,13 @@ import { Schema, model } from 'mongoose'
  * 4. Client Info: ip, userAgent
  * 5. Response Info: responseStatus, responseTime
  * 6. User Info: userId
+ * 7. Chat Info: chat.model, chat.options, chat.answeredBy, chat.fallbackFrom
+ * 8. Embedding Info: embedding.model, embedding.inputs
+ * 9. Usage Info: usage (tokens and model time)
+ * 10. Retrieval Info: retrieval.knowledgeBase, retrieval.chunks
+ * 11. Cache Info: cache (HIT, MISS or BYPASS), cacheMatch
+ * 12. Cancellation: cancelled (client disconnected before the response was complete)
+ * 13. Batch Info: batch.total, batch.succeeded, batch.failed
  * 
  * @type {Schema}
  * @constant {Schema}
@@ -317,10 +324,231 @@ const auditSchema = new Schema({
    */
   userId: {
     type: String,
-    required: false
+    required: false,
+    index: true
+  },
+
+  /**
+   * Details of the model call made for chat requests.
+   * Only present for requests that reached the model.
+   *
+   * Sub-fields:
+   * - model: The model that was asked to answer
+   * - options: The effective generation options after defaults and ceilings
+   * - tools: The tools the model was allowed to call
+   * - format: 'json' or 'schema' when a structured answer was requested
+   * - answeredBy: The model that answered, a fallback model if the requested one failed
+   * - fallbackFrom: The models skipped before it, with the reason
+   * - persona: The name and version of the persona answered as, if any
+   * - template: The name and version of the prompt template run, if any
+   * - images: The SHA-256 hash, type, dimensions and size of each image sent; never the bytes
+   */
+  chat: {
+    model: {
+      type: String,
+      required: false
+    },
+    options: {
+      type: Object,
+      required: false
+    },
+    tools: {
+      type: [String],
+      default: undefined
+    },
+    format: {
+      type: String,
+      enum: ['json', 'schema'],
+      required: false
+    },
+    answeredBy: {
+      type: String,
+      required: false
+    },
+    fallbackFrom: {
+      type: [{
+        _id: false,
+        model: String,
+        reason: {
+          type: String,
+          enum: ['model-not-found', 'timeout', 'circuit-open']
+        }
+      }],
+      default: undefined
+    },
+    persona: {
+      type: {
+        _id: false,
+        name: String,
+        version: Number
+      },
+      required: false
+    },
+    template: {
+      type: {
+        _id: false,
+        name: String,
+        version: Number
+      },
+      required: false
+    },
+    images: {
+      type: [{
+        _id: false,
+        sha256: String,
+        mimeType: String,
+        width: Number,
+        height: Number,
+        bytes: Number
+      }],
+      default: undefined
+    }
+  },
+
+  /**
+   * Tool invocations made by the model while answering a chat request.
+   * Stored in the order they were executed, together with the request ID
+   * of the entry, so each invocation can be traced back to its request.
+   *
+   * Sub-fields:
+   * - name: The tool that was called
+   * - arguments: The arguments produced by the model
+   * - result: The value returned to the model (on success)
+   * - error: The error reported to the model (on failure)
+   * - duration: Execution time in milliseconds
+   */
+  toolCalls: {
+    type: [{
+      _id: false,
+      name: String,
+      arguments: Object,
+      result: Schema.Types.Mixed,
+      error: String,
+      duration: Number
+    }],
+    default: undefined
+  },
+
+  /**
+   * Details of the model call made for embedding requests.
+   *
+   * Sub-fields:
+   * - model: The embedding model
+   * - inputs: Number of texts embedded
+   * - dimensions: Length of the returned vectors
+   */
+  embedding: {
+    type: {
+      _id: false,
+      model: String,
+      inputs: Number,
+      dimensions: Number
+    },
+    default: undefined
+  },
+
+  /**
+   * Knowledge base chunks injected into the prompt of a grounded chat request.
+   *
+   * Sub-fields:
+   * - knowledgeBase: The knowledge base name
+   * - chunks: The retrieved chunks (document ID, chunk index and similarity score)
+   */
+  retrieval: {
+    type: {
+      _id: false,
+      knowledgeBase: String,
+      chunks: [{
+        _id: false,
+        document: Schema.Types.ObjectId,
+        index: Number,
+        score: Number
+      }]
+    },
+    default: undefined
+  },
+
+  /**
+   * Response cache status of a chat request: HIT, MISS or BYPASS.
+   */
+  cache: {
+    type: String,
+    enum: ['HIT', 'MISS', 'BYPASS']
+  },
+
+  /**
+   * Cache entry that answered a chat request served from the cache.
+   *
+   * Sub-fields:
+   * - kind: 'exact' (same normalized prompt) or 'semantic' (similar prompt)
+   * - key: The key of the cache entry
+   * - similarity: Cosine similarity of the prompts (semantic matches only)
+   * - falsePositive: Set when a client reports that a semantic match was wrong
+   */
+  cacheMatch: {
+    type: {
+      _id: false,
+      kind: {
+        type: String,
+        enum: ['exact', 'semantic']
+      },
+      key: String,
+      similarity: Number,
+      falsePositive: Boolean
+    },
+    default: undefined
+  },
+
+  /**
+   * Set when the client disconnected before the response was complete;
+   * its model calls were aborted.
+   */
+  cancelled: Boolean,
+
+  /**
+   * Item counts of a batch request (POST /batch); the shared settings are
+   * recorded in `chat` and the usage of every item is added up in `usage`.
+   */
+  batch: {
+    type: {
+      _id: false,
+      total: Number,
+      succeeded: Number,
+      failed: Number
+    },
+    default: undefined
+  },
+
+  /**
+   * Model consumption of a chat or embedding request, added up over every model call
+   * it made (tool rounds, structured output retries).
+   * Only present for requests that reached the model; aggregated by the
+   * usage summary (GET /usage).
+   *
+   * Sub-fields:
+   * - calls: Number of model calls
+   * - promptTokens / completionTokens / totalTokens: Token counts
+   * - totalDuration, loadDuration, promptEvalDuration, evalDuration: Model time in nanoseconds
+   */
+  usage: {
+    type: {
+      _id: false,
+      calls: Number,
+      promptTokens: Number,
+      completionTokens: Number,
+      totalTokens: Number,
+      totalDuration: Number,
+      loadDuration: Number,
+      promptEvalDuration: Number,
+      evalDuration: Number
+    },
+    default: undefined
   }
 })
 
+// Supports the usage summary, which filters on the request date
+auditSchema.index({ timestamp: 1 })
+
 /**
  * Mongoose model for audit logs.
  * Provides an interface to the MongoDB collection for storing audit information.
@@ -0,0 +1,112 @@
+/**
+ * Cache entry model.
+ * Defines the Mongoose schema and model for the responses stored by the
+ * 'mongo' response cache backend. Entries are shared by every instance of
+ * the backend and removed by MongoDB once they expire.
+ *
+ * Entry Features:
+ * 1. Key: hash of the normalized prompt, model, options and system prompt
+ * 2. Description: model and prompt, for inspection
+ * 3. Response: the cached answer and its metadata
+ * 4. Semantic Lookup: scope and prompt embedding (semantic cache only)
+ * 5. Statistics: number of times the entry was served
+ * 6. Expiry: TTL index on expiresAt
+ *
+ * @file
+ * @module models/cacheEntry
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../cache/mongo.cache.js} Mongo Cache Backend
+ * @see {@link https://www.mongodb.com/docs/manual/core/index-ttl/} TTL Indexes
+ */
+
+import { Schema, model } from 'mongoose'
+
+/**
+ * Mongoose schema for cache entries.
+ *
+ * @type {Schema}
+ * @constant {Schema}
+ * @memberof module:models/cacheEntry
+ * @since 1.1.0
+ */
+const cacheEntrySchema = new Schema({
+  /**
+   * Cache key (SHA-256 hex digest).
+   */
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  /**
+   * Model that produced the response.
+   */
+  model: String,
+
+  /**
+   * Prompt as sent by the first client, before normalization.
+   */
+  prompt: String,
+
+  /**
+   * The cached response (metadata, message and reasoning).
+   */
+  response: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+
+  /**
+   * Hash of the model, options and system prompt. Semantic matches are only
+   * searched among entries of the same scope.
+   */
+  scope: {
+    type: String,
+    index: true
+  },
+
+  /**
+   * Embedding of the prompt, for semantic matches.
+   */
+  embedding: {
+    type: [Number],
+    default: undefined
+  },
+
+  /**
+   * Number of times the entry was served.
+   */
+  hits: {
+    type: Number,
+    default: 0
+  },
+
+  /**
+   * When the entry expires; MongoDB deletes it shortly after.
+   */
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } })
+
+/**
+ * Mongoose model for cache entries.
+ *
+ * Collection Information:
+ * - Name: cacheentries (pluralized from model name)
+ * - Indexes: key (unique), scope, expiresAt (TTL)
+ *
+ * @type {Model}
+ * @constant {Model}
+ * @memberof module:models/cacheEntry
+ * @since 1.1.0
+ */
+const CacheEntry = model('CacheEntry', cacheEntrySchema)
+
+export default CacheEntry
@@ -0,0 +1,103 @@
+/**
+ * Knowledge chunk model.
+ * Defines the Mongoose schema and model for the embedded pieces of the
+ * knowledge documents. Retrieval compares the embedding of a question with
+ * the embeddings stored here.
+ *
+ * Chunk Features:
+ * 1. Ownership: knowledge base and source document
+ * 2. Position: index of the chunk within its document
+ * 3. Vector: embedding and the model that produced it
+ *
+ * Only chunks embedded with the current EMBEDDING_MODEL are searched, since
+ * vectors of different models cannot be compared.
+ *
+ * @file
+ * @module models/chunk
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ./document.model.js} Knowledge Document Model
+ */
+
+import { Schema, model } from 'mongoose'
+
+/**
+ * Mongoose schema for knowledge chunks.
+ *
+ * @type {Schema}
+ * @constant {Schema}
+ * @memberof module:models/chunk
+ * @since 1.1.0
+ */
+const chunkSchema = new Schema({
+  /**
+   * Name of the knowledge base, copied from the document for filtering.
+   */
+  knowledgeBase: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * Source document of the chunk.
+   */
+  document: {
+    type: Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    index: true
+  },
+
+  /**
+   * Position of the chunk within its document, starting at 0.
+   */
+  index: {
+    type: Number,
+    required: true
+  },
+
+  /**
+   * Text of the chunk, as injected into prompts.
+   */
+  text: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * Embedding of the text.
+   */
+  embedding: {
+    type: [Number],
+    required: true
+  },
+
+  /**
+   * Embedding model that produced the vector.
+   */
+  embeddingModel: {
+    type: String,
+    required: true
+  }
+}, { timestamps: true })
+
+// Retrieval pages through the chunks of a knowledge base embedded with the current model, in ID order
+chunkSchema.index({ knowledgeBase: 1, embeddingModel: 1, _id: 1 })
+
+/**
+ * Mongoose model for knowledge chunks.
+ *
+ * Collection Information:
+ * - Name: chunks (pluralized from model name)
+ * - Indexes: document, (knowledgeBase, embeddingModel)
+ *
+ * @type {Model}
+ * @constant {Model}
+ * @memberof module:models/chunk
+ * @since 1.1.0
+ */
+const Chunk = model('Chunk', chunkSchema)
+
+export default Chunk
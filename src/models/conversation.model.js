@@ -0,0 +1,147 @@
+/**
+ * Conversation model.
+ * Defines the Mongoose schema and model for storing multi-turn chat
+ * conversations in MongoDB.
+ * This module allows the chatbot to remember previous turns by persisting
+ * every user prompt and assistant answer, so the history can be replayed
+ * to the model on the next request.
+ *
+ * Conversation Features:
+ * 1. Ordered Message History: user and assistant turns in arrival order
+ * 2. Traceability: each stored turn keeps the requestId that produced it
+ * 3. Timestamps: creation and last-update dates for listing and sorting
+ * 4. Optional Title: human-readable label for clients
+ *
+ * Design Pattern: Aggregate Entity
+ * The conversation is the aggregate root and its messages are embedded
+ * subdocuments, so a full history is read and written in a single operation.
+ *
+ * @file
+ * @module models/conversation
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://mongoosejs.com/docs/subdocs.html} Mongoose Subdocuments
+ */
+
+import { Schema, model } from 'mongoose'
+
+/**
+ * Mongoose schema for a single conversation turn.
+ * Mirrors the message format expected by the Ollama chat API
+ * (`{ role, content }`) plus traceability metadata.
+ *
+ * Field Categories:
+ * 1. Chat Message: role, content
+ * 2. Traceability: requestId
+ * 3. Timestamps: createdAt
+ *
+ * @type {Schema}
+ * @constant {Schema}
+ * @memberof module:models/conversation
+ * @since 1.1.0
+ */
+const messageSchema = new Schema({
+  /**
+   * Author of the message.
+   * Uses the same roles as the Ollama chat API.
+   *
+   * Allowed Values:
+   * - system: Instructions for the model
+   * - user: Prompt sent by the client
+   * - assistant: Answer generated by the model
+   */
+  role: {
+    type: String,
+    enum: ['system', 'user', 'assistant'],
+    required: true
+  },
+
+  /**
+   * Text content of the message.
+   */
+  content: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * Request ID of the chat call that produced this turn.
+   * Links the stored message to the logs and audit entries of that request.
+   */
+  requestId: {
+    type: String,
+    required: false
+  },
+
+  /**
+   * Timestamp when the turn was stored.
+   */
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false })
+
+/**
+ * Mongoose schema for conversations.
+ * Holds the conversation metadata and its embedded message history.
+ *
+ * Schema Options:
+ * - timestamps: adds `createdAt` and `updatedAt`, the latter being
+ *   refreshed every time new turns are appended
+ *
+ * @type {Schema}
+ * @constant {Schema}
+ * @memberof module:models/conversation
+ * @since 1.1.0
+ */
+const conversationSchema = new Schema({
+  /**
+   * Optional human-readable title of the conversation.
+   */
+  title: {
+    type: String,
+    required: false,
+    trim: true
+  },
+
+  /**
+   * Ordered list of conversation turns.
+   * New turns are always appended at the end.
+   */
+  messages: {
+    type: [messageSchema],
+    default: []
+  }
+}, { timestamps: true })
+
+// Conversations are listed most-recently-updated first
+conversationSchema.index({ updatedAt: -1 })
+
+/**
+ * Mongoose model for conversations.
+ *
+ * Collection Information:
+ * - Name: conversations (pluralized from model name)
+ * - Indexes: updatedAt (descending)
+ *
+ * @type {Model}
+ * @constant {Model}
+ * @memberof module:models/conversation
+ * @since 1.1.0
+ *
+ * @example
+ * // Create an empty conversation
+ * const conversation = await Conversation.create({ title: 'Soporte' })
+ *
+ * @example
+ * // Append a user turn
+ * await Conversation.findByIdAndUpdate(id, {
+ *   $push: { messages: { role: 'user', content: 'Hola' } }
+ * })
+ */
+const Conversation = model('Conversation', conversationSchema)
+
+export default Conversation
@@ -0,0 +1,117 @@
+/**
+ * Knowledge document model.
+ * Defines the Mongoose schema and model for the source documents of the
+ * knowledge bases used for retrieval-augmented generation (RAG).
+ * The document keeps the original text and its metadata; the searchable
+ * pieces live in the chunk collection (see chunk.model.js).
+ *
+ * Document Features:
+ * 1. Knowledge Base: name of the collection the document belongs to
+ * 2. Source Metadata: title, optional source (URL, file name...) and format
+ * 3. Chunking Settings: chunk size and overlap used at ingestion time
+ * 4. Timestamps: creation and last-update dates
+ *
+ * @file
+ * @module models/document
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ./chunk.model.js} Chunk Model
+ */
+
+import { Schema, model } from 'mongoose'
+
+/**
+ * Mongoose schema for knowledge documents.
+ *
+ * Field Categories:
+ * 1. Ownership: knowledgeBase
+ * 2. Source: title, source, format, content
+ * 3. Chunking: chunkSize, chunkOverlap, chunkCount, embeddingModel
+ *
+ * @type {Schema}
+ * @constant {Schema}
+ * @memberof module:models/document
+ * @since 1.1.0
+ */
+const documentSchema = new Schema({
+  /**
+   * Name of the knowledge base the document belongs to.
+   */
+  knowledgeBase: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  /**
+   * Human-readable title, shown in citations.
+   */
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  /**
+   * Optional pointer to the original (URL, file name...), shown in citations.
+   */
+  source: {
+    type: String,
+    required: false,
+    trim: true
+  },
+
+  /**
+   * Format of the content: plain text or markdown.
+   */
+  format: {
+    type: String,
+    enum: ['text', 'markdown'],
+    default: 'text'
+  },
+
+  /**
+   * Full original text of the document.
+   */
+  content: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * Chunking settings used at ingestion, in characters.
+   */
+  chunkSize: Number,
+  chunkOverlap: Number,
+
+  /**
+   * Number of chunks the document was split into.
+   */
+  chunkCount: {
+    type: Number,
+    default: 0
+  },
+
+  /**
+   * Embedding model that produced the vectors of the chunks.
+   */
+  embeddingModel: String
+}, { timestamps: true })
+
+/**
+ * Mongoose model for knowledge documents.
+ *
+ * Collection Information:
+ * - Name: documents (pluralized from model name)
+ * - Indexes: knowledgeBase
+ *
+ * @type {Model}
+ * @constant {Model}
+ * @memberof module:models/document
+ * @since 1.1.0
+ */
+const KnowledgeDocument = model('Document', documentSchema)
+
+export default KnowledgeDocument
@@ -0,0 +1,114 @@
+/**
+ * Job model.
+ * Defines the Mongoose schema and model for background jobs.
+ * Jobs are queued through RabbitMQ and run outside the request that created
+ * them; the job document is where clients follow their progress.
+ *
+ * Job Features:
+ * 1. Type and Parameters: what to run (e.g. re-embedding a knowledge base, answering a prompt)
+ * 2. Lifecycle: queued → running → completed | failed, or cancelled while queued or running
+ * 3. Progress: processed and total work units, updated while running
+ * 4. Outcome: the result of a completed job or the error of a failed one
+ * 5. Traceability: the requestId of the request that created the job
+ *
+ * @file
+ * @module models/job
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../service/job.service.js} Job Service
+ */
+
+import { Schema, model } from 'mongoose'
+
+/**
+ * Mongoose schema for background jobs.
+ *
+ * Field Categories:
+ * 1. Definition: type, params
+ * 2. Lifecycle: status, startedAt, finishedAt
+ * 3. Progress: progress.processed, progress.total
+ * 4. Outcome: result, error
+ * 5. Traceability: requestId
+ *
+ * @type {Schema}
+ * @constant {Schema}
+ * @memberof module:models/job
+ * @since 1.1.0
+ */
+const jobSchema = new Schema({
+  /**
+   * Kind of job; selects the handler that runs it.
+   */
+  type: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * Parameters passed to the handler.
+   */
+  params: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+
+  /**
+   * Current state of the job.
+   * A cancelled job keeps its status even if its handler finishes afterwards.
+   */
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  /**
+   * Work done so far, in units defined by the handler (e.g. chunks).
+   */
+  progress: {
+    type: {
+      _id: false,
+      processed: Number,
+      total: Number
+    },
+    default: () => ({ processed: 0, total: 0 })
+  },
+
+  /**
+   * Value returned by the handler of a completed job.
+   */
+  result: Schema.Types.Mixed,
+
+  /**
+   * Error message of a failed job.
+   */
+  error: String,
+
+  /**
+   * Request that created the job.
+   */
+  requestId: String,
+
+  /**
+   * When the job started and stopped running (or was cancelled).
+   */
+  startedAt: Date,
+  finishedAt: Date
+}, { timestamps: true })
+
+/**
+ * Mongoose model for background jobs.
+ *
+ * Collection Information:
+ * - Name: jobs (pluralized from model name)
+ *
+ * @type {Model}
+ * @constant {Model}
+ * @memberof module:models/job
+ * @since 1.1.0
+ */
+const Job = model('Job', jobSchema)
+
+export default Job
@@ -0,0 +1,125 @@
+/**
+ * Persona model.
+ * Defines the Mongoose schema and model for the personas of the chatbot:
+ * named sets of a system prompt and defaults that give the model a role,
+ * a tone and guardrails (see `persona` on POST /).
+ *
+ * Persona Features:
+ * 1. Name: unique identifier used by chat requests and in URLs
+ * 2. System Prompt: instructions sent to the model before the conversation
+ * 3. Defaults: model and generation options used unless the request sets them
+ * 4. Fallbacks: models tried when the model fails, instead of the route's
+ * 5. Allowed Tools: the only tools the model may call under this persona
+ * 6. Version: incremented on every change and recorded in the audit log
+ *
+ * @file
+ * @module models/persona
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../service/persona.service.js} Persona Service
+ */
+
+import { Schema, model } from 'mongoose'
+
+/**
+ * Mongoose schema for personas.
+ *
+ * Field Categories:
+ * 1. Identity: name, description
+ * 2. Behavior: systemPrompt, model, fallbacks, options, tools
+ * 3. Versioning: version
+ *
+ * @type {Schema}
+ * @constant {Schema}
+ * @memberof module:models/persona
+ * @since 1.1.0
+ */
+const personaSchema = new Schema({
+  /**
+   * Unique name of the persona, as sent in chat requests.
+   */
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  /**
+   * Optional human-readable description, for administrators.
+   */
+  description: {
+    type: String,
+    required: false,
+    trim: true
+  },
+
+  /**
+   * Instructions sent to the model as the system message.
+   */
+  systemPrompt: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * Model used when the request does not name one.
+   */
+  model: {
+    type: String,
+    required: false
+  },
+
+  /**
+   * Models tried in order when the model fails, instead of the fallback
+   * chain of the route (see service/fallback). Unset to use the route's.
+   */
+  fallbacks: {
+    type: [String],
+    default: undefined
+  },
+
+  /**
+   * Generation options applied under the options of the request.
+   */
+  options: {
+    type: Object,
+    required: false
+  },
+
+  /**
+   * Tools the model may call; requests may only narrow them down.
+   */
+  tools: {
+    type: [String],
+    default: []
+  },
+
+  /**
+   * Revision of the persona, starting at 1 and incremented on every update.
+   */
+  version: {
+    type: Number,
+    default: 1
+  }
+}, { timestamps: true })
+
+/**
+ * Mongoose model for personas.
+ *
+ * Collection Information:
+ * - Name: personas (pluralized from model name)
+ * - Indexes: name (unique)
+ *
+ * @type {Model}
+ * @constant {Model}
+ * @memberof module:models/persona
+ * @since 1.1.0
+ *
+ * @example
+ * const persona = await Persona.create({ name: 'soporte', systemPrompt: 'Eres el asistente de soporte.' })
+ */
+const Persona = model('Persona', personaSchema)
+
+export default Persona
@@ -0,0 +1,106 @@
+/**
+ * Prompt template model.
+ * Defines the Mongoose schema and model for server-side prompt templates:
+ * prompt scaffolding with named, typed variables that clients fill in
+ * instead of sending the whole prompt (see POST /templates/:name/run).
+ *
+ * Template Features:
+ * 1. Name: identifier shared by every version, used in URLs
+ * 2. Body: the prompt text with `{{variable}}` placeholders
+ * 3. Variables: the declaration of each variable (type, bounds, default...)
+ * 4. Versions: one document per version; versions are never changed, so a
+ *    client pinned to a version keeps getting the same prompt
+ *
+ * @file
+ * @module models/template
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../service/template.service.js} Template Service
+ */
+
+import { Schema, model } from 'mongoose'
+
+/**
+ * Mongoose schema for a version of a prompt template.
+ *
+ * Field Categories:
+ * 1. Identity: name, version, description
+ * 2. Prompt: body, variables
+ *
+ * @type {Schema}
+ * @constant {Schema}
+ * @memberof module:models/template
+ * @since 1.1.0
+ */
+const templateSchema = new Schema({
+  /**
+   * Name of the template, shared by all its versions.
+   */
+  name: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * Version number, starting at 1.
+   */
+  version: {
+    type: Number,
+    required: true
+  },
+
+  /**
+   * Optional human-readable description, for the teams using the template.
+   */
+  description: {
+    type: String,
+    required: false,
+    trim: true
+  },
+
+  /**
+   * Prompt text with `{{variable}}` placeholders.
+   */
+  body: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * Declaration of the variables, by name (see templateVariableSchema in zod.js).
+   * Stored as sent, so the declaration reads the same when fetched.
+   */
+  variables: {
+    type: Object,
+    default: {}
+  }
+}, { timestamps: true, minimize: false })
+
+// One document per version; the latest version is found by sorting
+templateSchema.index({ name: 1, version: -1 }, { unique: true })
+
+/**
+ * Mongoose model for prompt templates.
+ *
+ * Collection Information:
+ * - Name: templates (pluralized from model name)
+ * - Indexes: name + version (unique)
+ *
+ * @type {Model}
+ * @constant {Model}
+ * @memberof module:models/template
+ * @since 1.1.0
+ *
+ * @example
+ * const template = await Template.create({
+ *   name: 'resumen-ticket',
+ *   version: 1,
+ *   body: 'Resume el siguiente ticket en {{words}} palabras:\n\n{{ticket}}',
+ *   variables: { ticket: { type: 'string' }, words: { type: 'integer', default: 50 } }
+ * })
+ */
+const Template = model('Template', templateSchema)
+
+export default Template
@@ -0,0 +1,104 @@
+/**
+ * LLM provider registry.
+ * Selects the provider that serves every model call of the backend.
+ * Services depend only on the provider interface described below, never on a
+ * concrete client, so the model backend can be swapped through configuration
+ * and tests can run against the deterministic mock provider.
+ *
+ * Provider Interface:
+ * - name: Provider identifier ('ollama', 'openai' or 'mock')
+ * - chat(request, { signal }): Promise resolving to an Ollama-style chat response
+ * - stream(request, { signal }): Promise resolving to an async iterable of Ollama-style chunks;
+ *   the promise rejects if the stream cannot be opened
+ * - The optional AbortSignal of chat and stream cancels the call, including
+ *   a stream being read
+ * - listModels(): Promise resolving to `[{ name, size, family, parameterSize, quantizationLevel }]`
+ * - embed({ model, input }): Promise resolving to `{ model, embeddings, promptEvalCount }`
+ *
+ * Chat Request Format (Ollama's):
+ * - model: Model name
+ * - messages: `[{ role, content }]`
+ * - options: Generation options (temperature, top_p, num_ctx, num_predict...)
+ * - format: Optional 'json' or JSON Schema
+ *
+ * Available Providers:
+ * - ollama: Ollama daemon at OLLAMA_HOST
+ * - openai: OpenAI-compatible API at OPENAI_BASE_URL
+ * - mock: Deterministic in-process provider
+ *
+ * @file
+ * @module providers
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../config/env.js} LLM_PROVIDER configuration
+ */
+
+import { LLM_PROVIDER, OLLAMA_HOST, OPENAI_BASE_URL, OPENAI_API_KEY, ALLOWED_MODELS } from '../config/env.js'
+import { createOllamaProvider } from './ollama.provider.js'
+import { createOpenAIProvider } from './openai.provider.js'
+import { createMockProvider } from './mock.provider.js'
+
+/**
+ * Factories for each supported provider, keyed by LLM_PROVIDER value.
+ *
+ * @type {Object<string, Function>}
+ * @constant {Object<string, Function>}
+ * @memberof module:providers
+ * @since 1.1.0
+ */
+const factories = {
+  ollama: () => createOllamaProvider({ host: OLLAMA_HOST }),
+  openai: () => createOpenAIProvider({ baseUrl: OPENAI_BASE_URL, apiKey: OPENAI_API_KEY }),
+  mock: () => createMockProvider({ models: ALLOWED_MODELS })
+}
+
+/**
+ * The provider in use, created on first access.
+ *
+ * @type {Object|undefined}
+ * @memberof module:providers
+ * @since 1.1.0
+ */
+let provider
+
+/**
+ * Returns the configured provider, creating it on first use.
+ *
+ * @function getProvider
+ * @returns {Object} The provider selected by LLM_PROVIDER
+ * @throws {Error} If LLM_PROVIDER names an unknown provider
+ * @memberof module:providers
+ * @since 1.1.0
+ *
+ * @example
+ * const res = await getProvider().chat({ model, messages, options })
+ */
+export const getProvider = () => {
+  if (!provider) {
+    const factory = factories[LLM_PROVIDER]
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${LLM_PROVIDER}`)
+    }
+    provider = factory()
+  }
+  return provider
+}
+
+/**
+ * Replaces the provider in use.
+ * Intended for tests; passing nothing restores the configured provider.
+ *
+ * @function setProvider
+ * @param {Object} [instance] - An object implementing the provider interface
+ * @returns {void}
+ * @memberof module:providers
+ * @since 1.1.0
+ *
+ * @example
+ * setProvider(createMockProvider({ reply: () => 'Hola' }))
+ */
+export const setProvider = (instance) => {
+  provider = instance
+}
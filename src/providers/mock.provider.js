@@ -0,0 +1,184 @@
+/**
+ * Mock provider.
+ * Deterministic, in-process implementation of the LLM provider interface.
+ * It never touches the network, so tests and local development can exercise
+ * the whole chat pipeline without an Ollama daemon or GPU.
+ *
+ * Deterministic Behavior:
+ * - chat: answers with `reply(request)`, by default an echo of the last user message
+ * - stream: splits the same answer into word chunks
+ * - listModels: returns the configured model names
+ * - embed: hashes words into a fixed-size, L2-normalized bag-of-words vector,
+ *   so identical texts get identical vectors and shared words raise similarity
+ * - token counts: number of whitespace-separated words
+ * - cancellation: an aborted signal rejects chat, and stream between chunks,
+ *   with the abort reason
+ *
+ * @file
+ * @module providers/mock
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ./index.js} Provider interface
+ */
+
+/**
+ * Counts tokens the way the mock provider reports them: one per word.
+ *
+ * @function countTokens
+ * @param {string} text - The text to count
+ * @returns {number} The number of whitespace-separated words
+ * @memberof module:providers/mock
+ * @since 1.1.0
+ */
+const countTokens = (text = '') => text.split(/\s+/).filter(Boolean).length
+
+/**
+ * Hashes a string with 32-bit FNV-1a.
+ *
+ * @function hash
+ * @param {string} text - The text to hash
+ * @returns {number} An unsigned 32-bit hash
+ * @memberof module:providers/mock
+ * @since 1.1.0
+ */
+const hash = (text) => {
+  let value = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i)
+    value = Math.imul(value, 0x01000193)
+  }
+  return value >>> 0
+}
+
+/**
+ * Builds a deterministic embedding for a text.
+ *
+ * @function embedText
+ * @param {string} text - The text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {number[]} An L2-normalized vector
+ * @memberof module:providers/mock
+ * @since 1.1.0
+ */
+const embedText = (text, dimensions) => {
+  const vector = new Array(dimensions).fill(0)
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []) {
+    vector[hash(word) % dimensions] += 1
+  }
+  const norm = Math.hypot(...vector) || 1
+  return vector.map((value) => value / norm)
+}
+
+/**
+ * Default reply: echoes the last user message.
+ *
+ * @function echo
+ * @param {Object} request - Provider chat request
+ * @returns {string} The mock answer
+ * @memberof module:providers/mock
+ * @since 1.1.0
+ */
+const echo = ({ messages }) => {
+  const last = [...messages].reverse().find(({ role }) => role === 'user')
+  return `Mock response to: ${last?.content ?? ''}`
+}
+
+/**
+ * Creates a deterministic mock provider.
+ *
+ * @function createMockProvider
+ * @param {Object} [config] - Provider configuration
+ * @param {Function} [config.reply] - Computes the answer from the chat request and
+ *   `{ signal }`; may return a string or a partial message (e.g. `{ content, tool_calls }`)
+ * @param {string[]} [config.models=['mock']] - Model names reported by listModels
+ * @param {number} [config.dimensions=16] - Embedding vector size
+ * @returns {Object} An object implementing the provider interface
+ * @memberof module:providers/mock
+ * @since 1.1.0
+ *
+ * @example
+ * const provider = createMockProvider({ reply: () => 'Hola' })
+ * const res = await provider.chat({ model: 'qwen3:0.6b', messages })
+ * // res.message.content === 'Hola'
+ */
+export const createMockProvider = ({ reply = echo, models = ['mock'], dimensions = 16 } = {}) => {
+  /**
+   * Computes the assistant message for a request.
+   *
+   * @param {Object} request - Provider chat request
+   * @param {AbortSignal} [signal] - Aborts the call
+   * @returns {Promise<Object>} The assistant message
+   */
+  const answer = async (request, signal) => {
+    const result = await reply(request, { signal })
+    signal?.throwIfAborted()
+    return typeof result === 'string'
+      ? { role: 'assistant', content: result }
+      : { role: 'assistant', content: '', ...result }
+  }
+
+  /**
+   * Builds the metadata of a finished mock response.
+   *
+   * @param {Object} request - Provider chat request
+   * @param {string} content - The generated content
+   * @returns {Object} Ollama-style response metadata
+   */
+  const metadata = (request, content) => ({
+    model: request.model,
+    created_at: new Date(0),
+    done: true,
+    done_reason: 'stop',
+    total_duration: 0,
+    load_duration: 0,
+    prompt_eval_count: request.messages.reduce((total, { content }) => total + countTokens(content), 0),
+    eval_count: countTokens(content),
+    eval_duration: 0
+  })
+
+  return {
+    name: 'mock',
+
+    chat: async (request, { signal } = {}) => {
+      const message = await answer(request, signal)
+      return { ...metadata(request, message.content), message }
+    },
+
+    stream: async (request, { signal } = {}) => {
+      const message = await answer(request, signal)
+      const words = message.content.match(/\S+\s*/g) ?? []
+      return (async function * () {
+        for (const word of words) {
+          signal?.throwIfAborted()
+          yield {
+            model: request.model,
+            created_at: new Date(0),
+            message: { role: 'assistant', content: word },
+            done: false
+          }
+        }
+        yield {
+          ...metadata(request, message.content),
+          message: { ...message, content: '' }
+        }
+      })()
+    },
+
+    listModels: async () => models.map((name) => ({
+      name,
+      size: 0,
+      family: 'mock'
+    })),
+
+    embed: async ({ model, input }) => {
+      const texts = Array.isArray(input) ? input : [input]
+      return {
+        model,
+        embeddings: texts.map((text) => embedText(text, dimensions)),
+        promptEvalCount: texts.reduce((total, text) => total + countTokens(text), 0)
+      }
+    }
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Ollama provider.
+ * Implements the LLM provider interface on top of the Ollama Node.js client.
+ * Ollama's own request and response formats are the reference format of the
+ * provider interface, so this adapter mostly forwards calls unchanged.
+ *
+ * Provider Capabilities:
+ * 1. chat: Single chat completion
+ * 2. stream: Streaming chat completion
+ * 3. listModels: Installed models
+ * 4. embed: Vector embeddings
+ *
+ * Cancellation:
+ * The Ollama client accepts no AbortSignal, so chat calls given a signal use
+ * a client of their own whose fetch carries it; aborting the signal closes
+ * the connection and Ollama stops generating.
+ *
+ * @file
+ * @module providers/ollama
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://www.npmjs.com/package/ollama} Ollama Node.js Client
+ * @see {@link ./index.js} Provider interface
+ */
+
+import { Ollama } from 'ollama'
+
+/**
+ * Wraps a fetch implementation so that every request it sends also aborts
+ * with the given signal.
+ *
+ * @function withSignal
+ * @param {Function} fetch - Fetch implementation
+ * @param {AbortSignal} signal - Signal to add to every request
+ * @returns {Function} The wrapped fetch
+ * @memberof module:providers/ollama
+ * @since 1.1.0
+ */
+const withSignal = (fetch, signal) => (input, init = {}) => fetch(input, {
+  ...init,
+  // Streaming calls carry the client's own signal, which must keep working
+  signal: init.signal ? AbortSignal.any([init.signal, signal]) : signal
+})
+
+/**
+ * Creates an Ollama provider bound to one Ollama server.
+ *
+ * @function createOllamaProvider
+ * @param {Object} [config] - Provider configuration
+ * @param {string} [config.host] - Ollama server URL
+ * @param {Function} [config.fetch=globalThis.fetch] - Fetch implementation (mainly for tests)
+ * @param {Ollama} [config.client] - Preconfigured Ollama client for calls without a signal (mainly for tests)
+ * @returns {Object} An object implementing the provider interface
+ * @memberof module:providers/ollama
+ * @since 1.1.0
+ *
+ * @example
+ * const provider = createOllamaProvider({ host: 'http://127.0.0.1:11434' })
+ * const res = await provider.chat({ model: 'qwen3:0.6b', messages })
+ */
+export const createOllamaProvider = ({ host, fetch = globalThis.fetch, client = new Ollama({ host, fetch }) } = {}) => {
+  const clientFor = (signal) => signal ? new Ollama({ host, fetch: withSignal(fetch, signal) }) : client
+
+  return {
+    name: 'ollama',
+
+    /**
+     * Sends a non-streaming chat request.
+     *
+     * @param {Object} request - Chat request (model, messages, options, format, tools)
+     * @param {Object} [call] - Call settings
+     * @param {AbortSignal} [call.signal] - Aborts the request
+     * @returns {Promise<Object>} The Ollama chat response
+     */
+    chat: (request, { signal } = {}) => clientFor(signal).chat({ ...request, stream: false }),
+
+    /**
+     * Opens a streaming chat request.
+     *
+     * @param {Object} request - Chat request (model, messages, options, format, tools)
+     * @param {Object} [call] - Call settings
+     * @param {AbortSignal} [call.signal] - Aborts the request, including a stream being read
+     * @returns {Promise<AsyncIterable<Object>>} Iterable of Ollama chat chunks
+     */
+    stream: (request, { signal } = {}) => clientFor(signal).chat({ ...request, stream: true }),
+
+    /**
+     * Lists the models installed in the Ollama server.
+     *
+     * @returns {Promise<Array<Object>>} Models with name, size, family, parameterSize and quantizationLevel
+     */
+    listModels: async () => {
+      const { models } = await client.list()
+      return models.map((entry) => ({
+        name: entry.name,
+        size: entry.size,
+        family: entry.details?.family,
+        parameterSize: entry.details?.parameter_size,
+        quantizationLevel: entry.details?.quantization_level
+      }))
+    },
+
+    /**
+     * Computes embeddings for one or many texts.
+     *
+     * @param {Object} request - Embedding request
+     * @param {string} request.model - Embedding model
+     * @param {string|string[]} request.input - Text or texts to embed
+     * @returns {Promise<{ model: string, embeddings: number[][], promptEvalCount: number }>} The vectors
+     */
+    embed: async ({ model, input }) => {
+      const res = await client.embed({ model, input })
+      return {
+        model: res.model,
+        embeddings: res.embeddings,
+        promptEvalCount: res.prompt_eval_count
+      }
+    }
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * OpenAI-compatible provider.
+ * Implements the LLM provider interface against any HTTP API that follows the
+ * OpenAI wire format (OpenAI, vLLM, LM Studio, llama.cpp server...).
+ * Requests are translated from the Ollama-style provider format and responses
+ * are translated back, so the rest of the backend never sees the difference.
+ *
+ * Translation Rules:
+ * - options.temperature, top_p, seed, stop: forwarded as-is
+ * - options.num_predict: forwarded as `max_tokens`
+ * - Options without an OpenAI equivalent (num_ctx, top_k...) are dropped
+ * - format 'json': `response_format: { type: 'json_object' }`
+ * - format JSON Schema: `response_format: { type: 'json_schema' }`
+ * - tools: forwarded as-is (both APIs use the `{ type: 'function', function }` shape)
+ * - tool_calls: JSON string arguments are parsed into objects, and `tool` messages
+ *   get the `tool_call_id` of the call they answer
+ * - images: user messages with base64 `images` become text and `image_url` parts
+ * - usage.prompt_tokens / completion_tokens: prompt_eval_count / eval_count
+ *
+ * Error Handling:
+ * - Non-2xx responses throw a `ResponseError` with `status_code`, like the Ollama client
+ * - Connection failures keep the `fetch` error and its `cause.code` (e.g. ECONNREFUSED)
+ *
+ * @file
+ * @module providers/openai
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://platform.openai.com/docs/api-reference/chat} OpenAI Chat API
+ * @see {@link ./index.js} Provider interface
+ */
+
+/**
+ * Generation options forwarded to the OpenAI API, keyed by their Ollama name.
+ *
+ * @type {Object<string, string>}
+ * @constant {Object<string, string>}
+ * @memberof module:providers/openai
+ * @since 1.1.0
+ */
+const OPTION_NAMES = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  seed: 'seed',
+  stop: 'stop',
+  num_predict: 'max_tokens'
+}
+
+/**
+ * Base64 prefixes of the image signatures, keyed by image type.
+ * OpenAI image parts are data URLs, which need the type Ollama does not send.
+ *
+ * @type {Object<string, string>}
+ * @constant {Object<string, string>}
+ * @memberof module:providers/openai
+ * @since 1.1.0
+ */
+const IMAGE_SIGNATURES = {
+  'image/png': 'iVBORw0KGgo',
+  'image/jpeg': '/9j/',
+  'image/webp': 'UklGR'
+}
+
+/**
+ * Turns a base64 image into an OpenAI `image_url` content part.
+ *
+ * @function toImagePart
+ * @param {string} image - The base64 image
+ * @returns {Object} The content part, with the image as a data URL
+ * @memberof module:providers/openai
+ * @since 1.1.0
+ */
+const toImagePart = (image) => {
+  const [type] = Object.entries(IMAGE_SIGNATURES).find(([, signature]) => image.startsWith(signature)) ?? ['application/octet-stream']
+  return { type: 'image_url', image_url: { url: `data:${type};base64,${image}` } }
+}
+
+/**
+ * Translates an Ollama `format` value into an OpenAI `response_format`.
+ *
+ * @function toResponseFormat
+ * @param {string|Object} [format] - 'json' or a JSON Schema
+ * @returns {Object|undefined} The OpenAI response format
+ * @memberof module:providers/openai
+ * @since 1.1.0
+ */
+const toResponseFormat = (format) => {
+  if (!format) return undefined
+  if (format === 'json') return { type: 'json_object' }
+  return { type: 'json_schema', json_schema: { name: 'response', schema: format } }
+}
+
+/**
+ * Translates Ollama-style messages into OpenAI messages.
+ * OpenAI links each `tool` message to the call it answers through
+ * `tool_call_id`, while Ollama relies on their order; ids are taken from the
+ * calls when present and generated otherwise.
+ *
+ * @function toMessages
+ * @param {Array<Object>} messages - Ollama-style messages
+ * @returns {Array<Object>} OpenAI messages
+ * @memberof module:providers/openai
+ * @since 1.1.0
+ */
+const toMessages = (messages) => {
+  let pending = []
+  return messages.map(({ role, content, images, tool_calls: toolCalls }, index) => {
+    if (toolCalls?.length) {
+      const calls = toolCalls.map((call, position) => ({
+        id: call.id ?? `call_${index}_${position}`,
+        type: 'function',
+        function: {
+          name: call.function.name,
+          arguments: JSON.stringify(call.function.arguments ?? {})
+        }
+      }))
+      pending = calls.map(({ id }) => id)
+      return { role, content: content || null, tool_calls: calls }
+    }
+    if (role === 'tool') {
+      return { role, content, tool_call_id: pending.shift() }
+    }
+    if (images?.length) {
+      return { role, content: [{ type: 'text', text: content }, ...images.map(toImagePart)] }
+    }
+    return { role, content }
+  })
+}
+
+/**
+ * Builds the body of an OpenAI chat completion request.
+ *
+ * @function toRequestBody
+ * @param {Object} request - Provider chat request
+ * @param {boolean} stream - Whether to request a streamed response
+ * @returns {Object} The OpenAI request body
+ * @memberof module:providers/openai
+ * @since 1.1.0
+ */
+const toRequestBody = ({ model, messages, options = {}, format, tools }, stream) => {
+  const body = {
+    model,
+    messages: toMessages(messages),
+    stream
+  }
+  for (const [name, openAIName] of Object.entries(OPTION_NAMES)) {
+    if (options[name] !== undefined) body[openAIName] = options[name]
+  }
+  const responseFormat = toResponseFormat(format)
+  if (responseFormat) body.response_format = responseFormat
+  if (tools?.length) body.tools = tools
+  if (stream) body.stream_options = { include_usage: true }
+  return body
+}
+
+/**
+ * Parses the JSON arguments of an OpenAI tool call.
+ * Malformed JSON is returned unchanged so the tool's argument validation
+ * can report it to the model instead of failing the whole request.
+ *
+ * @function parseArguments
+ * @param {string} [args] - The JSON-encoded arguments
+ * @returns {Object|string} The parsed arguments, or the raw string if it is not valid JSON
+ * @memberof module:providers/openai
+ * @since 1.1.0
+ */
+const parseArguments = (args) => {
+  try {
+    return JSON.parse(args || '{}')
+  } catch {
+    return args
+  }
+}
+
+/**
+ * Translates an OpenAI chat completion into the Ollama chat response format.
+ *
+ * @function toChatResponse
+ * @param {Object} data - The OpenAI chat completion
+ * @returns {Object} The equivalent Ollama chat response
+ * @memberof module:providers/openai
+ * @since 1.1.0
+ */
+const toChatResponse = (data) => {
+  const choice = data.choices?.[0] ?? {}
+  return {
+    model: data.model,
+    created_at: data.created ? new Date(data.created * 1000) : new Date(),
+    message: {
+      role: 'assistant',
+      content: choice.message?.content ?? '',
+      ...(choice.message?.tool_calls?.length
+        ? {
+            tool_calls: choice.message.tool_calls.map((call) => ({
+              id: call.id,
+              function: {
+                name: call.function.name,
+                arguments: parseArguments(call.function.arguments)
+              }
+            }))
+          }
+        : {})
+    },
+    done: true,
+    done_reason: choice.finish_reason,
+    prompt_eval_count: data.usage?.prompt_tokens,
+    eval_count: data.usage?.completion_tokens
+  }
+}
+
+/**
+ * Parses a Server-Sent Events body into JSON events.
+ * Stops at the `[DONE]` sentinel sent by OpenAI-compatible servers.
+ *
+ * @async
+ * @generator
+ * @function parseEvents
+ * @param {ReadableStream<Uint8Array>} body - The response body
+ * @yields {Object} Each parsed `data:` payload
+ * @memberof module:providers/openai
+ * @since 1.1.0
+ */
+const parseEvents = async function * (body) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true })
+    let newline
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim()
+      buffer = buffer.slice(newline + 1)
+      if (!line.startsWith('data:')) continue
+      const data = line.slice(5).trim()
+      if (data === '[DONE]') return
+      yield JSON.parse(data)
+    }
+  }
+}
+
+/**
+ * Creates a provider for an OpenAI-compatible HTTP API.
+ *
+ * @function createOpenAIProvider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.baseUrl - API base URL including the version prefix (e.g. '/v1')
+ * @param {string} [config.apiKey] - Bearer token, if the API requires one
+ * @param {Function} [config.fetch=globalThis.fetch] - Fetch implementation (mainly for tests)
+ * @returns {Object} An object implementing the provider interface
+ * @memberof module:providers/openai
+ * @since 1.1.0
+ *
+ * @example
+ * const provider = createOpenAIProvider({ baseUrl: 'http://127.0.0.1:8000/v1' })
+ * const res = await provider.chat({ model: 'qwen3-0.6b', messages })
+ */
+export const createOpenAIProvider = ({ baseUrl, apiKey, fetch = globalThis.fetch }) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+  }
+
+  /**
+   * Performs an HTTP call against the API and checks the status code.
+   *
+   * @param {string} path - Path relative to the base URL
+   * @param {Object} [body] - JSON body; a GET request is sent when omitted
+   * @param {AbortSignal} [signal] - Aborts the request, including reading its body
+   * @returns {Promise<Response>} The successful response
+   * @throws {Error} ResponseError with `status_code` for non-2xx responses
+   */
+  const call = async (path, body, signal) => {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal
+    })
+    if (!response.ok) {
+      const detail = await response.json().catch(() => ({}))
+      const error = new Error(detail.error?.message || `${response.status} ${response.statusText}`)
+      error.name = 'ResponseError'
+      error.status_code = response.status
+      throw error
+    }
+    return response
+  }
+
+  return {
+    name: 'openai',
+
+    chat: async (request, { signal } = {}) => {
+      const response = await call('/chat/completions', toRequestBody(request, false), signal)
+      return toChatResponse(await response.json())
+    },
+
+    stream: async (request, { signal } = {}) => {
+      const response = await call('/chat/completions', toRequestBody(request, true), signal)
+
+      return (async function * () {
+        let model = request.model
+        let doneReason
+        let usage
+        for await (const event of parseEvents(response.body)) {
+          model = event.model ?? model
+          usage = event.usage ?? usage
+          const choice = event.choices?.[0]
+          doneReason = choice?.finish_reason ?? doneReason
+          const content = choice?.delta?.content
+          if (content) {
+            yield { model, created_at: new Date(), message: { role: 'assistant', content }, done: false }
+          }
+        }
+        yield {
+          model,
+          created_at: new Date(),
+          message: { role: 'assistant', content: '' },
+          done: true,
+          done_reason: doneReason,
+          prompt_eval_count: usage?.prompt_tokens,
+          eval_count: usage?.completion_tokens
+        }
+      })()
+    },
+
+    listModels: async () => {
+      const response = await call('/models')
+      const { data = [] } = await response.json()
+      return data.map((entry) => ({
+        name: entry.id,
+        family: entry.owned_by
+      }))
+    },
+
+    embed: async ({ model, input }) => {
+      const response = await call('/embeddings', { model, input })
+      const data = await response.json()
+      return {
+        model: data.model ?? model,
+        embeddings: [...data.data]
+          .sort((a, b) => a.index - b.index)
+          .map((entry) => entry.embedding),
+        promptEvalCount: data.usage?.prompt_tokens
+      }
+    }
+  }
+}
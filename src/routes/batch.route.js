@@ -0,0 +1,150 @@
+/**
+ * Batch routes.
+ * Answers many prompts with shared settings in one request.
+ *
+ * API Endpoints:
+ * - POST /batch : Answer a batch of prompts (JSON or NDJSON)
+ *
+ * Middleware Chain:
+ * 1. Body parsers with a limit sized for BATCH_MAX_ITEMS prompts (applied at application level)
+ * 2. Rate limiting (applied at application level); a batch counts as one request
+ * 3. Controller function
+ *
+ * @file
+ * @module routes/batch
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import express, { Router } from 'express'
+import { run, NDJSON_TYPE } from '../controller/batch.controller.js'
+import { BATCH_MAX_ITEMS } from '../config/env.js'
+
+/**
+ * Body size limit of POST /batch, in bytes: up to 16 KB per prompt (4096
+ * characters, JSON-escaped) on top of the default 100 KB of the settings.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:routes/batch
+ * @since 1.1.0
+ */
+const BATCH_BODY_LIMIT = BATCH_MAX_ITEMS * 16 * 1024 + 100 * 1024
+
+/**
+ * Body parsers of POST /batch, JSON and NDJSON, limited to BATCH_BODY_LIMIT.
+ * Must be registered before the application-wide JSON parser.
+ *
+ * @type {Function[]}
+ * @constant {Function[]}
+ * @memberof module:routes/batch
+ * @since 1.1.0
+ *
+ * @example
+ * app.post('/batch', batchBodyParser)
+ * app.use(express.json())
+ */
+export const batchBodyParser = [
+  express.json({ limit: BATCH_BODY_LIMIT }),
+  express.text({ type: NDJSON_TYPE, limit: BATCH_BODY_LIMIT })
+]
+
+/**
+ * Express router for batch requests.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/batch
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Answers a batch of prompts.
+ *
+ * @name post_batch
+ * @route {POST} /batch
+ * @memberof module:routes/batch
+ * @since 1.1.0
+ *
+ * @swagger
+ * /batch:
+ *   post:
+ *     summary: Answer a batch of prompts
+ *     description: >
+ *       Answers up to BATCH_MAX_ITEMS prompts with shared settings, BATCH_CONCURRENCY at a
+ *       time. Each prompt is validated and screened on its own, as POST / would, and
+ *       failures are reported per item: the response is a 200 as long as the shared
+ *       settings are valid. Each prompt may take up to REQUEST_TIMEOUT_MS and the whole
+ *       batch up to BATCH_TIMEOUT_MS; prompts still pending then fail with a 504.
+ *       The batch counts as one request for the rate limit.
+ *     parameters:
+ *       - in: header
+ *         name: X-Priority
+ *         schema:
+ *           type: string
+ *           enum: [high, normal, low]
+ *         description: Requested priority lane; `low` keeps bulk work from delaying interactive requests
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchRequest'
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             description: >
+ *               One item per line (a prompt string or `{ id, prompt }`). The first line may
+ *               hold the shared settings as `{ "settings": { model, options, ... } }`.
+ *             example: "{\"settings\":{\"options\":{\"temperature\":0}}}\n{\"id\":1,\"prompt\":\"Clasifica: no arranca\"}\n"
+ *     responses:
+ *       200:
+ *         description: >
+ *           The result of every prompt. Sent as NDJSON when the Accept header prefers it,
+ *           and by default for NDJSON requests: one result per line as soon as it is ready,
+ *           then a final `{ done: true, total, succeeded, failed }` line. A stream that breaks off
+ *           ends with an `{ error: { status, message } }` line instead.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 succeeded:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BatchResult'
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid shared settings, no items or more than BATCH_MAX_ITEMS
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: The persona does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: The body exceeds the limit of POST /batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', run)
+
+export default router
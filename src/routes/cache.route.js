@@ -0,0 +1,317 @@
+/**
+ * Cache routes.
+ * Administration of the response cache.
+ *
+ * API Endpoints:
+ * - GET /cache : List cached responses
+ * - DELETE /cache : Purge the cache
+ * - GET /cache/metrics : Hit rates and reported false positives
+ * - POST /cache/false-positives : Report a wrong semantic match
+ * - GET /cache/:key : Fetch a cached response
+ * - DELETE /cache/:key : Delete a cached response
+ *
+ * Purging the cache and deleting entries requires an admin API key
+ * (see middleware/admin).
+ *
+ * @file
+ * @module routes/cache
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import { Router } from 'express'
+import { list, get, remove, purge, metrics, falsePositive } from '../controller/cache.controller.js'
+import requireAdmin from '../middleware/admin.js'
+
+/**
+ * Express router for the response cache.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/cache
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Lists the cached responses.
+ *
+ * @name get_cache
+ * @route {GET} /cache
+ * @memberof module:routes/cache
+ * @since 1.1.0
+ *
+ * @swagger
+ * /cache:
+ *   get:
+ *     summary: List cached responses
+ *     description: Returns the live cache entries without their responses, most recent first
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: A page of cache entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 backend:
+ *                   type: string
+ *                   enum: [memory, mongo, none]
+ *                 ttlSeconds:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CacheEntry'
+ */
+router.get('/', list)
+
+/**
+ * Purges the cache.
+ *
+ * @name delete_cache
+ * @route {DELETE} /cache
+ * @memberof module:routes/cache
+ * @since 1.1.0
+ *
+ * @swagger
+ * /cache:
+ *   delete:
+ *     summary: Purge the response cache
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Number of entries removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/AdminKeyRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminKeyForbidden'
+ */
+router.delete('/', requireAdmin, purge)
+
+/**
+ * Summarizes the cache effectiveness.
+ * Registered before /:key so "metrics" is not taken for a key.
+ *
+ * @name get_cache_metrics
+ * @route {GET} /cache/metrics
+ * @memberof module:routes/cache
+ * @since 1.1.0
+ *
+ * @swagger
+ * /cache/metrics:
+ *   get:
+ *     summary: Response cache metrics
+ *     description: Hit rates, semantic hits and reported false positives, overall and per model, computed from the audit log
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: The cache metrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 semantic:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     threshold:
+ *                       type: number
+ *                 totals:
+ *                   $ref: '#/components/schemas/CacheMetrics'
+ *                 models:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           model:
+ *                             type: string
+ *                       - $ref: '#/components/schemas/CacheMetrics'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/metrics', metrics)
+
+/**
+ * Reports a wrong semantic match.
+ *
+ * @name post_cache_false_positive
+ * @route {POST} /cache/false-positives
+ * @memberof module:routes/cache
+ * @since 1.1.0
+ *
+ * @swagger
+ * /cache/false-positives:
+ *   post:
+ *     summary: Report a semantic cache false positive
+ *     description: Flags a request answered by a semantic cache match as a wrong answer; the report is counted in the metrics
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [requestId]
+ *             properties:
+ *               requestId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The X-Request-ID of the wrongly answered request
+ *     responses:
+ *       200:
+ *         description: The reported match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 requestId:
+ *                   type: string
+ *                 kind:
+ *                   type: string
+ *                   enum: [semantic]
+ *                 key:
+ *                   type: string
+ *                 similarity:
+ *                   type: number
+ *                 falsePositive:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid request ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: The request was not answered by a semantic match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/false-positives', falsePositive)
+
+/**
+ * Fetches a cached response.
+ *
+ * @name get_cache_entry
+ * @route {GET} /cache/:key
+ * @memberof module:routes/cache
+ * @since 1.1.0
+ *
+ * @swagger
+ * /cache/{key}:
+ *   get:
+ *     summary: Fetch a cached response
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The cache entry with its response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CacheEntry'
+ *                 - type: object
+ *                   properties:
+ *                     response:
+ *                       type: object
+ *       404:
+ *         description: Cache entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:key', get)
+
+/**
+ * Deletes a cached response.
+ *
+ * @name delete_cache_entry
+ * @route {DELETE} /cache/:key
+ * @memberof module:routes/cache
+ * @since 1.1.0
+ *
+ * @swagger
+ * /cache/{key}:
+ *   delete:
+ *     summary: Delete a cached response
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       204:
+ *         description: Cache entry deleted
+ *       401:
+ *         $ref: '#/components/responses/AdminKeyRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminKeyForbidden'
+ *       404:
+ *         description: Cache entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:key', requireAdmin, remove)
+
+export default router
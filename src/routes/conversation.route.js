@@ -0,0 +1,189 @@
+/**
+ * Conversation routes.
+ * Maps the conversation management endpoints to their controller functions
+ * and documents them through OpenAPI (Swagger) annotations.
+ *
+ * API Endpoints:
+ * - POST /conversations : Create a conversation
+ * - GET /conversations : List conversations
+ * - GET /conversations/:id : Fetch a conversation with its history
+ * - DELETE /conversations/:id : Delete a conversation
+ *
+ * Middleware Chain:
+ * 1. Rate limiting (applied at application level)
+ * 2. Controller function
+ *
+ * @file
+ * @module routes/conversation
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import { Router } from 'express'
+import { create, list, get, remove } from '../controller/conversation.controller.js'
+
+/**
+ * Express router for conversation management.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/conversation
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Creates a new, empty conversation.
+ *
+ * @name post_conversation
+ * @route {POST} /conversations
+ * @memberof module:routes/conversation
+ * @since 1.1.0
+ *
+ * @swagger
+ * /conversations:
+ *   post:
+ *     summary: Create a conversation
+ *     description: Creates an empty conversation whose ID can be sent as `conversationId` on POST /
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Soporte técnico
+ *     responses:
+ *       201:
+ *         description: The created conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         description: Invalid request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', create)
+
+/**
+ * Lists conversations, most recently updated first.
+ *
+ * @name get_conversations
+ * @route {GET} /conversations
+ * @memberof module:routes/conversation
+ * @since 1.1.0
+ *
+ * @swagger
+ * /conversations:
+ *   get:
+ *     summary: List conversations
+ *     description: Returns conversations without their message histories, most recently updated first
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: A page of conversations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 conversations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Conversation'
+ */
+router.get('/', list)
+
+/**
+ * Fetches a conversation with its full message history.
+ *
+ * @name get_conversation
+ * @route {GET} /conversations/:id
+ * @memberof module:routes/conversation
+ * @since 1.1.0
+ *
+ * @swagger
+ * /conversations/{id}:
+ *   get:
+ *     summary: Fetch a conversation
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The conversation and its messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ *       404:
+ *         description: Conversation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', get)
+
+/**
+ * Deletes a conversation.
+ *
+ * @name delete_conversation
+ * @route {DELETE} /conversations/:id
+ * @memberof module:routes/conversation
+ * @since 1.1.0
+ *
+ * @swagger
+ * /conversations/{id}:
+ *   delete:
+ *     summary: Delete a conversation
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Conversation deleted
+ *       404:
+ *         description: Conversation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:id', remove)
+
+export default router
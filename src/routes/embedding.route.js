@@ -0,0 +1,71 @@
+/**
+ * Embedding routes.
+ * Exposes vector embeddings computed by the configured embedding model.
+ *
+ * API Endpoints:
+ * - POST /embeddings : Embed one or many texts
+ *
+ * @file
+ * @module routes/embedding
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import { Router } from 'express'
+import { embed } from '../controller/embedding.controller.js'
+
+/**
+ * Express router for embeddings.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/embedding
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Computes embeddings.
+ *
+ * @name post_embeddings
+ * @route {POST} /embeddings
+ * @memberof module:routes/embedding
+ * @since 1.1.0
+ *
+ * @swagger
+ * /embeddings:
+ *   post:
+ *     summary: Compute vector embeddings
+ *     description: Embeds one or many texts with the configured embedding model (OLLAMA_EMBEDDING_MODEL)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmbeddingRequest'
+ *     responses:
+ *       200:
+ *         description: The vectors, in the order of the input texts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmbeddingResponse'
+ *       400:
+ *         description: Invalid request due to bad input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Service unavailable, typically when Ollama is not running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', embed)
+
+export default router
@@ -0,0 +1,59 @@
+/**
+ * Health routes.
+ * Exposes the health of this backend instance.
+ *
+ * API Endpoints:
+ * - GET /health : Health status and circuit breaker state of each model
+ *
+ * @file
+ * @module routes/health
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import { Router } from 'express'
+import { health } from '../controller/health.controller.js'
+
+/**
+ * Express router for the health check.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/health
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Returns the health of the instance.
+ *
+ * @name get_health
+ * @route {GET} /health
+ * @memberof module:routes/health
+ * @since 1.1.0
+ *
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Health check
+ *     description: Health of this instance, derived from the circuit breakers that guard the calls to each model
+ *     responses:
+ *       200:
+ *         description: The models are reachable, or some of them are failing or being probed after an outage (`degraded`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ *       503:
+ *         description: Every model circuit is open; chat requests fail fast until a model recovers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ */
+router.get('/', health)
+
+export default router
@@ -0,0 +1,173 @@
+/**
+ * Job routes.
+ * Answers prompts in the background, for generations that outlast the
+ * load balancer timeout.
+ *
+ * API Endpoints:
+ * - POST /jobs : Queue a prompt
+ * - GET /jobs/:id : Follow a job and read its result
+ * - DELETE /jobs/:id : Cancel a job
+ *
+ * Middleware Chain:
+ * 1. RabbitMQ channel (applied at application level)
+ * 2. Rate limiting (applied at application level)
+ * 3. Controller function
+ *
+ * @file
+ * @module routes/job
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import { Router } from 'express'
+import { create, get, cancel } from '../controller/job.controller.js'
+
+/**
+ * Express router for chat jobs.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/job
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Queues a prompt to be answered in the background.
+ *
+ * @name post_jobs
+ * @route {POST} /jobs
+ * @memberof module:routes/job
+ * @since 1.1.0
+ *
+ * @swagger
+ * /jobs:
+ *   post:
+ *     summary: Answer a prompt in the background
+ *     description: >
+ *       Queues the prompt on the RabbitMQ job queue and answers right away with the job.
+ *       The prompt is validated and screened as POST / would; the persona and the generation
+ *       defaults are applied when the job is queued. A worker answers it, for up to
+ *       JOB_TIMEOUT_MS, and stores the result on the job.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChatJobRequest'
+ *     responses:
+ *       202:
+ *         description: Job queued; its status and result are available at the Location URL
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid prompt or settings, or forbidden content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: The persona does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: The job queue is not available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', create)
+
+/**
+ * Reports the status, result and timing of a job.
+ *
+ * @name get_job
+ * @route {GET} /jobs/:id
+ * @memberof module:routes/job
+ * @since 1.1.0
+ *
+ * @swagger
+ * /jobs/{id}:
+ *   get:
+ *     summary: Follow a job
+ *     description: >
+ *       The job with its status. Completed jobs carry the answer in `result`
+ *       (`{ response, parsed?, reasoning?, model, cache, usage }`), failed ones the error message.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The job with its status, result and timing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', get)
+
+/**
+ * Cancels a job.
+ *
+ * @name delete_job
+ * @route {DELETE} /jobs/:id
+ * @memberof module:routes/job
+ * @since 1.1.0
+ *
+ * @swagger
+ * /jobs/{id}:
+ *   delete:
+ *     summary: Cancel a job
+ *     description: >
+ *       Cancels a queued or running job. A queued job is never run; a running one has its
+ *       model calls aborted. The job is kept with the `cancelled` status.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The cancelled job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The job has already completed, failed or been cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:id', cancel)
+
+export default router
@@ -0,0 +1,557 @@
+/**
+ * Knowledge base routes.
+ * Manages the documents that chat requests can be grounded in.
+ *
+ * API Endpoints:
+ * - GET /knowledge-bases : List knowledge bases
+ * - GET /knowledge-bases/:name : Summarize a knowledge base
+ * - DELETE /knowledge-bases/:name : Delete a knowledge base and its documents
+ * - POST /knowledge-bases/:name/documents : Add a document to a knowledge base
+ * - GET /knowledge-bases/:name/documents : List documents
+ * - GET /knowledge-bases/:name/documents/:id : Fetch a document with its content
+ * - PATCH /knowledge-bases/:name/documents/:id : Update the title or source of a document
+ * - DELETE /knowledge-bases/:name/documents/:id : Delete a document
+ * - GET /knowledge-bases/:name/documents/:id/chunks : List the chunks of a document
+ * - POST /knowledge-bases/:name/reembed : Queue a re-embedding job
+ * - GET /knowledge-bases/:name/jobs/:jobId : Follow a re-embedding job
+ *
+ * @file
+ * @module routes/knowledge
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import { Router } from 'express'
+import {
+  ingest,
+  list,
+  get,
+  remove,
+  listDocs,
+  getDoc,
+  updateDoc,
+  removeDoc,
+  chunks,
+  reembed,
+  job
+} from '../controller/knowledge.controller.js'
+
+/**
+ * Express router for knowledge bases.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Lists the knowledge bases.
+ *
+ * @name get_knowledge_bases
+ * @route {GET} /knowledge-bases
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ *
+ * @swagger
+ * /knowledge-bases:
+ *   get:
+ *     summary: List knowledge bases
+ *     description: Returns every knowledge base with its document and chunk counts, by name
+ *     responses:
+ *       200:
+ *         description: The knowledge bases
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 knowledgeBases:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/KnowledgeBase'
+ */
+router.get('/', list)
+
+/**
+ * Summarizes a knowledge base.
+ *
+ * @name get_knowledge_base
+ * @route {GET} /knowledge-bases/:name
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ *
+ * @swagger
+ * /knowledge-bases/{name}:
+ *   get:
+ *     summary: Summarize a knowledge base
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The knowledge base summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/KnowledgeBase'
+ *       404:
+ *         description: Knowledge base not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:name', get)
+
+/**
+ * Deletes a knowledge base.
+ *
+ * @name delete_knowledge_base
+ * @route {DELETE} /knowledge-bases/:name
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ *
+ * @swagger
+ * /knowledge-bases/{name}:
+ *   delete:
+ *     summary: Delete a knowledge base
+ *     description: Deletes every document of the knowledge base and their chunks
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Knowledge base deleted
+ *       404:
+ *         description: Knowledge base not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:name', remove)
+
+/**
+ * Adds a document to a knowledge base.
+ *
+ * @name post_knowledge_base_documents
+ * @route {POST} /knowledge-bases/:name/documents
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ *
+ * @swagger
+ * /knowledge-bases/{name}/documents:
+ *   post:
+ *     summary: Add a document to a knowledge base
+ *     description: >
+ *       Splits the document into overlapping chunks, embeds them with the configured
+ *       embedding model and stores them. The knowledge base is created by its first document.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-zA-Z0-9][\w-]{0,63}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/KnowledgeDocumentRequest'
+ *     responses:
+ *       201:
+ *         description: The stored document, without its content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/KnowledgeDocument'
+ *       400:
+ *         description: Invalid request due to bad input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Service unavailable, typically when Ollama is not running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:name/documents', ingest)
+
+/**
+ * Lists the documents of a knowledge base.
+ *
+ * @name get_knowledge_base_documents
+ * @route {GET} /knowledge-bases/:name/documents
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ *
+ * @swagger
+ * /knowledge-bases/{name}/documents:
+ *   get:
+ *     summary: List the documents of a knowledge base
+ *     description: Returns documents without their content, most recent first
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: A page of documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/KnowledgeDocument'
+ *       404:
+ *         description: Knowledge base not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:name/documents', listDocs)
+
+/**
+ * Fetches a document with its content.
+ *
+ * @name get_knowledge_base_document
+ * @route {GET} /knowledge-bases/:name/documents/:id
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ *
+ * @swagger
+ * /knowledge-bases/{name}/documents/{id}:
+ *   get:
+ *     summary: Fetch a document
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The document, including its content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/KnowledgeDocument'
+ *                 - type: object
+ *                   properties:
+ *                     content:
+ *                       type: string
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:name/documents/:id', getDoc)
+
+/**
+ * Updates the title or source of a document.
+ *
+ * @name patch_knowledge_base_document
+ * @route {PATCH} /knowledge-bases/:name/documents/:id
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ *
+ * @swagger
+ * /knowledge-bases/{name}/documents/{id}:
+ *   patch:
+ *     summary: Update a document
+ *     description: >
+ *       Changes the title or source shown in citations. To change the content,
+ *       delete the document and add the new version.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 200
+ *               source:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: The updated document, without its content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/KnowledgeDocument'
+ *       400:
+ *         description: Invalid request due to bad input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch('/:name/documents/:id', updateDoc)
+
+/**
+ * Deletes a document.
+ *
+ * @name delete_knowledge_base_document
+ * @route {DELETE} /knowledge-bases/:name/documents/:id
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ *
+ * @swagger
+ * /knowledge-bases/{name}/documents/{id}:
+ *   delete:
+ *     summary: Delete a document
+ *     description: Deletes the document and its chunks
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Document deleted
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:name/documents/:id', removeDoc)
+
+/**
+ * Lists the chunks of a document.
+ *
+ * @name get_knowledge_base_document_chunks
+ * @route {GET} /knowledge-bases/:name/documents/:id/chunks
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ *
+ * @swagger
+ * /knowledge-bases/{name}/documents/{id}/chunks:
+ *   get:
+ *     summary: List the chunks of a document
+ *     description: Returns the chunks in document order, without their vectors
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: A page of chunks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 chunks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Chunk'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:name/documents/:id/chunks', chunks)
+
+/**
+ * Queues a re-embedding job.
+ *
+ * @name post_knowledge_base_reembed
+ * @route {POST} /knowledge-bases/:name/reembed
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ *
+ * @swagger
+ * /knowledge-bases/{name}/reembed:
+ *   post:
+ *     summary: Re-embed a knowledge base
+ *     description: >
+ *       Queues a background job that re-embeds the chunks of the knowledge base, or of one
+ *       of its documents, with the current embedding model. Chunks embedded with another
+ *       model are not used for retrieval until they are re-embedded.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               documentId:
+ *                 type: string
+ *                 description: Only re-embed this document
+ *     responses:
+ *       202:
+ *         description: Job queued; its progress is available at the Location URL
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Knowledge base or document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: The job queue is not available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:name/reembed', reembed)
+
+/**
+ * Reports the progress of a re-embedding job.
+ *
+ * @name get_knowledge_base_job
+ * @route {GET} /knowledge-bases/:name/jobs/:jobId
+ * @memberof module:routes/knowledge
+ * @since 1.1.0
+ *
+ * @swagger
+ * /knowledge-bases/{name}/jobs/{jobId}:
+ *   get:
+ *     summary: Follow a re-embedding job
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The job with its status and progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:name/jobs/:jobId', job)
+
+export default router
@@ -0,0 +1,59 @@
+/**
+ * Metrics routes.
+ * Exposes the runtime metrics of this backend instance.
+ *
+ * API Endpoints:
+ * - GET /metrics : Model queue depth, counters and wait times, per priority lane,
+ *   and model fallbacks
+ *
+ * @file
+ * @module routes/metrics
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import { Router } from 'express'
+import { metrics } from '../controller/metrics.controller.js'
+
+/**
+ * Express router for the runtime metrics.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/metrics
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Returns the runtime metrics.
+ *
+ * @name get_metrics
+ * @route {GET} /metrics
+ * @memberof module:routes/metrics
+ * @since 1.1.0
+ *
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Runtime metrics
+ *     description: State of the model queue and fallbacks made by this instance; wait times cover the most recent queued calls
+ *     responses:
+ *       200:
+ *         description: The runtime metrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 queue:
+ *                   $ref: '#/components/schemas/QueueMetrics'
+ *                 fallbacks:
+ *                   $ref: '#/components/schemas/FallbackMetrics'
+ */
+router.get('/', metrics)
+
+export default router
@@ -0,0 +1,66 @@
+/**
+ * Model catalogue routes.
+ * Exposes the models installed in Ollama and whether they can be selected.
+ *
+ * API Endpoints:
+ * - GET /models : List installed models
+ *
+ * @file
+ * @module routes/model
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import { Router } from 'express'
+import { list } from '../controller/model.controller.js'
+
+/**
+ * Express router for the model catalogue.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/model
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Lists the installed models.
+ *
+ * @name get_models
+ * @route {GET} /models
+ * @memberof module:routes/model
+ * @since 1.1.0
+ *
+ * @swagger
+ * /models:
+ *   get:
+ *     summary: List available models
+ *     description: Lists the models installed in Ollama and whether each one may be selected with the `model` field of POST /
+ *     responses:
+ *       200:
+ *         description: The model catalogue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 defaultModel:
+ *                   type: string
+ *                 models:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Model'
+ *       503:
+ *         description: Service unavailable, typically when Ollama is not running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', list)
+
+export default router
@@ -69,13 +69,30 @@ const router = Router()
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ChatResponse'
+ *               oneOf:
+ *                 - type: string
+ *                   description: The answer alone, when reasoning is disabled and neither a format nor a knowledge base is used
+ *                 - $ref: '#/components/schemas/StructuredResponse'
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               description: >
+ *                 Sent when `stream` is true or the client accepts text/event-stream.
+ *                 Emits `reasoning` events (when enabled) and `token` events with `{ content }`,
+ *                 then a final `done` event with the response metadata, or an `error`
+ *                 event if generation fails.
  *       400:
  *         description: Invalid request due to bad input
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       502:
+ *         description: The model never produced JSON matching `format` / `responseSchema`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StructuredOutputError'
  *       503:
  *         description: Service unavailable, typically when Ollama is not running
  *         content:
@@ -0,0 +1,143 @@
+/**
+ * OpenAI-compatible routes.
+ * Exposes the chatbot through the OpenAI wire format under `/v1`.
+ *
+ * API Endpoints:
+ * - POST /v1/chat/completions : Chat completion (JSON or `stream: true` SSE chunks)
+ * - GET /v1/models : Selectable models
+ *
+ * Middleware Stack (mounted in app.js):
+ * 1. rateLimiter: Shared with the rest of the API
+ * 2. validateChatCompletion: Schema and forbidden-pattern checks
+ * 3. openAIErrorHandler: OpenAI error objects
+ *
+ * @file
+ * @module routes/openai
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://platform.openai.com/docs/api-reference} OpenAI API Reference
+ */
+
+import { Router } from 'express'
+import { chatCompletions, models } from '../controller/openai.controller.js'
+import { validateChatCompletion } from '../validations.js'
+import { toOpenAIError } from '../utils.js'
+
+/**
+ * Express router for the OpenAI-compatible API.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/openai
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Creates a chat completion.
+ *
+ * @name post_chat_completions
+ * @route {POST} /v1/chat/completions
+ * @memberof module:routes/openai
+ * @since 1.1.0
+ *
+ * @swagger
+ * /v1/chat/completions:
+ *   post:
+ *     summary: OpenAI-compatible chat completion
+ *     description: |
+ *       Accepts an OpenAI chat completion request. The last message must come from the user.
+ *       With `stream: true` the answer is sent as `chat.completion.chunk` events followed by `data: [DONE]`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChatCompletionRequest'
+ *     responses:
+ *       200:
+ *         description: The chat completion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChatCompletion'
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid request or forbidden content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OpenAIError'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OpenAIError'
+ *       503:
+ *         description: Service unavailable, typically when Ollama is not running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OpenAIError'
+ */
+router.post('/chat/completions', validateChatCompletion, chatCompletions)
+
+/**
+ * Lists the selectable models.
+ *
+ * @name get_v1_models
+ * @route {GET} /v1/models
+ * @memberof module:routes/openai
+ * @since 1.1.0
+ *
+ * @swagger
+ * /v1/models:
+ *   get:
+ *     summary: OpenAI-compatible model list
+ *     description: Lists the installed models that clients may request
+ *     responses:
+ *       200:
+ *         description: The model list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 object:
+ *                   type: string
+ *                   example: list
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       object:
+ *                         type: string
+ *                         example: model
+ *                       created:
+ *                         type: integer
+ *                       owned_by:
+ *                         type: string
+ */
+router.get('/models', models)
+
+/**
+ * Answers unknown `/v1` paths with an OpenAI error object instead of
+ * letting them fall through to the prompt validation of the main route.
+ *
+ * @name v1_not_found
+ * @memberof module:routes/openai
+ * @since 1.1.0
+ */
+router.use((req, res) => {
+  res.status(404).json(toOpenAIError(404, 'Ruta no encontrada'))
+})
+
+export default router
@@ -0,0 +1,264 @@
+/**
+ * Persona routes.
+ * Administration of the personas that chat requests can answer as.
+ *
+ * API Endpoints:
+ * - POST /personas : Create a persona
+ * - GET /personas : List personas
+ * - GET /personas/:name : Fetch a persona
+ * - PATCH /personas/:name : Update a persona (new version)
+ * - DELETE /personas/:name : Delete a persona
+ *
+ * Creating, updating and deleting personas requires an admin API key
+ * (see middleware/admin).
+ *
+ * @file
+ * @module routes/persona
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import { Router } from 'express'
+import { create, list, get, update, remove } from '../controller/persona.controller.js'
+import requireAdmin from '../middleware/admin.js'
+
+/**
+ * Express router for personas.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/persona
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Creates a persona.
+ *
+ * @name post_persona
+ * @route {POST} /personas
+ * @memberof module:routes/persona
+ * @since 1.1.0
+ *
+ * @swagger
+ * /personas:
+ *   post:
+ *     summary: Create a persona
+ *     description: Creates a persona, at version 1, whose name can be sent as `persona` on POST /
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PersonaRequest'
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       201:
+ *         description: The created persona
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Persona'
+ *       400:
+ *         description: Invalid request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/AdminKeyRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminKeyForbidden'
+ *       409:
+ *         description: A persona with the same name exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', requireAdmin, create)
+
+/**
+ * Lists personas.
+ *
+ * @name get_personas
+ * @route {GET} /personas
+ * @memberof module:routes/persona
+ * @since 1.1.0
+ *
+ * @swagger
+ * /personas:
+ *   get:
+ *     summary: List personas
+ *     description: Returns the personas in name order
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: A page of personas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 personas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Persona'
+ */
+router.get('/', list)
+
+/**
+ * Fetches a persona.
+ *
+ * @name get_persona
+ * @route {GET} /personas/:name
+ * @memberof module:routes/persona
+ * @since 1.1.0
+ *
+ * @swagger
+ * /personas/{name}:
+ *   get:
+ *     summary: Fetch a persona
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The persona
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Persona'
+ *       404:
+ *         description: Persona not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:name', get)
+
+/**
+ * Updates a persona.
+ *
+ * @name patch_persona
+ * @route {PATCH} /personas/:name
+ * @memberof module:routes/persona
+ * @since 1.1.0
+ *
+ * @swagger
+ * /personas/{name}:
+ *   patch:
+ *     summary: Update a persona
+ *     description: >
+ *       Changes the given fields and increments the version of the persona, which
+ *       is recorded in the audit entry of every chat request made with it.
+ *       `description`, `model`, `fallbacks` and `options` may be null to remove them. The name cannot change.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PersonaUpdate'
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: The updated persona
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Persona'
+ *       400:
+ *         description: Invalid request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/AdminKeyRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminKeyForbidden'
+ *       404:
+ *         description: Persona not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch('/:name', requireAdmin, update)
+
+/**
+ * Deletes a persona.
+ *
+ * @name delete_persona
+ * @route {DELETE} /personas/:name
+ * @memberof module:routes/persona
+ * @since 1.1.0
+ *
+ * @swagger
+ * /personas/{name}:
+ *   delete:
+ *     summary: Delete a persona
+ *     description: Chat requests naming the persona are rejected afterwards; past audit entries keep its name and version
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       204:
+ *         description: Persona deleted
+ *       401:
+ *         $ref: '#/components/responses/AdminKeyRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminKeyForbidden'
+ *       404:
+ *         description: Persona not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:name', requireAdmin, remove)
+
+export default router
@@ -0,0 +1,423 @@
+/**
+ * Prompt template routes.
+ * Manages the server-side prompt templates and runs them.
+ *
+ * API Endpoints:
+ * - POST /templates : Create a template (version 1)
+ * - GET /templates : List templates (latest versions)
+ * - GET /templates/:name : Fetch the latest version, or `?version=n`
+ * - DELETE /templates/:name : Delete a template with all its versions
+ * - GET /templates/:name/versions : List the versions of a template
+ * - POST /templates/:name/versions : Store a new version
+ * - POST /templates/:name/run : Render a template and send it to the model
+ *
+ * Creating, versioning and deleting templates requires an admin API key
+ * (see middleware/admin); running them does not.
+ *
+ * @file
+ * @module routes/template
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import { Router } from 'express'
+import { create, list, get, remove, versions, addVersion, run } from '../controller/template.controller.js'
+import requireAdmin from '../middleware/admin.js'
+
+/**
+ * Express router for prompt templates.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/template
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Creates a template.
+ *
+ * @name post_template
+ * @route {POST} /templates
+ * @memberof module:routes/template
+ * @since 1.1.0
+ *
+ * @swagger
+ * /templates:
+ *   post:
+ *     summary: Create a prompt template
+ *     description: >
+ *       Stores version 1 of a template. Every `{{variable}}` placeholder of the body
+ *       must be declared in `variables`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - type: object
+ *                 required: [name]
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     pattern: '^[a-z0-9][a-z0-9_-]{0,63}$'
+ *                     example: resumen-ticket
+ *               - $ref: '#/components/schemas/TemplateVersionRequest'
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       201:
+ *         description: The stored template
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Template'
+ *       400:
+ *         description: Invalid template, undeclared placeholder or invalid default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/AdminKeyRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminKeyForbidden'
+ *       409:
+ *         description: A template with the same name exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', requireAdmin, create)
+
+/**
+ * Lists templates.
+ *
+ * @name get_templates
+ * @route {GET} /templates
+ * @memberof module:routes/template
+ * @since 1.1.0
+ *
+ * @swagger
+ * /templates:
+ *   get:
+ *     summary: List prompt templates
+ *     description: Returns the latest version of every template, in name order
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: A page of templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Template'
+ */
+router.get('/', list)
+
+/**
+ * Fetches a template version.
+ *
+ * @name get_template
+ * @route {GET} /templates/:name
+ * @memberof module:routes/template
+ * @since 1.1.0
+ *
+ * @swagger
+ * /templates/{name}:
+ *   get:
+ *     summary: Fetch a prompt template
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: version
+ *         description: The version to fetch; the latest when omitted
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: The template version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Template'
+ *       404:
+ *         description: Template or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:name', get)
+
+/**
+ * Deletes a template.
+ *
+ * @name delete_template
+ * @route {DELETE} /templates/:name
+ * @memberof module:routes/template
+ * @since 1.1.0
+ *
+ * @swagger
+ * /templates/{name}:
+ *   delete:
+ *     summary: Delete a prompt template
+ *     description: Deletes every version of the template
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       204:
+ *         description: Template deleted
+ *       401:
+ *         $ref: '#/components/responses/AdminKeyRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminKeyForbidden'
+ *       404:
+ *         description: Template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:name', requireAdmin, remove)
+
+/**
+ * Lists the versions of a template.
+ *
+ * @name get_template_versions
+ * @route {GET} /templates/:name/versions
+ * @memberof module:routes/template
+ * @since 1.1.0
+ *
+ * @swagger
+ * /templates/{name}/versions:
+ *   get:
+ *     summary: List the versions of a prompt template
+ *     description: Returns the versions, latest first, without their bodies
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 name:
+ *                   type: string
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       version:
+ *                         type: integer
+ *                       description:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:name/versions', versions)
+
+/**
+ * Stores a new version of a template.
+ *
+ * @name post_template_version
+ * @route {POST} /templates/:name/versions
+ * @memberof module:routes/template
+ * @since 1.1.0
+ *
+ * @swagger
+ * /templates/{name}/versions:
+ *   post:
+ *     summary: Store a new version of a prompt template
+ *     description: >
+ *       Versions are immutable: changing a template stores the next version, which
+ *       runs use from then on unless they pin an earlier one.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TemplateVersionRequest'
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       201:
+ *         description: The stored version
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Template'
+ *       400:
+ *         description: Invalid template, undeclared placeholder or invalid default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/AdminKeyRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminKeyForbidden'
+ *       404:
+ *         description: Template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Another version was stored at the same time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:name/versions', requireAdmin, addVersion)
+
+/**
+ * Runs a template.
+ *
+ * @name post_template_run
+ * @route {POST} /templates/:name/run
+ * @memberof module:routes/template
+ * @since 1.1.0
+ *
+ * @swagger
+ * /templates/{name}/run:
+ *   post:
+ *     summary: Run a prompt template
+ *     description: >
+ *       Validates the variables against the declaration of the template, renders it and
+ *       sends the prompt to the model. The rendered prompt is screened with the same
+ *       forbidden patterns as POST /, and answered through the response cache.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TemplateRunRequest'
+ *     responses:
+ *       200:
+ *         description: The answer of the model
+ *         headers:
+ *           X-Cache:
+ *             schema:
+ *               type: string
+ *               enum: [HIT, MISS, BYPASS]
+ *           X-Model:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 response:
+ *                   type: string
+ *                 template:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     version:
+ *                       type: integer
+ *                 reasoning:
+ *                   type: string
+ *       400:
+ *         description: Invalid variables, or the rendered prompt is too long or contains forbidden patterns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Template, version or persona not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Service unavailable, when Ollama is not running, the model queue is full or the model circuit is open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       504:
+ *         description: The model did not answer within REQUEST_TIMEOUT_MS
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:name/run', run)
+
+export default router
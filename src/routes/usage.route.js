@@ -0,0 +1,91 @@
+/**
+ * Usage routes.
+ * Exposes the model consumption recorded for chat requests.
+ *
+ * API Endpoints:
+ * - GET /usage : Usage summary by day, model and user
+ *
+ * @file
+ * @module routes/usage
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://expressjs.com/en/guide/routing.html} Express Routing
+ */
+
+import { Router } from 'express'
+import { summary } from '../controller/usage.controller.js'
+
+/**
+ * Express router for the usage summary.
+ *
+ * @type {express.Router}
+ * @constant {express.Router}
+ * @memberof module:routes/usage
+ * @since 1.1.0
+ */
+const router = Router()
+
+/**
+ * Summarizes the recorded usage.
+ *
+ * @name get_usage
+ * @route {GET} /usage
+ * @memberof module:routes/usage
+ * @since 1.1.0
+ *
+ * @swagger
+ * /usage:
+ *   get:
+ *     summary: Usage summary
+ *     description: >
+ *       Adds up the tokens and model time consumed by chat requests, grouped by day,
+ *       model and/or user. Users are identified by the X-User-ID request header;
+ *       requests without it are grouped under `userId: null`.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only include requests made at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only include requests made before this date
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           default: day,model,user
+ *         description: Comma-separated grouping keys (day, model, user)
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Only include requests of this user
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *         description: Only include requests answered by this model
+ *     responses:
+ *       200:
+ *         description: The usage summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UsageSummary'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', summary)
+
+export default router
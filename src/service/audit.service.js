@@ -79,6 +79,15 @@ import logger from '../logger.js'
  * @param {number} options.responseStatus - The response status code.
  * @param {number} [options.responseTime] - The response time in milliseconds.
  * @param {string} [options.userId] - The associated user ID, if available.
+ * @param {Object} [options.chat] - The model and effective options of a chat request.
+ * @param {Array<Object>} [options.toolCalls] - The tool invocations of a chat request.
+ * @param {Object} [options.embedding] - The model and input count of an embedding request.
+ * @param {Object} [options.usage] - The tokens and model time consumed by a chat or embedding request.
+ * @param {Object} [options.retrieval] - The knowledge base chunks injected into a chat request.
+ * @param {string} [options.cache] - The response cache status of a chat request.
+ * @param {Object} [options.cacheMatch] - The cache entry that answered a chat request.
+ * @param {boolean} [options.cancelled] - Whether the client disconnected before the response was complete.
+ * @param {Object} [options.batch] - The item counts of a batch request.
  * @returns {Promise<Audit>} The created audit document.
  * @throws {Error} If database operation fails and error is re-thrown
  * @memberof module:service/audit
@@ -111,7 +120,16 @@ const auditTransaction = async ({
   userAgent,
   responseStatus,
   responseTime,
-  userId
+  userId,
+  chat,
+  toolCalls,
+  embedding,
+  usage,
+  retrieval,
+  cache,
+  cacheMatch,
+  cancelled,
+  batch
 }) => {
   try {
     /**
@@ -142,7 +160,16 @@ const auditTransaction = async ({
       userAgent,
       responseStatus,
       responseTime,
-      userId
+      userId,
+      chat,
+      toolCalls,
+      embedding,
+      usage,
+      retrieval,
+      cache,
+      cacheMatch,
+      cancelled,
+      batch
     })
 
     /**
@@ -183,4 +210,36 @@ const auditTransaction = async ({
   }
 }
 
+/**
+ * Adds the usage of a chat job to the audit entry of the request that
+ * queued it (POST /jobs), once the job has answered. The entry then counts
+ * in the usage summary like the entry of a chat request answered at once,
+ * charged to the model that answered.
+ *
+ * @async
+ * @function recordJobUsage
+ * @param {string} requestId - The request ID of the audit entry
+ * @param {Object} answer - What the job consumed
+ * @param {string} answer.model - The model that answered
+ * @param {Object} answer.usage - The tokens and model time consumed (see service/usage)
+ * @param {Array<Object>} [answer.fallbackFrom] - The models skipped before the one that answered
+ * @returns {Promise<boolean>} Whether the audit entry was found and updated
+ * @throws {Error} If the database operation fails
+ * @memberof module:service/audit
+ * @since 1.1.0
+ *
+ * @example
+ * await recordJobUsage(job.requestId, { model: 'qwen3:0.6b', usage: { calls: 1, totalTokens: 42 } })
+ */
+export const recordJobUsage = async (requestId, { model, usage, fallbackFrom = [] }) => {
+  const { matchedCount } = await Audit.updateOne({ requestId }, {
+    $set: {
+      usage,
+      'chat.answeredBy': model,
+      ...(fallbackFrom.length > 0 ? { 'chat.fallbackFrom': fallbackFrom } : {})
+    }
+  })
+  return matchedCount > 0
+}
+
 export default auditTransaction
\ No newline at end of file
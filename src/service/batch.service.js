@@ -0,0 +1,178 @@
+/**
+ * Batch service.
+ * Runs the prompts of a batch request (POST /batch) with bounded
+ * concurrency and turns each outcome into a per-item result, so one
+ * failing prompt never fails the others.
+ *
+ * Execution:
+ * - At most BATCH_CONCURRENCY prompts of a batch run at once; the others
+ *   wait in the batch rather than in the model queue
+ * - Each prompt gets its own AbortSignal: it aborts after REQUEST_TIMEOUT_MS,
+ *   or when the signal of the whole batch aborts (client gone, BATCH_TIMEOUT_MS)
+ * - Once the batch signal has aborted, the prompts not yet started fail
+ *   with its reason without reaching the model
+ *
+ * Results:
+ * - `{ index, id?, status: 'ok', ...fields returned by the runner }`
+ * - `{ index, id?, status: 'error', error: { status, message, details? } }`
+ *
+ * @file
+ * @module service/batch
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import { ZodError } from 'zod'
+import { CustomError, StructuredOutputError, UpstreamTimeoutError } from '../errors.js'
+import { BATCH_CONCURRENCY, REQUEST_TIMEOUT_MS } from '../config/env.js'
+import logger from '../logger.js'
+
+/**
+ * Describes the error of a failed item, with the status code and message
+ * errorHandler would answer it with as a request of its own.
+ *
+ * @function toItemError
+ * @param {Error} error - The error raised while validating or running the item
+ * @returns {{ status: number, message: string, details?: Array<Object> }} The item error
+ * @memberof module:service/batch
+ * @since 1.1.0
+ *
+ * @example
+ * toItemError(new CustomError('Persona no encontrada', 404)) // { status: 404, message: 'Persona no encontrada' }
+ */
+export const toItemError = (error) => {
+  if (error instanceof ZodError) {
+    return {
+      status: 400,
+      message: 'Prompt no válido',
+      details: error.issues.map((issue) => ({ field: issue.path.join('.'), message: issue.message }))
+    }
+  }
+  if (error.cause?.code === 'ECONNREFUSED') {
+    return { status: 503, message: `Ollama, Service Unavailable: ${error.message}` }
+  }
+  if (error instanceof StructuredOutputError) {
+    return { status: error.statusCode, message: error.message, details: error.details }
+  }
+  return { status: error.statusCode ?? 500, message: error.message }
+}
+
+/**
+ * Reads an NDJSON batch body: one JSON value per line, blank lines ignored.
+ * The first line may hold the shared settings as `{ "settings": { ... } }`;
+ * every other line is an item. Lines that are not valid JSON become items
+ * that fail on their own.
+ *
+ * @function readNDJSON
+ * @param {string} text - The request body
+ * @returns {{ settings: Object, items: Array<{ value?: *, error?: CustomError }> }} The settings and the items, in line order
+ * @memberof module:service/batch
+ * @since 1.1.0
+ *
+ * @example
+ * readNDJSON('{"settings":{"model":"qwen3:0.6b"}}\n"Clasifica: no arranca"\n{"id":2,"prompt":"..."}')
+ * // { settings: { model: 'qwen3:0.6b' }, items: [{ value: 'Clasifica: no arranca' }, { value: { id: 2, prompt: '...' } }] }
+ */
+export const readNDJSON = (text) => {
+  const items = text
+    .split(/\r?\n/)
+    .map((line, number) => ({ line: line.trim(), number: number + 1 }))
+    .filter(({ line }) => line.length > 0)
+    .map(({ line, number }) => {
+      try {
+        return { value: JSON.parse(line) }
+      } catch {
+        return { error: new CustomError(`La línea ${number} no es JSON válido.`, 400) }
+      }
+    })
+
+  const [first] = items
+  const isSettings = first?.value !== null && typeof first?.value === 'object' && Object.hasOwn(first.value, 'settings')
+  return isSettings
+    ? { settings: first.value.settings, items: items.slice(1) }
+    : { settings: {}, items }
+}
+
+/**
+ * Runs one item with a signal of its own, and turns its outcome into a result.
+ *
+ * @async
+ * @function settle
+ * @param {Object} item - The item, with the optional client `id`
+ * @param {number} index - The position of the item in the batch
+ * @param {Function} run - The runner (see runBatch)
+ * @param {Object} settings - The signal of the batch and the timeout of each item
+ * @returns {Promise<Object>} The result of the item
+ * @memberof module:service/batch
+ * @since 1.1.0
+ */
+const settle = async (item, index, run, { signal, timeoutMs }) => {
+  const base = { index, ...(item.id !== undefined ? { id: item.id } : {}) }
+  if (signal?.aborted) {
+    return { ...base, status: 'error', error: toItemError(signal.reason) }
+  }
+
+  const controller = new AbortController()
+  const abort = () => controller.abort(signal.reason)
+  signal?.addEventListener('abort', abort, { once: true })
+  const timer = setTimeout(() => controller.abort(new UpstreamTimeoutError(timeoutMs)), timeoutMs)
+  try {
+    return { ...base, status: 'ok', ...await run(item, controller.signal) }
+  } catch (error) {
+    // Report why the item was aborted rather than how the call broke off
+    return { ...base, status: 'error', error: toItemError(controller.signal.aborted ? controller.signal.reason : error) }
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', abort)
+  }
+}
+
+/**
+ * Runs the items of a batch with bounded concurrency.
+ * Never rejects: every failure, including validation errors raised by the
+ * runner, becomes the error result of its item.
+ *
+ * @async
+ * @function runBatch
+ * @param {Array<Object>} items - The items; an `id` property is echoed back in the result
+ * @param {Function} run - `(item, signal) => Promise<Object>` running one item; the fields it
+ *   resolves to are added to the result
+ * @param {Object} [settings] - Execution settings
+ * @param {number} [settings.concurrency=BATCH_CONCURRENCY] - Items running at once
+ * @param {number} [settings.timeoutMs=REQUEST_TIMEOUT_MS] - Time limit of each item
+ * @param {AbortSignal} [settings.signal] - Aborts the running items and fails the pending ones
+ * @param {Function} [settings.onResult] - Called with each result as soon as it is ready
+ * @param {string} [settings.requestId] - The request ID, for the logs
+ * @returns {Promise<Array<Object>>} The results, in item order
+ * @memberof module:service/batch
+ * @since 1.1.0
+ *
+ * @example
+ * const results = await runBatch([{ prompt: 'a' }, { id: 'x', prompt: 'b' }], async ({ prompt }, signal) => ({ response: await ask(prompt, signal) }))
+ * // [{ index: 0, status: 'ok', response: ... }, { index: 1, id: 'x', status: 'ok', response: ... }]
+ */
+export const runBatch = async (items, run, {
+  concurrency = BATCH_CONCURRENCY,
+  timeoutMs = REQUEST_TIMEOUT_MS,
+  signal,
+  onResult = () => {},
+  requestId
+} = {}) => {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await settle(items[index], index, run, { signal, timeoutMs })
+      onResult(results[index])
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker))
+
+  const failed = results.filter(({ status }) => status === 'error').length
+  logger.info('Batch finished', { items: items.length, succeeded: items.length - failed, failed, requestId })
+  return results
+}
@@ -0,0 +1,393 @@
+/**
+ * Response cache service.
+ * Serves repeated prompts from the response cache instead of calling the
+ * model again, and exposes the cache for inspection and purging.
+ *
+ * Cache Key:
+ * SHA-256 of the normalized prompt, the model, the effective generation
+ * options and the system prompt. Prompts are normalized by Unicode (NFC),
+ * case and whitespace, so "¿Horario?" and "  ¿horario? " share an entry.
+ *
+ * Cacheable Requests:
+ * Only stateless text answers are cached. Requests that continue a
+ * conversation, declare tools or ask for structured output always reach the
+ * model, as do requests whose client asks to bypass the cache.
+ *
+ * Semantic Cache (SEMANTIC_CACHE_ENABLED):
+ * When no entry has the exact key, the prompt is embedded and compared with
+ * the prompts of the entries sharing its model, options and system prompt
+ * (the scope). The most similar one is served if its cosine similarity
+ * reaches SEMANTIC_CACHE_THRESHOLD. Clients can report wrong matches, and
+ * the metrics summarize hit rates and reported false positives.
+ *
+ * Cache Status (X-Cache):
+ * - HIT: served from the cache, by exact key or semantic match
+ * - MISS: answered by the model and stored
+ * - BYPASS: not cacheable, bypassed by the client, or caching disabled
+ *
+ * Cache failures never fail a request: they are logged and the model answers.
+ *
+ * @file
+ * @module service/cache
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../cache/index.js} Cache backends
+ */
+
+import { createHash } from 'node:crypto'
+import chatOllama from './ollama.service.js'
+import { embedTexts } from './embedding.service.js'
+import { cosineSimilarity } from './knowledge.service.js'
+import { toUsage, addUsage } from './usage.service.js'
+import Audit from '../models/audit.model.js'
+import { getCache } from '../cache/index.js'
+import {
+  CACHE_TTL_SECONDS,
+  CACHE_BACKEND,
+  SEMANTIC_CACHE_ENABLED,
+  SEMANTIC_CACHE_THRESHOLD
+} from '../config/env.js'
+import { CustomError } from '../errors.js'
+import logger from '../logger.js'
+
+/**
+ * Normalizes a prompt for the cache key.
+ *
+ * @function normalizePrompt
+ * @param {string} prompt - The user's prompt
+ * @returns {string} The prompt in NFC, lower case, with collapsed whitespace
+ * @memberof module:service/cache
+ * @since 1.1.0
+ *
+ * @example
+ * normalizePrompt('  ¿Cuál es el   HORARIO? ') // '¿cuál es el horario?'
+ */
+export const normalizePrompt = (prompt) => prompt.normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase()
+
+/**
+ * Serializes a value with object keys in sorted order, so equal options
+ * produce the same key whatever order the client sent them in.
+ *
+ * @function canonicalJSON
+ * @param {*} value - The value to serialize
+ * @returns {string} The canonical JSON text
+ * @memberof module:service/cache
+ * @since 1.1.0
+ */
+const canonicalJSON = (value) => JSON.stringify(value, (key, field) =>
+  field && typeof field === 'object' && !Array.isArray(field)
+    ? Object.fromEntries(Object.keys(field).sort().map((name) => [name, field[name]]))
+    : field
+)
+
+/**
+ * Computes the cache key of a chat request.
+ *
+ * @function cacheKey
+ * @param {Object} request - The parts of the request that determine the answer
+ * @param {string} request.prompt - The user's prompt
+ * @param {string} request.model - The model answering
+ * @param {Object} [request.options] - The effective generation options
+ * @param {string} [request.system] - The system prompt, if any
+ * @returns {string} The SHA-256 hex digest
+ * @memberof module:service/cache
+ * @since 1.1.0
+ */
+export const cacheKey = ({ prompt, model, options = {}, system = null }) => createHash('sha256')
+  .update(canonicalJSON({ prompt: normalizePrompt(prompt), model, options, system }))
+  .digest('hex')
+
+/**
+ * Computes the semantic scope of a chat request: the hash of everything
+ * but the prompt. Semantic matches never cross scopes, so a paraphrase is
+ * only answered with a response of the same model and settings.
+ *
+ * @function cacheScope
+ * @param {Object} request - The parts of the request that determine the answer
+ * @param {string} request.model - The model answering
+ * @param {Object} [request.options] - The effective generation options
+ * @param {string} [request.system] - The system prompt, if any
+ * @returns {string} The SHA-256 hex digest
+ * @memberof module:service/cache
+ * @since 1.1.0
+ */
+export const cacheScope = ({ model, options = {}, system = null }) => createHash('sha256')
+  .update(canonicalJSON({ model, options, system }))
+  .digest('hex')
+
+/**
+ * Looks for the cached entry whose prompt is most similar to a prompt.
+ *
+ * @async
+ * @function findSimilar
+ * @param {Object} cache - The cache backend
+ * @param {string} scope - The scope to search (see cacheScope)
+ * @param {number[]} embedding - The embedding of the prompt
+ * @returns {Promise<{ key: string, similarity: number }|null>} The best match at or above the threshold
+ * @memberof module:service/cache
+ * @since 1.1.0
+ */
+const findSimilar = async (cache, scope, embedding) => {
+  let best = null
+  for (const candidate of await cache.candidates(scope)) {
+    const similarity = cosineSimilarity(embedding, candidate.embedding)
+    if (similarity >= SEMANTIC_CACHE_THRESHOLD && similarity > (best?.similarity ?? -1)) {
+      best = { key: candidate.key, similarity }
+    }
+  }
+  return best
+}
+
+/**
+ * Answers a prompt with chatOllama, through the response cache when the
+ * request is cacheable.
+ * Cached responses keep the metadata, message and reasoning of the original
+ * answer; their usage only covers the prompt embedding of a semantic lookup.
+ * Answers of a fallback model are not stored, since the key names the
+ * requested model.
+ *
+ * Match Format (hits only):
+ * - kind: 'exact' or 'semantic'
+ * - key: The key of the entry served
+ * - similarity: Cosine similarity of the prompts (semantic matches only)
+ *
+ * @async
+ * @function chatWithCache
+ * @param {string} prompt - The prompt sent to the model
+ * @param {string} requestId - The unique request ID for traceability
+ * @param {Object} [params] - Chat parameters, as for chatOllama
+ * @param {Object} [settings] - Cache settings
+ * @param {boolean} [settings.bypass=false] - Skip the cache for this request
+ * @returns {Promise<{ response: Object, cache: 'HIT'|'MISS'|'BYPASS', match?: Object }>} The response, the cache status and, for hits, the match
+ * @throws {Error} If the model call fails
+ * @memberof module:service/cache
+ * @since 1.1.0
+ */
+export const chatWithCache = async (prompt, requestId, params = {}, { bypass = false } = {}) => {
+  const { history = [], tools = [], format } = params
+  const cache = getCache()
+  if (bypass || !cache || history.length > 0 || tools.length > 0 || format) {
+    return { response: await chatOllama(prompt, requestId, params), cache: 'BYPASS' }
+  }
+
+  const key = cacheKey({ prompt, model: params.model, options: params.options, system: params.system })
+  const scope = cacheScope({ model: params.model, options: params.options, system: params.system })
+  let embedding
+  let lookupUsage
+  try {
+    const entry = await cache.get(key)
+    if (entry) {
+      logger.info('Response cache hit', { key, hits: entry.hits, requestId })
+      return { response: entry.response, cache: 'HIT', match: { kind: 'exact', key } }
+    }
+
+    if (SEMANTIC_CACHE_ENABLED) {
+      const embedded = await embedTexts([prompt], requestId)
+      embedding = embedded.embeddings[0]
+      lookupUsage = toUsage({ prompt_eval_count: embedded.promptTokens })
+
+      const similar = await findSimilar(cache, scope, embedding)
+      // The entry may expire between the scan and the read
+      const match = similar && await cache.get(similar.key)
+      if (match) {
+        logger.info('Response cache semantic hit', { key: similar.key, similarity: similar.similarity, requestId })
+        return {
+          response: { ...match.response, usage: lookupUsage },
+          cache: 'HIT',
+          match: { kind: 'semantic', ...similar }
+        }
+      }
+    }
+  } catch (error) {
+    logger.warn('Response cache lookup failed', { error: error.message, requestId })
+  }
+
+  const { usage, toolCalls, ...response } = await chatOllama(prompt, requestId, params)
+  try {
+    if (!response.fallbackFrom) {
+      await cache.set(key, {
+        model: response.model ?? params.model,
+        prompt,
+        response,
+        ...(embedding ? { scope, embedding } : {})
+      }, CACHE_TTL_SECONDS)
+    }
+  } catch (error) {
+    logger.warn('Response cache write failed', { error: error.message, requestId })
+  }
+  return {
+    response: { ...response, usage: lookupUsage ? addUsage(lookupUsage, usage) : usage, toolCalls },
+    cache: 'MISS'
+  }
+}
+
+/**
+ * Lists the live cache entries, most recent first, without their responses.
+ *
+ * @async
+ * @function listCacheEntries
+ * @param {Object} [query] - Pagination options
+ * @param {number} [query.limit=20] - Maximum number of entries to return
+ * @param {number} [query.offset=0] - Number of entries to skip
+ * @returns {Promise<{ backend: string, ttlSeconds: number, total: number, entries: Object[] }>} The page of entries
+ * @memberof module:service/cache
+ * @since 1.1.0
+ */
+export const listCacheEntries = async (query) => {
+  const cache = getCache()
+  const page = cache ? await cache.list(query) : { total: 0, entries: [] }
+  return { backend: cache?.name ?? CACHE_BACKEND, ttlSeconds: CACHE_TTL_SECONDS, ...page }
+}
+
+/**
+ * Fetches a cache entry with its response, without counting a hit.
+ *
+ * @async
+ * @function getCacheEntry
+ * @param {string} key - The cache key
+ * @returns {Promise<Object>} The entry
+ * @throws {CustomError} 404 if there is no live entry for the key
+ * @memberof module:service/cache
+ * @since 1.1.0
+ */
+export const getCacheEntry = async (key) => {
+  const entry = await getCache()?.peek(key)
+  if (!entry) {
+    throw new CustomError('Entrada de caché no encontrada', 404)
+  }
+  return entry
+}
+
+/**
+ * Removes a cache entry.
+ *
+ * @async
+ * @function deleteCacheEntry
+ * @param {string} key - The cache key
+ * @returns {Promise<void>}
+ * @throws {CustomError} 404 if there is no entry for the key
+ * @memberof module:service/cache
+ * @since 1.1.0
+ */
+export const deleteCacheEntry = async (key) => {
+  if (!await getCache()?.delete(key)) {
+    throw new CustomError('Entrada de caché no encontrada', 404)
+  }
+  logger.info('Response cache entry deleted', { key })
+}
+
+/**
+ * Removes every cache entry.
+ *
+ * @async
+ * @function purgeCache
+ * @returns {Promise<number>} The number of entries removed
+ * @memberof module:service/cache
+ * @since 1.1.0
+ */
+export const purgeCache = async () => {
+  const deleted = await getCache()?.clear() ?? 0
+  logger.info('Response cache purged', { deleted })
+  return deleted
+}
+
+/**
+ * Records a client report that a semantic cache hit answered the wrong question.
+ * The report is stored on the audit entry of the request, where the
+ * metrics count it. Reporting the same request twice has no further effect.
+ *
+ * @async
+ * @function reportFalsePositive
+ * @param {string} requestId - The X-Request-ID of the wrongly answered request
+ * @returns {Promise<Object>} The reported match (key and similarity)
+ * @throws {CustomError} 404 if the request was not answered by a semantic match
+ * @memberof module:service/cache
+ * @since 1.1.0
+ */
+export const reportFalsePositive = async (requestId) => {
+  const audit = await Audit.findOneAndUpdate(
+    { requestId, 'cacheMatch.kind': 'semantic' },
+    { 'cacheMatch.falsePositive': true },
+    { new: true, projection: { cacheMatch: 1 } }
+  ).lean()
+  if (!audit) {
+    throw new CustomError('No se encontró una respuesta semántica de caché para esa solicitud', 404)
+  }
+
+  logger.warn('Semantic cache false positive reported', {
+    requestId,
+    key: audit.cacheMatch.key,
+    similarity: audit.cacheMatch.similarity
+  })
+  return audit.cacheMatch
+}
+
+/**
+ * Summarizes the effectiveness of the response cache from the audit log.
+ * Rates are relative to cacheable requests (hits and misses); the false
+ * positive rate is relative to semantic hits. Rates are null when there
+ * is nothing to divide by.
+ *
+ * @async
+ * @function cacheMetrics
+ * @param {Object} [query] - Metrics options
+ * @param {Date} [query.from] - Only include requests made at or after this date
+ * @param {Date} [query.to] - Only include requests made before this date
+ * @returns {Promise<{ totals: Object, models: Object[] }>} The overall metrics and the metrics per model
+ * @memberof module:service/cache
+ * @since 1.1.0
+ *
+ * @example
+ * const { totals } = await cacheMetrics({ from: new Date('2025-06-01') })
+ * // { requests: 120, hits: 48, exactHits: 40, semanticHits: 8, misses: 60, bypasses: 12, hitRate: 0.444, ... }
+ */
+export const cacheMetrics = async ({ from, to } = {}) => {
+  const match = { cache: { $exists: true } }
+  if (from || to) {
+    match.timestamp = { ...(from ? { $gte: from } : {}), ...(to ? { $lt: to } : {}) }
+  }
+
+  const count = (condition) => ({ $sum: { $cond: [condition, 1, 0] } })
+  const groups = await Audit.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$chat.model',
+        requests: { $sum: 1 },
+        hits: count({ $eq: ['$cache', 'HIT'] }),
+        semanticHits: count({ $eq: ['$cacheMatch.kind', 'semantic'] }),
+        misses: count({ $eq: ['$cache', 'MISS'] }),
+        bypasses: count({ $eq: ['$cache', 'BYPASS'] }),
+        falsePositives: count({ $eq: ['$cacheMatch.falsePositive', true] })
+      }
+    },
+    { $sort: { _id: 1 } }
+  ])
+
+  const withRates = ({ requests, hits, semanticHits, misses, bypasses, falsePositives }) => {
+    const lookups = hits + misses
+    return {
+      requests,
+      hits,
+      exactHits: hits - semanticHits,
+      semanticHits,
+      misses,
+      bypasses,
+      falsePositives,
+      hitRate: lookups ? hits / lookups : null,
+      semanticHitRate: lookups ? semanticHits / lookups : null,
+      falsePositiveRate: semanticHits ? falsePositives / semanticHits : null
+    }
+  }
+
+  const sum = (field) => groups.reduce((total, group) => total + group[field], 0)
+  return {
+    semantic: { enabled: SEMANTIC_CACHE_ENABLED, threshold: SEMANTIC_CACHE_THRESHOLD },
+    totals: withRates(Object.fromEntries(
+      ['requests', 'hits', 'semanticHits', 'misses', 'bypasses', 'falsePositives'].map((field) => [field, sum(field)])
+    )),
+    models: groups.map(({ _id, ...group }) => ({ model: _id ?? null, ...withRates(group) }))
+  }
+}
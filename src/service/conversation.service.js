@@ -0,0 +1,160 @@
+/**
+ * Conversation service.
+ * Creates, reads, updates and deletes persisted chat conversations.
+ * This module encapsulates all access to the Conversation model so that
+ * controllers never query MongoDB directly.
+ *
+ * Service Responsibilities:
+ * 1. Conversation lifecycle: create, list, fetch and delete
+ * 2. History replay: build the message list sent to the model
+ * 3. History persistence: append new user and assistant turns
+ *
+ * Error Handling:
+ * - Missing conversations raise a CustomError with status 404
+ * - Database errors propagate to the centralized error handler
+ *
+ * @file
+ * @module service/conversation
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../models/conversation.model.js} Conversation Model
+ */
+
+import Conversation from '../models/conversation.model.js'
+import { CustomError } from '../errors.js'
+import { CONVERSATION_HISTORY_LIMIT } from '../config/env.js'
+import logger from '../logger.js'
+
+/**
+ * Creates a new, empty conversation.
+ *
+ * @async
+ * @function createConversation
+ * @param {Object} [data] - The conversation data
+ * @param {string} [data.title] - Optional conversation title
+ * @returns {Promise<Conversation>} The created conversation document
+ * @memberof module:service/conversation
+ * @since 1.1.0
+ *
+ * @example
+ * const conversation = await createConversation({ title: 'Soporte' })
+ */
+export const createConversation = async ({ title } = {}) => {
+  const conversation = await Conversation.create({ title })
+  logger.info('Conversation created', { conversationId: conversation.id })
+  return conversation
+}
+
+/**
+ * Lists conversations, most recently updated first.
+ * Message histories are excluded to keep the listing lightweight.
+ *
+ * @async
+ * @function listConversations
+ * @param {Object} [query] - Pagination options
+ * @param {number} [query.limit=20] - Maximum number of conversations to return
+ * @param {number} [query.offset=0] - Number of conversations to skip
+ * @returns {Promise<{ total: number, conversations: Object[] }>} The page of conversations
+ * @memberof module:service/conversation
+ * @since 1.1.0
+ */
+export const listConversations = async ({ limit = 20, offset = 0 } = {}) => {
+  const [total, conversations] = await Promise.all([
+    Conversation.countDocuments(),
+    Conversation.find({}, { messages: 0 })
+      .sort({ updatedAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean()
+  ])
+  return { total, conversations }
+}
+
+/**
+ * Fetches a conversation with its full message history.
+ *
+ * @async
+ * @function getConversation
+ * @param {string} id - The conversation ID
+ * @returns {Promise<Conversation>} The conversation document
+ * @throws {CustomError} 404 if the conversation does not exist
+ * @memberof module:service/conversation
+ * @since 1.1.0
+ */
+export const getConversation = async (id) => {
+  const conversation = await Conversation.findById(id)
+  if (!conversation) {
+    throw new CustomError('Conversación no encontrada', 404)
+  }
+  return conversation
+}
+
+/**
+ * Deletes a conversation and its history.
+ *
+ * @async
+ * @function deleteConversation
+ * @param {string} id - The conversation ID
+ * @returns {Promise<void>}
+ * @throws {CustomError} 404 if the conversation does not exist
+ * @memberof module:service/conversation
+ * @since 1.1.0
+ */
+export const deleteConversation = async (id) => {
+  const deleted = await Conversation.findByIdAndDelete(id)
+  if (!deleted) {
+    throw new CustomError('Conversación no encontrada', 404)
+  }
+  logger.info('Conversation deleted', { conversationId: id })
+}
+
+/**
+ * Builds the message history replayed to the model.
+ * Only the last `CONVERSATION_HISTORY_LIMIT` turns are kept and the
+ * persistence metadata is stripped, leaving plain `{ role, content }` pairs.
+ *
+ * @function toHistory
+ * @param {Conversation} conversation - The stored conversation
+ * @returns {Array<{ role: string, content: string }>} The chat history
+ * @memberof module:service/conversation
+ * @since 1.1.0
+ */
+export const toHistory = (conversation) =>
+  conversation.messages
+    .slice(-CONVERSATION_HISTORY_LIMIT)
+    .map(({ role, content }) => ({ role, content }))
+
+/**
+ * Appends new turns to a conversation.
+ * Uses an atomic `$push` so concurrent requests never overwrite each other.
+ *
+ * @async
+ * @function appendMessages
+ * @param {string} id - The conversation ID
+ * @param {Array<{ role: string, content: string }>} messages - The turns to append
+ * @param {string} requestId - The request that produced the turns
+ * @returns {Promise<Conversation|null>} The updated conversation
+ * @memberof module:service/conversation
+ * @since 1.1.0
+ *
+ * @example
+ * await appendMessages(conversationId, [
+ *   { role: 'user', content: 'Hola' },
+ *   { role: 'assistant', content: '¡Hola! ¿En qué puedo ayudarte?' }
+ * ], 'req-123')
+ */
+export const appendMessages = async (id, messages, requestId) => {
+  const conversation = await Conversation.findByIdAndUpdate(
+    id,
+    { $push: { messages: { $each: messages.map((message) => ({ ...message, requestId })) } } },
+    { new: true }
+  )
+  logger.info('Conversation updated', {
+    conversationId: id,
+    appended: messages.length,
+    requestId
+  })
+  return conversation
+}
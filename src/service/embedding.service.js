@@ -0,0 +1,65 @@
+/**
+ * Embedding service.
+ * Computes vector embeddings through the configured LLM provider.
+ * Used by POST /embeddings and by every feature that needs to compare
+ * texts by meaning.
+ *
+ * External Dependencies:
+ * - LLM provider selected by LLM_PROVIDER (see providers/index.js)
+ * - Embedding model configured with OLLAMA_EMBEDDING_MODEL
+ *
+ * @file
+ * @module service/embedding
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://github.com/ollama/ollama/blob/main/docs/api.md#generate-embeddings} Ollama Embed API
+ */
+
+import { getProvider } from '../providers/index.js'
+import { EMBEDDING_MODEL } from '../config/env.js'
+import logger from '../logger.js'
+
+/**
+ * Computes the embeddings of one or many texts.
+ * The vectors are returned in the order of the input texts.
+ *
+ * @async
+ * @function embedTexts
+ * @param {string[]} texts - The texts to embed
+ * @param {string} requestId - The unique request ID for traceability
+ * @returns {Promise<{ model: string, embeddings: number[][], dimensions: number, promptTokens: number }>} The vectors and their metadata
+ * @throws {Error} If the LLM provider cannot be reached or the model is not installed
+ * @memberof module:service/embedding
+ * @since 1.1.0
+ *
+ * @example
+ * const { embeddings, dimensions } = await embedTexts(['gato', 'perro'], 'req-123')
+ * // embeddings.length === 2, embeddings[0].length === dimensions
+ */
+export const embedTexts = async (texts, requestId) => {
+  logger.info('Calling embedding model', {
+    model: EMBEDDING_MODEL,
+    inputs: texts.length,
+    requestId
+  })
+
+  const res = await getProvider().embed({ model: EMBEDDING_MODEL, input: texts })
+  const dimensions = res.embeddings[0]?.length ?? 0
+
+  logger.info('Embeddings received', {
+    model: res.model,
+    inputs: res.embeddings.length,
+    dimensions,
+    promptTokens: res.promptEvalCount,
+    requestId
+  })
+
+  return {
+    model: res.model ?? EMBEDDING_MODEL,
+    embeddings: res.embeddings,
+    dimensions,
+    promptTokens: res.promptEvalCount ?? 0
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Model fallback service.
+ * Answers with the next model of a configured chain when the requested
+ * model cannot answer, rather than failing the request.
+ *
+ * Fallback Triggers:
+ * 1. model-not-found: the server does not have the model (404, e.g. `ollama pull` not done)
+ * 2. timeout: the model did not answer within MODEL_FALLBACK_TIMEOUT_MS, or
+ *    the upstream timed out (504, ETIMEDOUT)
+ * 3. circuit-open: the circuit of the model is open (see service/resilience)
+ *
+ * Other failures, and requests aborted as a whole (see middleware/cancellation),
+ * end the chain with their own error.
+ *
+ * Chains:
+ * - Configured per persona in its `fallbacks`, which take precedence; models
+ *   no longer in ALLOWED_MODELS are left out of them
+ * - Otherwise configured per route in MODEL_FALLBACKS; `default` applies to
+ *   routes without a chain of their own
+ * - The requested model always comes first and no model is tried twice
+ *
+ * Observability:
+ * - Each fallback is logged with the failed model, the reason and the next model
+ * - fallbackStats() counts fallbacks by reason and by model (GET /metrics)
+ *
+ * @file
+ * @module service/fallback
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ./ollama.service.js} Ollama Service (the model calls)
+ */
+
+import { CircuitOpenError, UpstreamTimeoutError } from '../errors.js'
+import { ALLOWED_MODELS, MODEL_FALLBACKS, MODEL_FALLBACK_TIMEOUT_MS } from '../config/env.js'
+import logger from '../logger.js'
+
+/**
+ * Fallback counters since the process started.
+ *
+ * @type {{ total: number, reasons: Object<string, number>, models: Object<string, Object> }}
+ * @memberof module:service/fallback
+ * @since 1.1.0
+ */
+const counters = {
+  total: 0,
+  reasons: { 'model-not-found': 0, timeout: 0, 'circuit-open': 0 },
+  models: {}
+}
+
+/**
+ * Increments a counter of a model.
+ *
+ * @function countModel
+ * @param {string} model - The model name
+ * @param {'failed'|'answered'} counter - 'failed' when the model was skipped,
+ *   'answered' when it answered in place of an earlier model
+ * @returns {void}
+ * @memberof module:service/fallback
+ * @since 1.1.0
+ */
+const countModel = (model, counter) => {
+  counters.models[model] ??= { failed: 0, answered: 0 }
+  counters.models[model][counter]++
+}
+
+/**
+ * Returns the fallback models of a request: those of its persona, else
+ * those configured for its route.
+ *
+ * @function fallbackChain
+ * @param {string} route - The route: 'chat' or 'openai'
+ * @param {Object|null} [persona] - The persona the request answers as
+ * @returns {string[]} The models to try, in order, after the requested one
+ * @memberof module:service/fallback
+ * @since 1.1.0
+ *
+ * @example
+ * // MODEL_FALLBACKS=default=llama3.2:1b
+ * fallbackChain('chat') // ['llama3.2:1b']
+ * fallbackChain('chat', { name: 'soporte', fallbacks: ['gemma3:1b'] }) // ['gemma3:1b']
+ */
+export const fallbackChain = (route, persona) =>
+  persona?.fallbacks?.filter((model) => ALLOWED_MODELS.includes(model)) ??
+  MODEL_FALLBACKS[route] ??
+  MODEL_FALLBACKS.default ??
+  []
+
+/**
+ * Tells why a failed model call should be retried with the next model.
+ *
+ * @function fallbackReason
+ * @param {Error} error - The error of the model call
+ * @returns {string|null} 'model-not-found', 'timeout' or 'circuit-open'; null for other failures
+ * @memberof module:service/fallback
+ * @since 1.1.0
+ */
+export const fallbackReason = (error) => {
+  if (error instanceof CircuitOpenError) return 'circuit-open'
+  if (error?.status_code === 404) return 'model-not-found'
+  if (error instanceof UpstreamTimeoutError || error?.status_code === 504 || (error?.cause?.code ?? error?.code) === 'ETIMEDOUT') {
+    return 'timeout'
+  }
+  return null
+}
+
+/**
+ * Runs a model call with each model of a chain in turn until one answers.
+ * Every model but the last gets MODEL_FALLBACK_TIMEOUT_MS, so there is time
+ * left for the next ones.
+ *
+ * @async
+ * @function withFallback
+ * @param {string[]} models - The requested model followed by its fallbacks
+ * @param {Function} attempt - Async function `(model, signal)` performing the call with one model
+ * @param {Object} [call] - Call settings
+ * @param {string} [call.requestId] - The unique request ID for traceability
+ * @param {AbortSignal} [call.signal] - Signal of the request; once aborted, no other model is tried
+ * @param {number} [call.timeoutMs=MODEL_FALLBACK_TIMEOUT_MS] - Time limit of every model but the last
+ * @returns {Promise<{ result: *, model: string, fallbackFrom: Array<{ model: string, reason: string }> }>}
+ *   The result, the model that produced it and the models skipped before it
+ * @throws {Error} The error of the last model tried
+ * @memberof module:service/fallback
+ * @since 1.1.0
+ *
+ * @example
+ * const { result, model } = await withFallback(['qwen3:0.6b', 'llama3.2:1b'], (model, signal) =>
+ *   provider.chat({ model, messages }, { signal }))
+ */
+export const withFallback = async (models, attempt, { requestId, signal, timeoutMs = MODEL_FALLBACK_TIMEOUT_MS } = {}) => {
+  const chain = [...new Set(models)]
+  const fallbackFrom = []
+
+  for (const [index, model] of chain.entries()) {
+    const next = chain[index + 1]
+    const limit = next ? new AbortController() : null
+    const timer = limit && setTimeout(() => limit.abort(new UpstreamTimeoutError(timeoutMs)), timeoutMs)
+
+    try {
+      const result = await attempt(model, limit ? AbortSignal.any([signal, limit.signal].filter(Boolean)) : signal)
+      if (fallbackFrom.length > 0) countModel(model, 'answered')
+      return { result, model, fallbackFrom }
+    } catch (error) {
+      const reason = signal?.aborted ? null : fallbackReason(error)
+      if (!next || !reason) throw error
+
+      counters.total++
+      counters.reasons[reason]++
+      countModel(model, 'failed')
+      logger.warn('Model failed, falling back to the next model', { model, reason, next, error: error.message, requestId })
+      fallbackFrom.push({ model, reason })
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+}
+
+/**
+ * Describes the fallbacks made by this process.
+ *
+ * @function fallbackStats
+ * @returns {Object} Total fallbacks, fallbacks by reason and, by model, how
+ *   often it was skipped and how often it answered in place of another
+ * @memberof module:service/fallback
+ * @since 1.1.0
+ */
+export const fallbackStats = () => structuredClone(counters)
@@ -0,0 +1,59 @@
+/**
+ * Generation options service.
+ * Computes the effective Ollama generation options for a request.
+ * Client options are merged over the server-side defaults and then capped
+ * by the configured ceilings, so every call to the model runs with a known,
+ * bounded set of options that can be logged and audited.
+ *
+ * Resolution Order:
+ * 1. Server-side defaults (DEFAULT_OPTIONS)
+ * 2. Client options from the request body
+ * 3. Ceilings (OPTION_CEILINGS) for resource-heavy options
+ *
+ * @file
+ * @module service/generation
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../config/env.js} Generation defaults and ceilings
+ */
+
+import { DEFAULT_OPTIONS, OPTION_CEILINGS } from '../config/env.js'
+
+/**
+ * Resolves the effective generation options for a chat request.
+ *
+ * Ceiling Rules:
+ * - num_ctx: lowered to its ceiling when the requested value is higher
+ * - num_predict: always bounded; unset or unlimited (-1) values become the ceiling
+ *
+ * The function is idempotent, so already resolved options can be passed
+ * through it again without changing them.
+ *
+ * @function resolveOptions
+ * @param {Object} [options={}] - The validated client options
+ * @returns {Object} The effective options sent to Ollama
+ * @memberof module:service/generation
+ * @since 1.1.0
+ *
+ * @example
+ * // With OLLAMA_TEMPERATURE=0.7 and the default ceilings
+ * resolveOptions({ num_ctx: 65536, seed: 42 })
+ * // { temperature: 0.7, num_ctx: 8192, seed: 42, num_predict: 2048 }
+ */
+export const resolveOptions = (options = {}) => {
+  const effective = { ...DEFAULT_OPTIONS, ...options }
+
+  if (effective.num_ctx > OPTION_CEILINGS.num_ctx) {
+    effective.num_ctx = OPTION_CEILINGS.num_ctx
+  }
+
+  if (effective.num_predict === undefined ||
+      effective.num_predict < 0 ||
+      effective.num_predict > OPTION_CEILINGS.num_predict) {
+    effective.num_predict = OPTION_CEILINGS.num_predict
+  }
+
+  return effective
+}
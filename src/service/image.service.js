@@ -0,0 +1,245 @@
+/**
+ * Image input service.
+ * Validates the images sent with chat requests for vision models and turns
+ * them into what the model and the audit trail need: the base64 data
+ * forwarded in the `images` field of the Ollama user message, and a
+ * reference (SHA-256 hash, type, dimensions, size) recorded instead of the bytes.
+ *
+ * Validation:
+ * - Type: read from the file signature, never trusted from the client;
+ *   PNG, JPEG and WebP are accepted
+ * - Dimensions: read from the image header, at most IMAGE_MAX_DIMENSION pixels a side
+ * - Size: at most IMAGE_MAX_BYTES per image, IMAGE_MAX_COUNT images per request
+ * - Model: only models listed in OLLAMA_VISION_MODELS accept images
+ *
+ * Error Handling:
+ * - Oversized images raise a CustomError with status 413
+ * - Unsupported types, unreadable headers, oversized dimensions, too many
+ *   images and models without vision raise a CustomError with status 400
+ *
+ * @file
+ * @module service/image
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ */
+
+import { createHash } from 'node:crypto'
+import { VISION_MODELS, IMAGE_MAX_BYTES, IMAGE_MAX_DIMENSION, IMAGE_MAX_COUNT } from '../config/env.js'
+import { CustomError } from '../errors.js'
+
+/**
+ * Reads the dimensions of a PNG image from its IHDR chunk.
+ *
+ * @function readPNG
+ * @param {Buffer} data - The image bytes
+ * @returns {{ width: number, height: number }|null} The dimensions, or null if the header is not PNG
+ * @memberof module:service/image
+ * @since 1.1.0
+ */
+const readPNG = (data) => {
+  if (data.length < 24 || data.readUInt32BE(0) !== 0x89504e47 || data.toString('ascii', 12, 16) !== 'IHDR') return null
+  return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) }
+}
+
+/**
+ * Reads the dimensions of a JPEG image from its first start-of-frame segment.
+ *
+ * @function readJPEG
+ * @param {Buffer} data - The image bytes
+ * @returns {{ width: number, height: number }|null} The dimensions, or null if no frame header is found
+ * @memberof module:service/image
+ * @since 1.1.0
+ */
+const readJPEG = (data) => {
+  if (data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) return null
+  let offset = 2
+  while (offset + 9 <= data.length) {
+    if (data[offset] !== 0xff) return null
+    const marker = data[offset + 1]
+    // Padding bytes may precede a marker
+    if (marker === 0xff) {
+      offset++
+      continue
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) }
+    }
+    offset += 2 + data.readUInt16BE(offset + 2)
+  }
+  return null
+}
+
+/**
+ * Reads the dimensions of a WebP image from its first chunk
+ * (lossy VP8, lossless VP8L or extended VP8X).
+ *
+ * @function readWebP
+ * @param {Buffer} data - The image bytes
+ * @returns {{ width: number, height: number }|null} The dimensions, or null if the header is not WebP
+ * @memberof module:service/image
+ * @since 1.1.0
+ */
+const readWebP = (data) => {
+  if (data.length < 30 || data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'WEBP') return null
+  switch (data.toString('ascii', 12, 16)) {
+    case 'VP8 ':
+      return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff }
+    case 'VP8L': {
+      const bits = data.readUInt32LE(21)
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 }
+    }
+    case 'VP8X':
+      return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 }
+    default:
+      return null
+  }
+}
+
+/**
+ * Supported image types, with the reader of their headers.
+ *
+ * @type {Object<string, Function>}
+ * @constant {Object<string, Function>}
+ * @memberof module:service/image
+ * @since 1.1.0
+ */
+const IMAGE_READERS = {
+  'image/png': readPNG,
+  'image/jpeg': readJPEG,
+  'image/webp': readWebP
+}
+
+/**
+ * Identifies an image from its bytes.
+ *
+ * @function readImageHeader
+ * @param {Buffer} data - The image bytes
+ * @returns {{ mimeType: string, width: number, height: number }|null} The type and dimensions, or null if the type is not supported
+ * @memberof module:service/image
+ * @since 1.1.0
+ *
+ * @example
+ * readImageHeader(fs.readFileSync('foto.png')) // { mimeType: 'image/png', width: 640, height: 480 }
+ */
+export const readImageHeader = (data) => {
+  for (const [mimeType, read] of Object.entries(IMAGE_READERS)) {
+    const dimensions = read(data)
+    if (dimensions) return { mimeType, ...dimensions }
+  }
+  return null
+}
+
+/**
+ * Decodes an image sent in a JSON body, either as plain base64 or as a
+ * `data:` URL, whose type is then checked against the bytes.
+ *
+ * @function decodeImage
+ * @param {string} encoded - The base64 image or data URL (see imageSchema)
+ * @returns {{ data: Buffer, mimeType?: string }} The bytes and the declared type
+ * @memberof module:service/image
+ * @since 1.1.0
+ */
+export const decodeImage = (encoded) => {
+  const [, mimeType, base64] = encoded.match(/^(?:data:([^;,]+);base64,)?(.*)$/s)
+  return { data: Buffer.from(base64, 'base64'), ...(mimeType ? { mimeType } : {}) }
+}
+
+/**
+ * Validates one image and prepares it for the model.
+ *
+ * @function inspectImage
+ * @param {Object} image - The image
+ * @param {Buffer} image.data - The bytes
+ * @param {string} [image.mimeType] - The type declared by the client, if any
+ * @param {number} position - The position of the image in the request, for the error messages
+ * @returns {{ data: string, sha256: string, mimeType: string, width: number, height: number, bytes: number }} The base64 data and the reference of the image
+ * @throws {CustomError} 413 if the image is too large, 400 if it is not valid
+ * @memberof module:service/image
+ * @since 1.1.0
+ */
+const inspectImage = ({ data, mimeType }, position) => {
+  if (data.length > IMAGE_MAX_BYTES) {
+    throw new CustomError(`La imagen ${position} excede el tamaño máximo de ${IMAGE_MAX_BYTES} bytes.`, 413)
+  }
+
+  const header = readImageHeader(data)
+  if (!header) {
+    throw new CustomError(`La imagen ${position} no es PNG, JPEG ni WebP.`, 400)
+  }
+  // Generic types carry no claim; anything else must match the bytes
+  if (mimeType && mimeType !== 'application/octet-stream' && mimeType !== header.mimeType) {
+    throw new CustomError(`La imagen ${position} se declaró como ${mimeType} pero es ${header.mimeType}.`, 400)
+  }
+
+  const { width, height } = header
+  if (width < 1 || height < 1 || width > IMAGE_MAX_DIMENSION || height > IMAGE_MAX_DIMENSION) {
+    throw new CustomError(`La imagen ${position} mide ${width}x${height} píxeles; el máximo es ${IMAGE_MAX_DIMENSION} por lado.`, 400)
+  }
+
+  return {
+    data: data.toString('base64'),
+    sha256: createHash('sha256').update(data).digest('hex'),
+    mimeType: header.mimeType,
+    width,
+    height,
+    bytes: data.length
+  }
+}
+
+/**
+ * Validates the images of a chat request.
+ *
+ * @function inspectImages
+ * @param {Array<{ data: Buffer, mimeType?: string }>} images - The decoded images, in request order
+ * @returns {Array<Object>} For each image, the base64 data and its reference (see inspectImage)
+ * @throws {CustomError} 400 if there are too many images or one is not valid, 413 if one is too large
+ * @memberof module:service/image
+ * @since 1.1.0
+ */
+export const inspectImages = (images) => {
+  if (images.length > IMAGE_MAX_COUNT) {
+    throw new CustomError(`No se pueden enviar más de ${IMAGE_MAX_COUNT} imágenes por petición.`, 400)
+  }
+  return images.map((image, index) => inspectImage(image, index + 1))
+}
+
+/**
+ * Strips the bytes of inspected images, keeping what the audit trail records.
+ *
+ * @function toImageRefs
+ * @param {Array<Object>} images - The inspected images (see inspectImages)
+ * @returns {Array<{ sha256: string, mimeType: string, width: number, height: number, bytes: number }>} The references
+ * @memberof module:service/image
+ * @since 1.1.0
+ */
+export const toImageRefs = (images) => images.map(({ data, ...ref }) => ref)
+
+/**
+ * Tells whether a model declares vision capability (see OLLAMA_VISION_MODELS).
+ *
+ * @function supportsVision
+ * @param {string} model - The model name
+ * @returns {boolean} True if the model accepts images
+ * @memberof module:service/image
+ * @since 1.1.0
+ */
+export const supportsVision = (model) => VISION_MODELS.includes(model)
+
+/**
+ * Rejects images for a model without vision capability.
+ *
+ * @function assertVisionModel
+ * @param {string} model - The model that will answer
+ * @returns {void}
+ * @throws {CustomError} 400 if the model does not accept images
+ * @memberof module:service/image
+ * @since 1.1.0
+ */
+export const assertVisionModel = (model) => {
+  if (!supportsVision(model)) {
+    throw new CustomError(`El modelo "${model}" no admite imágenes.`, 400)
+  }
+}
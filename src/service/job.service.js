@@ -0,0 +1,391 @@
+/**
+ * Job service.
+ * Runs long tasks in the background: the API publishes them on RabbitMQ and
+ * the job worker process (src/worker.js) runs them. Their state is kept in
+ * MongoDB so clients can poll it.
+ *
+ * Job Lifecycle:
+ * 1. enqueueJob stores the job as `queued` and publishes its ID
+ * 2. The worker consumes the ID and marks the job `running`
+ * 3. The handler for the job type runs and reports its progress
+ * 4. The job ends `completed` with the handler's result, or `failed` with the error
+ * 5. cancelJob marks a queued or running job `cancelled`: the worker skips
+ *    it, or aborts its handler, and never overwrites the status afterwards
+ *
+ * Delivery:
+ * - Messages only carry the job ID; parameters are read from the job document
+ * - Each job type has its own queue, consumed on its own channel (see
+ *   JOB_QUEUES), so a long re-embedding never holds chat jobs back.
+ *   Re-embeddings run one at a time, chat jobs up to CHAT_JOB_CONCURRENCY
+ *   at once.
+ * - Messages are acknowledged once the job has recorded its outcome,
+ *   successfully or not. A job interrupted by a restart is delivered again,
+ *   so handlers must be safe to re-run.
+ * - A job whose outcome could not be recorded (e.g. MongoDB is down) is
+ *   requeued after REQUEUE_DELAY_MS. If it fails that way again when
+ *   redelivered, it is marked failed; it stays queued while even that fails.
+ * - Handlers receive an AbortSignal that aborts when the job is cancelled
+ *   or runs for JOB_TIMEOUT_MS. A job cancelled through another instance
+ *   is noticed within CANCEL_CHECK_MS.
+ *
+ * @file
+ * @module service/job
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../models/job.model.js} Job Model
+ * @see {@link ../middleware/rabbitMQ.js} RabbitMQ Middleware
+ */
+
+import Job from '../models/job.model.js'
+import { reembedKnowledgeBase } from './knowledge.service.js'
+import { chatWithCache } from './cache.service.js'
+import { chatStructured } from './structured.service.js'
+import { fallbackChain } from './fallback.service.js'
+import { recordJobUsage } from './audit.service.js'
+import { JOB_TIMEOUT_MS, CHAT_JOB_CONCURRENCY } from '../config/env.js'
+import { CustomError, UpstreamTimeoutError } from '../errors.js'
+import logger from '../logger.js'
+
+/**
+ * RabbitMQ queue that carries the IDs of each job type, and the number of
+ * its jobs a worker runs at once.
+ *
+ * @type {Object<string, { queue: string, prefetch: number }>}
+ * @constant {Object}
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+export const JOB_QUEUES = {
+  reembed: { queue: 'jobs', prefetch: 1 },
+  chat: { queue: 'chat-jobs', prefetch: CHAT_JOB_CONCURRENCY }
+}
+
+/**
+ * Interval, in milliseconds, at which a running job checks whether it was
+ * cancelled through another instance.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+const CANCEL_CHECK_MS = 5000
+
+/**
+ * Delay, in milliseconds, before a job whose outcome could not be recorded
+ * goes back to its queue, so a database outage is not retried in a loop.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+const REQUEUE_DELAY_MS = 5000
+
+/**
+ * Statuses of the jobs that have not ended yet.
+ *
+ * @type {string[]}
+ * @constant {string[]}
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+const ACTIVE_STATUSES = ['queued', 'running']
+
+/**
+ * Abort controllers of the jobs running in this process, by job ID.
+ *
+ * @type {Map<string, AbortController>}
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+const runningJobs = new Map()
+
+/**
+ * Answers the prompt of a chat job (POST /jobs).
+ * The parameters were resolved when the job was queued: the persona is
+ * already applied and the options already have the server defaults.
+ * The usage is added to the audit entry of the request that queued the
+ * job, so the usage summary includes background answers.
+ *
+ * @async
+ * @function answerChat
+ * @param {Object} params - The job parameters
+ * @param {string} params.prompt - The prompt
+ * @param {string[]} [params.fallbacks] - Fallback models resolved when the job was queued; the chat route's otherwise
+ * @param {Object|string} [params.format] - JSON output format or schema (see service/structured)
+ * @param {boolean} [params.reasoning] - Whether to keep the reasoning of the answer
+ * @param {boolean} [params.cache] - `false` to bypass the response cache
+ * @param {Object} context - `{ requestId, signal }`
+ * @returns {Promise<Object>} `{ response, parsed?, reasoning?, model, cache, usage }`
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+const answerChat = async ({ prompt, format, reasoning, cache, fallbacks = fallbackChain('chat'), ...params }, { requestId, signal }) => {
+  const settings = { ...params, fallbacks, signal }
+  const { response, cache: status } = format
+    ? { response: await chatStructured(prompt, requestId, { ...settings, format }), cache: 'BYPASS' }
+    : await chatWithCache(prompt, requestId, settings, { bypass: cache === false })
+  const model = response.model ?? params.model
+
+  // The answer is kept even if its usage cannot be recorded
+  if (response.usage) {
+    try {
+      const recorded = await recordJobUsage(requestId, { model, usage: response.usage, fallbackFrom: response.fallbackFrom })
+      if (!recorded) {
+        logger.warn('Chat job usage not recorded: audit entry not found', { model, requestId })
+      }
+    } catch (error) {
+      logger.warn('Could not record chat job usage', { error: error.message, requestId })
+    }
+  }
+
+  return {
+    response: response.message.content,
+    ...(format ? { parsed: response.parsed } : {}),
+    ...(reasoning && response.reasoning ? { reasoning: response.reasoning } : {}),
+    model,
+    cache: status,
+    usage: response.usage
+  }
+}
+
+/**
+ * Handlers by job type.
+ * A handler receives the job parameters and `{ requestId, onProgress, signal }`,
+ * and resolves with the result stored on the job.
+ *
+ * @type {Object<string, Function>}
+ * @constant {Object}
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+const JOB_HANDLERS = {
+  reembed: reembedKnowledgeBase,
+  chat: answerChat
+}
+
+/**
+ * Creates a job and queues it for the worker.
+ *
+ * @async
+ * @function enqueueJob
+ * @param {Object|undefined} channel - The RabbitMQ channel (req.rabbitChannel)
+ * @param {string} type - The job type (a key of JOB_HANDLERS)
+ * @param {Object} params - The parameters passed to the handler
+ * @param {string} requestId - The unique request ID for traceability
+ * @returns {Promise<Job>} The queued job
+ * @throws {CustomError} 503 if RabbitMQ is not connected
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+export const enqueueJob = async (channel, type, params, requestId) => {
+  if (!channel) {
+    throw new CustomError('La cola de trabajos no está disponible.', 503)
+  }
+
+  const job = await Job.create({ type, params, requestId })
+  channel.sendToQueue(JOB_QUEUES[type].queue, Buffer.from(JSON.stringify({ jobId: job.id })), { persistent: true })
+
+  logger.info('Job queued', { jobId: job.id, type, requestId })
+  return job
+}
+
+/**
+ * Fetches a job with its current status and progress.
+ *
+ * @async
+ * @function getJob
+ * @param {string} id - The job ID
+ * @returns {Promise<Object>} The job
+ * @throws {CustomError} 404 if the job does not exist
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+export const getJob = async (id) => {
+  const job = await Job.findById(id).lean()
+  if (!job) {
+    throw new CustomError('Trabajo no encontrado', 404)
+  }
+  return job
+}
+
+/**
+ * Cancels a job that has not ended yet. A running job is aborted right away
+ * when it runs in this process, otherwise at its next cancellation check.
+ *
+ * @async
+ * @function cancelJob
+ * @param {string} id - The job ID
+ * @returns {Promise<Object>} The cancelled job
+ * @throws {CustomError} 404 if the job does not exist, 409 if it has already ended
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+export const cancelJob = async (id) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: id, status: { $in: ACTIVE_STATUSES } },
+    { status: 'cancelled', finishedAt: new Date() },
+    { new: true }
+  ).lean()
+  if (!job) {
+    const { status } = await getJob(id)
+    throw new CustomError(`El trabajo ya ha terminado (${status}).`, 409)
+  }
+
+  runningJobs.get(String(id))?.abort()
+  logger.info('Job cancelled', { jobId: id, type: job.type, requestId: job.requestId })
+  return job
+}
+
+/**
+ * Runs a queued job and records its outcome.
+ * Handler errors mark the job as failed instead of being thrown; cancelled
+ * jobs are skipped, and keep their status if cancelled while running.
+ *
+ * @async
+ * @function runJob
+ * @param {string} jobId - The job ID
+ * @returns {Promise<void>}
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+export const runJob = async (jobId) => {
+  // Running jobs are claimed again: they were interrupted by a restart
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: ACTIVE_STATUSES } },
+    { status: 'running', startedAt: new Date() },
+    { new: true }
+  )
+  if (!job) {
+    logger.warn('Skipping unknown, cancelled or finished job', { jobId })
+    return
+  }
+
+  const onProgress = (processed, total) => Job.updateOne({ _id: jobId }, { progress: { processed, total } })
+
+  // Abort the handler on cancellation, wherever it was requested, or after JOB_TIMEOUT_MS
+  const controller = new AbortController()
+  runningJobs.set(String(jobId), controller)
+  const timer = setTimeout(() => controller.abort(new UpstreamTimeoutError(JOB_TIMEOUT_MS)), JOB_TIMEOUT_MS)
+  const check = setInterval(async () => {
+    const current = await Job.findById(jobId, 'status').lean().catch(() => null)
+    if (current?.status === 'cancelled') controller.abort()
+  }, CANCEL_CHECK_MS)
+
+  // Only a job still running records its outcome, so cancellation wins
+  const stillRunning = { _id: jobId, status: 'running' }
+  try {
+    const handler = JOB_HANDLERS[job.type]
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.type}`)
+    }
+
+    const result = await handler(job.params, { requestId: job.requestId, onProgress, signal: controller.signal })
+    await Job.updateOne(stillRunning, { status: 'completed', result, finishedAt: new Date() })
+    logger.info('Job completed', { jobId, type: job.type, requestId: job.requestId })
+  } catch (error) {
+    const { aborted, reason } = controller.signal
+    if (aborted && !(reason instanceof UpstreamTimeoutError)) {
+      logger.info('Cancelled job stopped', { jobId, type: job.type, requestId: job.requestId })
+      return
+    }
+
+    // Report the time limit rather than how the model call broke off
+    const message = aborted ? reason.message : error.message
+    await Job.updateOne(stillRunning, { status: 'failed', error: message, finishedAt: new Date() })
+    logger.error('Job failed', { jobId, type: job.type, error: message, requestId: job.requestId })
+  } finally {
+    clearTimeout(timer)
+    clearInterval(check)
+    runningJobs.delete(String(jobId))
+  }
+}
+
+/**
+ * Marks a job that has not ended yet as failed, once it could not be run
+ * on redelivery either.
+ *
+ * @async
+ * @function failJob
+ * @param {string} jobId - The job ID
+ * @param {string} message - The error that stopped the job
+ * @returns {Promise<void>}
+ * @throws {Error} If the job could not be updated
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+const failJob = async (jobId, message) => {
+  await Job.updateOne(
+    { _id: jobId, status: { $in: ACTIVE_STATUSES } },
+    { status: 'failed', error: message, finishedAt: new Date() }
+  )
+}
+
+/**
+ * Asserts the job queues on a RabbitMQ channel, so jobs can be published
+ * before any worker is running.
+ *
+ * @async
+ * @function assertJobQueues
+ * @param {Object} channel - The RabbitMQ channel
+ * @returns {Promise<void>}
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+export const assertJobQueues = async (channel) => {
+  for (const { queue } of Object.values(JOB_QUEUES)) {
+    await channel.assertQueue(queue)
+  }
+}
+
+/**
+ * Starts consuming the job queues, each on a channel of its own with its
+ * own prefetch (see JOB_QUEUES).
+ *
+ * @async
+ * @function startJobWorker
+ * @param {Object} connection - The RabbitMQ connection
+ * @returns {Promise<void>}
+ * @memberof module:service/job
+ * @since 1.1.0
+ */
+export const startJobWorker = async (connection) => {
+  for (const { queue, prefetch } of Object.values(JOB_QUEUES)) {
+    const channel = await connection.createChannel()
+    await channel.assertQueue(queue)
+    await channel.prefetch(prefetch)
+
+    await channel.consume(queue, async (message) => {
+      // A null message means the broker cancelled the consumer
+      if (!message) return
+
+      let jobId
+      try {
+        ({ jobId } = JSON.parse(message.content.toString()))
+      } catch (error) {
+        logger.error('Discarding invalid job message', { queue, error: error.message })
+        return channel.ack(message)
+      }
+
+      try {
+        await runJob(jobId)
+        return channel.ack(message)
+      } catch (error) {
+        // runJob records handler errors itself: the job store or the broker failed
+        logger.error('Could not run job', { jobId, queue, error: error.message, redelivered: message.fields.redelivered })
+        if (message.fields.redelivered) {
+          const failed = await failJob(jobId, error.message).then(() => true, () => false)
+          if (failed) return channel.ack(message)
+        }
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, REQUEUE_DELAY_MS))
+      channel.nack(message, false, true)
+    })
+
+    logger.info('Job worker started', { queue, prefetch })
+  }
+}
@@ -0,0 +1,665 @@
+/**
+ * Knowledge service.
+ * Ingests documents into knowledge bases and retrieves the passages most
+ * relevant to a question, so chat answers can be grounded in our own
+ * documents (retrieval-augmented generation).
+ *
+ * Ingestion Pipeline:
+ * 1. Split the text or markdown into overlapping chunks (splitText)
+ * 2. Embed the chunks in batches with the embedding model
+ * 3. Store the document and its chunks in MongoDB
+ *
+ * Retrieval:
+ * 1. Embed the question
+ * 2. Rank the chunks of the knowledge base by cosine similarity
+ * 3. Inject the top-k chunks into the prompt, numbered for citation
+ *
+ * Management:
+ * - List, inspect and delete knowledge bases, documents and chunks
+ * - Re-embed the chunks after an embedding model change (run as a
+ *   background job, see service/job)
+ *
+ * Similarity is computed in-process over the chunks embedded with the
+ * current EMBEDDING_MODEL, which suits knowledge bases of up to a few
+ * thousand chunks without a dedicated vector index. Embeddings are read
+ * RETRIEVAL_PAGE_SIZE at a time and only the best top-k are kept, so the
+ * memory a request needs does not grow with the knowledge base.
+ *
+ * @file
+ * @module service/knowledge
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../models/document.model.js} Knowledge Document Model
+ * @see {@link ../models/chunk.model.js} Chunk Model
+ */
+
+import KnowledgeDocument from '../models/document.model.js'
+import Chunk from '../models/chunk.model.js'
+import { embedTexts } from './embedding.service.js'
+import { CustomError } from '../errors.js'
+import { EMBEDDING_MODEL, RAG_CHUNK_SIZE, RAG_CHUNK_OVERLAP, RAG_TOP_K } from '../config/env.js'
+import logger from '../logger.js'
+
+/**
+ * Maximum number of chunks sent to the embedding model in one call.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+const EMBED_BATCH_SIZE = 64
+
+/**
+ * Number of chunk embeddings loaded at once while ranking a knowledge base.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+const RETRIEVAL_PAGE_SIZE = 500
+
+/**
+ * Cuts a text longer than `maxLength` into sentences, and sentences that
+ * are still too long at the last space before the limit.
+ *
+ * @function splitLong
+ * @param {string} text - The text to cut
+ * @param {number} maxLength - Maximum length of each piece
+ * @returns {string[]} The pieces, in order
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+const splitLong = (text, maxLength) => text
+  .split(/(?<=[.!?])\s+/)
+  .flatMap((sentence) => {
+    const pieces = []
+    let rest = sentence
+    while (rest.length > maxLength) {
+      const space = rest.lastIndexOf(' ', maxLength)
+      const end = space > 0 ? space : maxLength
+      pieces.push(rest.slice(0, end))
+      rest = rest.slice(end).trimStart()
+    }
+    return rest ? [...pieces, rest] : pieces
+  })
+
+/**
+ * Returns the end of a chunk to repeat at the start of the next one,
+ * starting at a word boundary.
+ *
+ * @function overlapOf
+ * @param {string} text - The finished chunk
+ * @param {number} length - Maximum overlap in characters
+ * @returns {string} The overlapping text ('' when overlap is disabled)
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+const overlapOf = (text, length) => {
+  if (length === 0 || text.length <= length) return length === 0 ? '' : text
+  const tail = text.slice(-length)
+  const space = tail.indexOf(' ')
+  return space === -1 ? tail : tail.slice(space + 1)
+}
+
+/**
+ * Splits a document into chunks of at most `chunkSize` characters.
+ *
+ * Splitting Rules:
+ * - Paragraphs (blank-line separated) are kept whole when they fit
+ * - Longer paragraphs are cut into sentences, then at word boundaries
+ * - Consecutive chunks share up to `chunkOverlap` characters
+ * - In markdown, every heading starts a new chunk, without overlap
+ *
+ * @function splitText
+ * @param {string} text - The document text
+ * @param {Object} [settings] - Chunking settings
+ * @param {number} [settings.chunkSize=RAG_CHUNK_SIZE] - Maximum chunk length in characters
+ * @param {number} [settings.chunkOverlap=RAG_CHUNK_OVERLAP] - Characters shared by consecutive chunks
+ * @param {'text'|'markdown'} [settings.format='text'] - Format of the text
+ * @returns {string[]} The chunks, in document order
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ *
+ * @example
+ * splitText('# Horario\nAbrimos a las 9.\n\n# Envíos\nGratis desde 50 €.', { format: 'markdown' })
+ * // ['# Horario\nAbrimos a las 9.', '# Envíos\nGratis desde 50 €.']
+ */
+export const splitText = (text, {
+  chunkSize = RAG_CHUNK_SIZE,
+  chunkOverlap = RAG_CHUNK_OVERLAP,
+  format = 'text'
+} = {}) => {
+  // Leave room for the overlap and the space that joins it to the next piece
+  const maxPiece = Math.max(1, chunkSize - chunkOverlap - 1)
+  const separator = format === 'markdown' ? /\n\s*\n|\n(?=#{1,6}\s)/ : /\n\s*\n/
+
+  const chunks = []
+  let current = ''
+  for (const block of text.replace(/\r\n?/g, '\n').split(separator)) {
+    const paragraph = block.trim()
+    if (!paragraph) continue
+
+    const heading = format === 'markdown' && /^#{1,6}\s/.test(paragraph)
+    const pieces = paragraph.length <= maxPiece ? [paragraph] : splitLong(paragraph, maxPiece)
+
+    pieces.forEach((piece, position) => {
+      const joiner = position === 0 ? '\n\n' : ' '
+      if (!current) {
+        current = piece
+      } else if ((heading && position === 0) || current.length + joiner.length + piece.length > chunkSize) {
+        chunks.push(current)
+        const overlap = heading && position === 0 ? '' : overlapOf(current, chunkOverlap)
+        current = overlap ? `${overlap} ${piece}` : piece
+      } else {
+        current += joiner + piece
+      }
+    })
+  }
+  if (current) chunks.push(current)
+  return chunks
+}
+
+/**
+ * Computes the cosine similarity of two vectors of the same length.
+ *
+ * @function cosineSimilarity
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} The similarity, between -1 and 1 (0 for null vectors)
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+/**
+ * Embeds chunk texts in batches of EMBED_BATCH_SIZE.
+ *
+ * @async
+ * @function embedChunks
+ * @param {string[]} texts - The chunk texts
+ * @param {string} requestId - The unique request ID for traceability
+ * @returns {Promise<{ embeddings: number[][], dimensions: number, promptTokens: number, calls: number }>} The vectors, in order
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+const embedChunks = async (texts, requestId) => {
+  const embeddings = []
+  let promptTokens = 0
+  let calls = 0
+  for (let start = 0; start < texts.length; start += EMBED_BATCH_SIZE) {
+    const batch = await embedTexts(texts.slice(start, start + EMBED_BATCH_SIZE), requestId)
+    embeddings.push(...batch.embeddings)
+    promptTokens += batch.promptTokens
+    calls++
+  }
+  return { embeddings, dimensions: embeddings[0]?.length ?? 0, promptTokens, calls }
+}
+
+/**
+ * Ingests a document into a knowledge base.
+ * The document is only kept if all its chunks were embedded and stored.
+ *
+ * @async
+ * @function ingestDocument
+ * @param {string} knowledgeBase - The knowledge base name
+ * @param {Object} data - The validated document (see documentSchema)
+ * @param {string} data.title - Title shown in citations
+ * @param {string} [data.source] - Pointer to the original, shown in citations
+ * @param {'text'|'markdown'} data.format - Format of the content
+ * @param {string} data.content - The document text
+ * @param {number} data.chunkSize - Maximum chunk length in characters
+ * @param {number} data.chunkOverlap - Characters shared by consecutive chunks
+ * @param {string} requestId - The unique request ID for traceability
+ * @returns {Promise<{ document: Object, dimensions: number, promptTokens: number, calls: number }>} The stored document (without its content) and the embedding usage
+ * @throws {Error} If the embedding model or the database fail
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const ingestDocument = async (knowledgeBase, { title, source, format, content, chunkSize, chunkOverlap }, requestId) => {
+  const texts = splitText(content, { chunkSize, chunkOverlap, format })
+  const document = await KnowledgeDocument.create({
+    knowledgeBase,
+    title,
+    source,
+    format,
+    content,
+    chunkSize,
+    chunkOverlap
+  })
+
+  try {
+    const { embeddings, dimensions, promptTokens, calls } = await embedChunks(texts, requestId)
+    await Chunk.insertMany(texts.map((text, index) => ({
+      knowledgeBase,
+      document: document._id,
+      index,
+      text,
+      embedding: embeddings[index],
+      embeddingModel: EMBEDDING_MODEL
+    })))
+
+    document.chunkCount = texts.length
+    document.embeddingModel = EMBEDDING_MODEL
+    await document.save()
+
+    logger.info('Knowledge document ingested', {
+      knowledgeBase,
+      documentId: document.id,
+      chunks: texts.length,
+      requestId
+    })
+    const { content: stored, ...summary } = document.toObject()
+    return { document: summary, dimensions, promptTokens, calls }
+  } catch (error) {
+    // Do not leave a document without its chunks behind
+    await Chunk.deleteMany({ document: document._id })
+    await KnowledgeDocument.deleteOne({ _id: document._id })
+    throw error
+  }
+}
+
+/**
+ * Retrieves the chunks of a knowledge base most similar to a question.
+ * Chunks are scored page by page in ID order, keeping only the best `topK`;
+ * the text and document of those are loaded last. Chunks left behind by a
+ * deleted document are skipped while paging, so they never take the place
+ * of a valid chunk.
+ *
+ * @async
+ * @function retrieveChunks
+ * @param {string} knowledgeBase - The knowledge base name
+ * @param {string} query - The question
+ * @param {string} requestId - The unique request ID for traceability
+ * @param {Object} [settings] - Retrieval settings
+ * @param {number} [settings.topK=RAG_TOP_K] - Maximum number of chunks to return
+ * @returns {Promise<{ chunks: Object[], promptTokens: number }>} The chunks, most similar first, with their document and score
+ * @throws {CustomError} 404 if the knowledge base has no documents
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const retrieveChunks = async (knowledgeBase, query, requestId, { topK = RAG_TOP_K } = {}) => {
+  if (!await KnowledgeDocument.exists({ knowledgeBase })) {
+    throw new CustomError('Base de conocimiento no encontrada', 404)
+  }
+
+  const { embeddings: [vector], promptTokens } = await embedTexts([query], requestId)
+
+  const filter = { knowledgeBase, embeddingModel: EMBEDDING_MODEL }
+  let best = []
+  let candidates = 0
+  let lastId
+  // Whether each document seen so far still exists, by document ID
+  const documents = new Map()
+  for (;;) {
+    const page = await Chunk.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter, { embedding: 1, document: 1 })
+      .sort({ _id: 1 })
+      .limit(RETRIEVAL_PAGE_SIZE)
+      .lean()
+    if (page.length === 0) break
+
+    const unseen = [...new Set(page.map(({ document }) => String(document)))].filter((id) => !documents.has(id))
+    if (unseen.length > 0) {
+      const existing = await KnowledgeDocument.find({ _id: { $in: unseen } }, { _id: 1 }).lean()
+      const ids = new Set(existing.map(({ _id }) => String(_id)))
+      unseen.forEach((id) => documents.set(id, ids.has(id)))
+    }
+
+    const scored = page
+      .filter(({ document }) => documents.get(String(document)))
+      .map(({ _id, embedding }) => ({ _id, score: cosineSimilarity(vector, embedding) }))
+    best = [...best, ...scored]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+    candidates += page.length
+    lastId = page.at(-1)._id
+  }
+
+  const scores = new Map(best.map(({ _id, score }) => [String(_id), score]))
+  const found = await Chunk.find({ _id: { $in: best.map(({ _id }) => _id) } }, { text: 1, document: 1, index: 1 })
+    .populate('document', 'title source')
+    .lean()
+  const chunks = found
+    .filter((chunk) => chunk.document)
+    .map((chunk) => ({ ...chunk, score: scores.get(String(chunk._id)) }))
+    .sort((a, b) => b.score - a.score)
+
+  logger.info('Knowledge chunks retrieved', {
+    knowledgeBase,
+    candidates,
+    retrieved: chunks.length,
+    topScore: chunks[0]?.score,
+    requestId
+  })
+
+  return { chunks, promptTokens }
+}
+
+/**
+ * Builds the prompt sent to the model with the retrieved chunks.
+ * Chunks are numbered from 1 so the model can cite them as [n]; the
+ * numbers match the `ref` of the citations returned to the client.
+ *
+ * @function buildGroundedPrompt
+ * @param {string} prompt - The user's question
+ * @param {Object[]} chunks - The retrieved chunks (see retrieveChunks)
+ * @returns {string} The prompt with the context, or the question alone when nothing was retrieved
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const buildGroundedPrompt = (prompt, chunks) => {
+  if (chunks.length === 0) return prompt
+
+  const context = chunks
+    .map((chunk, position) => `[${position + 1}] ${chunk.document.title}\n${chunk.text}`)
+    .join('\n\n')
+
+  return [
+    'Responde a la pregunta usando la siguiente información. Si no es suficiente, dilo.',
+    'Cita las fuentes que utilices con su número entre corchetes, por ejemplo [1].',
+    '',
+    context,
+    '',
+    `Pregunta: ${prompt}`
+  ].join('\n')
+}
+
+/**
+ * Builds the citations returned to the client for the retrieved chunks.
+ *
+ * @function toCitations
+ * @param {Object[]} chunks - The retrieved chunks (see retrieveChunks)
+ * @returns {Array<{ ref: number, documentId: string, title: string, source?: string, chunk: number, score: number }>} The citations
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const toCitations = (chunks) => chunks.map((chunk, position) => ({
+  ref: position + 1,
+  documentId: String(chunk.document._id),
+  title: chunk.document.title,
+  source: chunk.document.source,
+  chunk: chunk.index,
+  score: chunk.score
+}))
+
+/**
+ * Aggregation stage that summarizes the documents of each knowledge base.
+ *
+ * @type {Object}
+ * @constant {Object}
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+const SUMMARY_STAGE = {
+  $group: {
+    _id: '$knowledgeBase',
+    documents: { $sum: 1 },
+    chunks: { $sum: '$chunkCount' },
+    embeddingModels: { $addToSet: '$embeddingModel' },
+    updatedAt: { $max: '$updatedAt' }
+  }
+}
+
+/**
+ * Renames the group key of an aggregated knowledge base summary.
+ *
+ * @function toSummary
+ * @param {Object} group - An output document of SUMMARY_STAGE
+ * @returns {Object} The summary with `name` instead of `_id`
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+const toSummary = ({ _id, ...summary }) => ({ name: _id, ...summary })
+
+/**
+ * Lists the knowledge bases with their document and chunk counts.
+ * A knowledge base exists while it has at least one document.
+ *
+ * @async
+ * @function listKnowledgeBases
+ * @returns {Promise<Object[]>} The knowledge bases, by name
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const listKnowledgeBases = async () => {
+  const groups = await KnowledgeDocument.aggregate([SUMMARY_STAGE, { $sort: { _id: 1 } }])
+  return groups.map(toSummary)
+}
+
+/**
+ * Summarizes a knowledge base.
+ * `embeddingModels` lists the models of its documents; more than one
+ * means a re-embedding is pending or in progress.
+ *
+ * @async
+ * @function getKnowledgeBase
+ * @param {string} knowledgeBase - The knowledge base name
+ * @returns {Promise<{ name: string, documents: number, chunks: number, embeddingModels: string[], updatedAt: Date }>} The summary
+ * @throws {CustomError} 404 if the knowledge base has no documents
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const getKnowledgeBase = async (knowledgeBase) => {
+  const [group] = await KnowledgeDocument.aggregate([{ $match: { knowledgeBase } }, SUMMARY_STAGE])
+  if (!group) {
+    throw new CustomError('Base de conocimiento no encontrada', 404)
+  }
+  return toSummary(group)
+}
+
+/**
+ * Deletes a knowledge base with all its documents and chunks.
+ *
+ * @async
+ * @function deleteKnowledgeBase
+ * @param {string} knowledgeBase - The knowledge base name
+ * @returns {Promise<void>}
+ * @throws {CustomError} 404 if the knowledge base has no documents
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const deleteKnowledgeBase = async (knowledgeBase) => {
+  const { deletedCount } = await KnowledgeDocument.deleteMany({ knowledgeBase })
+  if (deletedCount === 0) {
+    throw new CustomError('Base de conocimiento no encontrada', 404)
+  }
+  await Chunk.deleteMany({ knowledgeBase })
+  logger.info('Knowledge base deleted', { knowledgeBase, documents: deletedCount })
+}
+
+/**
+ * Lists the documents of a knowledge base, most recent first.
+ * Contents are excluded to keep the listing lightweight.
+ *
+ * @async
+ * @function listDocuments
+ * @param {string} knowledgeBase - The knowledge base name
+ * @param {Object} [query] - Pagination options
+ * @param {number} [query.limit=20] - Maximum number of documents to return
+ * @param {number} [query.offset=0] - Number of documents to skip
+ * @returns {Promise<{ total: number, documents: Object[] }>} The page of documents
+ * @throws {CustomError} 404 if the knowledge base has no documents
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const listDocuments = async (knowledgeBase, { limit = 20, offset = 0 } = {}) => {
+  const [total, documents] = await Promise.all([
+    KnowledgeDocument.countDocuments({ knowledgeBase }),
+    KnowledgeDocument.find({ knowledgeBase }, { content: 0 })
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean()
+  ])
+  if (total === 0) {
+    throw new CustomError('Base de conocimiento no encontrada', 404)
+  }
+  return { total, documents }
+}
+
+/**
+ * Fetches a document of a knowledge base, including its content.
+ *
+ * @async
+ * @function getDocument
+ * @param {string} knowledgeBase - The knowledge base name
+ * @param {string} id - The document ID
+ * @returns {Promise<Object>} The document
+ * @throws {CustomError} 404 if the document does not exist in this knowledge base
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const getDocument = async (knowledgeBase, id) => {
+  const document = await KnowledgeDocument.findOne({ _id: id, knowledgeBase }).lean()
+  if (!document) {
+    throw new CustomError('Documento no encontrado', 404)
+  }
+  return document
+}
+
+/**
+ * Updates the title or source of a document.
+ * Both are read from the document at retrieval time, so citations
+ * reflect the change immediately.
+ *
+ * @async
+ * @function updateDocument
+ * @param {string} knowledgeBase - The knowledge base name
+ * @param {string} id - The document ID
+ * @param {{ title?: string, source?: string }} changes - The validated changes (see documentUpdateSchema)
+ * @returns {Promise<Object>} The updated document, without its content
+ * @throws {CustomError} 404 if the document does not exist in this knowledge base
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const updateDocument = async (knowledgeBase, id, changes) => {
+  const document = await KnowledgeDocument.findOneAndUpdate(
+    { _id: id, knowledgeBase },
+    changes,
+    { new: true, projection: { content: 0 } }
+  ).lean()
+  if (!document) {
+    throw new CustomError('Documento no encontrado', 404)
+  }
+  return document
+}
+
+/**
+ * Deletes a document and its chunks.
+ *
+ * @async
+ * @function deleteDocument
+ * @param {string} knowledgeBase - The knowledge base name
+ * @param {string} id - The document ID
+ * @returns {Promise<void>}
+ * @throws {CustomError} 404 if the document does not exist in this knowledge base
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const deleteDocument = async (knowledgeBase, id) => {
+  const deleted = await KnowledgeDocument.findOneAndDelete({ _id: id, knowledgeBase })
+  if (!deleted) {
+    throw new CustomError('Documento no encontrado', 404)
+  }
+  await Chunk.deleteMany({ document: id })
+  logger.info('Knowledge document deleted', { knowledgeBase, documentId: id })
+}
+
+/**
+ * Lists the chunks of a document in order, without their vectors.
+ *
+ * @async
+ * @function listChunks
+ * @param {string} knowledgeBase - The knowledge base name
+ * @param {string} id - The document ID
+ * @param {Object} [query] - Pagination options
+ * @param {number} [query.limit=20] - Maximum number of chunks to return
+ * @param {number} [query.offset=0] - Number of chunks to skip
+ * @returns {Promise<{ total: number, chunks: Object[] }>} The page of chunks
+ * @throws {CustomError} 404 if the document does not exist in this knowledge base
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const listChunks = async (knowledgeBase, id, { limit = 20, offset = 0 } = {}) => {
+  if (!await KnowledgeDocument.exists({ _id: id, knowledgeBase })) {
+    throw new CustomError('Documento no encontrado', 404)
+  }
+  const [total, chunks] = await Promise.all([
+    Chunk.countDocuments({ document: id }),
+    Chunk.find({ document: id }, { embedding: 0 })
+      .sort({ index: 1 })
+      .skip(offset)
+      .limit(limit)
+      .lean()
+  ])
+  return { total, chunks }
+}
+
+/**
+ * Re-embeds the chunks of a knowledge base, or of one of its documents,
+ * with the current EMBEDDING_MODEL.
+ * Chunks are processed in ID order and batches of EMBED_BATCH_SIZE, so
+ * large knowledge bases are never loaded at once. Running it again is safe.
+ *
+ * @async
+ * @function reembedKnowledgeBase
+ * @param {Object} params - What to re-embed
+ * @param {string} params.knowledgeBase - The knowledge base name
+ * @param {string} [params.documentId] - Only re-embed this document
+ * @param {Object} [context] - Job context
+ * @param {string} [context.requestId] - The request that created the job
+ * @param {Function} [context.onProgress] - Called with (processed, total) chunk counts
+ * @returns {Promise<{ chunks: number, embeddingModel: string, promptTokens: number }>} The re-embedding summary
+ * @memberof module:service/knowledge
+ * @since 1.1.0
+ */
+export const reembedKnowledgeBase = async ({ knowledgeBase, documentId }, { requestId, onProgress = async () => {} } = {}) => {
+  const filter = documentId ? { knowledgeBase, document: documentId } : { knowledgeBase }
+  const total = await Chunk.countDocuments(filter)
+  await onProgress(0, total)
+
+  let processed = 0
+  let promptTokens = 0
+  let lastId
+  for (;;) {
+    const chunks = await Chunk.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter, { text: 1 })
+      .sort({ _id: 1 })
+      .limit(EMBED_BATCH_SIZE)
+      .lean()
+    if (chunks.length === 0) break
+
+    const batch = await embedTexts(chunks.map((chunk) => chunk.text), requestId)
+    await Chunk.bulkWrite(chunks.map((chunk, position) => ({
+      updateOne: {
+        filter: { _id: chunk._id },
+        update: { embedding: batch.embeddings[position], embeddingModel: EMBEDDING_MODEL }
+      }
+    })))
+
+    processed += chunks.length
+    promptTokens += batch.promptTokens
+    lastId = chunks.at(-1)._id
+    await onProgress(processed, total)
+  }
+
+  await KnowledgeDocument.updateMany(
+    documentId ? { _id: documentId, knowledgeBase } : { knowledgeBase },
+    { embeddingModel: EMBEDDING_MODEL }
+  )
+
+  logger.info('Knowledge base re-embedded', { knowledgeBase, documentId, chunks: processed, requestId })
+  return { chunks: processed, embeddingModel: EMBEDDING_MODEL, promptTokens }
+}
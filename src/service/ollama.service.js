@@ -1,25 +1,28 @@
 /**
  * Ollama service.
- * Interacts with the Ollama API to send prompts and receive responses.
- * This module encapsulates all logic related to communicating with the Ollama service,
+ * Sends prompts to the configured LLM provider and receives responses.
+ * This module encapsulates all logic related to communicating with the model,
  * providing a clean abstraction over the external AI model API.
  * 
  * Service Responsibilities:
- * 1. Communicating with the Ollama API
+ * 1. Communicating with the LLM provider (Ollama, OpenAI-compatible or mock)
  * 2. Handling API responses and errors
  * 3. Logging service interactions
  * 4. Managing AI model selection
+ * 5. Relaying partial responses in streaming mode
+ * 6. Waiting for a free slot of the model queue before each model call
+ * 7. Retrying transient model failures behind a circuit breaker (see service/resilience)
  * 
  * Design Pattern: Service Layer
  * This service follows the Service Layer pattern, encapsulating business logic
  * and providing a clean interface for interacting with external systems.
  * 
  * External Dependencies:
- * - Ollama Node.js client library
- * - AI model (qwen3:0.6b)
+ * - LLM provider selected by LLM_PROVIDER (see providers/index.js)
+ * - AI models (default: qwen3:0.6b, configurable via OLLAMA_MODEL)
  * 
  * Error Handling:
- * - Network errors when connecting to Ollama
+ * - Network errors when connecting to Ollama (retried while transient)
  * - API errors from the Ollama service
  * - Timeout errors during long processing
  * 
@@ -29,12 +32,48 @@
  * @since 1.0.0
  * @copyright 2025 ChatBot Project
  * @license MIT
- * @see {@link https://www.npmjs.com/package/ollama} Ollama Node.js Client
+ * @see {@link ../providers/index.js} LLM provider interface
  * @see {@link https://ollama.ai/} Ollama AI Service
  */
 
-import ollama from 'ollama'
+import { getProvider } from '../providers/index.js'
 import logger from '../logger.js'
+import { DEFAULT_MODEL, ALLOWED_MODELS, VISION_MODELS, TOOL_MAX_ITERATIONS } from '../config/env.js'
+import { resolveOptions } from './generation.service.js'
+import { runToolCall } from './tool.service.js'
+import { toToolDefinitions } from '../tools/index.js'
+import { splitReasoning, createReasoningSplitter } from './reasoning.service.js'
+import { toUsage, addUsage } from './usage.service.js'
+import { holdModelSlot } from './queue.service.js'
+import { callModel } from './resilience.service.js'
+import { withFallback } from './fallback.service.js'
+
+/**
+ * Builds the messages sent before the conversation history.
+ *
+ * @function toSystemMessages
+ * @param {string} [system] - The system prompt, if any
+ * @returns {Array<{ role: string, content: string }>} The system message, or none
+ * @memberof module:service/ollama
+ * @since 1.1.0
+ */
+const toSystemMessages = (system) => system ? [{ role: 'system', content: system }] : []
+
+/**
+ * Builds the user message of the prompt, with its images for vision models.
+ *
+ * @function toUserMessage
+ * @param {string} prompt - The user's prompt
+ * @param {string[]} [images=[]] - Base64 images sent with the prompt
+ * @returns {{ role: string, content: string, images?: string[] }} The user message
+ * @memberof module:service/ollama
+ * @since 1.1.0
+ */
+const toUserMessage = (prompt, images = []) => ({
+    role: 'user',
+    content: prompt,
+    ...(images.length > 0 ? { images } : {})
+})
 
 /**
  * Sends a chat prompt to the Ollama service and returns the response.
@@ -45,24 +84,55 @@ import logger from '../logger.js'
  * 1. Log the outgoing request
  * 2. Send prompt to Ollama service
  * 3. Wait for response
- * 4. Log the incoming response
- * 5. Return formatted response
+ * 4. Run the requested tools and send their results back, if any
+ * 5. Log the incoming response
+ * 6. Return formatted response
+ *
+ * Reasoning:
+ * The `<think>` block of thinking models is removed from `message.content`
+ * and returned as `reasoning`, together with any reasoning the provider
+ * already reports separately (`message.thinking`).
+ *
+ * Tool Calling:
+ * When tools are enabled they are declared to the model on every call.
+ * Each time the model answers with `tool_calls`, the tools are executed and
+ * their results appended as `tool` messages before calling the model again.
+ * After TOOL_MAX_ITERATIONS rounds the tools are no longer declared, so the
+ * model has to answer in text.
+ *
+ * Concurrency:
+ * Every call to the model goes through the model queue (see queue.service),
+ * so tools run without holding a slot, and neither do retries waiting out
+ * their backoff.
+ *
+ * Fallback:
+ * When the model is missing, times out or has its circuit open, the first
+ * call is made again with the next model of `fallbacks` (see fallback.service).
+ * Tool rounds stay with the model that answered it.
  * 
  * AI Model:
- * - Model: qwen3:0.6b
+ * - Model: selected per request, defaults to DEFAULT_MODEL (qwen3:0.6b)
  * - Type: Large Language Model
  * - Capabilities: Text generation, conversation
- * - Provider: Ollama
+ * - Provider: selected by LLM_PROVIDER
  * 
  * Request Parameters:
  * - model: Specifies which AI model to use
- * - messages: Array of message objects with role and content
+ * - messages: Conversation history followed by the user's prompt
+ * - options: Effective generation options (temperature, top_p, num_ctx...)
+ * - tools: Declarations of the enabled tools (only when tools are enabled)
+ * - format: 'json' or a JSON Schema constraining the answer (only when requested)
  * 
  * Response Format:
- * - model: The model that generated the response
+ * - model: The model that generated the response, a fallback model if the requested one failed
  * - createdAt: Timestamp of response creation
  * - message: Object containing role and content
  * - done: Boolean indicating if response is complete
+ * - doneReason, durations and token counts (see toResponseMetadata)
+ * - reasoning: The model's reasoning, '' when it did not reason
+ * - usage: Tokens and durations added up over every call made (see toUsage)
+ * - toolCalls: Tool invocations made while answering (name, arguments, result or error, duration)
+ * - fallbackFrom: Models skipped before the one that answered, with the reason (only after a fallback)
  * 
  * Performance Considerations:
  * - Response time depends on model complexity and prompt length
@@ -73,33 +143,111 @@ import logger from '../logger.js'
  * @function chatOllama
  * @param {string} prompt - The user's prompt to send to the Ollama service
  * @param {string} requestId - The unique request ID for traceability
- * @returns {Promise<string|undefined>} The response content from Ollama or undefined if an error occurs
- * @throws {Error} If there's an issue communicating with the Ollama service
+ * @param {Object} [params] - Additional chat parameters
+ * @param {string} [params.system] - System prompt sent before the history (e.g. of a persona)
+ * @param {Array<{ role: string, content: string }>} [params.history=[]] - Previous conversation turns replayed before the prompt
+ * @param {string[]} [params.images=[]] - Base64 images sent with the prompt, for vision models
+ * @param {string} [params.model=DEFAULT_MODEL] - The model to answer with
+ * @param {string[]} [params.fallbacks=[]] - Models tried in order when the requested one fails (see fallbackChain)
+ * @param {Object} [params.options] - Effective generation options (see resolveOptions); server defaults when omitted
+ * @param {string[]} [params.tools=[]] - Names of the registered tools the model may call
+ * @param {'json'|Object} [params.format] - Output format forwarded to the model: 'json' or a JSON Schema
+ * @param {string} [params.priority='normal'] - Lane of the model queue the calls wait in; requests pass their
+ *   caller's lane (see middleware/priority), which is 'low' for callers without a known API key
+ * @param {AbortSignal} [params.signal] - Aborts the pending model call (see middleware/cancellation)
+ * @returns {Promise<Object>} The response metadata, assistant message, reasoning, tool invocations and usage
+ * @throws {QueueFullError} If the model queue is full
+ * @throws {CircuitOpenError} If the circuit of the last model tried is open after repeated failures
+ * @throws {*} The abort reason (e.g. UpstreamTimeoutError) if the signal aborts
+ * @throws {Error} If there's an issue communicating with the LLM provider
  * @memberof module:service/ollama
  * @since 1.0.0
  * 
  * @example
  * // Send a prompt to the AI model
  * const response = await chatOllama("Hello, how are you?", "req-123");
- * console.log(response); // "I'm doing well, thank you for asking!"
+ * console.log(response.message.content); // "I'm doing well, thank you for asking!"
  */
-const chatOllama = async (prompt, requestId) => {
+const chatOllama = async (prompt, requestId, {
+    system,
+    history = [],
+    images = [],
+    model = DEFAULT_MODEL,
+    fallbacks = [],
+    options = resolveOptions(),
+    tools = [],
+    format,
+    priority,
+    signal
+} = {}) => {
     // Log the outgoing request to the Ollama service
     // This provides visibility into what prompts are being sent to the AI
     // Includes the prompt content and request ID for traceability
     logger.info('Calling Ollama service', { 
       prompt, 
-      model: 'qwen3:0.6b',
+      model,
+      options,
+      tools,
+      historyLength: history.length,
+      images: images.length,
       requestId
     })
     
-    // Send the prompt to the Ollama service and await the response
-    // Uses the chat method which is appropriate for conversational interactions
-    // The model parameter specifies which AI model to use for processing
-    const res = await ollama.chat({
-        model: 'qwen3:0.6b',
-        messages: [{ role: 'user', content: prompt }],
-    })
+    // Previous conversation turns are replayed before the new prompt
+    // Tool calls and their results are appended as the loop goes on
+    const messages = [...toSystemMessages(system), ...history, toUserMessage(prompt, images)]
+    const definitions = toToolDefinitions(tools)
+    const toolCalls = []
+    const fallbackFrom = []
+    let models = [model, ...fallbacks]
+    let usage
+    let res
+
+    for (let round = 0; ; round++) {
+        // Stop declaring the tools once the iteration limit is reached
+        const offerTools = definitions.length > 0 && round < TOOL_MAX_ITERATIONS
+
+        // Send the prompt to the Ollama service and await the response
+        // Uses the chat method which is appropriate for conversational interactions
+        // The model parameter specifies which AI model to use for processing
+        // The call waits for a free slot when the model is busy
+        // and stops as soon as the request is aborted
+        // Transient failures are retried; the slot is freed during the backoff
+        const answer = await withFallback(models, async (candidate, attemptSignal) => {
+            const slot = await holdModelSlot(requestId, priority, attemptSignal)
+            try {
+                return await callModel(() => getProvider().chat({
+                    model: candidate,
+                    messages,
+                    options,
+                    ...(format ? { format } : {}),
+                    ...(offerTools ? { tools: definitions } : {})
+                }, { signal: attemptSignal }), { model: candidate, requestId, signal: attemptSignal, slot })
+            } catch (error) {
+                // Report why the call was aborted rather than how it failed
+                throw attemptSignal?.aborted ? attemptSignal.reason : error
+            } finally {
+                slot.release()
+            }
+        }, { requestId, signal })
+        res = answer.result
+        usage = addUsage(usage, toUsage(res))
+
+        // Later rounds stay with the model that answered
+        models = [answer.model]
+        fallbackFrom.push(...answer.fallbackFrom)
+
+        const calls = offerTools ? res.message.tool_calls ?? [] : []
+        if (calls.length === 0) break
+
+        // Run the requested tools and feed their results back to the model
+        messages.push(res.message)
+        for (const call of calls) {
+            const { message, invocation } = await runToolCall(call, requestId, tools)
+            messages.push(message)
+            toolCalls.push(invocation)
+        }
+    }
     
     // Log the response received from the Ollama service
     // This provides visibility into the AI's responses for debugging and monitoring
@@ -108,13 +256,207 @@ const chatOllama = async (prompt, requestId) => {
         model: res.model, 
         done: res.done,
         responseLength: res.message?.content?.length,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
         requestId
     })
     
-    // Return the content of the AI's response
-    // This extracts just the text content from the full response object
-    // The controller will format this into the final HTTP response
-    return res.message.content
+    // Move the reasoning out of the answer so it never reaches users as content
+    const { thinking, ...message } = res.message
+    const { reasoning, content } = splitReasoning(message.content)
+
+    // Return the normalized response metadata together with the message
+    // The controller decides which parts end up in the HTTP response
+    return {
+        ...toResponseMetadata(res),
+        message: { ...message, content },
+        reasoning: [thinking, reasoning].filter(Boolean).join('\n\n'),
+        toolCalls,
+        usage,
+        ...(fallbackFrom.length > 0 ? { fallbackFrom } : {})
+    }
+}
+
+/**
+ * Maps the metadata of a finished Ollama response to the camelCase shape
+ * documented by the `ChatResponse` schema.
+ * The content itself is left out so the same helper can describe both
+ * complete responses and the final chunk of a stream.
+ *
+ * @function toResponseMetadata
+ * @param {Object} res - A completed Ollama chat response or final stream chunk
+ * @returns {Object} The response metadata (model, timings and token counts)
+ * @memberof module:service/ollama
+ * @since 1.1.0
+ *
+ * @example
+ * toResponseMetadata({ model: 'qwen3:0.6b', done: true, eval_count: 42 })
+ * // { model: 'qwen3:0.6b', done: true, evalCount: 42, ... }
+ */
+export const toResponseMetadata = (res) => ({
+    model: res.model,
+    createdAt: res.created_at,
+    done: res.done,
+    doneReason: res.done_reason,
+    totalDuration: res.total_duration,
+    loadDuration: res.load_duration,
+    promptEvalCount: res.prompt_eval_count,
+    promptEvalDuration: res.prompt_eval_duration,
+    evalCount: res.eval_count,
+    evalDuration: res.eval_duration
+})
+
+/**
+ * Sends a chat prompt to the Ollama service in streaming mode.
+ * Instead of waiting for the whole answer, the caller receives Ollama's
+ * partial responses as soon as the model produces them.
+ *
+ * Processing Flow:
+ * 1. Log the outgoing request
+ * 2. Open the streaming chat against Ollama (connection errors surface here)
+ * 3. Return an async iterable that relays each chunk
+ * 4. Log the final chunk once the model reports `done`
+ *
+ * Each relayed chunk carries the answer in `message.content` and the
+ * reasoning in `message.thinking`; a `<think>` tag split across chunks is
+ * still recognized, at the cost of holding back the few characters that
+ * could be part of it.
+ *
+ * The connection is opened before this function resolves, so failures such as
+ * `ECONNREFUSED` reject the returned promise and can still be turned into a
+ * regular HTTP error response before any streaming headers are sent.
+ *
+ * A stream holds a slot of the model queue from the moment it is opened
+ * until the iterable is exhausted or abandoned, so callers must iterate it.
+ *
+ * When the requested model cannot be opened (missing, timed out or circuit
+ * open), the next model of `fallbacks` is tried. The iterable reports the
+ * model that answers as `model` and the skipped ones as `fallbackFrom`.
+ *
+ * @async
+ * @function streamOllama
+ * @param {string} prompt - The user's prompt to send to the Ollama service
+ * @param {string} requestId - The unique request ID for traceability
+ * @param {Object} [params] - Additional chat parameters
+ * @param {string} [params.system] - System prompt sent before the history (e.g. of a persona)
+ * @param {Array<{ role: string, content: string }>} [params.history=[]] - Previous conversation turns replayed before the prompt
+ * @param {string[]} [params.images=[]] - Base64 images sent with the prompt, for vision models
+ * @param {string} [params.model=DEFAULT_MODEL] - The model to answer with
+ * @param {string[]} [params.fallbacks=[]] - Models tried in order when the requested one fails (see fallbackChain)
+ * @param {Object} [params.options] - Effective generation options (see resolveOptions); server defaults when omitted
+ * @param {string} [params.priority='normal'] - Lane of the model queue the stream waits in; requests pass their
+ *   caller's lane (see middleware/priority), which is 'low' for callers without a known API key
+ * @param {AbortSignal} [params.signal] - Aborts the stream (see middleware/cancellation)
+ * @returns {Promise<AsyncIterable<Object>>} Iterable of Ollama chat chunks, with `model` and `fallbackFrom` properties
+ * @throws {QueueFullError} If the model queue is full
+ * @throws {CircuitOpenError} If the circuit of the last model tried is open after repeated failures
+ * @throws {*} The abort reason (e.g. UpstreamTimeoutError) if the signal aborts, also while iterating
+ * @throws {Error} If the streaming request cannot be opened
+ * @memberof module:service/ollama
+ * @since 1.1.0
+ *
+ * @example
+ * const stream = await streamOllama('Tell me a story', 'req-123')
+ * for await (const chunk of stream) {
+ *   process.stdout.write(chunk.message.content)
+ * }
+ */
+export const streamOllama = async (prompt, requestId, {
+    system,
+    history = [],
+    images = [],
+    model = DEFAULT_MODEL,
+    fallbacks = [],
+    options = resolveOptions(),
+    priority,
+    signal
+} = {}) => {
+    logger.info('Calling Ollama service in streaming mode', {
+      prompt,
+      model,
+      options,
+      historyLength: history.length,
+      images: images.length,
+      requestId
+    })
+
+    // Wait for a model slot, then open the stream eagerly so connection
+    // failures reject this promise
+    // Only opening is retried; a stream that broke off has already been relayed in part
+    const { result: { stream, release }, ...answer } = await withFallback([model, ...fallbacks], async (candidate, attemptSignal) => {
+        const slot = await holdModelSlot(requestId, priority, attemptSignal)
+        try {
+            const stream = await callModel(() => getProvider().stream({
+                model: candidate,
+                messages: [...toSystemMessages(system), ...history, toUserMessage(prompt, images)],
+                options
+            }, { signal: attemptSignal }), { model: candidate, requestId, signal: attemptSignal, slot })
+            return { stream, release: slot.release }
+        } catch (error) {
+            slot.release()
+            throw attemptSignal?.aborted ? attemptSignal.reason : error
+        }
+    }, { requestId, signal })
+
+    const relay = (async function * () {
+        // Free the slot once the stream ends, fails or is abandoned
+        try {
+            const splitter = createReasoningSplitter()
+            let responseLength = 0
+            for await (const chunk of stream) {
+                // Release the held-back text together with the final chunk
+                const parts = [splitter.push(chunk.message?.content ?? '')]
+                if (chunk.done) parts.push(splitter.flush())
+                const content = parts.map((part) => part.content).join('')
+                const thinking = (chunk.message?.thinking ?? '') + parts.map((part) => part.reasoning).join('')
+
+                responseLength += content.length
+                if (chunk.done) {
+                    logger.info('Ollama service stream completed', {
+                        model: chunk.model,
+                        doneReason: chunk.done_reason,
+                        responseLength,
+                        requestId
+                    })
+                }
+                yield { ...chunk, message: { ...chunk.message, content, ...(thinking ? { thinking } : {}) } }
+            }
+        } catch (error) {
+            // Report why the stream was aborted rather than how it broke off
+            throw signal?.aborted ? signal.reason : error
+        } finally {
+            release()
+        }
+    })()
+
+    // Tell the caller which model answers before it starts relaying
+    return Object.assign(relay, { model: answer.model, fallbackFrom: answer.fallbackFrom })
+}
+
+/**
+ * Lists the models available in the LLM provider.
+ * Wraps the provider's `listModels()` and flags which models clients may
+ * select through the `model` field of a chat request, and which ones accept
+ * images (OLLAMA_VISION_MODELS).
+ *
+ * @async
+ * @function listModels
+ * @returns {Promise<Array<Object>>} The installed models with name, size, family, allowlist and vision flags
+ * @throws {Error} If the LLM provider cannot be reached
+ * @memberof module:service/ollama
+ * @since 1.1.0
+ *
+ * @example
+ * const models = await listModels()
+ * // [{ name: 'qwen3:0.6b', size: 522653767, family: 'qwen3', allowed: true, vision: false, ... }]
+ */
+export const listModels = async () => {
+    const models = await getProvider().listModels()
+    return models.map((entry) => ({
+        ...entry,
+        allowed: ALLOWED_MODELS.includes(entry.name),
+        vision: VISION_MODELS.includes(entry.name)
+    }))
 }
 
 export default chatOllama
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * Persona service.
+ * Creates, reads, updates and deletes personas, and applies them to chat
+ * requests. A persona gives the model a role, a tone and guardrails through
+ * its system prompt, plus defaults for the model, the options and the tools.
+ *
+ * Service Responsibilities:
+ * 1. Persona lifecycle: create, list, fetch, update and delete
+ * 2. Versioning: every update increments the version recorded in the audit log
+ * 3. Request settings: merge the persona defaults with the chat request
+ *
+ * Error Handling:
+ * - Missing personas raise a CustomError with status 404
+ * - Duplicate names raise a CustomError with status 409
+ * - Tools outside the persona raise a CustomError with status 400
+ * - Persona models no longer in ALLOWED_MODELS raise a CustomError with status 400
+ * - Database errors propagate to the centralized error handler
+ *
+ * @file
+ * @module service/persona
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../models/persona.model.js} Persona Model
+ */
+
+import Persona from '../models/persona.model.js'
+import { CustomError } from '../errors.js'
+import { DEFAULT_MODEL, ALLOWED_MODELS } from '../config/env.js'
+import logger from '../logger.js'
+
+/**
+ * MongoDB error code of unique index violations.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:service/persona
+ * @since 1.1.0
+ */
+const DUPLICATE_KEY = 11000
+
+/**
+ * Creates a persona at version 1.
+ *
+ * @async
+ * @function createPersona
+ * @param {Object} data - The persona (see personaSchema)
+ * @returns {Promise<Object>} The stored persona
+ * @throws {CustomError} 409 if a persona with the same name exists
+ * @memberof module:service/persona
+ * @since 1.1.0
+ *
+ * @example
+ * await createPersona({ name: 'soporte', systemPrompt: 'Eres el asistente de soporte de ACME.' })
+ */
+export const createPersona = async (data) => {
+  try {
+    const persona = await Persona.create({ ...data, version: 1 })
+    logger.info('Persona created', { persona: persona.name })
+    return persona.toObject()
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) {
+      throw new CustomError('Ya existe una persona con ese nombre', 409)
+    }
+    throw error
+  }
+}
+
+/**
+ * Lists personas in name order.
+ *
+ * @async
+ * @function listPersonas
+ * @param {Object} [query] - Pagination options
+ * @param {number} [query.limit=20] - Maximum number of personas to return
+ * @param {number} [query.offset=0] - Number of personas to skip
+ * @returns {Promise<{ total: number, personas: Object[] }>} The page of personas
+ * @memberof module:service/persona
+ * @since 1.1.0
+ */
+export const listPersonas = async ({ limit = 20, offset = 0 } = {}) => {
+  const [total, personas] = await Promise.all([
+    Persona.countDocuments(),
+    Persona.find()
+      .sort({ name: 1 })
+      .skip(offset)
+      .limit(limit)
+      .lean()
+  ])
+  return { total, personas }
+}
+
+/**
+ * Fetches a persona.
+ *
+ * @async
+ * @function getPersona
+ * @param {string} name - The persona name
+ * @returns {Promise<Object>} The persona
+ * @throws {CustomError} 404 if the persona does not exist
+ * @memberof module:service/persona
+ * @since 1.1.0
+ */
+export const getPersona = async (name) => {
+  const persona = await Persona.findOne({ name }).lean()
+  if (!persona) {
+    throw new CustomError('Persona no encontrada', 404)
+  }
+  return persona
+}
+
+/**
+ * Updates a persona and increments its version.
+ * Fields set to null are removed, so the persona falls back to the server
+ * defaults for them.
+ *
+ * @async
+ * @function updatePersona
+ * @param {string} name - The persona name
+ * @param {Object} changes - The fields to change (see personaUpdateSchema)
+ * @returns {Promise<Object>} The updated persona
+ * @throws {CustomError} 404 if the persona does not exist
+ * @memberof module:service/persona
+ * @since 1.1.0
+ */
+export const updatePersona = async (name, changes) => {
+  const entries = Object.entries(changes)
+  const $set = Object.fromEntries(entries.filter(([, value]) => value !== null))
+  const $unset = Object.fromEntries(entries.filter(([, value]) => value === null).map(([field]) => [field, 1]))
+
+  const persona = await Persona.findOneAndUpdate(
+    { name },
+    { $set, $unset, $inc: { version: 1 } },
+    { new: true }
+  ).lean()
+  if (!persona) {
+    throw new CustomError('Persona no encontrada', 404)
+  }
+  logger.info('Persona updated', { persona: name, version: persona.version, fields: Object.keys(changes) })
+  return persona
+}
+
+/**
+ * Deletes a persona.
+ * Requests naming it are rejected afterwards; past audit entries keep its
+ * name and version.
+ *
+ * @async
+ * @function deletePersona
+ * @param {string} name - The persona name
+ * @returns {Promise<void>}
+ * @throws {CustomError} 404 if the persona does not exist
+ * @memberof module:service/persona
+ * @since 1.1.0
+ */
+export const deletePersona = async (name) => {
+  const deleted = await Persona.findOneAndDelete({ name })
+  if (!deleted) {
+    throw new CustomError('Persona no encontrada', 404)
+  }
+  logger.info('Persona deleted', { persona: name })
+}
+
+/**
+ * Merges the settings of a chat request with the defaults of a persona.
+ *
+ * Resolution Rules:
+ * - system: always the persona's system prompt
+ * - model: the requested model, else the persona's, else DEFAULT_MODEL.
+ *   The persona's model is checked against ALLOWED_MODELS again, as the
+ *   allowlist may have changed since the persona was saved
+ * - options: the requested options over the persona's
+ * - tools: the requested tools, which must all be allowed by the persona;
+ *   the persona's tools when the request names none
+ *
+ * @function applyPersona
+ * @param {Object|null} persona - The persona, or null for requests without one
+ * @param {Object} request - The settings of the request
+ * @param {string} [request.model] - The requested model
+ * @param {Object} [request.options] - The requested generation options
+ * @param {string[]} [request.tools] - The requested tools
+ * @returns {{ system?: string, model: string, options?: Object, tools: string[] }} The settings to chat with
+ * @throws {CustomError} 400 if a requested tool is not allowed by the persona,
+ *   or if the persona's model is no longer allowed
+ * @memberof module:service/persona
+ * @since 1.1.0
+ *
+ * @example
+ * applyPersona({ systemPrompt: 'Sé breve.', model: 'llama3.2:1b', tools: ['clock'] }, { options: { temperature: 0 } })
+ * // { system: 'Sé breve.', model: 'llama3.2:1b', options: { temperature: 0 }, tools: ['clock'] }
+ */
+export const applyPersona = (persona, { model, options, tools } = {}) => {
+  if (!persona) {
+    return { model: model ?? DEFAULT_MODEL, options, tools: tools ?? [] }
+  }
+
+  const refused = (tools ?? []).filter((tool) => !persona.tools?.includes(tool))
+  if (refused.length > 0) {
+    throw new CustomError(`La persona "${persona.name}" no permite las herramientas: ${refused.join(', ')}`, 400)
+  }
+
+  if (!model && persona.model && !ALLOWED_MODELS.includes(persona.model)) {
+    logger.warn('Persona model is no longer allowed', { persona: persona.name, model: persona.model })
+    throw new CustomError(`El modelo "${persona.model}" de la persona "${persona.name}" ya no está permitido.`, 400)
+  }
+
+  return {
+    system: persona.systemPrompt,
+    model: model ?? persona.model ?? DEFAULT_MODEL,
+    options: persona.options || options ? { ...persona.options, ...options } : undefined,
+    tools: tools ?? persona.tools ?? []
+  }
+}
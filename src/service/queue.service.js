@@ -0,0 +1,348 @@
+/**
+ * Model queue service.
+ * Caps the number of chat calls sent to the model at once. A single model
+ * server degrades quickly under parallel generations, so calls beyond
+ * MODEL_MAX_CONCURRENCY wait here for a free slot, in priority lanes.
+ *
+ * Queue Behavior:
+ * 1. A call starts at once while fewer than MODEL_MAX_CONCURRENCY are running
+ * 2. Otherwise it waits in its lane, as long as fewer than MODEL_MAX_QUEUE
+ *    calls are waiting in all lanes
+ * 3. Otherwise it is rejected with QueueFullError (503 + Retry-After)
+ * 4. Each finished call hands its slot to the oldest call of the highest
+ *    non-empty lane
+ * 5. A call waiting to retry a failed attempt frees its slot meanwhile and
+ *    queues again for the next attempt
+ *
+ * Cancellation:
+ * Calls may pass the AbortSignal of their request. An aborted call leaves
+ * the queue at once, and a running one rejects with the abort reason
+ * (e.g. UpstreamTimeoutError) instead of the error of the aborted model call.
+ *
+ * Starvation Protection:
+ * A call that has waited PRIORITY_AGING_MS is served before any other lane,
+ * oldest first, so steady high priority traffic cannot hold low priority
+ * calls back forever.
+ *
+ * Observability:
+ * - Queueing, dequeueing and rejections are logged with the lane and queue depth
+ * - queueStats() reports the depth, counters and recent wait times, overall
+ *   and per lane (GET /metrics)
+ *
+ * @file
+ * @module service/queue
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ./ollama.service.js} Ollama Service (the queued calls)
+ */
+
+import { QueueFullError } from '../errors.js'
+import { MODEL_MAX_CONCURRENCY, MODEL_MAX_QUEUE, PRIORITY_AGING_MS } from '../config/env.js'
+import logger from '../logger.js'
+
+/**
+ * Priority lanes, from most to least urgent.
+ *
+ * @type {string[]}
+ * @constant {string[]}
+ * @memberof module:service/queue
+ * @since 1.1.0
+ */
+export const PRIORITIES = ['high', 'normal', 'low']
+
+/**
+ * Number of recent wait times kept for the wait statistics.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:service/queue
+ * @since 1.1.0
+ */
+const WAIT_SAMPLES = 200
+
+/**
+ * Weight of the latest call in the moving average of call durations used
+ * to estimate Retry-After.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:service/queue
+ * @since 1.1.0
+ */
+const DURATION_SMOOTHING = 0.2
+
+/**
+ * Keeps the most recent wait times of a lane and summarizes them.
+ *
+ * @function createWaitTimes
+ * @returns {{ add: Function, summary: Function }} The wait time recorder
+ * @memberof module:service/queue
+ * @since 1.1.0
+ */
+const createWaitTimes = () => {
+  const samples = []
+  return {
+    add: (ms) => {
+      samples.push(ms)
+      if (samples.length > WAIT_SAMPLES) samples.shift()
+    },
+    summary: () => {
+      const sorted = [...samples].sort((a, b) => a - b)
+      if (sorted.length === 0) {
+        return { samples: 0, averageMs: null, p95Ms: null, maxMs: null }
+      }
+      return {
+        samples: sorted.length,
+        averageMs: Math.round(sorted.reduce((total, ms) => total + ms, 0) / sorted.length),
+        p95Ms: sorted[Math.min(sorted.length - 1, Math.floor(0.95 * sorted.length))],
+        maxMs: sorted[sorted.length - 1]
+      }
+    }
+  }
+}
+
+/**
+ * Creates a concurrency-limited queue with priority lanes.
+ *
+ * @function createModelQueue
+ * @param {Object} settings - Queue settings
+ * @param {number} settings.concurrency - Calls allowed to run at once
+ * @param {number} settings.maxQueued - Calls allowed to wait for a slot, across lanes
+ * @param {number} [settings.agingMs=Infinity] - Wait after which a call is served regardless of its lane
+ * @param {Function} [settings.now=Date.now] - Clock, in milliseconds
+ * @returns {{ acquire: Function, hold: Function, run: Function, stats: Function }} The queue
+ * @memberof module:service/queue
+ * @since 1.1.0
+ *
+ * @example
+ * const queue = createModelQueue({ concurrency: 2, maxQueued: 10, agingMs: 30000 })
+ * const res = await queue.run(() => provider.chat(request), 'req-123', 'high')
+ */
+export const createModelQueue = ({ concurrency, maxQueued, agingMs = Infinity, now = Date.now }) => {
+  const lanes = Object.fromEntries(PRIORITIES.map((priority) => [priority, {
+    waiting: [],
+    waits: createWaitTimes(),
+    counters: { started: 0, queued: 0, rejected: 0, cancelled: 0, aged: 0 }
+  }]))
+  const waits = createWaitTimes()
+  let active = 0
+  let averageDuration = null
+
+  const depth = () => PRIORITIES.reduce((total, priority) => total + lanes[priority].waiting.length, 0)
+
+  // Seconds until a slot is likely to free up for a call joining the queue now
+  const retryAfter = () => {
+    const rounds = Math.ceil((depth() + 1) / concurrency)
+    return Math.max(1, Math.ceil(rounds * (averageDuration ?? 1000) / 1000))
+  }
+
+  // The oldest call past the aging limit, or else the head of the highest non-empty lane
+  const nextWaiting = () => {
+    const heads = PRIORITIES
+      .filter((priority) => lanes[priority].waiting.length > 0)
+      .map((priority) => ({ priority, entry: lanes[priority].waiting[0] }))
+    if (heads.length === 0) return null
+
+    const aged = heads
+      .filter(({ entry }) => now() - entry.enqueuedAt >= agingMs)
+      .sort((a, b) => a.entry.enqueuedAt - b.entry.enqueuedAt)[0]
+    const { priority } = aged ?? heads[0]
+    if (aged && aged !== heads[0]) lanes[priority].counters.aged++
+    return lanes[priority].waiting.shift()
+  }
+
+  const start = (requestId, priority, enqueuedAt) => {
+    const startedAt = now()
+    const lane = lanes[priority]
+    lane.counters.started++
+    if (enqueuedAt !== undefined) {
+      const waitMs = startedAt - enqueuedAt
+      waits.add(waitMs)
+      lane.waits.add(waitMs)
+      logger.info('Model call dequeued', { priority, waitMs, depth: depth(), active, requestId })
+    }
+
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+
+      const duration = now() - startedAt
+      averageDuration = averageDuration === null
+        ? duration
+        : averageDuration + DURATION_SMOOTHING * (duration - averageDuration)
+
+      // Hand the slot straight to the next waiting call
+      const next = nextWaiting()
+      if (next) {
+        next.resolve(start(next.requestId, next.priority, next.enqueuedAt))
+      } else {
+        active--
+      }
+    }
+  }
+
+  /**
+   * Waits for a free slot.
+   *
+   * @param {string} [requestId] - The unique request ID for traceability
+   * @param {string} [priority='normal'] - The lane of the call (see PRIORITIES)
+   * @param {AbortSignal} [signal] - Aborts the wait
+   * @returns {Promise<Function>} Resolves with the function that frees the slot
+   * @throws {QueueFullError} If the wait queue is full
+   * @throws {*} The abort reason, if the signal aborts before a slot is free
+   */
+  const acquire = async (requestId, priority = 'normal', signal) => {
+    if (!lanes[priority]) priority = 'normal'
+    const lane = lanes[priority]
+    signal?.throwIfAborted()
+
+    if (active < concurrency) {
+      active++
+      return start(requestId, priority)
+    }
+
+    if (depth() >= maxQueued) {
+      lane.counters.rejected++
+      const seconds = retryAfter()
+      logger.warn('Model queue full, rejecting call', { priority, depth: depth(), active, retryAfter: seconds, requestId })
+      throw new QueueFullError(seconds)
+    }
+
+    lane.counters.queued++
+    logger.info('Model call queued', { priority, depth: depth() + 1, active, requestId })
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, requestId, priority, enqueuedAt: now() }
+      lane.waiting.push(entry)
+      if (!signal) return
+
+      // Leave the queue when the request is aborted while waiting
+      const onAbort = () => {
+        lane.waiting.splice(lane.waiting.indexOf(entry), 1)
+        lane.counters.cancelled++
+        logger.info('Queued model call cancelled', { priority, waitMs: now() - entry.enqueuedAt, requestId })
+        reject(signal.reason)
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      entry.resolve = (release) => {
+        signal.removeEventListener('abort', onAbort)
+        resolve(release)
+      }
+    })
+  }
+
+  /**
+   * Holds a slot across the attempts of a call. The slot is freed while the
+   * call waits before its next attempt, and waited for again afterwards.
+   *
+   * @param {string} [requestId] - The unique request ID for traceability
+   * @param {string} [priority='normal'] - The lane of the call (see PRIORITIES)
+   * @param {AbortSignal} [signal] - Aborts the waits
+   * @returns {Promise<{ release: Function, pause: Function }>} `release()` frees the slot for good,
+   *   `pause(wait)` frees it while the async `wait` function runs
+   * @throws {QueueFullError} If the wait queue is full
+   */
+  const hold = async (requestId, priority, signal) => {
+    let release = await acquire(requestId, priority, signal)
+    return {
+      release: () => release(),
+      pause: async (wait) => {
+        release()
+        await wait()
+        release = await acquire(requestId, priority, signal)
+      }
+    }
+  }
+
+  /**
+   * Runs a task once a slot is free and frees the slot when it settles.
+   *
+   * @param {Function} task - Async function performing the model call
+   * @param {string} [requestId] - The unique request ID for traceability
+   * @param {string} [priority='normal'] - The lane of the call (see PRIORITIES)
+   * @param {AbortSignal} [signal] - Aborts the wait; the task is expected to honor it too
+   * @returns {Promise<*>} The result of the task
+   */
+  const run = async (task, requestId, priority, signal) => {
+    const release = await acquire(requestId, priority, signal)
+    try {
+      return await task()
+    } catch (error) {
+      // Report why the call was aborted rather than how it failed
+      throw signal?.aborted ? signal.reason : error
+    } finally {
+      release()
+    }
+  }
+
+  /**
+   * Describes the current state of the queue.
+   *
+   * @returns {Object} Limits, depth, counters and recent wait times in milliseconds, overall and per lane
+   */
+  const stats = () => {
+    const sum = (counter) => PRIORITIES.reduce((total, priority) => total + lanes[priority].counters[counter], 0)
+    return {
+      concurrency,
+      maxQueued,
+      agingMs: Number.isFinite(agingMs) ? agingMs : null,
+      active,
+      waiting: depth(),
+      started: sum('started'),
+      queued: sum('queued'),
+      rejected: sum('rejected'),
+      cancelled: sum('cancelled'),
+      averageDurationMs: averageDuration === null ? null : Math.round(averageDuration),
+      wait: waits.summary(),
+      lanes: Object.fromEntries(PRIORITIES.map((priority) => [priority, {
+        waiting: lanes[priority].waiting.length,
+        ...lanes[priority].counters,
+        wait: lanes[priority].waits.summary()
+      }]))
+    }
+  }
+
+  return { acquire, hold, run, stats }
+}
+
+/**
+ * The queue shared by every model call of the process.
+ *
+ * @type {Object}
+ * @memberof module:service/queue
+ * @since 1.1.0
+ */
+const modelQueue = createModelQueue({
+  concurrency: MODEL_MAX_CONCURRENCY,
+  maxQueued: MODEL_MAX_QUEUE,
+  agingMs: PRIORITY_AGING_MS
+})
+
+/**
+ * Waits for a free model slot and holds it across the attempts of a call.
+ * The caller must invoke `release()` once its model call is over,
+ * successfully or not, and may free the slot while it waits to retry with
+ * `pause(wait)`.
+ *
+ * @function holdModelSlot
+ * @param {string} [requestId] - The unique request ID for traceability
+ * @param {string} [priority='normal'] - The lane of the call (see PRIORITIES)
+ * @param {AbortSignal} [signal] - Aborts the waits
+ * @returns {Promise<{ release: Function, pause: Function }>} Resolves with the held slot
+ * @throws {QueueFullError} If the wait queue is full
+ * @memberof module:service/queue
+ * @since 1.1.0
+ */
+export const holdModelSlot = (requestId, priority, signal) => modelQueue.hold(requestId, priority, signal)
+
+/**
+ * Describes the state of the shared queue.
+ *
+ * @function queueStats
+ * @returns {Object} Limits, depth, counters and recent wait times in milliseconds, overall and per lane
+ * @memberof module:service/queue
+ * @since 1.1.0
+ */
+export const queueStats = () => modelQueue.stats()
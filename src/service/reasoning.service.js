@@ -0,0 +1,144 @@
+/**
+ * Reasoning service.
+ * Separates the reasoning emitted by thinking models from their final answer.
+ * Models such as qwen3 open their answer with a `<think>...</think>` block;
+ * this module moves that block out of the content so it never reaches users
+ * as part of the answer.
+ *
+ * Recognized Format:
+ * - A single `<think>` block at the very start of the answer (leading whitespace allowed)
+ * - An unclosed block (e.g. cut off by num_predict) is reasoning up to the end
+ * - `<think>` anywhere else is left untouched, as it is part of the answer
+ *
+ * Streaming:
+ * The splitter buffers only what could still be part of a tag, so tags split
+ * across chunk boundaries are recognized without delaying the rest of the text.
+ *
+ * @file
+ * @module service/reasoning
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://qwenlm.github.io/blog/qwen3/} Qwen3 thinking mode
+ */
+
+const OPEN_TAG = '<think>'
+const CLOSE_TAG = '</think>'
+
+/**
+ * Returns the length of the longest suffix of `text` that is a proper
+ * prefix of `tag`, i.e. how much of `text` could be the start of the tag.
+ *
+ * @function partialTagLength
+ * @param {string} text - The buffered text
+ * @param {string} tag - The tag being looked for
+ * @returns {number} The number of trailing characters to hold back
+ * @memberof module:service/reasoning
+ * @since 1.1.0
+ */
+const partialTagLength = (text, tag) => {
+  for (let length = Math.min(text.length, tag.length - 1); length > 0; length--) {
+    if (text.endsWith(tag.slice(0, length))) return length
+  }
+  return 0
+}
+
+/**
+ * Creates an incremental splitter for a streamed answer.
+ * Each call to `push` returns the reasoning and content that can be
+ * released so far; `flush` releases whatever was held back.
+ * Leading whitespace of both parts is dropped.
+ *
+ * @function createReasoningSplitter
+ * @returns {{ push: function(string): { reasoning: string, content: string }, flush: function(): { reasoning: string, content: string } }} The splitter
+ * @memberof module:service/reasoning
+ * @since 1.1.0
+ *
+ * @example
+ * const splitter = createReasoningSplitter()
+ * splitter.push('<thi')          // { reasoning: '', content: '' }
+ * splitter.push('nk>Hmm</th')    // { reasoning: 'Hmm', content: '' }
+ * splitter.push('ink>\n\nHola')  // { reasoning: '', content: 'Hola' }
+ */
+export const createReasoningSplitter = () => {
+  let state = 'start' // 'start' | 'reasoning' | 'answer'
+  let pending = ''
+  const started = { reasoning: false, content: false }
+
+  // Drops the whitespace the model puts around the tags
+  const release = (kind, text) => {
+    if (started[kind]) return text
+    const trimmed = text.trimStart()
+    started[kind] = trimmed.length > 0
+    return trimmed
+  }
+
+  const push = (text) => {
+    pending += text
+    let reasoning = ''
+
+    if (state === 'start') {
+      const head = pending.trimStart()
+      if (head.startsWith(OPEN_TAG)) {
+        state = 'reasoning'
+        pending = head.slice(OPEN_TAG.length)
+      } else if (OPEN_TAG.startsWith(head)) {
+        // Not enough text yet to tell whether the answer opens with a tag
+        return { reasoning: '', content: '' }
+      } else {
+        state = 'answer'
+      }
+    }
+
+    if (state === 'reasoning') {
+      const end = pending.indexOf(CLOSE_TAG)
+      if (end === -1) {
+        const held = partialTagLength(pending, CLOSE_TAG)
+        reasoning = release('reasoning', pending.slice(0, pending.length - held))
+        pending = pending.slice(pending.length - held)
+        return { reasoning, content: '' }
+      }
+      reasoning = release('reasoning', pending.slice(0, end))
+      pending = pending.slice(end + CLOSE_TAG.length)
+      state = 'answer'
+    }
+
+    const content = release('content', pending)
+    pending = ''
+    return { reasoning, content }
+  }
+
+  const flush = () => {
+    const rest = pending
+    pending = ''
+    return state === 'reasoning'
+      ? { reasoning: release('reasoning', rest), content: '' }
+      : { reasoning: '', content: release('content', rest) }
+  }
+
+  return { push, flush }
+}
+
+/**
+ * Splits a complete answer into its reasoning and its final content.
+ *
+ * @function splitReasoning
+ * @param {string} [text=''] - The raw model answer
+ * @returns {{ reasoning: string, content: string }} The reasoning ('' when there is none) and the answer
+ * @memberof module:service/reasoning
+ * @since 1.1.0
+ *
+ * @example
+ * splitReasoning('<think>\nThe user greets me.\n</think>\n\nHola')
+ * // { reasoning: 'The user greets me.', content: 'Hola' }
+ */
+export const splitReasoning = (text = '') => {
+  const splitter = createReasoningSplitter()
+  const head = splitter.push(text)
+  const tail = splitter.flush()
+  return {
+    reasoning: (head.reasoning + tail.reasoning).trimEnd(),
+    content: head.content + tail.content
+  }
+}
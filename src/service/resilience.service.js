@@ -0,0 +1,327 @@
+/**
+ * Model resilience service.
+ * Shields clients from transient failures of the model server and shields
+ * the model server from traffic while it is down.
+ *
+ * Retry Policy:
+ * 1. Only transient failures are retried: connection errors (ECONNRESET,
+ *    ECONNREFUSED...) and 429, 502, 503 and 504 answers. A chat call has no
+ *    side effects, so sending it again is safe
+ * 2. Up to MODEL_RETRIES extra attempts, each after a random wait between 0
+ *    and min(MODEL_RETRY_MAX_MS, MODEL_RETRY_BASE_MS * 2^retry) (full jitter)
+ * 3. Aborted requests (see middleware/cancellation) are never retried
+ *
+ * Circuit Breaker (one per model):
+ * - closed: calls go through; CIRCUIT_FAILURE_THRESHOLD consecutive
+ *   transient failures open the circuit
+ * - open: calls fail fast with CircuitOpenError (503 + Retry-After) for
+ *   CIRCUIT_RESET_MS
+ * - half-open: a single probe call goes through; its success closes the
+ *   circuit and its failure opens it again
+ *
+ * Any answer from the server, even an error such as an unknown model, shows
+ * that it is up and resets the failure count. Keeping a circuit per model
+ * lets a model that keeps failing (e.g. out of memory) be skipped while the
+ * others, such as the fallback models (see service/fallback), keep serving.
+ *
+ * @file
+ * @module service/resilience
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ./ollama.service.js} Ollama Service (the protected calls)
+ * @see {@link https://martinfowler.com/bliki/CircuitBreaker.html} Circuit Breaker
+ */
+
+import { setTimeout as delay } from 'node:timers/promises'
+import { CircuitOpenError } from '../errors.js'
+import {
+  MODEL_RETRIES,
+  MODEL_RETRY_BASE_MS,
+  MODEL_RETRY_MAX_MS,
+  CIRCUIT_FAILURE_THRESHOLD,
+  CIRCUIT_RESET_MS
+} from '../config/env.js'
+import logger from '../logger.js'
+
+/**
+ * Network error codes of failures worth retrying.
+ *
+ * @type {Set<string>}
+ * @constant {Set<string>}
+ * @memberof module:service/resilience
+ * @since 1.1.0
+ */
+const TRANSIENT_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+])
+
+/**
+ * Upstream HTTP status codes of failures worth retrying.
+ *
+ * @type {Set<number>}
+ * @constant {Set<number>}
+ * @memberof module:service/resilience
+ * @since 1.1.0
+ */
+const TRANSIENT_STATUS = new Set([429, 502, 503, 504])
+
+/**
+ * Tells whether a failed model call may succeed if sent again.
+ *
+ * @function isTransient
+ * @param {Error} error - The error of the model call
+ * @returns {boolean} True for connection errors and overloaded or unreachable upstreams
+ * @memberof module:service/resilience
+ * @since 1.1.0
+ *
+ * @example
+ * isTransient(new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } })) // true
+ */
+export const isTransient = (error) =>
+  TRANSIENT_CODES.has(error?.cause?.code ?? error?.code) || TRANSIENT_STATUS.has(error?.status_code)
+
+/**
+ * Waits for a while, unless the signal aborts first.
+ *
+ * @async
+ * @function sleep
+ * @param {number} ms - Time to wait, in milliseconds
+ * @param {AbortSignal} [signal] - Ends the wait early
+ * @returns {Promise<void>}
+ * @throws {*} The abort reason, if the signal aborts
+ * @memberof module:service/resilience
+ * @since 1.1.0
+ */
+const sleep = (ms, signal) => delay(ms, undefined, { signal }).catch(() => { throw signal.reason })
+
+/**
+ * Runs a task again after transient failures, with exponential backoff and
+ * full jitter.
+ *
+ * @async
+ * @function withRetry
+ * @param {Function} task - Async function performing the call
+ * @param {Object} policy - Retry settings
+ * @param {number} policy.retries - Extra attempts after the first one
+ * @param {number} policy.baseDelayMs - Backoff ceiling before the first retry
+ * @param {number} policy.maxDelayMs - Backoff ceiling for any retry
+ * @param {AbortSignal} [policy.signal] - Stops retrying, also during a backoff
+ * @param {string} [policy.requestId] - The unique request ID for traceability
+ * @param {Function} [policy.random=Math.random] - Random source in [0, 1)
+ * @param {Function} [policy.wait=sleep] - Waits `(ms, signal)` between attempts
+ * @returns {Promise<*>} The result of the first successful attempt
+ * @throws {Error} The error of the last attempt, or of the first non-transient one
+ * @memberof module:service/resilience
+ * @since 1.1.0
+ *
+ * @example
+ * const res = await withRetry(() => provider.chat(request), { retries: 2, baseDelayMs: 250, maxDelayMs: 4000 })
+ */
+export const withRetry = async (task, { retries, baseDelayMs, maxDelayMs, signal, requestId, random = Math.random, wait = sleep }) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task()
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !isTransient(error)) throw error
+
+      const delayMs = Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt))
+      logger.warn('Transient model failure, retrying', {
+        error: error.message,
+        retry: attempt + 1,
+        retries,
+        delayMs,
+        requestId
+      })
+      await wait(delayMs, signal)
+    }
+  }
+}
+
+/**
+ * Creates a circuit breaker.
+ *
+ * @function createCircuitBreaker
+ * @param {Object} settings - Breaker settings
+ * @param {string} [settings.name] - What the breaker guards, for the logs
+ * @param {number} settings.failureThreshold - Consecutive transient failures that open the circuit
+ * @param {number} settings.resetMs - Time the circuit stays open before a probe is let through
+ * @param {Function} [settings.now=Date.now] - Clock, in milliseconds
+ * @returns {{ run: Function, stats: Function }} The breaker
+ * @memberof module:service/resilience
+ * @since 1.1.0
+ *
+ * @example
+ * const breaker = createCircuitBreaker({ name: 'qwen3:0.6b', failureThreshold: 5, resetMs: 30000 })
+ * const res = await breaker.run(() => provider.chat(request))
+ */
+export const createCircuitBreaker = ({ name, failureThreshold, resetMs, now = Date.now }) => {
+  let state = 'closed'
+  let failures = 0
+  let openedAt = null
+  let probing = false
+  const counters = { opened: 0, rejected: 0, probes: 0 }
+
+  // Seconds until the open circuit lets a probe through
+  const retryAfter = () => Math.max(1, Math.ceil((openedAt + resetMs - now()) / 1000))
+
+  const open = (error, requestId) => {
+    state = 'open'
+    openedAt = now()
+    counters.opened++
+    logger.error('Model circuit opened', { circuit: name, failures, resetMs, error: error.message, requestId })
+  }
+
+  const close = (requestId) => {
+    if (state !== 'closed') logger.info('Model circuit closed', { circuit: name, requestId })
+    state = 'closed'
+    failures = 0
+    openedAt = null
+  }
+
+  /**
+   * Runs a call unless the circuit is open.
+   *
+   * @param {Function} task - Async function performing the call
+   * @param {Object} [call] - Call settings
+   * @param {AbortSignal} [call.signal] - Signal of the call; aborted calls say nothing about the server
+   * @param {string} [call.requestId] - The unique request ID for traceability
+   * @returns {Promise<*>} The result of the task
+   * @throws {CircuitOpenError} If the circuit is open, or half-open with a probe in flight
+   */
+  const run = async (task, { signal, requestId } = {}) => {
+    if (state === 'open' && now() - openedAt >= resetMs) {
+      state = 'half-open'
+      logger.info('Model circuit half-open, probing', { circuit: name, requestId })
+    }
+    if (state === 'open' || (state === 'half-open' && probing)) {
+      counters.rejected++
+      throw new CircuitOpenError(state === 'open' ? retryAfter() : 1)
+    }
+
+    const probe = state === 'half-open'
+    if (probe) {
+      probing = true
+      counters.probes++
+    }
+
+    try {
+      const result = await task()
+      close(requestId)
+      return result
+    } catch (error) {
+      if (signal?.aborted) throw error
+
+      if (!isTransient(error)) {
+        // The server answered, so it is up
+        close(requestId)
+      } else if (probe || ++failures >= failureThreshold) {
+        open(error, requestId)
+      }
+      throw error
+    } finally {
+      if (probe) probing = false
+    }
+  }
+
+  /**
+   * Describes the current state of the breaker.
+   *
+   * @returns {Object} State, failure count, settings and counters
+   */
+  const stats = () => {
+    const current = state === 'open' && now() - openedAt >= resetMs ? 'half-open' : state
+    return {
+      state: current,
+      failures,
+      failureThreshold,
+      resetMs,
+      openedAt: openedAt === null ? null : new Date(openedAt).toISOString(),
+      retryAfter: current === 'open' ? retryAfter() : null,
+      ...counters
+    }
+  }
+
+  return { run, stats }
+}
+
+/**
+ * The breakers of the process, by model, created on first use.
+ *
+ * @type {Map<string, Object>}
+ * @memberof module:service/resilience
+ * @since 1.1.0
+ */
+const circuits = new Map()
+
+/**
+ * Returns the breaker of a model, creating it on first use.
+ *
+ * @function circuitFor
+ * @param {string} model - The model name
+ * @returns {Object} The breaker of the model
+ * @memberof module:service/resilience
+ * @since 1.1.0
+ */
+const circuitFor = (model) => {
+  if (!circuits.has(model)) {
+    circuits.set(model, createCircuitBreaker({
+      name: model,
+      failureThreshold: CIRCUIT_FAILURE_THRESHOLD,
+      resetMs: CIRCUIT_RESET_MS
+    }))
+  }
+  return circuits.get(model)
+}
+
+/**
+ * Calls a model through its circuit breaker, retrying transient failures.
+ * Each attempt is reported to the breaker, so retries stop as soon as the
+ * circuit opens.
+ *
+ * @async
+ * @function callModel
+ * @param {Function} task - Async function performing the model call
+ * @param {Object} [call] - Call settings
+ * @param {string} [call.model] - The model called, whose circuit guards the call
+ * @param {string} [call.requestId] - The unique request ID for traceability
+ * @param {AbortSignal} [call.signal] - Aborts the retries
+ * @param {Object} [call.slot] - Model slot held by the call (see service/queue), freed during the backoffs
+ * @returns {Promise<*>} The result of the task
+ * @throws {CircuitOpenError} If the circuit is open
+ * @throws {QueueFullError} If the slot cannot be queued for again after a backoff
+ * @throws {Error} The error of the last attempt
+ * @memberof module:service/resilience
+ * @since 1.1.0
+ */
+export const callModel = (task, { model, requestId, signal, slot } = {}) => withRetry(
+  () => circuitFor(model).run(task, { signal, requestId }),
+  {
+    retries: MODEL_RETRIES,
+    baseDelayMs: MODEL_RETRY_BASE_MS,
+    maxDelayMs: MODEL_RETRY_MAX_MS,
+    signal,
+    requestId,
+    // Other calls use the slot while this one waits to retry
+    ...(slot ? { wait: (ms) => slot.pause(() => sleep(ms, signal)) } : {})
+  }
+)
+
+/**
+ * Describes the state of the breakers of the models called so far.
+ *
+ * @function circuitStats
+ * @returns {Object<string, Object>} State, failure count, settings and counters, by model
+ * @memberof module:service/resilience
+ * @since 1.1.0
+ */
+export const circuitStats = () => Object.fromEntries(
+  [...circuits].map(([model, circuit]) => [model, circuit.stats()])
+)
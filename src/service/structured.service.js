@@ -0,0 +1,123 @@
+/**
+ * Structured output service.
+ * Asks the model for machine-readable answers and guarantees that what is
+ * returned to the client parses as JSON and, when a schema is given, matches it.
+ *
+ * Processing Flow:
+ * 1. Forward `format` ('json' or a JSON Schema) to the model
+ * 2. Parse the answer and validate it against the schema
+ * 3. On failure, show the model its answer and the errors, and ask again
+ * 4. Give up with StructuredOutputError after STRUCTURED_OUTPUT_MAX_RETRIES retries
+ *
+ * @file
+ * @module service/structured
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link https://ollama.com/blog/structured-outputs} Ollama Structured Outputs
+ * @see {@link ../jsonSchema.js} JSON Schema validation
+ */
+
+import chatOllama from './ollama.service.js'
+import { splitReasoning } from './reasoning.service.js'
+import { addUsage } from './usage.service.js'
+import { validateJSON } from '../jsonSchema.js'
+import { STRUCTURED_OUTPUT_MAX_RETRIES } from '../config/env.js'
+import { StructuredOutputError } from '../errors.js'
+import logger from '../logger.js'
+
+/**
+ * Parses a model answer and validates it against a schema.
+ * A leading `<think>` block, emitted by reasoning models, is ignored.
+ *
+ * @function parseOutput
+ * @param {string} text - The raw model answer
+ * @param {Object} [schema] - JSON Schema the answer must match
+ * @returns {{ valid: boolean, parsed?: *, errors?: string[] }} The parsed value or the errors
+ * @memberof module:service/structured
+ * @since 1.1.0
+ *
+ * @example
+ * parseOutput('{"age": 30}', { type: 'object', properties: { age: { type: 'integer' } } })
+ * // { valid: true, parsed: { age: 30 } }
+ */
+export const parseOutput = (text, schema) => {
+  let parsed
+  try {
+    parsed = JSON.parse(splitReasoning(text).content)
+  } catch (error) {
+    return { valid: false, errors: [`JSON no válido: ${error.message}`] }
+  }
+
+  const errors = schema ? validateJSON(parsed, schema) : []
+  return errors.length ? { valid: false, errors } : { valid: true, parsed }
+}
+
+/**
+ * Sends a chat prompt and returns a validated structured answer.
+ *
+ * Retry Strategy:
+ * Each failed answer is kept in the conversation and the next attempt is a
+ * user turn listing the errors, so the model can correct itself. Images stay
+ * with the original prompt.
+ *
+ * @async
+ * @function chatStructured
+ * @param {string} prompt - The user's prompt
+ * @param {string} requestId - The unique request ID for traceability
+ * @param {Object} params - Chat parameters, as for chatOllama
+ * @param {'json'|Object} params.format - 'json' for any JSON value, or a JSON Schema
+ * @param {Array<Object>} [params.history=[]] - Previous conversation turns
+ * @param {string[]} [params.images=[]] - Base64 images sent with the prompt
+ * @returns {Promise<Object>} The chatOllama response plus `parsed` and `attempts`; `usage` covers every attempt
+ * @throws {StructuredOutputError} If no attempt produced a valid answer
+ * @memberof module:service/structured
+ * @since 1.1.0
+ *
+ * @example
+ * const response = await chatStructured('Extract the name', 'req-123', {
+ *   format: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] }
+ * })
+ * // response.parsed: { name: 'Ana' }
+ */
+export const chatStructured = async (prompt, requestId, { format, history = [], images = [], ...params }) => {
+  const schema = format === 'json' ? undefined : format
+  const attempts = STRUCTURED_OUTPUT_MAX_RETRIES + 1
+  let turns = []
+  let current = prompt
+  let usage
+  let response
+  let result
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    response = await chatOllama(current, requestId, {
+      ...params,
+      format,
+      history: [...history, ...turns],
+      ...(attempt === 1 && images.length > 0 ? { images } : {})
+    })
+    usage = addUsage(usage, response.usage)
+    result = parseOutput(response.message.content, schema)
+
+    if (result.valid) {
+      return { ...response, usage, parsed: result.parsed, attempts: attempt }
+    }
+
+    logger.warn('Structured output rejected', {
+      attempt,
+      errors: result.errors,
+      requestId
+    })
+
+    // Keep the rejected answer in the conversation and ask for a corrected one
+    turns = [
+      ...turns,
+      { role: 'user', content: current, ...(attempt === 1 && images.length > 0 ? { images } : {}) },
+      { role: 'assistant', content: response.message.content }
+    ]
+    current = `Tu respuesta anterior no es válida: ${result.errors.join('; ')}. Responde únicamente con JSON que cumpla el formato pedido.`
+  }
+
+  throw new StructuredOutputError(attempts, result.errors, response.message.content, usage)
+}
@@ -0,0 +1,319 @@
+/**
+ * Prompt template service.
+ * Stores versioned prompt templates and renders them with the values sent
+ * by clients, so the scaffolding of recurring prompts ("Resume el siguiente
+ * ticket: ...") lives on the server.
+ *
+ * Templates:
+ * - The body holds `{{variable}}` placeholders; every placeholder must be
+ *   declared in `variables`
+ * - Each variable is declared with a type and optional bounds (see
+ *   templateVariableSchema in zod.js); the declaration is turned into a Zod
+ *   schema that validates the values of every run
+ * - Versions are immutable: a change is stored as a new version, and runs
+ *   use the latest version unless they pin one
+ *
+ * Error Handling:
+ * - Missing templates and versions raise a CustomError with status 404
+ * - Existing names raise a CustomError with status 409
+ * - Undeclared placeholders and invalid defaults raise a CustomError with status 400
+ * - Invalid variable values raise a ZodError (400)
+ *
+ * @file
+ * @module service/template
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../models/template.model.js} Template Model
+ */
+
+import z from 'zod'
+import Template from '../models/template.model.js'
+import { CustomError } from '../errors.js'
+import logger from '../logger.js'
+
+/**
+ * Placeholder syntax of template bodies: `{{name}}`, spaces allowed inside the braces.
+ *
+ * @type {RegExp}
+ * @constant {RegExp}
+ * @memberof module:service/template
+ * @since 1.1.0
+ */
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_]\w*)\s*\}\}/g
+
+/**
+ * MongoDB error code of unique index violations.
+ *
+ * @type {number}
+ * @constant {number}
+ * @memberof module:service/template
+ * @since 1.1.0
+ */
+const DUPLICATE_KEY = 11000
+
+/**
+ * Builds the Zod schema of one declared variable, without its default.
+ *
+ * @function toVariableSchema
+ * @param {string} name - The variable name, for the error messages
+ * @param {Object} declaration - The declaration (see templateVariableSchema)
+ * @returns {z.ZodType} The schema of the values of the variable
+ * @memberof module:service/template
+ * @since 1.1.0
+ */
+const toVariableSchema = (name, { type, minLength, maxLength, min, max, values }) => {
+  let schema
+  switch (type) {
+    case 'string':
+      schema = z.string({ message: `La variable "${name}" debe ser texto.` })
+      if (minLength !== undefined) schema = schema.min(minLength, { message: `La variable "${name}" debe tener al menos ${minLength} caracteres.` })
+      if (maxLength !== undefined) schema = schema.max(maxLength, { message: `La variable "${name}" no puede exceder los ${maxLength} caracteres.` })
+      return schema
+    case 'number':
+    case 'integer':
+      schema = z.number({ message: `La variable "${name}" debe ser un número.` })
+      if (type === 'integer') schema = schema.int({ message: `La variable "${name}" debe ser un número entero.` })
+      if (min !== undefined) schema = schema.min(min, { message: `La variable "${name}" debe ser al menos ${min}.` })
+      if (max !== undefined) schema = schema.max(max, { message: `La variable "${name}" no puede ser mayor que ${max}.` })
+      return schema
+    case 'boolean':
+      return z.boolean({ message: `La variable "${name}" debe ser booleana.` })
+    case 'enum':
+      return z.enum(values, { message: `La variable "${name}" debe ser uno de: ${values.join(', ')}.` })
+  }
+}
+
+/**
+ * Builds the Zod schema of the values of a template run from the variable
+ * declarations. Unknown variables are rejected, so typos do not silently
+ * render empty placeholders.
+ *
+ * @function toVariablesSchema
+ * @param {Object<string, Object>} variables - The declarations, by name
+ * @returns {z.ZodObject} The schema of the values
+ * @memberof module:service/template
+ * @since 1.1.0
+ *
+ * @example
+ * toVariablesSchema({ words: { type: 'integer', max: 300, default: 50 } }).parse({}) // { words: 50 }
+ */
+export const toVariablesSchema = (variables) => z.object(Object.fromEntries(
+  Object.entries(variables).map(([name, declaration]) => {
+    const schema = toVariableSchema(name, declaration)
+    if (declaration.default !== undefined) return [name, schema.default(declaration.default)]
+    return [name, declaration.optional ? schema.optional() : schema]
+  })
+)).strict()
+
+/**
+ * Checks that a template version is consistent: every placeholder is
+ * declared and every default is a valid value of its variable.
+ *
+ * @function checkTemplate
+ * @param {Object} template - The template version
+ * @param {string} template.body - The prompt text
+ * @param {Object<string, Object>} template.variables - The declarations, by name
+ * @returns {void}
+ * @throws {CustomError} 400 if the template is inconsistent
+ * @memberof module:service/template
+ * @since 1.1.0
+ */
+const checkTemplate = ({ body, variables }) => {
+  const undeclared = [...new Set([...body.matchAll(PLACEHOLDER)].map(([, name]) => name))]
+    .filter((name) => !Object.hasOwn(variables, name))
+  if (undeclared.length > 0) {
+    throw new CustomError(`La plantilla usa variables no declaradas: ${undeclared.join(', ')}`, 400)
+  }
+
+  for (const [name, declaration] of Object.entries(variables)) {
+    if (declaration.default !== undefined && !toVariableSchema(name, declaration).safeParse(declaration.default).success) {
+      throw new CustomError(`El valor por defecto de la variable "${name}" no es válido.`, 400)
+    }
+  }
+}
+
+/**
+ * Stores a template version, mapping name clashes to a 409.
+ *
+ * @async
+ * @function saveVersion
+ * @param {Object} data - The template version, with name and version number
+ * @param {string} conflictMessage - The message of the 409 error
+ * @returns {Promise<Object>} The stored version
+ * @throws {CustomError} 409 if the version already exists
+ * @memberof module:service/template
+ * @since 1.1.0
+ */
+const saveVersion = async (data, conflictMessage) => {
+  try {
+    const template = await Template.create(data)
+    logger.info('Template version stored', { template: data.name, version: data.version })
+    return template.toObject()
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) {
+      throw new CustomError(conflictMessage, 409)
+    }
+    throw error
+  }
+}
+
+/**
+ * Creates a template at version 1.
+ *
+ * @async
+ * @function createTemplate
+ * @param {Object} data - The template (see templateSchema)
+ * @returns {Promise<Object>} The stored template
+ * @throws {CustomError} 400 if the template is inconsistent
+ * @throws {CustomError} 409 if a template with the same name exists
+ * @memberof module:service/template
+ * @since 1.1.0
+ *
+ * @example
+ * await createTemplate({
+ *   name: 'resumen-ticket',
+ *   body: 'Resume el siguiente ticket:\n\n{{ticket}}',
+ *   variables: { ticket: { type: 'string', maxLength: 3000 } }
+ * })
+ */
+export const createTemplate = async (data) => {
+  checkTemplate(data)
+  return saveVersion({ ...data, version: 1 }, 'Ya existe una plantilla con ese nombre')
+}
+
+/**
+ * Stores a new version of a template, numbered after the latest one.
+ *
+ * @async
+ * @function addTemplateVersion
+ * @param {string} name - The template name
+ * @param {Object} data - The new version (see templateVersionSchema)
+ * @returns {Promise<Object>} The stored version
+ * @throws {CustomError} 400 if the version is inconsistent
+ * @throws {CustomError} 404 if the template does not exist
+ * @throws {CustomError} 409 if another version was stored at the same time
+ * @memberof module:service/template
+ * @since 1.1.0
+ */
+export const addTemplateVersion = async (name, data) => {
+  const latest = await getTemplate(name)
+  checkTemplate(data)
+  return saveVersion(
+    { ...data, name, version: latest.version + 1 },
+    'La plantilla cambió mientras se guardaba la nueva versión; inténtalo de nuevo.'
+  )
+}
+
+/**
+ * Lists the latest version of every template, in name order.
+ *
+ * @async
+ * @function listTemplates
+ * @param {Object} [query] - Pagination options
+ * @param {number} [query.limit=20] - Maximum number of templates to return
+ * @param {number} [query.offset=0] - Number of templates to skip
+ * @returns {Promise<{ total: number, templates: Object[] }>} The page of templates
+ * @memberof module:service/template
+ * @since 1.1.0
+ */
+export const listTemplates = async ({ limit = 20, offset = 0 } = {}) => {
+  const [names, templates] = await Promise.all([
+    Template.distinct('name'),
+    Template.aggregate([
+      { $sort: { name: 1, version: -1 } },
+      { $group: { _id: '$name', latest: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$latest' } },
+      { $sort: { name: 1 } },
+      { $skip: offset },
+      { $limit: limit }
+    ])
+  ])
+  return { total: names.length, templates }
+}
+
+/**
+ * Fetches a version of a template.
+ *
+ * @async
+ * @function getTemplate
+ * @param {string} name - The template name
+ * @param {number} [version] - The version; the latest when omitted
+ * @returns {Promise<Object>} The template version
+ * @throws {CustomError} 404 if the template or the version does not exist
+ * @memberof module:service/template
+ * @since 1.1.0
+ */
+export const getTemplate = async (name, version) => {
+  const template = version === undefined
+    ? await Template.findOne({ name }).sort({ version: -1 }).lean()
+    : await Template.findOne({ name, version }).lean()
+  if (!template) {
+    throw new CustomError(version === undefined ? 'Plantilla no encontrada' : 'Versión de plantilla no encontrada', 404)
+  }
+  return template
+}
+
+/**
+ * Lists the versions of a template, latest first, without their bodies.
+ *
+ * @async
+ * @function listTemplateVersions
+ * @param {string} name - The template name
+ * @returns {Promise<Object[]>} The versions, with number, description and date
+ * @throws {CustomError} 404 if the template does not exist
+ * @memberof module:service/template
+ * @since 1.1.0
+ */
+export const listTemplateVersions = async (name) => {
+  const versions = await Template.find({ name }, { version: 1, description: 1, createdAt: 1 })
+    .sort({ version: -1 })
+    .lean()
+  if (versions.length === 0) {
+    throw new CustomError('Plantilla no encontrada', 404)
+  }
+  return versions
+}
+
+/**
+ * Deletes a template with all its versions.
+ *
+ * @async
+ * @function deleteTemplate
+ * @param {string} name - The template name
+ * @returns {Promise<void>}
+ * @throws {CustomError} 404 if the template does not exist
+ * @memberof module:service/template
+ * @since 1.1.0
+ */
+export const deleteTemplate = async (name) => {
+  const { deletedCount } = await Template.deleteMany({ name })
+  if (deletedCount === 0) {
+    throw new CustomError('Plantilla no encontrada', 404)
+  }
+  logger.info('Template deleted', { template: name, versions: deletedCount })
+}
+
+/**
+ * Renders a template version with the values of a run.
+ * Optional variables left out render as empty text.
+ *
+ * @function renderTemplate
+ * @param {Object} template - The template version
+ * @param {string} template.body - The prompt text
+ * @param {Object<string, Object>} template.variables - The declarations, by name
+ * @param {Object} values - The values sent by the client, by name
+ * @returns {string} The prompt
+ * @throws {ZodError} If the values do not match the declarations
+ * @memberof module:service/template
+ * @since 1.1.0
+ *
+ * @example
+ * renderTemplate({ body: 'Resume en {{words}} palabras: {{ticket}}', variables }, { ticket: 'No arranca' })
+ * // 'Resume en 50 palabras: No arranca'
+ */
+export const renderTemplate = ({ body, variables }, values) => {
+  const parsed = toVariablesSchema(variables).parse(values)
+  return body.replace(PLACEHOLDER, (placeholder, name) => String(parsed[name] ?? ''))
+}
@@ -0,0 +1,91 @@
+/**
+ * Tool execution service.
+ * Runs the tool calls requested by the model and turns their results into
+ * `tool` messages that are sent back to it.
+ *
+ * Execution Rules:
+ * - Only the tools enabled for the request (by the client or its persona)
+ *   run; a call to any other tool is refused, even if the tool is registered,
+ *   so a prompt-injected model cannot reach tools the caller never enabled
+ * - Unknown or refused tools, invalid arguments and handler failures never
+ *   fail the request; the error is reported to the model so it can recover
+ * - Arguments are validated with the tool's zod schema before the handler runs
+ * - Every invocation is logged with the request ID and returned for auditing
+ *
+ * @file
+ * @module service/tool
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../tools/index.js} Tool registry
+ */
+
+import { getTool, hasTool } from '../tools/index.js'
+import logger from '../logger.js'
+
+/**
+ * Executes one tool call requested by the model.
+ *
+ * Processing Flow:
+ * 1. Refuse tools not enabled for the request, then look up the tool in the registry
+ * 2. Validate the arguments against the tool's schema
+ * 3. Run the handler
+ * 4. Log and return the invocation together with the `tool` message
+ *
+ * @async
+ * @function runToolCall
+ * @param {Object} call - A tool call from the model response
+ * @param {Object} call.function - The called function
+ * @param {string} call.function.name - The tool name
+ * @param {Object} [call.function.arguments] - The arguments produced by the model
+ * @param {string} requestId - The unique request ID for traceability
+ * @param {string[]} enabled - Names of the tools enabled for the request
+ * @returns {Promise<{ message: Object, invocation: Object }>} The `tool` message
+ *   for the model and the invocation record (name, arguments, result or error, duration)
+ * @memberof module:service/tool
+ * @since 1.1.0
+ *
+ * @example
+ * const { message } = await runToolCall({ function: { name: 'calculate', arguments: { expression: '2+2' } } }, 'req-123', ['calculate'])
+ * // message: { role: 'tool', tool_name: 'calculate', content: '{"expression":"2+2","result":4}' }
+ */
+export const runToolCall = async (call, requestId, enabled) => {
+  const { name, arguments: args = {} } = call.function
+  const start = Date.now()
+  const invocation = { name, arguments: args }
+
+  try {
+    if (!enabled.includes(name)) {
+      throw new Error(hasTool(name)
+        ? `La herramienta "${name}" no está habilitada para esta solicitud.`
+        : `La herramienta "${name}" no existe.`)
+    }
+
+    const tool = getTool(name)
+    if (!tool) {
+      throw new Error(`La herramienta "${name}" no existe.`)
+    }
+
+    const parsed = tool.parameters.safeParse(args)
+    if (!parsed.success) {
+      throw new Error(`Argumentos no válidos: ${parsed.error.issues.map((issue) => issue.message).join(', ')}`)
+    }
+
+    invocation.result = await tool.handler(parsed.data, { requestId })
+  } catch (error) {
+    invocation.error = error.message
+  }
+  invocation.duration = Date.now() - start
+
+  logger.info('Tool invoked', { ...invocation, requestId })
+
+  return {
+    message: {
+      role: 'tool',
+      tool_name: name,
+      content: JSON.stringify(invocation.error ? { error: invocation.error } : invocation.result)
+    },
+    invocation
+  }
+}
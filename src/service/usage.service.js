@@ -0,0 +1,172 @@
+/**
+ * Usage service.
+ * Accounts for the model time and tokens consumed by each request and
+ * summarizes the consumption recorded in the audit log.
+ *
+ * Service Responsibilities:
+ * 1. Extract token counts and durations from model responses
+ * 2. Add up the usage of requests that call the model several times
+ *    (tool rounds, structured output retries)
+ * 3. Aggregate the recorded usage by day, model and user
+ *
+ * Units:
+ * - Token counts as reported by the model (prompt_eval_count, eval_count)
+ * - Durations in nanoseconds, as reported by Ollama
+ *
+ * @file
+ * @module service/usage
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../models/audit.model.js} Audit Model (usage is stored with each entry)
+ */
+
+import Audit from '../models/audit.model.js'
+
+/**
+ * Numeric usage fields, in the order they are reported.
+ *
+ * @type {string[]}
+ * @constant {string[]}
+ * @memberof module:service/usage
+ * @since 1.1.0
+ */
+const USAGE_FIELDS = [
+  'calls',
+  'promptTokens',
+  'completionTokens',
+  'totalTokens',
+  'totalDuration',
+  'loadDuration',
+  'promptEvalDuration',
+  'evalDuration'
+]
+
+/**
+ * Grouping keys accepted by the usage summary and the audit fields they map to.
+ * Chat usage is charged to the model that answered, which differs from the
+ * requested one after a fallback.
+ *
+ * @type {Object<string, { field: string, expression: * }>}
+ * @constant {Object}
+ * @memberof module:service/usage
+ * @since 1.1.0
+ */
+const GROUP_KEYS = {
+  day: { field: 'day', expression: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } } },
+  model: { field: 'model', expression: { $ifNull: ['$chat.answeredBy', { $ifNull: ['$chat.model', '$embedding.model'] }] } },
+  user: { field: 'userId', expression: '$userId' }
+}
+
+/**
+ * Extracts the usage of a single model call.
+ *
+ * @function toUsage
+ * @param {Object} res - A completed Ollama chat response or final stream chunk
+ * @returns {Object} The usage of the call (calls, token counts and durations)
+ * @memberof module:service/usage
+ * @since 1.1.0
+ *
+ * @example
+ * toUsage({ prompt_eval_count: 12, eval_count: 30, total_duration: 5e8 })
+ * // { calls: 1, promptTokens: 12, completionTokens: 30, totalTokens: 42, totalDuration: 500000000, ... }
+ */
+export const toUsage = (res) => {
+  const promptTokens = res.prompt_eval_count ?? 0
+  const completionTokens = res.eval_count ?? 0
+  return {
+    calls: 1,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    totalDuration: res.total_duration ?? 0,
+    loadDuration: res.load_duration ?? 0,
+    promptEvalDuration: res.prompt_eval_duration ?? 0,
+    evalDuration: res.eval_duration ?? 0
+  }
+}
+
+/**
+ * Adds up the usage of several model calls.
+ * Missing entries are skipped, so the result of a previous sum can be
+ * passed back in as it grows.
+ *
+ * @function addUsage
+ * @param {...Object} usages - Usage objects as returned by toUsage
+ * @returns {Object} The combined usage
+ * @memberof module:service/usage
+ * @since 1.1.0
+ */
+export const addUsage = (...usages) => Object.fromEntries(
+  USAGE_FIELDS.map((field) => [
+    field,
+    usages.reduce((total, usage) => total + (usage?.[field] ?? 0), 0)
+  ])
+)
+
+/**
+ * Summarizes the recorded usage.
+ * Only audit entries with usage (chat and embedding requests that reached
+ * the model) count.
+ *
+ * @async
+ * @function summarizeUsage
+ * @param {Object} [query] - Summary options
+ * @param {Date} [query.from] - Only include requests made at or after this date
+ * @param {Date} [query.to] - Only include requests made before this date
+ * @param {Array<'day'|'model'|'user'>} [query.groupBy=['day','model','user']] - Grouping keys
+ * @param {string} [query.userId] - Only include requests of this user
+ * @param {string} [query.model] - Only include requests answered by this model
+ * @returns {Promise<{ totals: Object, groups: Object[] }>} The overall totals and one entry per group
+ * @memberof module:service/usage
+ * @since 1.1.0
+ *
+ * @example
+ * const { groups } = await summarizeUsage({ groupBy: ['user'] })
+ * // [{ userId: 'ana', requests: 12, calls: 14, promptTokens: 840, ... }]
+ */
+export const summarizeUsage = async ({
+  from,
+  to,
+  groupBy = ['day', 'model', 'user'],
+  userId,
+  model
+} = {}) => {
+  const match = { usage: { $exists: true } }
+  if (from || to) {
+    match.timestamp = { ...(from ? { $gte: from } : {}), ...(to ? { $lt: to } : {}) }
+  }
+  if (userId) match.userId = userId
+  if (model) {
+    match.$or = [
+      { 'chat.answeredBy': model },
+      // Entries without the answering model were answered by the requested one
+      { 'chat.answeredBy': { $exists: false }, 'chat.model': model },
+      { 'embedding.model': model }
+    ]
+  }
+
+  const id = Object.fromEntries(groupBy.map((key) => [GROUP_KEYS[key].field, GROUP_KEYS[key].expression]))
+  const sums = Object.fromEntries(USAGE_FIELDS.map((field) => [field, { $sum: `$usage.${field}` }]))
+
+  const results = await Audit.aggregate([
+    { $match: match },
+    { $group: { _id: id, requests: { $sum: 1 }, ...sums } },
+    { $sort: { _id: 1 } }
+  ])
+
+  // Requests without a user or model are grouped under null
+  const groups = results.map(({ _id, ...totals }) => ({
+    ...Object.fromEntries(Object.keys(id).map((field) => [field, _id[field] ?? null])),
+    ...totals
+  }))
+
+  return {
+    totals: {
+      requests: groups.reduce((total, group) => total + group.requests, 0),
+      ...addUsage(...groups)
+    },
+    groups
+  }
+}
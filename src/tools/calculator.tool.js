@@ -0,0 +1,143 @@
+/**
+ * Calculator tool.
+ * Evaluates arithmetic expressions so the model does not have to do
+ * the math itself, which small models often get wrong.
+ *
+ * Supported Syntax:
+ * - Numbers: integers and decimals (e.g. 42, 3.14, .5)
+ * - Operators: + - * / % and ^ (power, right-associative)
+ * - Unary minus and plus
+ * - Parentheses
+ *
+ * Security:
+ * - Expressions are parsed by a small recursive-descent parser;
+ *   nothing is ever passed to `eval` or `Function`
+ *
+ * @file
+ * @module tools/calculator
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ./index.js} Tool registry
+ */
+
+import z from 'zod'
+
+/**
+ * Splits an expression into number and operator tokens.
+ *
+ * @function tokenize
+ * @param {string} expression - The arithmetic expression
+ * @returns {Array<string|number>} The tokens
+ * @throws {Error} If the expression contains unsupported characters
+ * @memberof module:tools/calculator
+ * @since 1.1.0
+ */
+const tokenize = (expression) => {
+  const tokens = []
+  const pattern = /\s*(\d+(?:\.\d*)?|\.\d+|[-+*/%^()])\s*/y
+  while (pattern.lastIndex < expression.length) {
+    const match = pattern.exec(expression)
+    if (!match) {
+      throw new Error(`Carácter no permitido en la expresión: "${expression[pattern.lastIndex]}"`)
+    }
+    tokens.push(/[\d.]/.test(match[1][0]) ? Number(match[1]) : match[1])
+  }
+  return tokens
+}
+
+/**
+ * Evaluates an arithmetic expression.
+ *
+ * @function evaluate
+ * @param {string} expression - The arithmetic expression
+ * @returns {number} The result
+ * @throws {Error} If the expression is malformed or the result is not a finite number
+ * @memberof module:tools/calculator
+ * @since 1.1.0
+ *
+ * @example
+ * evaluate('2 * (3 + 4) ^ 2') // 98
+ */
+export const evaluate = (expression) => {
+  const tokens = tokenize(expression)
+  let position = 0
+
+  const peek = () => tokens[position]
+  const take = () => tokens[position++]
+
+  const primary = () => {
+    const token = take()
+    if (typeof token === 'number') return token
+    if (token === '(') {
+      const value = sum()
+      if (take() !== ')') throw new Error('Falta un paréntesis de cierre.')
+      return value
+    }
+    throw new Error('Expresión incompleta o mal formada.')
+  }
+
+  const unary = () => {
+    if (peek() === '-') { take(); return -unary() }
+    if (peek() === '+') { take(); return unary() }
+    return primary()
+  }
+
+  const power = () => {
+    const base = unary()
+    if (peek() === '^') { take(); return base ** power() }
+    return base
+  }
+
+  const product = () => {
+    let value = power()
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = take()
+      const right = power()
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right
+    }
+    return value
+  }
+
+  const sum = () => {
+    let value = product()
+    while (['+', '-'].includes(peek())) {
+      value = take() === '+' ? value + product() : value - product()
+    }
+    return value
+  }
+
+  const result = sum()
+  if (position < tokens.length) throw new Error('Expresión mal formada.')
+  if (!Number.isFinite(result)) throw new Error('El resultado no es un número finito.')
+  return result
+}
+
+/**
+ * Evaluates an arithmetic expression for the model.
+ *
+ * @type {Object}
+ * @constant {Object}
+ * @memberof module:tools/calculator
+ * @since 1.1.0
+ *
+ * @example
+ * await calculatorTool.handler({ expression: '15 * 4.5' })
+ * // { expression: '15 * 4.5', result: 67.5 }
+ */
+export const calculatorTool = {
+  name: 'calculate',
+  description: 'Evaluates an arithmetic expression with + - * / % ^ and parentheses. Use it for any calculation.',
+  parameters: z.object({
+    expression: z
+      .string()
+      .min(1)
+      .max(256)
+      .describe('The arithmetic expression, for example "(12.5 + 7) * 3"')
+  }),
+  handler: async ({ expression }) => ({
+    expression,
+    result: evaluate(expression)
+  })
+}
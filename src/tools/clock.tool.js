@@ -0,0 +1,47 @@
+/**
+ * Clock tool.
+ * Lets the model answer questions about the current date and time,
+ * which it cannot know from its training data.
+ *
+ * @file
+ * @module tools/clock
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ./index.js} Tool registry
+ */
+
+import z from 'zod'
+
+/**
+ * Returns the current date and time, optionally in a given time zone.
+ *
+ * @type {Object}
+ * @constant {Object}
+ * @memberof module:tools/clock
+ * @since 1.1.0
+ *
+ * @example
+ * await clockTool.handler({ timeZone: 'Europe/Madrid' })
+ * // { iso: '2025-01-01T10:00:00.000Z', timeZone: 'Europe/Madrid', local: '1/1/2025, 11:00:00' }
+ */
+export const clockTool = {
+  name: 'get_current_time',
+  description: 'Returns the current date and time. Use it whenever the user asks about the current date, day or time.',
+  parameters: z.object({
+    timeZone: z
+      .string()
+      .describe('IANA time zone, for example "Europe/Madrid". Defaults to UTC.')
+      .optional()
+  }),
+  handler: async ({ timeZone = 'UTC' }) => {
+    const now = new Date()
+    return {
+      iso: now.toISOString(),
+      timeZone,
+      // Throws a RangeError for unknown time zones, reported back to the model
+      local: now.toLocaleString('es-ES', { timeZone })
+    }
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Tool registry.
+ * Holds the server-side functions the model may call during a chat request.
+ * Each tool declares a zod schema for its arguments, which is both sent to the
+ * model as JSON Schema and used to validate the arguments the model produces.
+ *
+ * Tool Definition:
+ * - name: Unique identifier the model uses to call the tool
+ * - description: When and why the model should use the tool
+ * - parameters: zod object schema of the arguments
+ * - handler: async function receiving the validated arguments and a context
+ *   object (`{ requestId }`); its JSON-serializable result is sent to the model
+ *
+ * Built-in Tools:
+ * - get_current_time: Current date and time
+ * - calculate: Arithmetic expressions
+ *
+ * @file
+ * @module tools
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ../service/tool.service.js} Tool execution
+ * @see {@link https://github.com/ollama/ollama/blob/main/docs/api.md#chat-request-with-tools} Ollama Tools
+ */
+
+import z from 'zod'
+import { clockTool } from './clock.tool.js'
+import { calculatorTool } from './calculator.tool.js'
+
+/**
+ * Registered tools, keyed by name.
+ *
+ * @type {Map<string, Object>}
+ * @constant {Map<string, Object>}
+ * @memberof module:tools
+ * @since 1.1.0
+ */
+const registry = new Map()
+
+/**
+ * Registers a tool so clients can enable it on chat requests.
+ *
+ * @function registerTool
+ * @param {Object} tool - The tool definition
+ * @param {string} tool.name - Unique tool name
+ * @param {string} tool.description - Description shown to the model
+ * @param {z.ZodObject} tool.parameters - Schema of the tool arguments
+ * @param {Function} tool.handler - Async function executing the tool
+ * @returns {void}
+ * @throws {Error} If a tool with the same name is already registered
+ * @memberof module:tools
+ * @since 1.1.0
+ *
+ * @example
+ * registerTool({
+ *   name: 'get_order_status',
+ *   description: 'Returns the status of an order',
+ *   parameters: z.object({ orderId: z.string() }),
+ *   handler: async ({ orderId }) => orders.status(orderId)
+ * })
+ */
+export const registerTool = (tool) => {
+  if (registry.has(tool.name)) {
+    throw new Error(`Tool already registered: ${tool.name}`)
+  }
+  registry.set(tool.name, tool)
+}
+
+/**
+ * Returns a registered tool.
+ *
+ * @function getTool
+ * @param {string} name - The tool name
+ * @returns {Object|undefined} The tool definition
+ * @memberof module:tools
+ * @since 1.1.0
+ */
+export const getTool = (name) => registry.get(name)
+
+/**
+ * Checks whether a tool is registered.
+ *
+ * @function hasTool
+ * @param {string} name - The tool name
+ * @returns {boolean} True if the tool exists
+ * @memberof module:tools
+ * @since 1.1.0
+ */
+export const hasTool = (name) => registry.has(name)
+
+/**
+ * Builds the tool declarations sent to the model.
+ * The zod parameter schemas are converted to JSON Schema. Names that are no
+ * longer registered (e.g. still listed by a stored persona) are skipped.
+ *
+ * @function toToolDefinitions
+ * @param {string[]} names - Names of the tools to declare
+ * @returns {Array<Object>} Tool declarations in the Ollama format
+ * @memberof module:tools
+ * @since 1.1.0
+ *
+ * @example
+ * toToolDefinitions(['calculate'])
+ * // [{ type: 'function', function: { name: 'calculate', description, parameters: { type: 'object', ... } } }]
+ */
+export const toToolDefinitions = (names) => names.filter(hasTool).map((name) => {
+  const { description, parameters } = registry.get(name)
+  const { $schema, ...schema } = z.toJSONSchema(parameters)
+  return {
+    type: 'function',
+    function: { name, description, parameters: schema }
+  }
+})
+
+registerTool(clockTool)
+registerTool(calculatorTool)
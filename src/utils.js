@@ -9,6 +9,7 @@
  * 2. Rate Limiting: Request rate limiting middleware
  * 3. Data Processing: Data transformation functions
  * 4. Validation: Helper validation functions
+ * 5. Streaming: Server-Sent Events helpers
  * 
  * Design Pattern: Utility Module
  * This module implements the Utility Module pattern,
@@ -35,6 +36,7 @@
  */
 
 import rateLimit from "express-rate-limit"
+import { RATE_LIMIT_MAX } from './config/env.js'
 
 /**
  * Higher-order function that wraps an async route handler to catch any errors
@@ -173,7 +175,7 @@ export const rateLimiter = rateLimit({
    * Defines the request limit for each IP address.
    * 
    * Limit Selection:
-   * - 20 requests per minute
+   * - 20 requests per minute by default (RATE_LIMIT_MAX)
    * - Balanced for typical API usage
    * - Prevents abuse without hindering legitimate use
    * 
@@ -182,7 +184,7 @@ export const rateLimiter = rateLimit({
    * - Security: Low enough to prevent abuse
    * - Performance: Not overly restrictive
    */
-  max: 20,
+  max: RATE_LIMIT_MAX,
   
   /**
    * Custom error message for rate limit exceeded.
@@ -196,11 +198,18 @@ export const rateLimiter = rateLimit({
    * Response Format:
    * - JSON object
    * - Error and message fields
+   * - OpenAI error object for the OpenAI-compatible `/v1` routes
    * - HTTP 429 status code (set by middleware)
    */
-  message: {
-    error: 'Límite de solicitudes excedido',
-    message: 'Has realizado demasiadas solicitudes. Por favor, espera un momento.',
+  message: (req) => {
+    const message = 'Has realizado demasiadas solicitudes. Por favor, espera un momento.'
+    if (req.baseUrl === '/v1') {
+      return toOpenAIError(429, message, { code: 'rate_limit_exceeded' })
+    }
+    return {
+      error: 'Límite de solicitudes excedido',
+      message
+    }
   },
   
   /**
@@ -234,4 +243,143 @@ export const rateLimiter = rateLimit({
    * - Future-proof implementation
    */
   legacyHeaders: false, // No usar `X-RateLimit-*`
-})
\ No newline at end of file
+})
+
+/**
+ * Prepares a response for Server-Sent Events (SSE) streaming.
+ * Sets the event-stream headers and flushes them immediately so the client
+ * can start rendering tokens before the model has finished.
+ *
+ * Headers:
+ * - Content-Type: text/event-stream
+ * - Cache-Control: no-cache (events must not be cached by proxies)
+ * - Connection: keep-alive
+ * - X-Accel-Buffering: no (disables buffering in nginx-style proxies)
+ *
+ * @function openEventStream
+ * @param {express.Response} response - The HTTP response object
+ * @returns {void}
+ * @memberof module:utils
+ * @since 1.1.0
+ * @see {@link https://html.spec.whatwg.org/multipage/server-sent-events.html} SSE Specification
+ *
+ * @example
+ * openEventStream(res)
+ * writeEvent(res, 'token', { content: 'Hola' })
+ */
+export const openEventStream = (response) => {
+  response.status(200)
+  response.setHeader('Content-Type', 'text/event-stream; charset=utf-8')
+  response.setHeader('Cache-Control', 'no-cache')
+  response.setHeader('Connection', 'keep-alive')
+  response.setHeader('X-Accel-Buffering', 'no')
+  response.flushHeaders()
+}
+
+/**
+ * Writes a single Server-Sent Event to an open event stream.
+ * The payload is serialized as JSON on one `data:` line, which keeps
+ * multi-line model output intact for the client.
+ *
+ * @function writeEvent
+ * @param {express.Response} response - The HTTP response object
+ * @param {string} event - The event name (e.g. 'token', 'done', 'error')
+ * @param {*} data - The JSON-serializable event payload
+ * @returns {boolean} The value returned by `response.write`
+ * @memberof module:utils
+ * @since 1.1.0
+ *
+ * @example
+ * writeEvent(res, 'done', { model: 'qwen3:0.6b', done: true })
+ * // event: done
+ * // data: {"model":"qwen3:0.6b","done":true}
+ */
+export const writeEvent = (response, event, data) => {
+  return response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+/**
+ * Writes an unnamed Server-Sent Event to an open event stream.
+ * OpenAI-compatible clients only read `data:` lines, so chunks of the
+ * `/v1` API are sent without an `event:` name. Strings are written as-is,
+ * which allows the `[DONE]` sentinel that closes OpenAI streams.
+ *
+ * @function writeData
+ * @param {express.Response} response - The HTTP response object
+ * @param {Object|string} data - The payload, serialized as JSON unless it is a string
+ * @returns {boolean} False if the chunk was buffered (see `response.write`)
+ * @memberof module:utils
+ * @since 1.1.0
+ *
+ * @example
+ * writeData(res, { object: 'chat.completion.chunk', choices })
+ * writeData(res, '[DONE]')
+ */
+export const writeData = (response, data) => {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data)
+  return response.write(`data: ${payload}\n\n`)
+}
+
+/**
+ * Tells the client which model answered and records it in the audit entry.
+ * The model differs from the requested one when a fallback model answered
+ * (see service/fallback).
+ *
+ * Must be called before any streaming headers are sent.
+ *
+ * @function recordAnsweringModel
+ * @param {express.Response} response - The HTTP response object
+ * @param {string} model - The model that answered
+ * @param {Array<{ model: string, reason: string }>} [fallbackFrom=[]] - The models skipped before it
+ * @returns {void}
+ * @memberof module:utils
+ * @since 1.1.0
+ *
+ * @example
+ * recordAnsweringModel(res, 'llama3.2:1b', [{ model: 'qwen3:0.6b', reason: 'model-not-found' }])
+ * // X-Model: llama3.2:1b
+ * // X-Model-Fallback: qwen3:0.6b (model-not-found)
+ */
+export const recordAnsweringModel = (response, model, fallbackFrom = []) => {
+  response.set('X-Model', model)
+  if (response.locals.audit?.chat) {
+    response.locals.audit.chat.answeredBy = model
+  }
+  if (fallbackFrom.length > 0) {
+    response.set('X-Model-Fallback', fallbackFrom.map(({ model, reason }) => `${model} (${reason})`).join(', '))
+    if (response.locals.audit?.chat) {
+      response.locals.audit.chat.fallbackFrom = fallbackFrom
+    }
+  }
+}
+
+/**
+ * Builds an error body in the OpenAI API format.
+ * Used by the OpenAI-compatible `/v1` routes so their clients can parse
+ * failures with the same code they use against OpenAI.
+ *
+ * Error Types:
+ * - 429: rate_limit_error
+ * - Other 4xx: invalid_request_error
+ * - 5xx: server_error
+ *
+ * @function toOpenAIError
+ * @param {number} statusCode - The HTTP status code of the error
+ * @param {string} message - Human-readable error message
+ * @param {Object} [details] - Optional error details
+ * @param {string|null} [details.param=null] - The request field that caused the error
+ * @param {string|null} [details.code=null] - Machine-readable error code
+ * @returns {{ error: { message: string, type: string, param: string|null, code: string|null } }} The error body
+ * @memberof module:utils
+ * @since 1.1.0
+ * @see {@link https://platform.openai.com/docs/guides/error-codes} OpenAI Error Codes
+ *
+ * @example
+ * res.status(400).json(toOpenAIError(400, 'El modelo solicitado no está permitido.', { param: 'model' }))
+ */
+export const toOpenAIError = (statusCode, message, { param = null, code = null } = {}) => {
+  const type = statusCode >= 500
+    ? 'server_error'
+    : statusCode === 429 ? 'rate_limit_error' : 'invalid_request_error'
+  return { error: { message, type, param, code } }
+}
@@ -29,10 +29,25 @@
  * @see {@link https://expressjs.com/en/guide/writing-middleware.html} Express Middleware
  */
 
-import { promptSchema } from "./zod.js"
+import { promptSchema, chatCompletionSchema } from './zod.js'
 import { FORBIDDEN_PATTERNS } from "./config/patterns.js"
+import { toOpenAIError } from './utils.js'
 import logger from "./logger.js"
 
+/**
+ * Returns the first forbidden pattern found in a text.
+ * Shared by every validator that screens user-provided content, so all
+ * chat entry points apply the same security rules.
+ *
+ * @function findForbiddenPattern
+ * @param {string} text - The text to screen
+ * @returns {RegExp|undefined} The matching pattern, or undefined if the text is allowed
+ * @memberof module:validations
+ * @since 1.1.0
+ */
+export const findForbiddenPattern = (text) =>
+  FORBIDDEN_PATTERNS.find((pattern) => pattern.test(text))
+
 /**
  * Middleware function to validate the user prompt in the request body.
  * Checks that the prompt conforms to the schema and doesn't contain forbidden patterns.
@@ -79,34 +94,32 @@ export const validatePrompt = (req, res, next) => {
 
     // Check the prompt against forbidden patterns for security
     // This prevents jailbreak attempts and other malicious inputs
-    // Each pattern is checked sequentially until a match is found or all are checked
-    for (const pattern of FORBIDDEN_PATTERNS) {
-      // Test if the current pattern matches the prompt
-      // Uses RegExp.test() for efficient pattern matching
-      if (pattern.test(prompt)) {
-        // Log forbidden pattern detection for security monitoring
-        // Includes pattern, truncated prompt, and request ID for traceability
-        // This helps identify and analyze attempted security breaches
-        logger.warn('Prompt contains forbidden pattern', { 
-          pattern: pattern.toString(), 
-          prompt: prompt.substring(0, 50) + (prompt.length > 50 ? '...' : ''),
-          requestId: req.requestId
-        })
-        
-        // Immediately return error response for forbidden patterns
-        // This prevents further processing of malicious inputs
-        // Status 400 indicates client error with explanation
-        return res.status(400).json({
-          error: 'Contenido no permitido',
-          message: 'El prompt contiene patrones bloqueados por seguridad (jailbreak, etc.).',
-        })
-      }
+    // Patterns are checked sequentially until a match is found or all are checked
+    const pattern = findForbiddenPattern(prompt)
+    if (pattern) {
+      // Log forbidden pattern detection for security monitoring
+      // Includes pattern, truncated prompt, and request ID for traceability
+      // This helps identify and analyze attempted security breaches
+      logger.warn('Prompt contains forbidden pattern', {
+        pattern: pattern.toString(),
+        prompt: prompt.substring(0, 50) + (prompt.length > 50 ? '...' : ''),
+        requestId: req.requestId
+      })
+
+      // Immediately return error response for forbidden patterns
+      // This prevents further processing of malicious inputs
+      // Status 400 indicates client error with explanation
+      return res.status(400).json({
+        error: 'Contenido no permitido',
+        message: 'El prompt contiene patrones bloqueados por seguridad (jailbreak, etc.).'
+      })
     }
 
-    // Attach validated prompt to request object for use in subsequent middleware
+    // Attach the parsed body to request object for use in subsequent middleware
     // This avoids re-parsing the request body in downstream handlers
-    // Ensures consistency of validated data throughout request processing
-    req.validatedPrompt = prompt
+    // Handlers read it instead of req.body, so the schema's transforms (trimmed
+    // prompt and model) apply to what reaches the model
+    req.validatedPrompt = parsed
     // Continue to next middleware in the chain
     // This indicates successful validation and allows normal request processing
     next();
@@ -124,4 +137,61 @@ export const validatePrompt = (req, res, next) => {
     // ZodError will be handled specially by the error handler
     next(err)
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Middleware function to validate an OpenAI-compatible chat completion request.
+ * Applies the same rules as `validatePrompt` to the `/v1/chat/completions` body:
+ * schema validation first, then forbidden-pattern screening of every message,
+ * since any client-supplied turn (including system and assistant turns) can
+ * carry an injection attempt.
+ *
+ * Error Handling:
+ * - Schema validation errors are passed to the OpenAI error handler
+ * - Forbidden patterns result in an immediate 400 OpenAI error object
+ *
+ * @function validateChatCompletion
+ * @param {Object} req - The HTTP request object
+ * @param {Object} req.body - The OpenAI chat completion request
+ * @param {Object} res - The HTTP response object
+ * @param {Function} next - The next middleware function
+ * @returns {Object|undefined} JSON error response if a forbidden pattern is found, otherwise calls next()
+ * @memberof module:validations
+ * @since 1.1.0
+ *
+ * @example
+ * router.post('/chat/completions', validateChatCompletion, chatCompletions)
+ */
+export const validateChatCompletion = (req, res, next) => {
+  try {
+    const parsed = chatCompletionSchema.parse(req.body)
+
+    for (const [index, { content }] of parsed.messages.entries()) {
+      const pattern = findForbiddenPattern(content)
+      if (pattern) {
+        logger.warn('Prompt contains forbidden pattern', {
+          pattern: pattern.toString(),
+          prompt: content.substring(0, 50) + (content.length > 50 ? '...' : ''),
+          requestId: req.requestId
+        })
+
+        return res.status(400).json(toOpenAIError(
+          400,
+          'El prompt contiene patrones bloqueados por seguridad (jailbreak, etc.).',
+          { param: `messages.${index}.content`, code: 'content_not_allowed' }
+        ))
+      }
+    }
+
+    // Attach the validated request for the controller
+    req.validatedCompletion = parsed
+    next()
+  } catch (err) {
+    logger.warn('Chat completion validation failed', {
+      error: err.message,
+      body: req.body,
+      requestId: req.requestId
+    })
+    next(err)
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Job worker entry point.
+ * Runs the background jobs queued by the API (re-embeddings, chat jobs) in
+ * a process of its own, so they start as soon as the worker boots rather
+ * than when the API receives its first request, and long jobs never share
+ * the event loop of the HTTP server.
+ *
+ * Responsibilities:
+ * 1. Database connection establishment
+ * 2. RabbitMQ connection and job queue consumption (see service/job)
+ * 3. Graceful shutdown handling
+ *
+ * Delivery:
+ * Jobs are acknowledged once their outcome is recorded. Jobs interrupted by
+ * a shutdown or a lost connection are delivered again, to this worker once
+ * it restarts or to another one. Several workers may run side by side.
+ *
+ * @file
+ * @module worker
+ * @author ChatBot Backend Team
+ * @since 1.1.0
+ * @copyright 2025 ChatBot Project
+ * @license MIT
+ * @see {@link ./service/job.service.js} Job Service
+ */
+
+import { connectToDatabase } from './dbDriver/mongoDriver.js'
+import { connectRabbitMQ } from './middleware/rabbitMQ.js'
+import { startJobWorker } from './service/job.service.js'
+import logger from './logger.js'
+
+/**
+ * Starts the job worker.
+ * Connects to the database and RabbitMQ, then consumes the job queues.
+ *
+ * Error Handling:
+ * - Startup failures are logged and cause process exit
+ * - A lost RabbitMQ connection stops the worker with an error code, so
+ *   its supervisor restarts it and it consumes again
+ *
+ * @async
+ * @function startWorker
+ * @returns {Promise<void>} Resolves when the worker is consuming
+ * @memberof module:worker
+ * @since 1.1.0
+ */
+const startWorker = async () => {
+  try {
+    await connectToDatabase()
+    const { connection } = await connectRabbitMQ()
+
+    let stopping = false
+    connection.on('close', () => {
+      if (stopping) return
+      logger.error('RabbitMQ connection closed, stopping job worker')
+      process.exit(1)
+    })
+
+    await startJobWorker(connection)
+
+    // Unacknowledged jobs go back to their queue when the connection closes
+    process.on('SIGINT', async () => {
+      logger.info('Shutting down job worker...')
+      stopping = true
+      await connection.close().catch(() => {})
+      logger.info('Job worker stopped')
+      process.exit(0)
+    })
+  } catch (error) {
+    logger.error('Failed to start job worker', { error: error.message })
+    process.exit(1)
+  }
+}
+
+startWorker()
@@ -31,6 +31,154 @@
  */
 
 import z from 'zod'
+import { ALLOWED_MODELS, RAG_CHUNK_SIZE, RAG_CHUNK_OVERLAP, BATCH_MAX_ITEMS } from './config/env.js'
+import { hasTool } from './tools/index.js'
+import { isValidJSONSchema } from './jsonSchema.js'
+
+/**
+ * Zod schema for MongoDB ObjectId strings.
+ * Used for route parameters and body fields that reference stored documents,
+ * so malformed IDs are rejected with a 400 instead of reaching Mongoose.
+ *
+ * @type {z.ZodString}
+ * @constant {z.ZodString}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const objectIdSchema = z
+  .string()
+  .regex(/^[a-f\d]{24}$/i, { message: 'El identificador no es válido.' })
+
+/**
+ * Zod schema for knowledge base names.
+ * Names are used in URLs and stored with every document and chunk.
+ *
+ * Schema Constraints:
+ * - 1 to 64 characters: letters, digits, `_` and `-`, starting with a letter or digit
+ *
+ * @type {z.ZodString}
+ * @constant {z.ZodString}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const knowledgeBaseNameSchema = z
+  .string({ message: 'El nombre de la base de conocimiento debe ser texto.' })
+  .regex(/^[a-zA-Z0-9][\w-]{0,63}$/, {
+    message: 'El nombre de la base de conocimiento solo admite letras, números, "_" y "-" (máximo 64 caracteres).'
+  })
+
+/**
+ * Zod schema for the generation options accepted on a chat request.
+ * Covers the common Ollama sampling parameters with absolute bounds;
+ * configurable ceilings are applied afterwards by the generation service.
+ * Unknown keys are rejected so typos do not silently fall back to defaults.
+ *
+ * Schema Constraints:
+ * - temperature: number between 0 and 2
+ * - top_p: number between 0 and 1
+ * - top_k: integer between 1 and 1000
+ * - num_ctx: integer between 128 and 131072
+ * - num_predict: integer between -1 (no limit) and 32768
+ * - repeat_penalty: number between 0 and 2
+ * - seed: integer
+ * - stop: up to 8 non-empty strings of at most 64 characters
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ * @see {@link https://github.com/ollama/ollama/blob/main/docs/modelfile.md#valid-parameters-and-values} Ollama Parameters
+ */
+export const generationOptionsSchema = z.object({
+  temperature: z.number().min(0).max(2).optional(),
+  top_p: z.number().min(0).max(1).optional(),
+  top_k: z.number().int().min(1).max(1000).optional(),
+  num_ctx: z.number().int().min(128).max(131072).optional(),
+  num_predict: z.number().int().min(-1).max(32768).optional(),
+  repeat_penalty: z.number().min(0).max(2).optional(),
+  seed: z.number().int().optional(),
+  stop: z
+    .array(z.string().min(1).max(64))
+    .max(8, { message: 'No se permiten más de 8 secuencias de parada.' })
+    .optional()
+}).strict()
+
+/**
+ * Zod schema for a selectable model name.
+ * Only models configured in OLLAMA_ALLOWED_MODELS (plus the default model)
+ * may be requested by clients.
+ *
+ * @type {z.ZodString}
+ * @constant {z.ZodString}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const modelSchema = z
+  .string({ message: 'El campo "model" debe ser texto.' })
+  .trim()
+  .refine((name) => ALLOWED_MODELS.includes(name), {
+    message: 'El modelo solicitado no está permitido.'
+  })
+
+/**
+ * Zod schema for a list of tools the model may call.
+ * Each entry must be the name of a registered tool (see tools/index.js).
+ *
+ * Schema Constraints:
+ * - Up to 16 registered tool names, without duplicates
+ *
+ * @type {z.ZodArray}
+ * @constant {z.ZodArray}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+const toolNamesSchema = z
+  .array(z.string().refine(hasTool, { message: 'La herramienta solicitada no existe.' }))
+  .max(16, { message: 'No se permiten más de 16 herramientas.' })
+  .refine((names) => new Set(names).size === names.length, {
+    message: 'Las herramientas no pueden repetirse.'
+  })
+
+/**
+ * Zod schema for persona names.
+ * Names are used in URLs and sent in chat requests.
+ *
+ * Schema Constraints:
+ * - 1 to 64 characters: lowercase letters, digits, `_` and `-`, starting with a letter or digit
+ *
+ * @type {z.ZodString}
+ * @constant {z.ZodString}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const personaNameSchema = z
+  .string({ message: 'El nombre de la persona debe ser texto.' })
+  .regex(/^[a-z0-9][a-z0-9_-]{0,63}$/, {
+    message: 'El nombre de la persona solo admite minúsculas, números, "_" y "-" (máximo 64 caracteres).'
+  })
+
+/**
+ * Zod schema for the images of a chat request sent in a JSON body.
+ * Each image is plain base64 or a `data:` URL; the bytes themselves (type,
+ * dimensions, size) are checked once decoded (see service/image).
+ *
+ * Schema Constraints:
+ * - Non-empty array of base64 strings, optionally prefixed with `data:<type>;base64,`
+ *
+ * @type {z.ZodArray}
+ * @constant {z.ZodArray}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const imagesSchema = z
+  .array(
+    z.string({ message: 'Cada imagen debe ser texto en base64.' })
+      .regex(/^(data:image\/[a-z0-9.+-]+;base64,)?[A-Za-z0-9+/]+={0,2}$/, {
+        message: 'Cada imagen debe estar codificada en base64, opcionalmente como data URL.'
+      }),
+    { message: 'El campo "images" debe ser una lista.' }
+  )
+  .min(1, { message: 'El campo "images" no puede estar vacío.' })
 
 /**
  * Zod schema for validating the prompt object in the request body.
@@ -112,4 +260,789 @@ export const promptSchema = z.object({
     .refine((str) => str.length > 0, {
       message: 'El prompt no puede contener solo espacios.',
     }),
-})
\ No newline at end of file
+
+  /**
+   * Opt-in streaming mode.
+   * When true, the response is delivered as Server-Sent Events instead of
+   * a single JSON body. Clients can also opt in with `Accept: text/event-stream`.
+   *
+   * Constraints:
+   * - Type: boolean
+   * - Required: false
+   */
+  stream: z
+    .boolean({ message: 'El campo "stream" debe ser booleano.' })
+    .optional(),
+
+  /**
+   * Optional conversation to continue.
+   * When present, the stored history is replayed to the model and the new
+   * user and assistant turns are appended to it.
+   *
+   * Constraints:
+   * - Type: string (MongoDB ObjectId)
+   * - Required: false
+   */
+  conversationId: objectIdSchema.optional(),
+
+  /**
+   * Optional model to answer with.
+   * Must be one of the models configured in OLLAMA_ALLOWED_MODELS;
+   * the default model is used when omitted.
+   *
+   * Constraints:
+   * - Type: string
+   * - Required: false
+   * - Allowlist: ALLOWED_MODELS
+   */
+  model: modelSchema.optional(),
+
+  /**
+   * Optional generation options (temperature, top_p, num_ctx, seed, stop...).
+   * Merged over the server-side defaults and capped by the configured ceilings.
+   *
+   * Constraints:
+   * - Type: object (see generationOptionsSchema)
+   * - Required: false
+   */
+  options: generationOptionsSchema.optional(),
+
+  /**
+   * Optional server-side tools the model may call while answering.
+   * Each entry must be the name of a registered tool (see tools/index.js).
+   * Not available in streaming mode.
+   *
+   * Constraints:
+   * - Type: array of registered tool names, without duplicates
+   * - Required: false
+   * - Max Items: 16
+   */
+  tools: toolNamesSchema.optional(),
+
+  /**
+   * Optional JSON output mode.
+   * The model is constrained to answer with JSON, which is parsed server-side.
+   *
+   * Constraints:
+   * - Type: the literal "json"
+   * - Required: false
+   */
+  format: z
+    .literal('json', { message: 'El campo "format" solo admite el valor "json".' })
+    .optional(),
+
+  /**
+   * Optional JSON Schema the answer must match.
+   * Forwarded to the model and enforced server-side; implies JSON output.
+   *
+   * Constraints:
+   * - Type: object, a valid JSON Schema
+   * - Required: false
+   */
+  responseSchema: z
+    .record(z.string(), z.unknown(), { message: 'El campo "responseSchema" debe ser un objeto.' })
+    .refine(isValidJSONSchema, {
+      message: 'El campo "responseSchema" no es un JSON Schema válido.'
+    })
+    .optional(),
+
+  /**
+   * Optional switch for the model's reasoning.
+   * When true the reasoning is returned in a separate `reasoning` field;
+   * when false it is dropped. Defaults to REASONING_ENABLED.
+   *
+   * Constraints:
+   * - Type: boolean
+   * - Required: false
+   */
+  reasoning: z
+    .boolean({ message: 'El campo "reasoning" debe ser booleano.' })
+    .optional(),
+
+  /**
+   * Optional knowledge base to ground the answer in.
+   * The most relevant chunks are injected into the prompt and returned
+   * as citations.
+   *
+   * Constraints:
+   * - Type: knowledge base name (see knowledgeBaseNameSchema)
+   * - Required: false
+   */
+  knowledgeBase: knowledgeBaseNameSchema.optional(),
+
+  /**
+   * Optional persona to answer as.
+   * Its system prompt is sent before the conversation, and its model,
+   * options and tools apply unless the request sets them. Requested tools
+   * must be allowed by the persona.
+   *
+   * Constraints:
+   * - Type: persona name (see personaNameSchema)
+   * - Required: false
+   */
+  persona: personaNameSchema.optional(),
+
+  /**
+   * Optional switch for the response cache.
+   * When false the model answers even if a cached response exists
+   * (the `Cache-Control: no-cache` header has the same effect).
+   *
+   * Constraints:
+   * - Type: boolean
+   * - Required: false
+   */
+  cache: z
+    .boolean({ message: 'El campo "cache" debe ser booleano.' })
+    .optional()
+})
+
+/**
+ * Zod schema for an OpenAI-compatible chat completion request.
+ * Accepts the subset of the OpenAI wire format that maps onto the chat
+ * pipeline; unknown fields (n, user, logprobs...) are ignored so existing
+ * OpenAI clients work unchanged.
+ *
+ * Schema Constraints:
+ * - model: optional, must be an allowed model
+ * - messages: 1 to 100 messages with role system, user or assistant
+ * - messages[].content: string of at most 4096 characters
+ * - Last message: must be a non-empty user message (it becomes the prompt)
+ * - stream / stream_options.include_usage: optional booleans
+ * - temperature, top_p, seed: same bounds as generationOptionsSchema
+ * - max_tokens: integer between 1 and 32768 (forwarded as num_predict)
+ * - stop: a string or up to 8 strings
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ * @see {@link https://platform.openai.com/docs/api-reference/chat/create} OpenAI Chat API
+ */
+export const chatCompletionSchema = z.object({
+  model: modelSchema.optional(),
+  messages: z
+    .array(z.object({
+      role: z.enum(['system', 'user', 'assistant'], {
+        message: 'El rol del mensaje debe ser system, user o assistant.'
+      }),
+      content: z
+        .string({ message: 'El contenido del mensaje debe ser texto.' })
+        .max(4096, { message: 'Cada mensaje no puede exceder los 4096 caracteres.' })
+    }))
+    .min(1, { message: 'Debe enviarse al menos un mensaje.' })
+    .max(100, { message: 'No se permiten más de 100 mensajes.' })
+    .refine((messages) => {
+      const last = messages.at(-1)
+      return last.role === 'user' && last.content.trim().length > 0
+    }, {
+      message: 'El último mensaje debe ser un mensaje no vacío del usuario.'
+    }),
+  stream: z
+    .boolean({ message: 'El campo "stream" debe ser booleano.' })
+    .optional(),
+  stream_options: z
+    .object({ include_usage: z.boolean().optional() })
+    .optional(),
+  temperature: generationOptionsSchema.shape.temperature,
+  top_p: generationOptionsSchema.shape.top_p,
+  seed: generationOptionsSchema.shape.seed,
+  max_tokens: z.number().int().min(1).max(32768).optional(),
+  stop: z
+    .union([z.string().min(1).max(64), generationOptionsSchema.shape.stop.unwrap()])
+    .optional()
+})
+
+/**
+ * Zod schema for creating a conversation.
+ *
+ * Schema Constraints:
+ * - title: optional string, trimmed, up to 200 characters
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const conversationSchema = z.object({
+  title: z
+    .string()
+    .trim()
+    .max(200, { message: 'El título no puede exceder los 200 caracteres.' })
+    .optional()
+})
+
+/**
+ * Zod schema for pagination query parameters.
+ * Query strings arrive as text, so values are coerced to integers.
+ *
+ * Schema Constraints:
+ * - limit: integer between 1 and 100 (default 20)
+ * - offset: non-negative integer (default 0)
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const paginationSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  offset: z.coerce.number().int().min(0).default(0)
+})
+/**
+ * Zod schema for the usage summary query parameters.
+ * Query strings arrive as text: dates are coerced and `groupBy` is a
+ * comma-separated list.
+ *
+ * Schema Constraints:
+ * - from / to: optional dates (ISO 8601); `from` must be before `to`
+ * - groupBy: comma-separated subset of day, model and user (default: all three)
+ * - userId / model: optional filters
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const usageQuerySchema = z.object({
+  from: z.coerce.date({ message: 'El parámetro "from" debe ser una fecha válida.' }).optional(),
+  to: z.coerce.date({ message: 'El parámetro "to" debe ser una fecha válida.' }).optional(),
+  groupBy: z
+    .string()
+    .default('day,model,user')
+    .transform((value) => [...new Set(value.split(',').map((key) => key.trim()).filter(Boolean))])
+    .pipe(z
+      .array(z.enum(['day', 'model', 'user'], {
+        message: 'El parámetro "groupBy" solo admite day, model y user.'
+      }))
+      .min(1, { message: 'El parámetro "groupBy" no puede estar vacío.' })),
+  userId: z.string().trim().min(1).max(128).optional(),
+  model: z.string().trim().min(1).optional()
+}).refine(({ from, to }) => !from || !to || from < to, {
+  message: 'El parámetro "from" debe ser anterior a "to".',
+  path: ['from']
+})
+
+/**
+ * Zod schema for a single text to embed.
+ *
+ * Schema Constraints:
+ * - Type: string, trimmed
+ * - Length: 1 to 8192 characters, not only whitespace
+ *
+ * @type {z.ZodString}
+ * @constant {z.ZodString}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+const embeddingTextSchema = z
+  .string({ message: 'Cada texto debe ser una cadena.' })
+  .trim()
+  .min(1, { message: 'Los textos no pueden estar vacíos.' })
+  .max(8192, { message: 'Cada texto no puede exceder los 8192 caracteres.' })
+
+/**
+ * Zod schema for an embeddings request.
+ *
+ * Schema Constraints:
+ * - input: a text, or an array of 1 to 64 texts (see embeddingTextSchema)
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const embeddingSchema = z.object({
+  input: z.union([
+    embeddingTextSchema,
+    z
+      .array(embeddingTextSchema)
+      .min(1, { message: 'Debe enviarse al menos un texto.' })
+      .max(64, { message: 'No se permiten más de 64 textos por solicitud.' })
+  ], { message: 'El campo "input" debe ser un texto o una lista de textos.' })
+})
+
+/**
+ * Zod schema for the title of a knowledge document, shown in citations.
+ *
+ * @type {z.ZodString}
+ * @constant {z.ZodString}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+const documentTitleSchema = z
+  .string({ message: 'El campo "title" es obligatorio.' })
+  .trim()
+  .min(1, { message: 'El título no puede estar vacío.' })
+  .max(200, { message: 'El título no puede exceder los 200 caracteres.' })
+
+/**
+ * Zod schema for the source of a knowledge document (URL, file name...).
+ *
+ * @type {z.ZodString}
+ * @constant {z.ZodString}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+const documentSourceSchema = z
+  .string()
+  .trim()
+  .max(500, { message: 'El origen no puede exceder los 500 caracteres.' })
+
+/**
+ * Zod schema for ingesting a knowledge document.
+ *
+ * Schema Constraints:
+ * - title: 1 to 200 characters
+ * - source: optional, up to 500 characters (URL, file name...)
+ * - format: 'text' (default) or 'markdown'
+ * - content: 1 to 50000 characters
+ * - chunkSize: optional, 100 to 8000 characters (default RAG_CHUNK_SIZE)
+ * - chunkOverlap: optional, 0 to 2000 characters (default RAG_CHUNK_OVERLAP), at most half of chunkSize
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const documentSchema = z.object({
+  title: documentTitleSchema,
+  source: documentSourceSchema.optional(),
+  format: z
+    .enum(['text', 'markdown'], { message: 'El campo "format" debe ser text o markdown.' })
+    .default('text'),
+  content: z
+    .string({ message: 'El campo "content" es obligatorio.' })
+    .trim()
+    .min(1, { message: 'El documento no puede estar vacío.' })
+    .max(50000, { message: 'El documento no puede exceder los 50000 caracteres.' }),
+  chunkSize: z.number().int().min(100).max(8000).default(RAG_CHUNK_SIZE),
+  chunkOverlap: z.number().int().min(0).max(2000).default(RAG_CHUNK_OVERLAP)
+}).refine(({ chunkSize, chunkOverlap }) => chunkOverlap <= chunkSize / 2, {
+  message: 'El solapamiento no puede superar la mitad del tamaño de fragmento.',
+  path: ['chunkOverlap']
+})
+
+/**
+ * Zod schema for updating the metadata of a knowledge document.
+ * The content cannot be changed in place: replacing it means deleting the
+ * document and ingesting the new version.
+ *
+ * Schema Constraints:
+ * - title / source: as in documentSchema; at least one of them is required
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const documentUpdateSchema = z.object({
+  title: documentTitleSchema.optional(),
+  source: documentSourceSchema.optional()
+}).refine(({ title, source }) => title !== undefined || source !== undefined, {
+  message: 'Debe indicarse "title" o "source".'
+})
+
+/**
+ * Zod schema for a re-embedding request.
+ *
+ * Schema Constraints:
+ * - documentId: optional; only this document is re-embedded when given,
+ *   otherwise the whole knowledge base is
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const reembedSchema = z.object({
+  documentId: objectIdSchema.optional()
+})
+
+/**
+ * Zod schema for response cache keys (SHA-256 hex digests).
+ *
+ * @type {z.ZodString}
+ * @constant {z.ZodString}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const cacheKeySchema = z
+  .string()
+  .regex(/^[a-f\d]{64}$/, { message: 'La clave de caché no es válida.' })
+
+/**
+ * Zod schema for the response cache metrics query parameters.
+ *
+ * Schema Constraints:
+ * - from / to: optional dates (ISO 8601); `from` must be before `to`
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const cacheMetricsQuerySchema = z.object({
+  from: z.coerce.date({ message: 'El parámetro "from" debe ser una fecha válida.' }).optional(),
+  to: z.coerce.date({ message: 'El parámetro "to" debe ser una fecha válida.' }).optional()
+}).refine(({ from, to }) => !from || !to || from < to, {
+  message: 'El parámetro "from" debe ser anterior a "to".',
+  path: ['from']
+})
+
+/**
+ * Zod schema for semantic cache false positive reports.
+ *
+ * Schema Constraints:
+ * - requestId: the X-Request-ID of the wrongly answered request (UUID)
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const falsePositiveSchema = z.object({
+  requestId: z.uuid({ message: 'El campo "requestId" debe ser un identificador de solicitud válido.' })
+})
+
+/**
+ * Zod schema for the system prompt of a persona.
+ *
+ * @type {z.ZodString}
+ * @constant {z.ZodString}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+const systemPromptSchema = z
+  .string({ message: 'El campo "systemPrompt" es obligatorio.' })
+  .trim()
+  .min(1, { message: 'El prompt de sistema no puede estar vacío.' })
+  .max(8000, { message: 'El prompt de sistema no puede exceder los 8000 caracteres.' })
+
+/**
+ * Zod schema for the description of a persona.
+ *
+ * @type {z.ZodString}
+ * @constant {z.ZodString}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+const personaDescriptionSchema = z
+  .string({ message: 'El campo "description" debe ser texto.' })
+  .trim()
+  .max(500, { message: 'La descripción no puede exceder los 500 caracteres.' })
+
+/**
+ * Zod schema for the fallback models of a persona.
+ *
+ * Schema Constraints:
+ * - Up to 8 allowed models (see modelSchema), without duplicates
+ *
+ * @type {z.ZodArray}
+ * @constant {z.ZodArray}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+const personaFallbacksSchema = z
+  .array(modelSchema, { message: 'El campo "fallbacks" debe ser una lista de modelos.' })
+  .max(8, { message: 'No se permiten más de 8 modelos de respaldo.' })
+  .refine((models) => new Set(models).size === models.length, {
+    message: 'Los modelos de respaldo no pueden repetirse.'
+  })
+
+/**
+ * Zod schema for creating a persona.
+ *
+ * Schema Constraints:
+ * - name: persona name (see personaNameSchema)
+ * - description: optional, up to 500 characters
+ * - systemPrompt: 1 to 8000 characters
+ * - model: optional, an allowed model (see modelSchema)
+ * - fallbacks: optional allowed models tried when the model fails, instead
+ *   of the route's (see service/fallback)
+ * - options: optional generation options (see generationOptionsSchema)
+ * - tools: optional registered tool names, the only ones the persona may use
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const personaSchema = z.object({
+  name: personaNameSchema,
+  description: personaDescriptionSchema.optional(),
+  systemPrompt: systemPromptSchema,
+  model: modelSchema.optional(),
+  fallbacks: personaFallbacksSchema.optional(),
+  options: generationOptionsSchema.optional(),
+  tools: toolNamesSchema.optional()
+})
+
+/**
+ * Zod schema for updating a persona.
+ * The name cannot be changed. `description`, `model`, `fallbacks` and
+ * `options` may be null to remove them.
+ *
+ * Schema Constraints:
+ * - Fields as in personaSchema; at least one of them is required
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const personaUpdateSchema = z.object({
+  description: personaDescriptionSchema.nullable().optional(),
+  systemPrompt: systemPromptSchema.optional(),
+  model: modelSchema.nullable().optional(),
+  fallbacks: personaFallbacksSchema.nullable().optional(),
+  options: generationOptionsSchema.nullable().optional(),
+  tools: toolNamesSchema.optional()
+}).strict().refine((changes) => Object.keys(changes).length > 0, {
+  message: 'Debe indicarse al menos un campo a modificar.'
+})
+
+/**
+ * Zod schema for prompt template names.
+ * Names are used in URLs and shared by every version of a template.
+ *
+ * Schema Constraints:
+ * - 1 to 64 characters: lowercase letters, digits, `_` and `-`, starting with a letter or digit
+ *
+ * @type {z.ZodString}
+ * @constant {z.ZodString}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const templateNameSchema = z
+  .string({ message: 'El nombre de la plantilla debe ser texto.' })
+  .regex(/^[a-z0-9][a-z0-9_-]{0,63}$/, {
+    message: 'El nombre de la plantilla solo admite minúsculas, números, "_" y "-" (máximo 64 caracteres).'
+  })
+
+/**
+ * Zod schema for the declaration of a template variable.
+ * A small, JSON-friendly subset of what Zod can express; the template
+ * service turns it into a Zod schema to validate the values of each run.
+ *
+ * Schema Constraints:
+ * - type: string, number, integer, boolean or enum
+ * - description: optional, up to 200 characters
+ * - optional: true when the variable may be left out (rendered as empty text)
+ * - default: optional value used when the variable is left out
+ * - minLength / maxLength: bounds of string variables (at most 4096)
+ * - min / max: bounds of number and integer variables
+ * - values: the allowed values of enum variables (1 to 50)
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ *
+ * @example
+ * templateVariableSchema.parse({ type: 'enum', values: ['formal', 'informal'], default: 'formal' })
+ */
+export const templateVariableSchema = z.object({
+  type: z.enum(['string', 'number', 'integer', 'boolean', 'enum'], {
+    message: 'El tipo de la variable debe ser string, number, integer, boolean o enum.'
+  }),
+  description: z.string().trim().max(200, { message: 'La descripción no puede exceder los 200 caracteres.' }).optional(),
+  optional: z.boolean().optional(),
+  default: z.union([z.string().max(4096), z.number(), z.boolean()]).optional(),
+  minLength: z.number().int().min(0).max(4096).optional(),
+  maxLength: z.number().int().min(1).max(4096).optional(),
+  min: z.number().optional(),
+  max: z.number().optional(),
+  values: z.array(z.string().min(1).max(100)).min(1).max(50).optional()
+}).strict()
+  .refine(({ type, values }) => (type === 'enum') === (values !== undefined), {
+    message: 'Las variables de tipo enum deben indicar "values", y solo ellas.',
+    path: ['values']
+  })
+  .refine(({ type, minLength, maxLength }) => type === 'string' || (minLength === undefined && maxLength === undefined), {
+    message: 'Solo las variables de tipo string admiten "minLength" y "maxLength".',
+    path: ['type']
+  })
+  .refine(({ type, min, max }) => ['number', 'integer'].includes(type) || (min === undefined && max === undefined), {
+    message: 'Solo las variables numéricas admiten "min" y "max".',
+    path: ['type']
+  })
+
+/**
+ * Zod schema for the fields of a template version.
+ *
+ * Schema Constraints:
+ * - description: optional, up to 500 characters
+ * - body: 1 to 4096 characters, with `{{variable}}` placeholders
+ * - variables: up to 32 declarations by name (see templateVariableSchema);
+ *   names start with a letter or `_` and hold letters, digits and `_`
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const templateVersionSchema = z.object({
+  description: z
+    .string({ message: 'El campo "description" debe ser texto.' })
+    .trim()
+    .max(500, { message: 'La descripción no puede exceder los 500 caracteres.' })
+    .optional(),
+  body: z
+    .string({ message: 'El campo "body" es obligatorio.' })
+    .trim()
+    .min(1, { message: 'La plantilla no puede estar vacía.' })
+    .max(4096, { message: 'La plantilla no puede exceder los 4096 caracteres.' }),
+  variables: z
+    .record(
+      z.string().regex(/^[a-zA-Z_]\w{0,63}$/, { message: 'El nombre de variable no es válido.' }),
+      templateVariableSchema
+    )
+    .refine((variables) => Object.keys(variables).length <= 32, {
+      message: 'No se permiten más de 32 variables.'
+    })
+    .default({})
+})
+
+/**
+ * Zod schema for creating a prompt template (its version 1).
+ *
+ * Schema Constraints:
+ * - name: template name (see templateNameSchema)
+ * - Other fields as in templateVersionSchema
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const templateSchema = templateVersionSchema.extend({
+  name: templateNameSchema
+})
+
+/**
+ * Zod schema for the query string selecting a template version.
+ *
+ * Schema Constraints:
+ * - version: optional positive integer; the latest version when omitted
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const templateVersionQuerySchema = z.object({
+  version: z.coerce.number().int().min(1, { message: 'La versión debe ser un entero positivo.' }).optional()
+})
+
+/**
+ * Zod schema for running a prompt template.
+ * The values of the variables are validated afterwards against the
+ * declaration of the template version.
+ *
+ * Schema Constraints:
+ * - variables: object with the value of each variable (default: {})
+ * - version: optional version to run; the latest when omitted
+ * - model, options, persona, reasoning, cache: as in promptSchema
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const templateRunSchema = z.object({
+  variables: z
+    .record(z.string(), z.unknown(), { message: 'El campo "variables" debe ser un objeto.' })
+    .default({}),
+  version: z.number().int().min(1, { message: 'La versión debe ser un entero positivo.' }).optional(),
+  model: promptSchema.shape.model,
+  options: promptSchema.shape.options,
+  persona: promptSchema.shape.persona,
+  reasoning: promptSchema.shape.reasoning,
+  cache: promptSchema.shape.cache
+})
+
+/**
+ * Zod schema for the settings shared by the prompts of a batch.
+ * The same fields as in promptSchema, except those that only make sense
+ * for a single interactive request (stream, conversationId, knowledgeBase, images).
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const batchSettingsSchema = z.object({
+  model: promptSchema.shape.model,
+  options: promptSchema.shape.options,
+  tools: promptSchema.shape.tools,
+  format: promptSchema.shape.format,
+  responseSchema: promptSchema.shape.responseSchema,
+  reasoning: promptSchema.shape.reasoning,
+  persona: promptSchema.shape.persona,
+  cache: promptSchema.shape.cache
+})
+
+/**
+ * Zod schema for a JSON batch request.
+ * The items are only checked to be a list here: each one is validated on
+ * its own (see batchItemSchema), so an invalid prompt fails alone.
+ *
+ * Schema Constraints:
+ * - items: 1 to BATCH_MAX_ITEMS entries
+ * - model, options, tools, format, responseSchema, reasoning, persona, cache: as in promptSchema
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const batchSchema = batchSettingsSchema.extend({
+  items: z
+    .array(z.unknown(), { message: 'El campo "items" debe ser una lista.' })
+    .min(1, { message: 'El lote debe contener al menos un prompt.' })
+    .max(BATCH_MAX_ITEMS, { message: `El lote no puede contener más de ${BATCH_MAX_ITEMS} prompts.` })
+})
+
+/**
+ * Zod schema for one item of a batch: a prompt, or an object with the
+ * prompt and an optional client `id` echoed back in its result.
+ *
+ * Schema Constraints:
+ * - prompt: as in promptSchema
+ * - id: optional string (up to 128 characters) or number
+ *
+ * @type {z.ZodType}
+ * @constant {z.ZodType}
+ * @memberof module:zod
+ * @since 1.1.0
+ *
+ * @example
+ * batchItemSchema.parse('Clasifica: "no arranca"') // { prompt: 'Clasifica: "no arranca"' }
+ * batchItemSchema.parse({ id: 'fila-7', prompt: 'Clasifica: "no arranca"' })
+ */
+export const batchItemSchema = z.preprocess(
+  (item) => typeof item === 'string' ? { prompt: item } : item,
+  z.object({
+    id: z
+      .union([z.string().max(128), z.number()], { message: 'El campo "id" debe ser texto (máximo 128 caracteres) o un número.' })
+      .optional(),
+    prompt: promptSchema.shape.prompt
+  }, { message: 'Cada elemento debe ser un prompt o un objeto { id, prompt }.' })
+)
+
+/**
+ * Zod schema for a chat job (POST /jobs): a prompt answered in the
+ * background, with the same settings as the prompts of a batch.
+ *
+ * Schema Constraints:
+ * - prompt: as in promptSchema
+ * - model, options, tools, format, responseSchema, reasoning, persona, cache: as in promptSchema
+ *
+ * @type {z.ZodObject}
+ * @constant {z.ZodObject}
+ * @memberof module:zod
+ * @since 1.1.0
+ */
+export const chatJobSchema = batchSettingsSchema.extend({
+  prompt: promptSchema.shape.prompt
+})
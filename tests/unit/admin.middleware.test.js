@@ -0,0 +1,39 @@
+// tests/unit/admin.middleware.test.js
+import { describe, it, expect, vi } from 'vitest'
+import requireAdmin from '../../src/middleware/admin.js'
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn()
+  }
+}))
+
+// Configure the admin API keys
+vi.mock('../../src/config/env.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  ADMIN_API_KEYS: ['k-admin']
+}))
+
+// Runs the middleware for a request with the given headers
+const run = (headers) => {
+  const req = { requestId: 'req-1', method: 'PATCH', originalUrl: '/personas/soporte', get: (name) => headers[name.toLowerCase()] }
+  const next = vi.fn()
+  requireAdmin(req, {}, next)
+  return next
+}
+
+describe('Admin Middleware', () => {
+  it('should let requests with an admin API key through', () => {
+    expect(run({ 'x-api-key': ' k-admin ' })).toHaveBeenCalledWith()
+  })
+
+  it('should refuse requests without an API key with 401', () => {
+    expect(run({})).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }))
+  })
+
+  it('should refuse requests with any other API key with 403', () => {
+    expect(run({ 'x-api-key': 'k-premium' })).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }))
+  })
+})
@@ -0,0 +1,119 @@
+// tests/unit/batch.service.test.js
+import { describe, it, expect, vi } from 'vitest'
+import { z } from 'zod'
+import { runBatch, readNDJSON, toItemError } from '../../src/service/batch.service.js'
+import { CustomError, StructuredOutputError, UpstreamTimeoutError, RequestCancelledError } from '../../src/errors.js'
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+// Resolves after the given delay, or rejects as a model call would when the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms)
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer)
+    reject(new Error('aborted'))
+  }, { once: true })
+})
+
+describe('Batch Service', () => {
+  describe('toItemError', () => {
+    it('should report each item error with the status errorHandler would answer', () => {
+      const zodError = z.object({ prompt: z.string() }).safeParse({}).error
+
+      expect(toItemError(zodError)).toEqual({
+        status: 400,
+        message: 'Prompt no válido',
+        details: [{ field: 'prompt', message: expect.any(String) }]
+      })
+      expect(toItemError(new CustomError('Prohibido', 400))).toEqual({ status: 400, message: 'Prohibido' })
+      expect(toItemError(new UpstreamTimeoutError(1000))).toMatchObject({ status: 504 })
+      expect(toItemError(new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } }))).toMatchObject({ status: 503 })
+      expect(toItemError(new StructuredOutputError(2, [{ message: 'x' }], '{}'))).toMatchObject({ status: 502, details: [{ message: 'x' }] })
+      expect(toItemError(new Error('boom'))).toEqual({ status: 500, message: 'boom' })
+    })
+  })
+
+  describe('readNDJSON', () => {
+    it('should read the settings line and one item per line', () => {
+      expect(readNDJSON('{"settings":{"model":"qwen3:0.6b"}}\n"uno"\r\n\n{"id":2,"prompt":"dos"}\n')).toEqual({
+        settings: { model: 'qwen3:0.6b' },
+        items: [{ value: 'uno' }, { value: { id: 2, prompt: 'dos' } }]
+      })
+      expect(readNDJSON('"uno"')).toEqual({ settings: {}, items: [{ value: 'uno' }] })
+    })
+
+    it('should turn invalid lines into failing items', () => {
+      const { items } = readNDJSON('"uno"\n{nope\n')
+
+      expect(items[1].error).toBeInstanceOf(CustomError)
+      expect(items[1].error).toMatchObject({ statusCode: 400, message: 'La línea 2 no es JSON válido.' })
+    })
+  })
+
+  describe('runBatch', () => {
+    it('should return the results in item order, echoing the ids', async () => {
+      const results = await runBatch(
+        [{ prompt: 'a', delay: 20 }, { id: 'x', prompt: 'b', delay: 0 }],
+        async ({ prompt, delay }, signal) => {
+          await sleep(delay, signal)
+          return { response: prompt.toUpperCase() }
+        },
+        { concurrency: 2 }
+      )
+
+      expect(results).toEqual([
+        { index: 0, status: 'ok', response: 'A' },
+        { index: 1, id: 'x', status: 'ok', response: 'B' }
+      ])
+    })
+
+    it('should never run more items at once than the concurrency', async () => {
+      let running = 0
+      let peak = 0
+      await runBatch(Array.from({ length: 7 }, () => ({})), async (item, signal) => {
+        peak = Math.max(peak, ++running)
+        await sleep(5, signal)
+        running--
+        return {}
+      }, { concurrency: 3 })
+
+      expect(peak).toBe(3)
+    })
+
+    it('should fail only the items that fail', async () => {
+      const onResult = vi.fn()
+      const results = await runBatch([{ ok: true }, { ok: false }, { ok: true }], async ({ ok }) => {
+        if (!ok) throw new CustomError('Prohibido', 400)
+        return { response: 'ok' }
+      }, { onResult })
+
+      expect(results.map(({ status }) => status)).toEqual(['ok', 'error', 'ok'])
+      expect(results[1].error).toEqual({ status: 400, message: 'Prohibido' })
+      expect(onResult).toHaveBeenCalledTimes(3)
+    })
+
+    it('should abort an item once its time limit is reached', async () => {
+      const [result] = await runBatch([{}], (item, signal) => sleep(1000, signal), { timeoutMs: 10 })
+
+      expect(result).toMatchObject({ status: 'error', error: { status: 504 } })
+    })
+
+    it('should abort the running items and fail the pending ones when the batch signal aborts', async () => {
+      const controller = new AbortController()
+      const run = vi.fn((item, signal) => sleep(1000, signal))
+      setTimeout(() => controller.abort(new RequestCancelledError()), 10)
+
+      const results = await runBatch([{}, {}, {}], run, { concurrency: 1, signal: controller.signal })
+
+      expect(run).toHaveBeenCalledTimes(1)
+      expect(results.map(({ error }) => error.status)).toEqual([499, 499, 499])
+    })
+  })
+})
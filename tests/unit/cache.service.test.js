@@ -0,0 +1,276 @@
+// tests/unit/cache.service.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import chatOllama from '../../src/service/ollama.service.js'
+import { embedTexts } from '../../src/service/embedding.service.js'
+import Audit from '../../src/models/audit.model.js'
+import { setCache } from '../../src/cache/index.js'
+import { createMemoryCache } from '../../src/cache/memory.cache.js'
+import {
+  cacheKey,
+  chatWithCache,
+  purgeCache,
+  reportFalsePositive,
+  cacheMetrics
+} from '../../src/service/cache.service.js'
+
+const semantic = vi.hoisted(() => ({ enabled: false }))
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn()
+  }
+}))
+
+// Mock the model call behind the cache
+vi.mock('../../src/service/ollama.service.js', () => ({
+  default: vi.fn()
+}))
+
+// Toggle the semantic cache per test
+vi.mock('../../src/config/env.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  get SEMANTIC_CACHE_ENABLED () {
+    return semantic.enabled
+  },
+  SEMANTIC_CACHE_THRESHOLD: 0.9
+}))
+
+// Embed prompts as fixed vectors
+const VECTORS = {
+  '¿A qué hora abren?': [1, 0, 0],
+  '¿A qué hora abrís?': [0.95, 0.31, 0],
+  '¿Dónde están?': [0, 0, 1]
+}
+vi.mock('../../src/service/embedding.service.js', () => ({
+  embedTexts: vi.fn()
+}))
+
+vi.mock('../../src/models/audit.model.js', () => ({
+  default: {
+    aggregate: vi.fn(),
+    findOneAndUpdate: vi.fn()
+  }
+}))
+
+const answer = (content) => ({
+  model: 'qwen3:0.6b',
+  message: { role: 'assistant', content },
+  reasoning: '',
+  toolCalls: [],
+  usage: { calls: 1, totalTokens: 10 }
+})
+
+describe('Cache Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    semantic.enabled = false
+    setCache(createMemoryCache())
+    embedTexts.mockImplementation(async ([text]) => ({ embeddings: [VECTORS[text]], promptTokens: 4 }))
+  })
+
+  describe('cacheKey', () => {
+    it('should ignore case, whitespace and option order', () => {
+      const key = cacheKey({ prompt: '¿Cuál es el horario?', model: 'qwen3:0.6b', options: { temperature: 0.2, top_p: 0.9 } })
+
+      expect(key).toMatch(/^[a-f\d]{64}$/)
+      expect(cacheKey({ prompt: '  ¿cuál es el   HORARIO? ', model: 'qwen3:0.6b', options: { top_p: 0.9, temperature: 0.2 } })).toBe(key)
+    })
+
+    it('should change with the model, options and system prompt', () => {
+      const base = { prompt: 'Hola', model: 'qwen3:0.6b', options: { temperature: 0.2 } }
+      const key = cacheKey(base)
+
+      expect(cacheKey({ ...base, model: 'llama3.2' })).not.toBe(key)
+      expect(cacheKey({ ...base, options: { temperature: 0.8 } })).not.toBe(key)
+      expect(cacheKey({ ...base, system: 'Responde en inglés.' })).not.toBe(key)
+    })
+  })
+
+  describe('memory backend', () => {
+    it('should evict the least recently used entry', async () => {
+      const cache = createMemoryCache({ maxEntries: 2 })
+      await cache.set('a', { response: 'A' }, 60)
+      await cache.set('b', { response: 'B' }, 60)
+      await cache.get('a')
+      await cache.set('c', { response: 'C' }, 60)
+
+      expect(await cache.peek('a')).not.toBeNull()
+      expect(await cache.peek('b')).toBeNull()
+      expect((await cache.list()).entries.map((entry) => entry.key)).toEqual(['c', 'a'])
+    })
+
+    it('should drop expired entries', async () => {
+      let now = 0
+      const cache = createMemoryCache({ now: () => now })
+      await cache.set('a', { response: 'A' }, 60)
+
+      now = 59_000
+      expect(await cache.get('a')).toMatchObject({ response: 'A', hits: 1 })
+      now = 60_000
+      expect(await cache.get('a')).toBeNull()
+      expect((await cache.list()).total).toBe(0)
+    })
+  })
+
+  describe('chatWithCache', () => {
+    const params = { model: 'qwen3:0.6b', options: { temperature: 0.2 } }
+
+    it('should answer repeated prompts from the cache', async () => {
+      chatOllama.mockResolvedValue(answer('Abrimos a las 9.'))
+
+      const first = await chatWithCache('¿Horario?', 'r1', params)
+      const second = await chatWithCache('¿horario?', 'r2', params)
+
+      expect(chatOllama).toHaveBeenCalledTimes(1)
+      expect(first.cache).toBe('MISS')
+      expect(first.response.usage).toEqual({ calls: 1, totalTokens: 10 })
+      expect(second.cache).toBe('HIT')
+      expect(second.match).toEqual({ kind: 'exact', key: cacheKey({ prompt: '¿Horario?', ...params }) })
+      expect(second.response.message.content).toBe('Abrimos a las 9.')
+      expect(second.response.usage).toBeUndefined()
+      expect(embedTexts).not.toHaveBeenCalled()
+    })
+
+    it('should bypass the cache when asked to or when the answer depends on context', async () => {
+      chatOllama.mockResolvedValue(answer('Hola'))
+
+      const results = [
+        await chatWithCache('Hola', 'r1', params, { bypass: true }),
+        await chatWithCache('Hola', 'r2', { ...params, history: [{ role: 'user', content: 'Hola' }] }),
+        await chatWithCache('Hola', 'r3', { ...params, tools: ['clock'] })
+      ]
+
+      expect(results.map((result) => result.cache)).toEqual(['BYPASS', 'BYPASS', 'BYPASS'])
+      expect(await purgeCache()).toBe(0)
+    })
+
+    it('should still answer when the cache fails', async () => {
+      setCache({ get: vi.fn().mockRejectedValue(new Error('down')), set: vi.fn().mockRejectedValue(new Error('down')) })
+      chatOllama.mockResolvedValue(answer('Hola'))
+
+      const { response, cache } = await chatWithCache('Hola', 'r1', params)
+
+      expect(cache).toBe('MISS')
+      expect(response.message.content).toBe('Hola')
+    })
+
+    it('should not store answers of a fallback model', async () => {
+      chatOllama.mockResolvedValue({
+        ...answer('Hola'),
+        model: 'llama3.2:1b',
+        fallbackFrom: [{ model: 'qwen3:0.6b', reason: 'timeout' }]
+      })
+
+      await chatWithCache('Hola', 'r1', params)
+      const second = await chatWithCache('Hola', 'r2', params)
+
+      expect(second.cache).toBe('MISS')
+      expect(chatOllama).toHaveBeenCalledTimes(2)
+    })
+  })
+  describe('semantic cache', () => {
+    const params = { model: 'qwen3:0.6b', options: { temperature: 0.2 } }
+
+    beforeEach(() => {
+      semantic.enabled = true
+    })
+
+    it('should answer similar prompts above the threshold', async () => {
+      chatOllama.mockResolvedValue(answer('Abrimos a las 9.'))
+
+      const first = await chatWithCache('¿A qué hora abren?', 'r1', params)
+      const second = await chatWithCache('¿A qué hora abrís?', 'r2', params)
+
+      expect(chatOllama).toHaveBeenCalledTimes(1)
+      expect(first.cache).toBe('MISS')
+      expect(first.response.usage).toMatchObject({ calls: 2, promptTokens: 4, totalTokens: 14 })
+      expect(second.cache).toBe('HIT')
+      expect(second.match).toMatchObject({ kind: 'semantic', key: cacheKey({ prompt: '¿A qué hora abren?', ...params }) })
+      expect(second.match.similarity).toBeCloseTo(0.95, 2)
+      expect(second.response.message.content).toBe('Abrimos a las 9.')
+      expect(second.response.usage).toMatchObject({ calls: 1, promptTokens: 4 })
+    })
+
+    it('should ask the model when no prompt is similar enough', async () => {
+      chatOllama.mockResolvedValueOnce(answer('Abrimos a las 9.')).mockResolvedValueOnce(answer('En el centro.'))
+
+      await chatWithCache('¿A qué hora abren?', 'r1', params)
+      const { response, cache } = await chatWithCache('¿Dónde están?', 'r2', params)
+
+      expect(cache).toBe('MISS')
+      expect(response.message.content).toBe('En el centro.')
+    })
+
+    it('should not match prompts answered by another model', async () => {
+      chatOllama.mockResolvedValue(answer('Abrimos a las 9.'))
+
+      await chatWithCache('¿A qué hora abren?', 'r1', params)
+      const { cache } = await chatWithCache('¿A qué hora abrís?', 'r2', { ...params, model: 'llama3.2' })
+
+      expect(cache).toBe('MISS')
+      expect(chatOllama).toHaveBeenCalledTimes(2)
+    })
+
+    it('should fall back to the model when the prompt cannot be embedded', async () => {
+      embedTexts.mockRejectedValue(new Error('embedding model not found'))
+      chatOllama.mockResolvedValue(answer('Abrimos a las 9.'))
+
+      const { response, cache } = await chatWithCache('¿A qué hora abren?', 'r1', params)
+
+      expect(cache).toBe('MISS')
+      expect(response.usage).toEqual({ calls: 1, totalTokens: 10 })
+    })
+  })
+
+  describe('reportFalsePositive', () => {
+    it('should flag the semantic match of the request', async () => {
+      const match = { kind: 'semantic', key: 'abc', similarity: 0.93, falsePositive: true }
+      Audit.findOneAndUpdate.mockReturnValue({ lean: vi.fn().mockResolvedValue({ cacheMatch: match }) })
+
+      await expect(reportFalsePositive('req-1')).resolves.toEqual(match)
+      expect(Audit.findOneAndUpdate).toHaveBeenCalledWith(
+        { requestId: 'req-1', 'cacheMatch.kind': 'semantic' },
+        { 'cacheMatch.falsePositive': true },
+        expect.any(Object)
+      )
+    })
+
+    it('should reject requests not answered by a semantic match', async () => {
+      Audit.findOneAndUpdate.mockReturnValue({ lean: vi.fn().mockResolvedValue(null) })
+
+      await expect(reportFalsePositive('req-1')).rejects.toMatchObject({ statusCode: 404 })
+    })
+  })
+
+  describe('cacheMetrics', () => {
+    it('should compute hit and false positive rates overall and per model', async () => {
+      Audit.aggregate.mockResolvedValue([
+        { _id: 'llama3.2', requests: 4, hits: 1, semanticHits: 0, misses: 3, bypasses: 0, falsePositives: 0 },
+        { _id: 'qwen3:0.6b', requests: 10, hits: 5, semanticHits: 4, misses: 3, bypasses: 2, falsePositives: 1 }
+      ])
+
+      const { semantic: settings, totals, models } = await cacheMetrics({ from: new Date('2025-06-01') })
+
+      expect(settings).toEqual({ enabled: false, threshold: 0.9 })
+      expect(totals).toEqual({
+        requests: 14,
+        hits: 6,
+        exactHits: 2,
+        semanticHits: 4,
+        misses: 6,
+        bypasses: 2,
+        falsePositives: 1,
+        hitRate: 0.5,
+        semanticHitRate: 4 / 12,
+        falsePositiveRate: 0.25
+      })
+      expect(models[0]).toMatchObject({ model: 'llama3.2', hitRate: 0.25, falsePositiveRate: null })
+      expect(Audit.aggregate.mock.calls[0][0][0].$match).toEqual({
+        cache: { $exists: true },
+        timestamp: { $gte: new Date('2025-06-01') }
+      })
+    })
+  })
+})
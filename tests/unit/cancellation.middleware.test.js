@@ -0,0 +1,71 @@
+// tests/unit/cancellation.middleware.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { EventEmitter } from 'node:events'
+import { createCancellationMiddleware } from '../../src/middleware/cancellation.js'
+import { UpstreamTimeoutError, RequestCancelledError } from '../../src/errors.js'
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+describe('Cancellation Middleware', () => {
+  let req, res, next
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    req = { requestId: 'req-1' }
+    res = Object.assign(new EventEmitter(), { writableFinished: false })
+    next = vi.fn()
+    createCancellationMiddleware({ timeoutMs: 5000 })(req, res, next)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should attach a live signal and continue', () => {
+    expect(next).toHaveBeenCalled()
+    expect(req.signal).toBeInstanceOf(AbortSignal)
+    expect(req.signal.aborted).toBe(false)
+  })
+
+  it('should abort with UpstreamTimeoutError once the time limit is reached', () => {
+    vi.advanceTimersByTime(4999)
+    expect(req.signal.aborted).toBe(false)
+
+    vi.advanceTimersByTime(1)
+    expect(req.signal.reason).toBeInstanceOf(UpstreamTimeoutError)
+    expect(req.signal.reason).toMatchObject({ statusCode: 504, timeoutMs: 5000 })
+  })
+
+  it('should abort with RequestCancelledError when the client disconnects', () => {
+    res.emit('close')
+
+    expect(req.signal.reason).toBeInstanceOf(RequestCancelledError)
+    vi.advanceTimersByTime(5000)
+    expect(req.signal.reason).toBeInstanceOf(RequestCancelledError)
+  })
+
+  it('should leave completed responses alone', () => {
+    res.writableFinished = true
+    res.emit('close')
+    vi.advanceTimersByTime(5000)
+
+    expect(req.signal.aborted).toBe(false)
+  })
+
+  it('should keep a signal attached by a more specific instance', () => {
+    const signal = req.signal
+    createCancellationMiddleware({ timeoutMs: 1000 })(req, res, next)
+    vi.advanceTimersByTime(1000)
+
+    expect(req.signal).toBe(signal)
+    expect(req.signal.aborted).toBe(false)
+    expect(next).toHaveBeenCalledTimes(2)
+  })
+})
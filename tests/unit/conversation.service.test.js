@@ -0,0 +1,89 @@
+// tests/unit/conversation.service.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import Conversation from '../../src/models/conversation.model.js'
+import {
+  getConversation,
+  deleteConversation,
+  appendMessages,
+  toHistory
+} from '../../src/service/conversation.service.js'
+import { CONVERSATION_HISTORY_LIMIT } from '../../src/config/env.js'
+
+// Mock the Conversation model and logger
+vi.mock('../../src/models/conversation.model.js', () => ({
+  default: {
+    create: vi.fn(),
+    findById: vi.fn(),
+    findByIdAndDelete: vi.fn(),
+    findByIdAndUpdate: vi.fn()
+  }
+}))
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+describe('Conversation Service', () => {
+  const conversationId = '66d1f0c2a5b4c3d2e1f00a11'
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should return the stored conversation', async () => {
+    const conversation = { id: conversationId, messages: [] }
+    Conversation.findById.mockResolvedValue(conversation)
+
+    await expect(getConversation(conversationId)).resolves.toBe(conversation)
+    expect(Conversation.findById).toHaveBeenCalledWith(conversationId)
+  })
+
+  it('should throw a 404 CustomError for an unknown conversation', async () => {
+    Conversation.findById.mockResolvedValue(null)
+
+    await expect(getConversation(conversationId)).rejects.toMatchObject({ statusCode: 404 })
+  })
+
+  it('should throw a 404 CustomError when deleting an unknown conversation', async () => {
+    Conversation.findByIdAndDelete.mockResolvedValue(null)
+
+    await expect(deleteConversation(conversationId)).rejects.toMatchObject({ statusCode: 404 })
+  })
+
+  it('should append turns atomically tagged with the requestId', async () => {
+    await appendMessages(conversationId, [
+      { role: 'user', content: 'Hola' },
+      { role: 'assistant', content: '¡Hola!' }
+    ], 'test-request-id')
+
+    expect(Conversation.findByIdAndUpdate).toHaveBeenCalledWith(
+      conversationId,
+      {
+        $push: {
+          messages: {
+            $each: [
+              { role: 'user', content: 'Hola', requestId: 'test-request-id' },
+              { role: 'assistant', content: '¡Hola!', requestId: 'test-request-id' }
+            ]
+          }
+        }
+      },
+      { new: true }
+    )
+  })
+
+  it('should replay only the most recent turns as plain chat messages', () => {
+    const messages = Array.from({ length: CONVERSATION_HISTORY_LIMIT + 2 }, (_, i) => ({
+      role: i % 2 ? 'assistant' : 'user',
+      content: `turn ${i}`,
+      requestId: `req-${i}`
+    }))
+
+    const history = toHistory({ messages })
+
+    expect(history).toHaveLength(CONVERSATION_HISTORY_LIMIT)
+    expect(history[0]).toEqual({ role: 'user', content: 'turn 2' })
+  })
+})
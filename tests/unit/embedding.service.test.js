@@ -0,0 +1,39 @@
+// tests/unit/embedding.service.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { setProvider } from '../../src/providers/index.js'
+import { createMockProvider } from '../../src/providers/mock.provider.js'
+import { embedTexts } from '../../src/service/embedding.service.js'
+import { EMBEDDING_MODEL } from '../../src/config/env.js'
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn()
+  }
+}))
+
+describe('Embedding Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should embed the texts with the configured model', async () => {
+    const provider = { embed: vi.fn().mockResolvedValue({ model: EMBEDDING_MODEL, embeddings: [[0.1, 0.2, 0.3]], promptEvalCount: 4 }) }
+    setProvider(provider)
+
+    const result = await embedTexts(['Hola mundo'], 'test-request-id')
+
+    expect(provider.embed).toHaveBeenCalledWith({ model: EMBEDDING_MODEL, input: ['Hola mundo'] })
+    expect(result).toEqual({ model: EMBEDDING_MODEL, embeddings: [[0.1, 0.2, 0.3]], dimensions: 3, promptTokens: 4 })
+  })
+
+  it('should return one vector per text, in order', async () => {
+    setProvider(createMockProvider({ dimensions: 8 }))
+
+    const { embeddings, dimensions, promptTokens } = await embedTexts(['gato negro', 'avión'], 'test-request-id')
+
+    expect(embeddings).toHaveLength(2)
+    expect(dimensions).toBe(8)
+    expect(promptTokens).toBe(3)
+  })
+})
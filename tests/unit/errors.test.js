@@ -4,13 +4,14 @@ import { describe, it, expect, vi, beforeEach } from 'vitest'
 // Mock the logger module to return vi.fn() mocks directly
 vi.mock('../../src/logger.js', () => ({
   default: {
+    info: vi.fn(),
     error: vi.fn(),
     warn: vi.fn()
   }
 }))
 
 // Import the modules to test
-import { CustomError, errorHandler } from '../../src/errors.js'
+import { CustomError, StructuredOutputError, QueueFullError, CircuitOpenError, UpstreamTimeoutError, RequestCancelledError, errorHandler, openAIErrorHandler } from '../../src/errors.js'
 
 describe('Errors', () => {
   let mockRequest, mockResponse, mockNext
@@ -117,6 +118,96 @@ describe('Errors', () => {
       })
     })
 
+    it('should report errors raised mid-stream as an SSE error event', () => {
+      const streamResponse = {
+        headersSent: true,
+        get: vi.fn().mockReturnValue('text/event-stream'),
+        status: vi.fn().mockReturnThis(),
+        json: vi.fn(),
+        write: vi.fn(),
+        end: vi.fn()
+      }
+
+      errorHandler(new Error('Stream interrupted'), mockRequest, streamResponse, mockNext)
+
+      expect(streamResponse.status).not.toHaveBeenCalled()
+      expect(streamResponse.write).toHaveBeenCalledWith(
+        'event: error\ndata: {"status":"error","error":"Stream interrupted"}\n\n'
+      )
+      expect(streamResponse.end).toHaveBeenCalled()
+    })
+
+    it('should report errors raised mid-stream as a JSON line in NDJSON streams', () => {
+      const streamResponse = {
+        headersSent: true,
+        get: vi.fn().mockReturnValue('application/x-ndjson; charset=utf-8'),
+        status: vi.fn().mockReturnThis(),
+        json: vi.fn(),
+        write: vi.fn(),
+        end: vi.fn()
+      }
+
+      errorHandler(new Error('Stream interrupted'), mockRequest, streamResponse, mockNext)
+
+      expect(streamResponse.get).toHaveBeenCalledWith('Content-Type')
+      expect(streamResponse.status).not.toHaveBeenCalled()
+      expect(streamResponse.write).not.toHaveBeenCalled()
+      expect(streamResponse.end).toHaveBeenCalledWith('{"error":{"status":500,"message":"Stream interrupted"}}\n')
+    })
+
+    it('should return 502 with details for a StructuredOutputError', () => {
+      const error = new StructuredOutputError(3, ['/age: must be integer'], '{"age":"diez"}')
+
+      errorHandler(error, mockRequest, mockResponse, mockNext)
+
+      expect(mockResponse.status).toHaveBeenCalledWith(502)
+      expect(mockResponse.json).toHaveBeenCalledWith({
+        status: 'error',
+        error: 'El modelo no generó una respuesta JSON válida tras 3 intentos.',
+        details: ['/age: must be integer'],
+        raw: '{"age":"diez"}'
+      })
+    })
+
+    it('should return 503 with Retry-After for a QueueFullError', () => {
+      mockResponse.set = vi.fn()
+
+      errorHandler(new QueueFullError(4), mockRequest, mockResponse, mockNext)
+
+      expect(mockResponse.set).toHaveBeenCalledWith('Retry-After', '4')
+      expect(mockResponse.status).toHaveBeenCalledWith(503)
+    })
+
+    it('should return 503 with Retry-After while the model circuit is open', () => {
+      mockResponse.set = vi.fn()
+
+      errorHandler(new CircuitOpenError(12), mockRequest, mockResponse, mockNext)
+
+      expect(mockResponse.set).toHaveBeenCalledWith('Retry-After', '12')
+      expect(mockResponse.status).toHaveBeenCalledWith(503)
+    })
+
+    it('should return 504 with the time limit for an UpstreamTimeoutError', () => {
+      errorHandler(new UpstreamTimeoutError(30000), mockRequest, mockResponse, mockNext)
+
+      expect(mockResponse.status).toHaveBeenCalledWith(504)
+      expect(mockResponse.json).toHaveBeenCalledWith({
+        status: 'error',
+        error: 'El modelo no respondió en 30 segundos.',
+        timeoutMs: 30000
+      })
+    })
+
+    it('should close cancelled requests without a body', () => {
+      mockResponse.end = vi.fn()
+
+      errorHandler(new RequestCancelledError(), mockRequest, mockResponse, mockNext)
+
+      expect(mockResponse.status).toHaveBeenCalledWith(499)
+      expect(mockResponse.end).toHaveBeenCalled()
+      expect(mockResponse.json).not.toHaveBeenCalled()
+    })
+
     it('should handle a generic Error with default behavior', () => {
       const genericError = new Error('Generic error message')
 
@@ -129,4 +220,52 @@ describe('Errors', () => {
       })
     })
   })
-})
\ No newline at end of file
+  describe('openAIErrorHandler', () => {
+    it('should answer validation errors with an OpenAI error object', () => {
+      const zodError = {
+        name: 'ZodError',
+        issues: [{ path: ['model'], message: 'El modelo solicitado no está permitido.' }]
+      }
+
+      openAIErrorHandler(zodError, mockRequest, mockResponse, mockNext)
+
+      expect(mockResponse.status).toHaveBeenCalledWith(400)
+      expect(mockResponse.json).toHaveBeenCalledWith({
+        error: {
+          message: 'El modelo solicitado no está permitido.',
+          type: 'invalid_request_error',
+          param: 'model',
+          code: null
+        }
+      })
+    })
+
+    it('should map connection errors to a 503 server_error', () => {
+      const connectionError = new Error('connect ECONNREFUSED')
+      connectionError.cause = { code: 'ECONNREFUSED' }
+
+      openAIErrorHandler(connectionError, mockRequest, mockResponse, mockNext)
+
+      expect(mockResponse.status).toHaveBeenCalledWith(503)
+      expect(mockResponse.json.mock.calls[0][0].error.type).toBe('server_error')
+    })
+
+    it('should send a final data chunk when the stream already started', () => {
+      const streamResponse = {
+        headersSent: true,
+        status: vi.fn().mockReturnThis(),
+        json: vi.fn(),
+        write: vi.fn(),
+        end: vi.fn()
+      }
+
+      openAIErrorHandler(new Error('Stream interrupted'), mockRequest, streamResponse, mockNext)
+
+      expect(streamResponse.status).not.toHaveBeenCalled()
+      expect(streamResponse.write).toHaveBeenCalledWith(
+        'data: {"error":{"message":"Stream interrupted","type":"server_error","param":null,"code":null}}\n\n'
+      )
+      expect(streamResponse.end).toHaveBeenCalled()
+    })
+  })
+})
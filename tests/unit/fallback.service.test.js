@@ -0,0 +1,121 @@
+// tests/unit/fallback.service.test.js
+import { describe, it, expect, vi } from 'vitest'
+import { fallbackChain, fallbackReason, withFallback, fallbackStats } from '../../src/service/fallback.service.js'
+import { CircuitOpenError, UpstreamTimeoutError } from '../../src/errors.js'
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+// Configure a default chain and one for the OpenAI-compatible route
+vi.mock('../../src/config/env.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  ALLOWED_MODELS: ['qwen3:0.6b', 'llama3.2:1b', 'gemma3:270m'],
+  MODEL_FALLBACKS: { default: ['llama3.2:1b'], openai: ['gemma3:270m'] }
+}))
+
+// Errors as thrown by the provider clients
+const responseError = (status) => Object.assign(new Error(`status ${status}`), { name: 'ResponseError', status_code: status })
+
+describe('Model Fallback', () => {
+  describe('fallbackChain', () => {
+    it('should prefer the fallbacks of the persona over the chain of the route', () => {
+      expect(fallbackChain('chat')).toEqual(['llama3.2:1b'])
+      expect(fallbackChain('openai')).toEqual(['gemma3:270m'])
+      expect(fallbackChain('chat', { name: 'soporte' })).toEqual(['llama3.2:1b'])
+      expect(fallbackChain('chat', { name: 'soporte', fallbacks: ['gemma3:270m'] })).toEqual(['gemma3:270m'])
+      expect(fallbackChain('chat', { name: 'estricta', fallbacks: [] })).toEqual([])
+    })
+
+    it('should leave out fallbacks of the persona that are no longer allowed', () => {
+      expect(fallbackChain('chat', { name: 'soporte', fallbacks: ['mistral:7b', 'gemma3:270m'] })).toEqual(['gemma3:270m'])
+    })
+  })
+
+  describe('fallbackReason', () => {
+    it('should only fall back when another model may answer', () => {
+      expect(fallbackReason(responseError(404))).toBe('model-not-found')
+      expect(fallbackReason(responseError(504))).toBe('timeout')
+      expect(fallbackReason(new UpstreamTimeoutError(1000))).toBe('timeout')
+      expect(fallbackReason(new TypeError('fetch failed', { cause: { code: 'ETIMEDOUT' } }))).toBe('timeout')
+      expect(fallbackReason(new CircuitOpenError(5))).toBe('circuit-open')
+      expect(fallbackReason(responseError(400))).toBeNull()
+      expect(fallbackReason(new Error('boom'))).toBeNull()
+    })
+  })
+
+  describe('withFallback', () => {
+    it('should answer with the first model that succeeds', async () => {
+      const attempt = vi.fn()
+        .mockRejectedValueOnce(responseError(404))
+        .mockRejectedValueOnce(new CircuitOpenError(5))
+        .mockResolvedValueOnce('ok')
+
+      const answer = await withFallback(['a', 'b', 'c'], attempt)
+
+      expect(answer).toEqual({
+        result: 'ok',
+        model: 'c',
+        fallbackFrom: [{ model: 'a', reason: 'model-not-found' }, { model: 'b', reason: 'circuit-open' }]
+      })
+      expect(attempt.mock.calls.map(([model]) => model)).toEqual(['a', 'b', 'c'])
+    })
+
+    it('should not try a model twice', async () => {
+      const attempt = vi.fn().mockRejectedValue(responseError(404))
+
+      await expect(withFallback(['a', 'b', 'a'], attempt)).rejects.toMatchObject({ status_code: 404 })
+      expect(attempt).toHaveBeenCalledTimes(2)
+    })
+
+    it('should end the chain on other failures', async () => {
+      const attempt = vi.fn().mockRejectedValue(responseError(400))
+
+      await expect(withFallback(['a', 'b'], attempt)).rejects.toMatchObject({ status_code: 400 })
+      expect(attempt).toHaveBeenCalledTimes(1)
+    })
+
+    it('should move on when a model does not answer in time', async () => {
+      // The first model only settles when its own signal aborts
+      const hang = (model, signal) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true })
+      })
+      const attempt = vi.fn(hang).mockImplementationOnce(hang).mockImplementationOnce(async () => 'late but ok')
+
+      const answer = await withFallback(['slow', 'fast'], attempt, { timeoutMs: 10 })
+
+      expect(answer).toMatchObject({ result: 'late but ok', model: 'fast', fallbackFrom: [{ model: 'slow', reason: 'timeout' }] })
+    })
+
+    it('should not fall back once the request is aborted', async () => {
+      const controller = new AbortController()
+      const attempt = vi.fn(async () => {
+        controller.abort(new UpstreamTimeoutError(1000))
+        throw controller.signal.reason
+      })
+
+      await expect(withFallback(['a', 'b'], attempt, { signal: controller.signal })).rejects.toBeInstanceOf(UpstreamTimeoutError)
+      expect(attempt).toHaveBeenCalledTimes(1)
+    })
+
+    it('should count fallbacks by reason and by model', async () => {
+      const before = fallbackStats()
+      const attempt = vi.fn()
+        .mockRejectedValueOnce(responseError(404))
+        .mockResolvedValueOnce('ok')
+
+      await withFallback(['missing', 'present'], attempt)
+      const after = fallbackStats()
+
+      expect(after.total).toBe(before.total + 1)
+      expect(after.reasons['model-not-found']).toBe(before.reasons['model-not-found'] + 1)
+      expect(after.models.missing).toEqual({ failed: 1, answered: 0 })
+      expect(after.models.present).toEqual({ failed: 0, answered: 1 })
+    })
+  })
+})
@@ -0,0 +1,43 @@
+// tests/unit/generation.service.test.js
+import { describe, it, expect, vi } from 'vitest'
+import { resolveOptions } from '../../src/service/generation.service.js'
+
+// Mock the configuration with known defaults and ceilings
+vi.mock('../../src/config/env.js', () => ({
+  DEFAULT_OPTIONS: { temperature: 0.7, num_ctx: 4096 },
+  OPTION_CEILINGS: { num_ctx: 8192, num_predict: 2048 }
+}))
+
+describe('Generation Service', () => {
+  describe('resolveOptions', () => {
+    it('should apply the server-side defaults when no options are given', () => {
+      expect(resolveOptions()).toEqual({ temperature: 0.7, num_ctx: 4096, num_predict: 2048 })
+    })
+
+    it('should let client options override the defaults', () => {
+      expect(resolveOptions({ temperature: 0.1, seed: 42, stop: ['END'] })).toEqual({
+        temperature: 0.1,
+        num_ctx: 4096,
+        num_predict: 2048,
+        seed: 42,
+        stop: ['END']
+      })
+    })
+
+    it('should cap num_ctx and num_predict at the configured ceilings', () => {
+      expect(resolveOptions({ num_ctx: 65536, num_predict: 10000 })).toMatchObject({
+        num_ctx: 8192,
+        num_predict: 2048
+      })
+    })
+
+    it('should bound unlimited generations (num_predict -1)', () => {
+      expect(resolveOptions({ num_predict: -1 }).num_predict).toBe(2048)
+    })
+
+    it('should be idempotent', () => {
+      const resolved = resolveOptions({ temperature: 0.3, num_predict: 128 })
+      expect(resolveOptions(resolved)).toEqual(resolved)
+    })
+  })
+})
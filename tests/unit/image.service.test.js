@@ -0,0 +1,116 @@
+// tests/unit/image.service.test.js
+import { describe, it, expect, vi } from 'vitest'
+import { createHash } from 'node:crypto'
+
+import {
+  readImageHeader,
+  decodeImage,
+  inspectImages,
+  toImageRefs,
+  supportsVision,
+  assertVisionModel
+} from '../../src/service/image.service.js'
+
+// Declare one vision model and small image limits
+vi.mock('../../src/config/env.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  VISION_MODELS: ['llava:7b'],
+  IMAGE_MAX_BYTES: 1024,
+  IMAGE_MAX_DIMENSION: 2000,
+  IMAGE_MAX_COUNT: 2
+}))
+
+// Minimal image headers, enough for the type and the dimensions
+const png = (width, height) => {
+  const data = Buffer.alloc(33)
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(data)
+  data.writeUInt32BE(13, 8)
+  data.write('IHDR', 12, 'ascii')
+  data.writeUInt32BE(width, 16)
+  data.writeUInt32BE(height, 20)
+  return data
+}
+const jpeg = (width, height) => {
+  const data = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, 0xff, 0xc0, 0x00, 0x11, 0x08, 0, 0, 0, 0, 0x03])
+  data.writeUInt16BE(height, 13)
+  data.writeUInt16BE(width, 15)
+  return data
+}
+const webp = (width, height) => {
+  const data = Buffer.alloc(30)
+  data.write('RIFF', 0, 'ascii')
+  data.write('WEBPVP8X', 8, 'ascii')
+  data.writeUIntLE(width - 1, 24, 3)
+  data.writeUIntLE(height - 1, 27, 3)
+  return data
+}
+
+describe('Image Service', () => {
+  describe('readImageHeader', () => {
+    it('should identify PNG, JPEG and WebP images and read their dimensions', () => {
+      expect(readImageHeader(png(640, 480))).toEqual({ mimeType: 'image/png', width: 640, height: 480 })
+      expect(readImageHeader(jpeg(800, 600))).toEqual({ mimeType: 'image/jpeg', width: 800, height: 600 })
+      expect(readImageHeader(webp(1024, 768))).toEqual({ mimeType: 'image/webp', width: 1024, height: 768 })
+    })
+
+    it('should not recognize other files', () => {
+      expect(readImageHeader(Buffer.from('GIF89a\x01\x00\x01\x00'))).toBeNull()
+      expect(readImageHeader(Buffer.from('%PDF-1.7'))).toBeNull()
+    })
+  })
+
+  describe('decodeImage', () => {
+    it('should decode plain base64 and data URLs', () => {
+      const data = png(1, 1)
+
+      expect(decodeImage(data.toString('base64'))).toEqual({ data })
+      expect(decodeImage(`data:image/png;base64,${data.toString('base64')}`)).toEqual({ data, mimeType: 'image/png' })
+    })
+  })
+
+  describe('inspectImages', () => {
+    it('should return the base64 data and the reference of each image', () => {
+      const data = png(640, 480)
+      const [image] = inspectImages([{ data, mimeType: 'image/png' }])
+
+      expect(image).toEqual({
+        data: data.toString('base64'),
+        sha256: createHash('sha256').update(data).digest('hex'),
+        mimeType: 'image/png',
+        width: 640,
+        height: 480,
+        bytes: data.length
+      })
+      expect(toImageRefs([image])).toEqual([{ sha256: image.sha256, mimeType: 'image/png', width: 640, height: 480, bytes: data.length }])
+    })
+
+    it('should trust the bytes rather than the declared type', () => {
+      expect(inspectImages([{ data: jpeg(10, 10), mimeType: 'application/octet-stream' }])[0].mimeType).toBe('image/jpeg')
+      expect(() => inspectImages([{ data: jpeg(10, 10), mimeType: 'image/png' }]))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: 'La imagen 1 se declaró como image/png pero es image/jpeg.' }))
+      expect(() => inspectImages([{ data: Buffer.from('not an image') }]))
+        .toThrow(expect.objectContaining({ statusCode: 400 }))
+    })
+
+    it('should enforce the size, dimension and count limits', () => {
+      expect(() => inspectImages([{ data: png(10, 10) }, { data: Buffer.concat([png(10, 10), Buffer.alloc(1024)]) }]))
+        .toThrow(expect.objectContaining({ statusCode: 413, message: expect.stringContaining('La imagen 2') }))
+      expect(() => inspectImages([{ data: webp(2001, 100) }]))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringContaining('2001x100') }))
+      expect(() => inspectImages([{ data: png(0, 10) }]))
+        .toThrow(expect.objectContaining({ statusCode: 400 }))
+      expect(() => inspectImages([png(1, 1), png(1, 1), png(1, 1)].map((data) => ({ data }))))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: 'No se pueden enviar más de 2 imágenes por petición.' }))
+    })
+  })
+
+  describe('vision models', () => {
+    it('should only accept images for the declared vision models', () => {
+      expect(supportsVision('llava:7b')).toBe(true)
+      expect(supportsVision('qwen3:0.6b')).toBe(false)
+      expect(() => assertVisionModel('llava:7b')).not.toThrow()
+      expect(() => assertVisionModel('qwen3:0.6b'))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: 'El modelo "qwen3:0.6b" no admite imágenes.' }))
+    })
+  })
+})
@@ -0,0 +1,255 @@
+// tests/unit/job.service.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import Job from '../../src/models/job.model.js'
+import { reembedKnowledgeBase } from '../../src/service/knowledge.service.js'
+import { chatWithCache } from '../../src/service/cache.service.js'
+import { chatStructured } from '../../src/service/structured.service.js'
+import { recordJobUsage } from '../../src/service/audit.service.js'
+import { enqueueJob, runJob, cancelJob, startJobWorker, JOB_QUEUES } from '../../src/service/job.service.js'
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+// Mock the job handlers
+vi.mock('../../src/service/knowledge.service.js', () => ({
+  reembedKnowledgeBase: vi.fn()
+}))
+vi.mock('../../src/service/cache.service.js', () => ({
+  chatWithCache: vi.fn()
+}))
+vi.mock('../../src/service/structured.service.js', () => ({
+  chatStructured: vi.fn()
+}))
+vi.mock('../../src/service/audit.service.js', () => ({
+  recordJobUsage: vi.fn()
+}))
+
+// Resolves a Mongoose query, with or without .lean()
+const query = (value) => Object.assign(Promise.resolve(value), { lean: () => Promise.resolve(value) })
+
+describe('Job Service', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks()
+    vi.clearAllMocks()
+    vi.spyOn(Job, 'updateOne').mockResolvedValue({})
+  })
+
+  it('should store the job and publish its ID', async () => {
+    const channel = { sendToQueue: vi.fn() }
+    vi.spyOn(Job, 'create').mockResolvedValue({ id: 'job1' })
+
+    const job = await enqueueJob(channel, 'reembed', { knowledgeBase: 'soporte' }, 'test-request-id')
+
+    expect(Job.create).toHaveBeenCalledWith({ type: 'reembed', params: { knowledgeBase: 'soporte' }, requestId: 'test-request-id' })
+    expect(channel.sendToQueue).toHaveBeenCalledWith('jobs', Buffer.from('{"jobId":"job1"}'), { persistent: true })
+    expect(job.id).toBe('job1')
+  })
+
+  it('should publish chat jobs on a queue of their own', async () => {
+    const channel = { sendToQueue: vi.fn() }
+    vi.spyOn(Job, 'create').mockResolvedValue({ id: 'job2' })
+
+    await enqueueJob(channel, 'chat', { prompt: 'Hola' }, 'test-request-id')
+
+    expect(channel.sendToQueue).toHaveBeenCalledWith('chat-jobs', Buffer.from('{"jobId":"job2"}'), { persistent: true })
+  })
+
+  it('should refuse to queue jobs without a RabbitMQ channel', async () => {
+    await expect(enqueueJob(undefined, 'reembed', {}, 'test-request-id'))
+      .rejects.toMatchObject({ statusCode: 503 })
+  })
+
+  it('should run the handler and store its result', async () => {
+    vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue({ type: 'reembed', params: { knowledgeBase: 'soporte' }, requestId: 'r1' })
+    reembedKnowledgeBase.mockImplementation(async (params, { onProgress }) => {
+      await onProgress(2, 4)
+      return { chunks: 4 }
+    })
+
+    await runJob('job1')
+
+    expect(Job.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'job1', status: { $in: ['queued', 'running'] } }, expect.objectContaining({ status: 'running' }), { new: true })
+    expect(reembedKnowledgeBase).toHaveBeenCalledWith({ knowledgeBase: 'soporte' }, { requestId: 'r1', onProgress: expect.any(Function), signal: expect.any(AbortSignal) })
+    expect(Job.updateOne).toHaveBeenCalledWith({ _id: 'job1' }, { progress: { processed: 2, total: 4 } })
+    expect(Job.updateOne).toHaveBeenLastCalledWith({ _id: 'job1', status: 'running' }, expect.objectContaining({ status: 'completed', result: { chunks: 4 } }))
+  })
+
+  it('should mark the job as failed when the handler throws', async () => {
+    vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue({ type: 'reembed', params: {} })
+    reembedKnowledgeBase.mockRejectedValue(new Error('connect ECONNREFUSED'))
+
+    await runJob('job1')
+
+    expect(Job.updateOne).toHaveBeenLastCalledWith({ _id: 'job1', status: 'running' }, expect.objectContaining({ status: 'failed', error: 'connect ECONNREFUSED' }))
+  })
+
+  it('should answer chat jobs and store the answer', async () => {
+    const params = { prompt: '¿Horario?', model: 'qwen3:0.6b', options: { num_predict: 2048 }, tools: [], reasoning: false, priority: 'low' }
+    vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue({ type: 'chat', params, requestId: 'r1' })
+    chatWithCache.mockResolvedValue({
+      response: { model: 'qwen3:0.6b', message: { content: 'Abrimos a las 9.' }, reasoning: 'Pienso...', usage: { calls: 1, totalTokens: 12 } },
+      cache: 'MISS'
+    })
+
+    await runJob('job1')
+
+    expect(chatWithCache).toHaveBeenCalledWith('¿Horario?', 'r1', {
+      model: 'qwen3:0.6b',
+      options: { num_predict: 2048 },
+      tools: [],
+      priority: 'low',
+      fallbacks: [],
+      signal: expect.any(AbortSignal)
+    }, { bypass: false })
+    expect(Job.updateOne).toHaveBeenLastCalledWith({ _id: 'job1', status: 'running' }, expect.objectContaining({
+      status: 'completed',
+      result: { response: 'Abrimos a las 9.', model: 'qwen3:0.6b', cache: 'MISS', usage: { calls: 1, totalTokens: 12 } }
+    }))
+  })
+
+  it('should record the usage of chat jobs for the model that answered', async () => {
+    vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue({ type: 'chat', params: { prompt: '¿Horario?', model: 'qwen3:0.6b' }, requestId: 'r1' })
+    const fallbackFrom = [{ model: 'qwen3:0.6b', reason: 'timeout' }]
+    chatWithCache.mockResolvedValue({
+      response: { model: 'llama3.2:1b', message: { content: 'A las 9.' }, usage: { calls: 2, totalTokens: 30 }, fallbackFrom },
+      cache: 'MISS'
+    })
+    recordJobUsage.mockRejectedValueOnce(new Error('connection closed'))
+
+    await runJob('job1')
+
+    expect(recordJobUsage).toHaveBeenCalledWith('r1', { model: 'llama3.2:1b', usage: { calls: 2, totalTokens: 30 }, fallbackFrom })
+    // Failing to record the usage does not fail the job
+    expect(Job.updateOne).toHaveBeenLastCalledWith({ _id: 'job1', status: 'running' }, expect.objectContaining({ status: 'completed' }))
+  })
+
+  it('should answer chat jobs with the fallbacks resolved when they were queued', async () => {
+    const params = { prompt: '¿Horario?', model: 'qwen3:0.6b', fallbacks: ['llama3.2:1b'] }
+    vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue({ type: 'chat', params, requestId: 'r1' })
+    chatWithCache.mockResolvedValue({ response: { model: 'llama3.2:1b', message: { content: 'A las 9.' } }, cache: 'MISS' })
+
+    await runJob('job1')
+
+    expect(chatWithCache).toHaveBeenCalledWith('¿Horario?', 'r1', expect.objectContaining({ fallbacks: ['llama3.2:1b'] }), { bypass: false })
+  })
+
+  it('should answer structured chat jobs through the structured output service', async () => {
+    vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue({ type: 'chat', params: { prompt: 'Clasifica', format: 'json', cache: false }, requestId: 'r1' })
+    chatStructured.mockResolvedValue({ model: 'qwen3:0.6b', message: { content: '{"a":1}' }, parsed: { a: 1 } })
+
+    await runJob('job1')
+
+    expect(chatStructured).toHaveBeenCalledWith('Clasifica', 'r1', expect.objectContaining({ format: 'json', signal: expect.any(AbortSignal) }))
+    expect(chatWithCache).not.toHaveBeenCalled()
+    expect(Job.updateOne).toHaveBeenLastCalledWith({ _id: 'job1', status: 'running' }, expect.objectContaining({
+      result: expect.objectContaining({ response: '{"a":1}', parsed: { a: 1 }, cache: 'BYPASS' })
+    }))
+  })
+
+  it('should skip jobs that were cancelled before running', async () => {
+    vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null)
+
+    await runJob('job1')
+
+    expect(reembedKnowledgeBase).not.toHaveBeenCalled()
+    expect(Job.updateOne).not.toHaveBeenCalled()
+  })
+
+  it('should abort a running job when it is cancelled', async () => {
+    let started
+    const ready = new Promise((resolve) => { started = resolve })
+    vi.spyOn(Job, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ type: 'reembed', params: {} })
+      .mockReturnValueOnce(query({ _id: 'job1', type: 'reembed', status: 'cancelled' }))
+    reembedKnowledgeBase.mockImplementation((params, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')))
+      started()
+    }))
+
+    const run = runJob('job1')
+    await ready
+    const job = await cancelJob('job1')
+    await run
+
+    expect(job.status).toBe('cancelled')
+    expect(Job.findOneAndUpdate).toHaveBeenLastCalledWith({ _id: 'job1', status: { $in: ['queued', 'running'] } }, expect.objectContaining({ status: 'cancelled' }), { new: true })
+    // The failure caused by the abort never overwrites the cancelled status
+    expect(Job.updateOne).not.toHaveBeenCalled()
+  })
+
+  it('should refuse to cancel jobs that have ended', async () => {
+    vi.spyOn(Job, 'findOneAndUpdate').mockReturnValue(query(null))
+    vi.spyOn(Job, 'findById').mockReturnValueOnce(query({ status: 'completed' })).mockReturnValueOnce(query(null))
+
+    await expect(cancelJob('job1')).rejects.toMatchObject({ statusCode: 409 })
+    await expect(cancelJob('job2')).rejects.toMatchObject({ statusCode: 404 })
+  })
+
+  it('should consume each job queue on its own channel and acknowledge every message once its job ends', async () => {
+    vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null)
+    const channels = []
+    const connection = {
+      createChannel: vi.fn(async () => {
+        const channel = { assertQueue: vi.fn(), prefetch: vi.fn(), consume: vi.fn(), ack: vi.fn() }
+        channels.push(channel)
+        return channel
+      })
+    }
+
+    await startJobWorker(connection)
+
+    expect(channels.map(({ consume }) => consume.mock.calls[0][0])).toEqual(['jobs', 'chat-jobs'])
+    expect(channels.map(({ prefetch }) => prefetch.mock.calls[0][0])).toEqual([1, JOB_QUEUES.chat.prefetch])
+
+    const [reembed, chat] = channels
+    const message = { content: Buffer.from('{"jobId":"job1"}'), fields: { redelivered: false } }
+    await chat.consume.mock.calls[0][1](message)
+    await chat.consume.mock.calls[0][1]({ content: Buffer.from('no es JSON'), fields: { redelivered: false } })
+
+    expect(chat.ack).toHaveBeenCalledTimes(2)
+    expect(chat.ack).toHaveBeenCalledWith(message)
+    expect(reembed.ack).not.toHaveBeenCalled()
+  })
+
+  it('should requeue a job whose outcome could not be recorded, and fail it when that happens again', async () => {
+    vi.useFakeTimers()
+    vi.spyOn(Job, 'findOneAndUpdate').mockRejectedValue(new Error('MongoNetworkError'))
+    const channel = { assertQueue: vi.fn(), prefetch: vi.fn(), consume: vi.fn(), ack: vi.fn(), nack: vi.fn() }
+    await startJobWorker({ createChannel: vi.fn().mockResolvedValue(channel) })
+    const consume = channel.consume.mock.calls[0][1]
+
+    const message = { content: Buffer.from('{"jobId":"job1"}'), fields: { redelivered: false } }
+    const consumed = consume(message)
+    await vi.advanceTimersByTimeAsync(5000)
+    await consumed
+
+    expect(channel.nack).toHaveBeenCalledWith(message, false, true)
+    expect(channel.ack).not.toHaveBeenCalled()
+    expect(Job.updateOne).not.toHaveBeenCalled()
+
+    const redelivered = { ...message, fields: { redelivered: true } }
+    await consume(redelivered)
+
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      { _id: 'job1', status: { $in: ['queued', 'running'] } },
+      { status: 'failed', error: 'MongoNetworkError', finishedAt: expect.any(Date) }
+    )
+    expect(channel.ack).toHaveBeenCalledWith(redelivered)
+
+    // Still queued while the job cannot even be marked failed
+    Job.updateOne.mockRejectedValueOnce(new Error('MongoNetworkError'))
+    const retried = consume(redelivered)
+    await vi.advanceTimersByTimeAsync(5000)
+    await retried
+
+    expect(channel.nack).toHaveBeenCalledTimes(2)
+    expect(channel.ack).toHaveBeenCalledTimes(1)
+    vi.useRealTimers()
+  })
+})
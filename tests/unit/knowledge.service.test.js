@@ -0,0 +1,212 @@
+// tests/unit/knowledge.service.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { setProvider } from '../../src/providers/index.js'
+import { createMockProvider } from '../../src/providers/mock.provider.js'
+import KnowledgeDocument from '../../src/models/document.model.js'
+import Chunk from '../../src/models/chunk.model.js'
+import {
+  splitText,
+  cosineSimilarity,
+  retrieveChunks,
+  buildGroundedPrompt,
+  toCitations,
+  reembedKnowledgeBase
+} from '../../src/service/knowledge.service.js'
+import { EMBEDDING_MODEL } from '../../src/config/env.js'
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn()
+  }
+}))
+
+// Stands in for the paged Chunk.find(...).sort(...).limit(...).lean() scan
+// and the final Chunk.find(...).populate(...).lean() of the best chunks;
+// chunks of deleted documents are populated with a null document
+const mockChunks = (chunks) => vi.spyOn(Chunk, 'find').mockImplementation((filter) => {
+  if (filter._id?.$in) {
+    const found = chunks
+      .filter((chunk) => filter._id.$in.includes(chunk._id))
+      .map(({ embedding, deleted, ...chunk }) => ({ ...chunk, document: deleted ? null : chunk.document }))
+    return { populate: () => ({ lean: () => Promise.resolve(found) }) }
+  }
+  const after = chunks.filter((chunk) => !filter._id || chunk._id > filter._id.$gt)
+  return {
+    sort: () => ({
+      limit: (limit) => ({
+        lean: () => Promise.resolve(after.slice(0, limit).map(({ _id, embedding, document }) => ({ _id, embedding, document: document._id })))
+      })
+    })
+  }
+})
+
+// Stands in for the KnowledgeDocument.find(...).lean() check of which documents still exist
+const mockDocuments = (ids) => vi.spyOn(KnowledgeDocument, 'find').mockImplementation((filter) => ({
+  lean: () => Promise.resolve(filter._id.$in.filter((id) => ids.includes(id)).map((_id) => ({ _id })))
+}))
+
+describe('Knowledge Service', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('splitText', () => {
+    it('should keep short documents in a single chunk', () => {
+      expect(splitText('Abrimos a las 9.\n\nCerramos a las 18.', { chunkSize: 200, chunkOverlap: 0 }))
+        .toEqual(['Abrimos a las 9.\n\nCerramos a las 18.'])
+    })
+
+    it('should never exceed the chunk size and should overlap consecutive chunks', () => {
+      const text = Array.from({ length: 40 }, (_, i) => `La frase número ${i} habla de devoluciones.`).join(' ')
+
+      const chunks = splitText(text, { chunkSize: 200, chunkOverlap: 50 })
+
+      expect(chunks.length).toBeGreaterThan(1)
+      chunks.forEach((chunk) => expect(chunk.length).toBeLessThanOrEqual(200))
+      chunks.slice(1).forEach((chunk, i) => {
+        expect(chunks[i]).toContain(chunk.slice(0, 20))
+      })
+    })
+
+    it('should cut words that do not fit in a chunk', () => {
+      const chunks = splitText('a'.repeat(450), { chunkSize: 200, chunkOverlap: 0 })
+
+      expect(chunks.join('')).toBe('a'.repeat(450))
+      chunks.forEach((chunk) => expect(chunk.length).toBeLessThanOrEqual(200))
+    })
+
+    it('should start a new chunk at every markdown heading', () => {
+      const text = '# Horario\nAbrimos a las 9.\n# Envíos\nGratis desde 50 €.'
+
+      expect(splitText(text, { chunkSize: 500, chunkOverlap: 100, format: 'markdown' }))
+        .toEqual(['# Horario\nAbrimos a las 9.', '# Envíos\nGratis desde 50 €.'])
+      expect(splitText(text, { chunkSize: 500, chunkOverlap: 100 })).toHaveLength(1)
+    })
+  })
+
+  describe('cosineSimilarity', () => {
+    it('should compare the direction of the vectors', () => {
+      expect(cosineSimilarity([1, 0], [2, 0])).toBeCloseTo(1)
+      expect(cosineSimilarity([1, 0], [0, 3])).toBeCloseTo(0)
+      expect(cosineSimilarity([0, 0], [1, 1])).toBe(0)
+    })
+  })
+
+  describe('retrieveChunks', () => {
+    it('should reject unknown knowledge bases', async () => {
+      vi.spyOn(KnowledgeDocument, 'exists').mockResolvedValue(null)
+
+      await expect(retrieveChunks('nada', '¿Horario?', 'test-request-id'))
+        .rejects.toMatchObject({ statusCode: 404 })
+    })
+
+    it('should return the most similar chunks first', async () => {
+      const provider = createMockProvider({ dimensions: 16 })
+      setProvider(provider)
+      const { embeddings } = await provider.embed({ model: EMBEDDING_MODEL, input: ['horario de atención', 'gastos de envío', 'devoluciones'] })
+      const document = { _id: 'doc1', title: 'FAQ' }
+      vi.spyOn(KnowledgeDocument, 'exists').mockResolvedValue({ _id: 'doc1' })
+      mockDocuments(['doc1'])
+      const find = mockChunks([
+        { _id: 'c0', document, index: 0, text: 'horario de atención', embedding: embeddings[0] },
+        { _id: 'c1', document, index: 1, text: 'gastos de envío', embedding: embeddings[1] },
+        { _id: 'c2', document, index: 2, text: 'devoluciones', embedding: embeddings[2] }
+      ])
+
+      const { chunks, promptTokens } = await retrieveChunks('soporte', 'gastos de envío', 'test-request-id', { topK: 2 })
+
+      expect(find).toHaveBeenCalledWith({ knowledgeBase: 'soporte', embeddingModel: EMBEDDING_MODEL }, { embedding: 1, document: 1 })
+      expect(chunks).toHaveLength(2)
+      expect(chunks[0]).toMatchObject({ index: 1, text: 'gastos de envío' })
+      expect(chunks[0].score).toBeCloseTo(1)
+      expect(chunks[0]).not.toHaveProperty('embedding')
+      expect(promptTokens).toBeGreaterThan(0)
+    })
+
+    it('should rank large knowledge bases page by page', async () => {
+      const provider = createMockProvider({ dimensions: 16 })
+      setProvider(provider)
+      const { embeddings: [other, match] } = await provider.embed({ model: EMBEDDING_MODEL, input: ['horario de atención', 'gastos de envío'] })
+      const document = { _id: 'doc1', title: 'FAQ' }
+      vi.spyOn(KnowledgeDocument, 'exists').mockResolvedValue({ _id: 'doc1' })
+      mockDocuments(['doc1'])
+      // The only matching chunk comes after the first page of 500
+      const find = mockChunks(Array.from({ length: 600 }, (_, i) => ({
+        _id: `c${String(i).padStart(3, '0')}`,
+        document,
+        index: i,
+        text: i === 550 ? 'gastos de envío' : 'horario de atención',
+        embedding: i === 550 ? match : other
+      })))
+
+      const { chunks } = await retrieveChunks('soporte', 'gastos de envío', 'test-request-id', { topK: 1 })
+
+      expect(find).toHaveBeenCalledWith({ knowledgeBase: 'soporte', embeddingModel: EMBEDDING_MODEL, _id: { $gt: 'c499' } }, { embedding: 1, document: 1 })
+      expect(chunks).toEqual([expect.objectContaining({ index: 550, score: expect.closeTo(1) })])
+    })
+
+    it('should skip the chunks of deleted documents before keeping the best ones', async () => {
+      const provider = createMockProvider({ dimensions: 16 })
+      setProvider(provider)
+      const { embeddings: [other, match] } = await provider.embed({ model: EMBEDDING_MODEL, input: ['horario de atención', 'gastos de envío'] })
+      vi.spyOn(KnowledgeDocument, 'exists').mockResolvedValue({ _id: 'doc1' })
+      const documents = mockDocuments(['doc1'])
+      // The chunk of the deleted document scores best
+      mockChunks([
+        { _id: 'c0', document: { _id: 'doc2' }, deleted: true, index: 0, text: 'gastos de envío', embedding: match },
+        { _id: 'c1', document: { _id: 'doc1', title: 'FAQ' }, index: 0, text: 'horario de atención', embedding: other },
+        { _id: 'c2', document: { _id: 'doc1', title: 'FAQ' }, index: 1, text: 'horario de atención', embedding: other }
+      ])
+
+      const { chunks } = await retrieveChunks('soporte', 'gastos de envío', 'test-request-id', { topK: 2 })
+
+      expect(chunks.map(({ _id }) => _id)).toEqual(['c1', 'c2'])
+      expect(documents).toHaveBeenCalledTimes(1)
+      expect(documents).toHaveBeenCalledWith({ _id: { $in: ['doc2', 'doc1'] } }, { _id: 1 })
+    })
+  })
+
+  describe('buildGroundedPrompt / toCitations', () => {
+    const chunks = [
+      { index: 3, text: 'Gratis desde 50 €.', score: 0.9, document: { _id: 'doc1', title: 'Envíos', source: 'https://example.com/envios' } }
+    ]
+
+    it('should number the chunks so the model can cite them', () => {
+      const prompt = buildGroundedPrompt('¿Cuánto cuesta el envío?', chunks)
+
+      expect(prompt).toContain('[1] Envíos\nGratis desde 50 €.')
+      expect(prompt).toMatch(/Pregunta: ¿Cuánto cuesta el envío\?$/)
+      expect(buildGroundedPrompt('Hola', [])).toBe('Hola')
+    })
+
+    it('should match each citation to its marker', () => {
+      expect(toCitations(chunks)).toEqual([
+        { ref: 1, documentId: 'doc1', title: 'Envíos', source: 'https://example.com/envios', chunk: 3, score: 0.9 }
+      ])
+    })
+  })
+
+  describe('reembedKnowledgeBase', () => {
+    it('should re-embed the chunks in batches and report progress', async () => {
+      setProvider(createMockProvider({ dimensions: 4 }))
+      const pages = [[{ _id: 'c1', text: 'uno' }, { _id: 'c2', text: 'dos' }], []]
+      vi.spyOn(Chunk, 'countDocuments').mockResolvedValue(2)
+      const find = vi.spyOn(Chunk, 'find').mockImplementation(() => ({
+        sort: () => ({ limit: () => ({ lean: () => Promise.resolve(pages.shift()) }) })
+      }))
+      const bulkWrite = vi.spyOn(Chunk, 'bulkWrite').mockResolvedValue({})
+      const updateMany = vi.spyOn(KnowledgeDocument, 'updateMany').mockResolvedValue({})
+      const onProgress = vi.fn()
+
+      const result = await reembedKnowledgeBase({ knowledgeBase: 'soporte' }, { requestId: 'r1', onProgress })
+
+      expect(find).toHaveBeenLastCalledWith({ knowledgeBase: 'soporte', _id: { $gt: 'c2' } }, { text: 1 })
+      expect(bulkWrite.mock.calls[0][0]).toHaveLength(2)
+      expect(bulkWrite.mock.calls[0][0][0].updateOne.update).toMatchObject({ embeddingModel: EMBEDDING_MODEL })
+      expect(onProgress.mock.calls).toEqual([[0, 2], [2, 2]])
+      expect(updateMany).toHaveBeenCalledWith({ knowledgeBase: 'soporte' }, { embeddingModel: EMBEDDING_MODEL })
+      expect(result).toMatchObject({ chunks: 2, embeddingModel: EMBEDDING_MODEL })
+    })
+  })
+})
@@ -1,20 +1,32 @@
 // tests/unit/ollama.service.test.js
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import ollama from 'ollama'
+import { setProvider } from '../../src/providers/index.js'
+import { createMockProvider } from '../../src/providers/mock.provider.js'
 
-// Mock ollama and logger
-vi.mock('ollama')
+// Mock logger
 vi.mock('../../src/logger.js', () => ({
   default: {
-    info: vi.fn()
+    info: vi.fn(),
+    warn: vi.fn()
   }
 }))
 
+// Provider whose methods are spies; the service only sees the interface
+const provider = {
+  name: 'test',
+  chat: vi.fn(),
+  stream: vi.fn(),
+  listModels: vi.fn(),
+  embed: vi.fn()
+}
+
 // Dynamically import the service after mocks are set up
-let chatOllama
+let chatOllama, streamOllama, listModels
 beforeAll(async () => {
   const serviceModule = await import('../../src/service/ollama.service.js')
   chatOllama = serviceModule.default
+  streamOllama = serviceModule.streamOllama
+  listModels = serviceModule.listModels
 })
 
 describe('Ollama Service', () => {
@@ -28,33 +40,287 @@ describe('Ollama Service', () => {
 
   beforeEach(() => {
     vi.clearAllMocks()
+    setProvider(provider)
   })
 
-  it('should call ollama.chat and return the content on success', async () => {
-    ollama.chat.mockResolvedValue(mockOllamaResponse)
+  it('should call the provider and return the response on success', async () => {
+    provider.chat.mockResolvedValue(mockOllamaResponse)
 
     const result = await chatOllama(mockPrompt, mockRequestId)
 
-    expect(ollama.chat).toHaveBeenCalledWith({
+    expect(provider.chat).toHaveBeenCalledWith({
       model: 'qwen3:0.6b',
-      messages: [{ role: 'user', content: mockPrompt }]
-    })
+      messages: [{ role: 'user', content: mockPrompt }],
+      options: { num_predict: 2048 }
+    }, { signal: undefined })
     // Note: For simplicity in this test setup, we are not directly asserting on logger calls
     // as accessing the mock instance post-dynamic import can be tricky in this setup.
     // In a real scenario, you might re-structure or use a different mocking strategy for logger here.
-    expect(result).toBe(mockOllamaResponse.message.content)
+    expect(result).toMatchObject({
+      model: 'qwen3:0.6b',
+      done: true,
+      message: mockOllamaResponse.message
+    })
   })
 
-  it('should throw an error if ollama.chat fails', async () => {
+  it('should throw an error if the provider fails', async () => {
     const errorMessage = 'Network error'
-    ollama.chat.mockRejectedValue(new Error(errorMessage))
+    provider.chat.mockRejectedValue(new Error(errorMessage))
 
     await expect(chatOllama(mockPrompt, mockRequestId)).rejects.toThrow(errorMessage)
 
-    expect(ollama.chat).toHaveBeenCalledWith({
+    expect(provider.chat).toHaveBeenCalledWith({
       model: 'qwen3:0.6b',
-      messages: [{ role: 'user', content: mockPrompt }]
-    })
+      messages: [{ role: 'user', content: mockPrompt }],
+      options: { num_predict: 2048 }
+    }, { signal: undefined })
     // Again, logger assertion is skipped for simplicity here.
   })
-})
\ No newline at end of file
+
+  it('should stream chunks from the provider in streaming mode', async () => {
+    const chunks = [
+      { model: 'qwen3:0.6b', message: { role: 'assistant', content: 'Hi' }, done: false },
+      { model: 'qwen3:0.6b', message: { role: 'assistant', content: ' there!' }, done: false },
+      { model: 'qwen3:0.6b', message: { role: 'assistant', content: '' }, done: true, eval_count: 3 }
+    ]
+    provider.stream.mockResolvedValue((async function * () { yield * chunks })())
+
+    const stream = await streamOllama(mockPrompt, mockRequestId)
+    const received = []
+    for await (const chunk of stream) {
+      received.push(chunk)
+    }
+
+    expect(provider.stream).toHaveBeenCalledWith({
+      model: 'qwen3:0.6b',
+      messages: [{ role: 'user', content: mockPrompt }],
+      options: { num_predict: 2048 }
+    }, { signal: undefined })
+    expect(received).toEqual(chunks)
+  })
+
+  it('should move the think block out of the answer', async () => {
+    provider.chat.mockResolvedValue({
+      ...mockOllamaResponse,
+      message: { role: 'assistant', content: '<think>\nA greeting.\n</think>\n\nHi there!' }
+    })
+
+    const result = await chatOllama(mockPrompt, mockRequestId)
+
+    expect(result.message).toEqual({ role: 'assistant', content: 'Hi there!' })
+    expect(result.reasoning).toBe('A greeting.')
+  })
+
+  it('should relay streamed reasoning separately when the tags span chunks', async () => {
+    const pieces = ['<thi', 'nk>A greet', 'ing.</thi', 'nk>\n\nHi', ' there!']
+    provider.stream.mockResolvedValue((async function * () {
+      for (const content of pieces) {
+        yield { model: 'qwen3:0.6b', message: { role: 'assistant', content }, done: false }
+      }
+      yield { model: 'qwen3:0.6b', message: { role: 'assistant', content: '' }, done: true }
+    })())
+
+    const stream = await streamOllama(mockPrompt, mockRequestId)
+    let content = ''
+    let thinking = ''
+    for await (const chunk of stream) {
+      content += chunk.message.content
+      thinking += chunk.message.thinking ?? ''
+    }
+
+    expect(content).toBe('Hi there!')
+    expect(thinking).toBe('A greeting.')
+  })
+
+  it('should reject before streaming if the stream cannot be opened', async () => {
+    provider.stream.mockRejectedValue(new Error('connect ECONNREFUSED'))
+
+    await expect(streamOllama(mockPrompt, mockRequestId)).rejects.toThrow('ECONNREFUSED')
+  })
+
+  it('should use the requested model and replay the conversation history', async () => {
+    provider.chat.mockResolvedValue(mockOllamaResponse)
+    const history = [
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' }
+    ]
+
+    await chatOllama(mockPrompt, mockRequestId, { history, model: 'llama3.2:1b', options: { seed: 42 } })
+
+    expect(provider.chat).toHaveBeenCalledWith({
+      model: 'llama3.2:1b',
+      messages: [...history, { role: 'user', content: mockPrompt }],
+      options: { seed: 42 }
+    }, { signal: undefined })
+  })
+
+  it('should send the system prompt before the conversation history', async () => {
+    provider.chat.mockResolvedValue(mockOllamaResponse)
+    const history = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello!' }]
+
+    await chatOllama(mockPrompt, mockRequestId, { system: 'Be brief.', history })
+
+    expect(provider.chat.mock.calls[0][0].messages).toEqual([
+      { role: 'system', content: 'Be brief.' },
+      ...history,
+      { role: 'user', content: mockPrompt }
+    ])
+  })
+
+  it('should send the images with the prompt, not with the history', async () => {
+    provider.chat.mockResolvedValue(mockOllamaResponse)
+    const history = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello!' }]
+
+    await chatOllama(mockPrompt, mockRequestId, { history, images: ['iVBORw0KGgo='] })
+
+    expect(provider.chat.mock.calls[0][0].messages).toEqual([
+      ...history,
+      { role: 'user', content: mockPrompt, images: ['iVBORw0KGgo='] }
+    ])
+  })
+
+  it('should list provider models and flag the allowed ones', async () => {
+    provider.listModels.mockResolvedValue([
+      { name: 'qwen3:0.6b', size: 100, family: 'qwen3', parameterSize: '751.63M', quantizationLevel: 'Q4_K_M' },
+      { name: 'other:latest', size: 200, family: 'llama' }
+    ])
+
+    const models = await listModels()
+
+    expect(models).toEqual([
+      { name: 'qwen3:0.6b', size: 100, family: 'qwen3', parameterSize: '751.63M', quantizationLevel: 'Q4_K_M', allowed: true, vision: false },
+      { name: 'other:latest', size: 200, family: 'llama', allowed: false, vision: false }
+    ])
+  })
+
+  it('should work end to end with the mock provider', async () => {
+    setProvider(createMockProvider())
+
+    const result = await chatOllama(mockPrompt, mockRequestId)
+
+    expect(result.message.content).toBe(`Mock response to: ${mockPrompt}`)
+    expect(result.evalCount).toBe(5)
+  })
+  it('should abort the model call with the reason of the signal', async () => {
+    const controller = new AbortController()
+    const reason = new Error('timeout')
+    provider.chat.mockImplementation((request, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('This operation was aborted')))
+    }))
+
+    const result = chatOllama(mockPrompt, mockRequestId, { signal: controller.signal })
+    await vi.waitFor(() => expect(provider.chat).toHaveBeenCalled())
+    controller.abort(reason)
+
+    await expect(result).rejects.toBe(reason)
+  })
+
+  it('should report the reason of the signal when a stream is aborted', async () => {
+    const controller = new AbortController()
+    const reason = new Error('client gone')
+    setProvider(createMockProvider({ reply: () => 'uno dos tres' }))
+
+    const stream = await streamOllama(mockPrompt, mockRequestId, { signal: controller.signal })
+    const read = (async () => {
+      for await (const chunk of stream) {
+        if (chunk) controller.abort(reason)
+      }
+    })()
+
+    await expect(read).rejects.toBe(reason)
+  })
+
+  it('should answer with the next model when the requested one is missing', async () => {
+    const missing = Object.assign(new Error('model "absent:1b" not found'), { status_code: 404 })
+    provider.chat.mockRejectedValueOnce(missing).mockResolvedValue({ ...mockOllamaResponse, model: 'llama3.2:1b' })
+
+    const result = await chatOllama(mockPrompt, mockRequestId, { model: 'absent:1b', fallbacks: ['llama3.2:1b'] })
+
+    expect(provider.chat.mock.calls.map(([request]) => request.model)).toEqual(['absent:1b', 'llama3.2:1b'])
+    expect(result.model).toBe('llama3.2:1b')
+    expect(result.fallbackFrom).toEqual([{ model: 'absent:1b', reason: 'model-not-found' }])
+  })
+
+  it('should open a stream with the next model when the requested one is missing', async () => {
+    const missing = Object.assign(new Error('model "absent:1b" not found'), { status_code: 404 })
+    provider.stream.mockRejectedValueOnce(missing).mockResolvedValue((async function * () {
+      yield { model: 'llama3.2:1b', message: { role: 'assistant', content: 'Hi' }, done: true }
+    })())
+
+    const stream = await streamOllama(mockPrompt, mockRequestId, { model: 'absent:1b', fallbacks: ['llama3.2:1b'] })
+    const chunks = []
+    for await (const chunk of stream) chunks.push(chunk)
+
+    expect(stream.model).toBe('llama3.2:1b')
+    expect(stream.fallbackFrom).toEqual([{ model: 'absent:1b', reason: 'model-not-found' }])
+    expect(chunks).toHaveLength(1)
+  })
+
+  it('should run the requested tools and send the results back to the model', async () => {
+    provider.chat
+      .mockResolvedValueOnce({
+        model: 'qwen3:0.6b',
+        done: true,
+        message: {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ function: { name: 'calculate', arguments: { expression: '6 * 7' } } }]
+        }
+      })
+      .mockResolvedValueOnce(mockOllamaResponse)
+
+    const result = await chatOllama(mockPrompt, mockRequestId, { tools: ['calculate'] })
+
+    expect(provider.chat).toHaveBeenCalledTimes(2)
+    const [{ messages, tools }] = provider.chat.mock.calls[1]
+    expect(tools[0].function.name).toBe('calculate')
+    expect(messages.at(-1)).toEqual({
+      role: 'tool',
+      tool_name: 'calculate',
+      content: '{"expression":"6 * 7","result":42}'
+    })
+    expect(result.message.content).toBe('Hi there!')
+    expect(result.toolCalls).toEqual([
+      expect.objectContaining({ name: 'calculate', result: { expression: '6 * 7', result: 42 } })
+    ])
+    expect(result.usage.calls).toBe(2)
+  })
+
+  it('should refuse tool calls outside the tools enabled for the request', async () => {
+    provider.chat
+      .mockResolvedValueOnce({
+        model: 'qwen3:0.6b',
+        done: true,
+        message: {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ function: { name: 'calculate', arguments: { expression: '6 * 7' } } }]
+        }
+      })
+      .mockResolvedValueOnce(mockOllamaResponse)
+
+    const result = await chatOllama(mockPrompt, mockRequestId, { tools: ['get_current_time'] })
+
+    const [{ messages }] = provider.chat.mock.calls[1]
+    expect(messages.at(-1)).toEqual({
+      role: 'tool',
+      tool_name: 'calculate',
+      content: JSON.stringify({ error: 'La herramienta "calculate" no está habilitada para esta solicitud.' })
+    })
+    expect(result.toolCalls).toEqual([expect.objectContaining({ name: 'calculate', error: expect.any(String) })])
+    expect(result.toolCalls[0].result).toBeUndefined()
+  })
+
+  it('should stop declaring tools after the iteration limit', async () => {
+    setProvider(createMockProvider({
+      reply: ({ tools }) => tools
+        ? { tool_calls: [{ function: { name: 'get_current_time', arguments: {} } }] }
+        : 'Done'
+    }))
+
+    const result = await chatOllama(mockPrompt, mockRequestId, { tools: ['get_current_time'] })
+
+    expect(result.message.content).toBe('Done')
+    expect(result.toolCalls).toHaveLength(5)
+  })
+})
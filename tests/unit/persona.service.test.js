@@ -0,0 +1,120 @@
+// tests/unit/persona.service.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import Persona from '../../src/models/persona.model.js'
+import {
+  createPersona,
+  getPersona,
+  updatePersona,
+  deletePersona,
+  applyPersona
+} from '../../src/service/persona.service.js'
+import { DEFAULT_MODEL } from '../../src/config/env.js'
+
+// Mock the Persona model and logger
+vi.mock('../../src/models/persona.model.js', () => ({
+  default: {
+    create: vi.fn(),
+    findOne: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    findOneAndDelete: vi.fn()
+  }
+}))
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+// Mock env: models clients may select
+vi.mock('../../src/config/env.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  ALLOWED_MODELS: ['qwen3:0.6b', 'llama3.2:1b']
+}))
+
+// Query results as returned by Mongoose, resolved by lean()
+const query = (value) => ({ lean: vi.fn().mockResolvedValue(value) })
+
+describe('Persona Service', () => {
+  const persona = {
+    name: 'soporte',
+    systemPrompt: 'Eres el asistente de soporte de ACME.',
+    model: 'llama3.2:1b',
+    options: { temperature: 0.2, num_predict: 256 },
+    tools: ['clock', 'calculator'],
+    version: 3
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should create personas at version 1 and reject duplicate names', async () => {
+    Persona.create.mockResolvedValueOnce({ name: 'soporte', toObject: () => ({ name: 'soporte', version: 1 }) })
+
+    await expect(createPersona({ name: 'soporte', systemPrompt: 'Hola', version: 7 })).resolves.toEqual({ name: 'soporte', version: 1 })
+    expect(Persona.create).toHaveBeenCalledWith({ name: 'soporte', systemPrompt: 'Hola', version: 1 })
+
+    Persona.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+    await expect(createPersona({ name: 'soporte', systemPrompt: 'Hola' })).rejects.toMatchObject({ statusCode: 409 })
+  })
+
+  it('should throw a 404 CustomError for an unknown persona', async () => {
+    Persona.findOne.mockReturnValue(query(null))
+    Persona.findOneAndUpdate.mockReturnValue(query(null))
+    Persona.findOneAndDelete.mockResolvedValue(null)
+
+    await expect(getPersona('nadie')).rejects.toMatchObject({ statusCode: 404 })
+    await expect(updatePersona('nadie', { systemPrompt: 'Hola' })).rejects.toMatchObject({ statusCode: 404 })
+    await expect(deletePersona('nadie')).rejects.toMatchObject({ statusCode: 404 })
+  })
+
+  it('should bump the version on update and remove fields set to null', async () => {
+    Persona.findOneAndUpdate.mockReturnValue(query({ ...persona, version: 4 }))
+
+    const updated = await updatePersona('soporte', { systemPrompt: 'Sé breve.', model: null })
+
+    expect(updated.version).toBe(4)
+    expect(Persona.findOneAndUpdate).toHaveBeenCalledWith(
+      { name: 'soporte' },
+      { $set: { systemPrompt: 'Sé breve.' }, $unset: { model: 1 }, $inc: { version: 1 } },
+      { new: true }
+    )
+  })
+
+  describe('applyPersona', () => {
+    it('should keep the request as is without a persona', () => {
+      expect(applyPersona(null, {})).toEqual({ model: DEFAULT_MODEL, options: undefined, tools: [] })
+      expect(applyPersona(null, { model: 'llama3.2:1b', tools: ['clock'] })).toEqual({ model: 'llama3.2:1b', options: undefined, tools: ['clock'] })
+    })
+
+    it('should apply the persona defaults to what the request leaves unset', () => {
+      expect(applyPersona(persona, { options: { temperature: 0.9 } })).toEqual({
+        system: persona.systemPrompt,
+        model: 'llama3.2:1b',
+        options: { temperature: 0.9, num_predict: 256 },
+        tools: ['clock', 'calculator']
+      })
+      expect(applyPersona(persona, { model: 'qwen3:0.6b', tools: ['clock'] })).toMatchObject({ model: 'qwen3:0.6b', tools: ['clock'] })
+      expect(applyPersona({ name: 'breve', systemPrompt: 'Sé breve.' }, {})).toEqual({
+        system: 'Sé breve.',
+        model: DEFAULT_MODEL,
+        options: undefined,
+        tools: []
+      })
+    })
+
+    it('should reject personas whose model is no longer allowed', () => {
+      const retired = { ...persona, model: 'mistral:7b' }
+
+      expect(() => applyPersona(retired, {})).toThrowError(expect.objectContaining({ statusCode: 400, message: expect.stringMatching(/mistral:7b/) }))
+      expect(applyPersona(retired, { model: 'qwen3:0.6b' })).toMatchObject({ model: 'qwen3:0.6b' })
+    })
+
+    it('should reject tools the persona does not allow', () => {
+      expect(() => applyPersona(persona, { tools: ['clock', 'web'] })).toThrow(/web/)
+      expect(() => applyPersona({ ...persona, tools: [] }, { tools: ['clock'] })).toThrowError(expect.objectContaining({ statusCode: 400 }))
+    })
+  })
+})
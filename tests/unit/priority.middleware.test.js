@@ -0,0 +1,55 @@
+// tests/unit/priority.middleware.test.js
+import { describe, it, expect, vi } from 'vitest'
+import priorityMiddleware, { resolvePriority } from '../../src/middleware/priority.js'
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn()
+  }
+}))
+
+// Configure the API key tiers
+vi.mock('../../src/config/env.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  PRIORITY_API_KEYS: { 'k-premium': 'high', 'k-free': 'low', 'k-typo': 'urgent' }
+}))
+
+describe('Priority Middleware', () => {
+  describe('resolvePriority', () => {
+    it('should derive the lane from the tier of a known API key', () => {
+      expect(resolvePriority({ apiKey: 'k-premium' })).toBe('high')
+      expect(resolvePriority({ apiKey: 'k-free' })).toBe('low')
+      expect(resolvePriority({ apiKey: 'k-typo' })).toBe('low')
+      expect(resolvePriority({ apiKey: 'k-unknown' })).toBe('low')
+      expect(resolvePriority({})).toBe('low')
+    })
+
+    it('should only honor requests for a lower lane', () => {
+      expect(resolvePriority({ apiKey: 'k-premium', requested: 'normal' })).toBe('normal')
+      expect(resolvePriority({ requested: 'high' })).toBe('low')
+      expect(resolvePriority({ apiKey: 'k-premium', requested: 'urgent' })).toBe('high')
+    })
+  })
+
+  it('should attach the lane to the request', () => {
+    const headers = { 'x-api-key': ' k-premium ', 'x-priority': ' NORMAL ' }
+    const req = { requestId: 'req-1', get: (name) => headers[name.toLowerCase()] }
+    const next = vi.fn()
+
+    priorityMiddleware(req, {}, next)
+
+    expect(req.priority).toBe('normal')
+    expect(next).toHaveBeenCalled()
+  })
+
+  it('should not raise the lane of callers that only send X-User-ID', () => {
+    const headers = { 'x-user-id': 'backoffice' }
+    const req = { userId: 'backoffice', requestId: 'req-1', get: (name) => headers[name.toLowerCase()] }
+
+    priorityMiddleware(req, {}, vi.fn())
+
+    expect(req.priority).toBe('low')
+  })
+})
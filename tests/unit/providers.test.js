@@ -0,0 +1,230 @@
+// tests/unit/providers.test.js
+import { describe, it, expect, vi } from 'vitest'
+import { createMockProvider } from '../../src/providers/mock.provider.js'
+import { createOpenAIProvider } from '../../src/providers/openai.provider.js'
+import { createOllamaProvider } from '../../src/providers/ollama.provider.js'
+
+const messages = [{ role: 'user', content: 'Hola mundo' }]
+
+// Builds a fetch Response streaming the given Server-Sent Events
+const sseResponse = (events) => new Response(
+  events.map((event) => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join(''),
+  { status: 200, headers: { 'Content-Type': 'text/event-stream' } }
+)
+
+describe('Mock provider', () => {
+  it('should echo the last user message deterministically', async () => {
+    const provider = createMockProvider()
+
+    const first = await provider.chat({ model: 'mock', messages })
+    const second = await provider.chat({ model: 'mock', messages })
+
+    expect(first).toEqual(second)
+    expect(first.message).toEqual({ role: 'assistant', content: 'Mock response to: Hola mundo' })
+    expect(first).toMatchObject({ done: true, prompt_eval_count: 2, eval_count: 5 })
+  })
+
+  it('should stream the scripted reply word by word and finish with a done chunk', async () => {
+    const provider = createMockProvider({ reply: () => 'uno dos tres' })
+
+    const chunks = []
+    for await (const chunk of await provider.stream({ model: 'mock', messages })) {
+      chunks.push(chunk)
+    }
+
+    expect(chunks.map((chunk) => chunk.message.content).join('')).toBe('uno dos tres')
+    expect(chunks).toHaveLength(4)
+    expect(chunks.at(-1)).toMatchObject({ done: true, eval_count: 3 })
+  })
+
+  it('should stop streaming once the signal aborts', async () => {
+    const provider = createMockProvider({ reply: () => 'uno dos tres' })
+    const controller = new AbortController()
+    const reason = new Error('timeout')
+
+    const chunks = []
+    const read = (async () => {
+      for await (const chunk of await provider.stream({ model: 'mock', messages }, { signal: controller.signal })) {
+        chunks.push(chunk)
+        controller.abort(reason)
+      }
+    })()
+
+    await expect(read).rejects.toBe(reason)
+    expect(chunks).toHaveLength(1)
+  })
+
+  it('should return normalized, deterministic embeddings', async () => {
+    const provider = createMockProvider()
+
+    const { embeddings } = await provider.embed({ model: 'mock', input: ['gato negro', 'gato negro', 'avión'] })
+
+    expect(embeddings[0]).toEqual(embeddings[1])
+    expect(embeddings[0]).not.toEqual(embeddings[2])
+    expect(Math.hypot(...embeddings[0])).toBeCloseTo(1)
+  })
+})
+
+describe('OpenAI-compatible provider', () => {
+  it('should translate the request and the response', async () => {
+    const fetch = vi.fn().mockResolvedValue(Response.json({
+      model: 'gpt-test',
+      created: 1700000000,
+      choices: [{ message: { role: 'assistant', content: 'Hola' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 3, completion_tokens: 1 }
+    }))
+    const provider = createOpenAIProvider({ baseUrl: 'http://llm/v1/', apiKey: 'secret', fetch })
+
+    const res = await provider.chat({
+      model: 'gpt-test',
+      messages,
+      options: { temperature: 0.2, num_predict: 64, num_ctx: 4096 },
+      format: 'json'
+    })
+
+    const [url, init] = fetch.mock.calls[0]
+    expect(url).toBe('http://llm/v1/chat/completions')
+    expect(init.headers.Authorization).toBe('Bearer secret')
+    expect(JSON.parse(init.body)).toEqual({
+      model: 'gpt-test',
+      messages,
+      stream: false,
+      temperature: 0.2,
+      max_tokens: 64,
+      response_format: { type: 'json_object' }
+    })
+    expect(res).toMatchObject({
+      model: 'gpt-test',
+      message: { role: 'assistant', content: 'Hola' },
+      done: true,
+      done_reason: 'stop',
+      prompt_eval_count: 3,
+      eval_count: 1
+    })
+  })
+
+  it('should relay streamed deltas and report usage in the final chunk', async () => {
+    const fetch = vi.fn().mockResolvedValue(sseResponse([
+      { model: 'gpt-test', choices: [{ delta: { content: 'Ho' } }] },
+      { model: 'gpt-test', choices: [{ delta: { content: 'la' }, finish_reason: 'stop' }] },
+      { model: 'gpt-test', choices: [], usage: { prompt_tokens: 3, completion_tokens: 2 } },
+      '[DONE]'
+    ]))
+    const provider = createOpenAIProvider({ baseUrl: 'http://llm/v1', fetch })
+
+    const chunks = []
+    for await (const chunk of await provider.stream({ model: 'gpt-test', messages })) {
+      chunks.push(chunk)
+    }
+
+    expect(chunks.map((chunk) => chunk.message.content)).toEqual(['Ho', 'la', ''])
+    expect(chunks.at(-1)).toMatchObject({ done: true, done_reason: 'stop', eval_count: 2 })
+  })
+
+  it('should translate tool calls and link tool results to their call', async () => {
+    const fetch = vi.fn().mockResolvedValue(Response.json({
+      model: 'gpt-test',
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{ id: 'call_9', type: 'function', function: { name: 'calculate', arguments: '{"expression":"1+1"}' } }]
+        },
+        finish_reason: 'tool_calls'
+      }]
+    }))
+    const provider = createOpenAIProvider({ baseUrl: 'http://llm/v1', fetch })
+    const tools = [{ type: 'function', function: { name: 'calculate', parameters: { type: 'object' } } }]
+
+    const res = await provider.chat({
+      model: 'gpt-test',
+      messages: [
+        ...messages,
+        { role: 'assistant', content: '', tool_calls: [{ function: { name: 'calculate', arguments: { expression: '2+2' } } }] },
+        { role: 'tool', tool_name: 'calculate', content: '{"result":4}' }
+      ],
+      tools
+    })
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body)
+    expect(body.tools).toEqual(tools)
+    expect(body.messages.slice(1)).toEqual([
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1_0', type: 'function', function: { name: 'calculate', arguments: '{"expression":"2+2"}' } }]
+      },
+      { role: 'tool', content: '{"result":4}', tool_call_id: 'call_1_0' }
+    ])
+    expect(res.message.tool_calls).toEqual([
+      { id: 'call_9', function: { name: 'calculate', arguments: { expression: '1+1' } } }
+    ])
+  })
+
+  it('should send images as data URL content parts', async () => {
+    const fetch = vi.fn().mockResolvedValue(Response.json({
+      model: 'gpt-test',
+      choices: [{ message: { role: 'assistant', content: 'Un gato' }, finish_reason: 'stop' }]
+    }))
+    const provider = createOpenAIProvider({ baseUrl: 'http://llm/v1', fetch })
+
+    await provider.chat({ model: 'gpt-test', messages: [{ role: 'user', content: '¿Qué ves?', images: ['iVBORw0KGgoAAAA', '/9j/4AAQ'] }] })
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).messages).toEqual([{
+      role: 'user',
+      content: [
+        { type: 'text', text: '¿Qué ves?' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgoAAAA' } },
+        { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,/9j/4AAQ' } }
+      ]
+    }])
+  })
+
+  it('should throw a ResponseError with the upstream status code', async () => {
+    const fetch = vi.fn().mockResolvedValue(Response.json(
+      { error: { message: 'model not found' } },
+      { status: 404 }
+    ))
+    const provider = createOpenAIProvider({ baseUrl: 'http://llm/v1', fetch })
+
+    await expect(provider.chat({ model: 'missing', messages })).rejects.toMatchObject({
+      name: 'ResponseError',
+      status_code: 404,
+      message: 'model not found'
+    })
+  })
+})
+
+describe('Ollama provider', () => {
+  it('should forward chat requests and normalize the model list', async () => {
+    const client = {
+      chat: vi.fn().mockResolvedValue({ message: { role: 'assistant', content: 'Hola' } }),
+      list: vi.fn().mockResolvedValue({
+        models: [{ name: 'qwen3:0.6b', size: 100, details: { family: 'qwen3', parameter_size: '751.63M', quantization_level: 'Q4_K_M' } }]
+      })
+    }
+    const provider = createOllamaProvider({ client })
+
+    await provider.chat({ model: 'qwen3:0.6b', messages })
+
+    expect(client.chat).toHaveBeenCalledWith({ model: 'qwen3:0.6b', messages, stream: false })
+    expect(await provider.listModels()).toEqual([
+      { name: 'qwen3:0.6b', size: 100, family: 'qwen3', parameterSize: '751.63M', quantizationLevel: 'Q4_K_M' }
+    ])
+  })
+
+  it('should send chat requests with the abort signal of the call', async () => {
+    const fetch = vi.fn().mockResolvedValue(new Response(JSON.stringify({
+      model: 'qwen3:0.6b', message: { role: 'assistant', content: 'Hola' }, done: true
+    }), { headers: { 'Content-Type': 'application/json' } }))
+    const provider = createOllamaProvider({ host: 'http://ollama:11434', fetch })
+    const controller = new AbortController()
+
+    const res = await provider.chat({ model: 'qwen3:0.6b', messages }, { signal: controller.signal })
+
+    expect(res.message.content).toBe('Hola')
+    const [url, init] = fetch.mock.calls[0]
+    expect(url).toBe('http://ollama:11434/api/chat')
+    expect(init.signal).toBe(controller.signal)
+  })
+})
@@ -0,0 +1,228 @@
+// tests/unit/queue.service.test.js
+import { describe, it, expect, vi } from 'vitest'
+import { createModelQueue } from '../../src/service/queue.service.js'
+import { QueueFullError } from '../../src/errors.js'
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+// A task that finishes when the test says so
+const deferred = () => {
+  let resolve
+  const promise = new Promise((_resolve) => { resolve = _resolve })
+  return { promise, resolve }
+}
+
+describe('Model Queue', () => {
+  it('should run at most `concurrency` tasks at once, in arrival order', async () => {
+    const queue = createModelQueue({ concurrency: 2, maxQueued: 5 })
+    const tasks = [deferred(), deferred(), deferred()]
+    const started = []
+
+    const runs = tasks.map((task, index) => queue.run(() => {
+      started.push(index)
+      return task.promise
+    }))
+    await Promise.resolve()
+
+    expect(started).toEqual([0, 1])
+    expect(queue.stats()).toMatchObject({ active: 2, waiting: 1, queued: 1 })
+
+    tasks[1].resolve('b')
+    await expect(runs[1]).resolves.toBe('b')
+    expect(started).toEqual([0, 1, 2])
+
+    tasks[0].resolve('a')
+    tasks[2].resolve('c')
+    await Promise.all(runs)
+    expect(queue.stats()).toMatchObject({ active: 0, waiting: 0, started: 3 })
+  })
+
+  it('should reject calls once the wait queue is full', async () => {
+    let now = 0
+    const queue = createModelQueue({ concurrency: 1, maxQueued: 1, now: () => now })
+    const task = deferred()
+
+    // The first call measures the average call duration: 3 seconds
+    await queue.run(async () => { now += 3000 })
+
+    queue.run(() => task.promise)
+    const waiting = queue.run(async () => 'queued')
+    const rejected = queue.run(async () => 'rejected')
+
+    await expect(rejected).rejects.toBeInstanceOf(QueueFullError)
+    await expect(rejected).rejects.toMatchObject({ statusCode: 503, retryAfter: 6 })
+    expect(queue.stats().rejected).toBe(1)
+
+    now += 1500
+    task.resolve()
+    await expect(waiting).resolves.toBe('queued')
+    expect(queue.stats().wait).toEqual({ samples: 1, averageMs: 1500, p95Ms: 1500, maxMs: 1500 })
+  })
+
+  it('should free the slot when the task fails', async () => {
+    const queue = createModelQueue({ concurrency: 1, maxQueued: 0 })
+
+    await expect(queue.run(async () => { throw new Error('ECONNREFUSED') })).rejects.toThrow('ECONNREFUSED')
+    await expect(queue.run(async () => 'ok')).resolves.toBe('ok')
+  })
+
+  it('should ignore repeated releases of the same slot', async () => {
+    const queue = createModelQueue({ concurrency: 1, maxQueued: 1 })
+
+    const release = await queue.acquire()
+    release()
+    release()
+
+    expect(queue.stats().active).toBe(0)
+    const next = await queue.acquire()
+    expect(queue.stats().active).toBe(1)
+    next()
+  })
+  describe('hold', () => {
+    it('should free the slot while the call pauses and queue it again afterwards', async () => {
+      const queue = createModelQueue({ concurrency: 1, maxQueued: 5 })
+      const backoff = deferred()
+      const other = deferred()
+
+      const slot = await queue.hold('req-1')
+      const paused = slot.pause(() => backoff.promise)
+      const run = queue.run(() => other.promise, 'req-2')
+      await Promise.resolve()
+
+      // The other call runs during the backoff, and the paused one waits for it
+      expect(queue.stats()).toMatchObject({ active: 1, started: 2 })
+      backoff.resolve()
+      await Promise.resolve()
+      expect(queue.stats()).toMatchObject({ active: 1, waiting: 1 })
+
+      other.resolve('ok')
+      await expect(run).resolves.toBe('ok')
+      await paused
+      expect(queue.stats()).toMatchObject({ active: 1, waiting: 0, started: 3 })
+
+      slot.release()
+      expect(queue.stats().active).toBe(0)
+    })
+
+    it('should not hold the slot when the pause is aborted', async () => {
+      const queue = createModelQueue({ concurrency: 1, maxQueued: 5 })
+      const reason = new Error('timeout')
+
+      const slot = await queue.hold('req-1')
+      await expect(slot.pause(() => Promise.reject(reason))).rejects.toBe(reason)
+      slot.release()
+
+      expect(queue.stats().active).toBe(0)
+    })
+  })
+
+  describe('cancellation', () => {
+    it('should drop calls aborted while waiting and keep serving the others', async () => {
+      const queue = createModelQueue({ concurrency: 1, maxQueued: 5 })
+      const blocker = deferred()
+      const controller = new AbortController()
+      const reason = new Error('timeout')
+
+      const running = queue.run(() => blocker.promise)
+      const cancelled = queue.run(async () => 'cancelled', 'req-1', 'low', controller.signal)
+      const waiting = queue.run(async () => 'served', 'req-2', 'low')
+
+      controller.abort(reason)
+      await expect(cancelled).rejects.toBe(reason)
+      expect(queue.stats()).toMatchObject({ waiting: 1, cancelled: 1, lanes: { low: { cancelled: 1 } } })
+
+      blocker.resolve()
+      await running
+      await expect(waiting).resolves.toBe('served')
+      expect(queue.stats()).toMatchObject({ active: 0, waiting: 0 })
+    })
+
+    it('should not queue calls whose signal already aborted', async () => {
+      const queue = createModelQueue({ concurrency: 1, maxQueued: 5 })
+      const reason = new Error('gone')
+
+      await expect(queue.run(async () => 'never', 'req-1', 'normal', AbortSignal.abort(reason))).rejects.toBe(reason)
+      expect(queue.stats()).toMatchObject({ active: 0, started: 0 })
+    })
+
+    it('should report the abort reason instead of the error of the aborted task', async () => {
+      const queue = createModelQueue({ concurrency: 1, maxQueued: 5 })
+      const controller = new AbortController()
+      const reason = new Error('timeout')
+
+      const started = deferred()
+
+      const run = queue.run(() => new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(new Error('This operation was aborted')))
+        started.resolve()
+      }), 'req-1', 'normal', controller.signal)
+      await started.promise
+      controller.abort(reason)
+
+      await expect(run).rejects.toBe(reason)
+      expect(queue.stats().active).toBe(0)
+    })
+  })
+
+  describe('priority lanes', () => {
+    // Occupy the only slot, queue calls in order, then free the slot
+    const drain = async (queue, calls) => {
+      const blocker = deferred()
+      const order = []
+      const running = queue.run(() => blocker.promise)
+      const runs = calls.map(([name, priority]) => queue.run(async () => { order.push(name) }, name, priority))
+      blocker.resolve()
+      await Promise.all([running, ...runs])
+      return order
+    }
+
+    it('should serve higher lanes first and each lane in arrival order', async () => {
+      const queue = createModelQueue({ concurrency: 1, maxQueued: 10 })
+
+      const order = await drain(queue, [['anon-1', 'low'], ['user-1', 'normal'], ['staff', 'high'], ['user-2', 'normal'], ['anon-2', 'low']])
+
+      expect(order).toEqual(['staff', 'user-1', 'user-2', 'anon-1', 'anon-2'])
+      expect(queue.stats().lanes.low).toMatchObject({ started: 2, queued: 2, waiting: 0 })
+    })
+
+    it('should serve calls that waited too long before higher lanes', async () => {
+      let now = 0
+      const queue = createModelQueue({ concurrency: 1, maxQueued: 10, agingMs: 1000, now: () => now })
+      const blocker = deferred()
+      const order = []
+      const track = (name, priority) => queue.run(async () => {
+        order.push(name)
+        now += 600
+      }, name, priority)
+
+      const running = queue.run(() => blocker.promise)
+      const runs = [track('anon', 'low')]
+      now = 500
+      runs.push(track('staff-1', 'high'), track('staff-2', 'high'), track('staff-3', 'high'))
+      now = 900
+      blocker.resolve()
+      await Promise.all([running, ...runs])
+
+      // staff-1 starts at 900; when it ends at 1500 the low call has waited 1500ms
+      expect(order).toEqual(['staff-1', 'anon', 'staff-2', 'staff-3'])
+      expect(queue.stats().lanes.low).toMatchObject({ aged: 1, wait: { maxMs: 1500 } })
+      expect(queue.stats().lanes.high.wait).toMatchObject({ samples: 3, maxMs: 2200 })
+    })
+
+    it('should treat unknown lanes as normal', async () => {
+      const queue = createModelQueue({ concurrency: 1, maxQueued: 10 })
+
+      const order = await drain(queue, [['anon', 'low'], ['other', 'urgent']])
+
+      expect(order).toEqual(['other', 'anon'])
+      expect(queue.stats().lanes.normal.queued).toBe(1)
+    })
+  })
+})
@@ -0,0 +1,72 @@
+// tests/unit/rabbitMQ.middleware.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { EventEmitter } from 'node:events'
+import amqp from 'amqplib'
+import { initRabbitMQ, connectRabbitMQ } from '../../src/middleware/rabbitMQ.js'
+import { assertJobQueues } from '../../src/service/job.service.js'
+
+// Mock the broker client and the job queues
+vi.mock('amqplib', () => ({
+  default: { connect: vi.fn() }
+}))
+vi.mock('../../src/service/job.service.js', () => ({
+  assertJobQueues: vi.fn()
+}))
+
+// A connection as returned by amqplib, with a single channel
+const createConnection = () => {
+  const channel = { assertQueue: vi.fn() }
+  return Object.assign(new EventEmitter(), {
+    channel,
+    createChannel: vi.fn().mockResolvedValue(channel),
+    close: vi.fn().mockResolvedValue()
+  })
+}
+
+describe('RabbitMQ Middleware', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  it('should open a single connection for requests arriving while it is being opened', async () => {
+    const connection = createConnection()
+    amqp.connect.mockResolvedValue(connection)
+    const requests = [{}, {}]
+    const next = vi.fn()
+
+    await Promise.all(requests.map((req) => initRabbitMQ(req, {}, next)))
+
+    expect(amqp.connect).toHaveBeenCalledTimes(1)
+    expect(connection.createChannel).toHaveBeenCalledTimes(1)
+    expect(connection.channel.assertQueue).toHaveBeenCalledWith('auditoria')
+    expect(assertJobQueues).toHaveBeenCalledWith(connection.channel)
+    expect(requests.map(({ rabbitChannel }) => rabbitChannel)).toEqual([connection.channel, connection.channel])
+    expect(next).toHaveBeenCalledTimes(2)
+
+    // Once the connection closes, the next caller opens a new one
+    const reopened = createConnection()
+    amqp.connect.mockResolvedValue(reopened)
+    connection.emit('close')
+    await expect(connectRabbitMQ()).resolves.toEqual({ connection: reopened, channel: reopened.channel })
+    expect(amqp.connect).toHaveBeenCalledTimes(2)
+    reopened.emit('close')
+  })
+
+  it('should answer 500 and connect again on the next request after a failure', async () => {
+    const connection = createConnection()
+    amqp.connect.mockRejectedValueOnce(new Error('ECONNREFUSED')).mockResolvedValueOnce(connection)
+    const res = { status: vi.fn().mockReturnThis(), json: vi.fn() }
+    const next = vi.fn()
+
+    await initRabbitMQ({}, res, next)
+
+    expect(res.status).toHaveBeenCalledWith(500)
+    expect(next).not.toHaveBeenCalled()
+
+    await expect(connectRabbitMQ()).resolves.toEqual({ connection, channel: connection.channel })
+    expect(amqp.connect).toHaveBeenCalledTimes(2)
+    connection.emit('close')
+  })
+})
@@ -0,0 +1,50 @@
+// tests/unit/reasoning.service.test.js
+import { describe, it, expect } from 'vitest'
+import { splitReasoning, createReasoningSplitter } from '../../src/service/reasoning.service.js'
+
+// Feeds the pieces to a fresh splitter and joins what it releases
+const splitStream = (pieces) => {
+  const splitter = createReasoningSplitter()
+  const parts = [...pieces.map((piece) => splitter.push(piece)), splitter.flush()]
+  return {
+    reasoning: parts.map((part) => part.reasoning).join(''),
+    content: parts.map((part) => part.content).join('')
+  }
+}
+
+describe('Reasoning service', () => {
+  it('should split a leading think block from the answer', () => {
+    expect(splitReasoning('<think>\nThe user greets me.\n</think>\n\n¡Hola!')).toEqual({
+      reasoning: 'The user greets me.',
+      content: '¡Hola!'
+    })
+  })
+
+  it('should leave answers without reasoning untouched', () => {
+    expect(splitReasoning('¡Hola!')).toEqual({ reasoning: '', content: '¡Hola!' })
+    expect(splitReasoning('<think>\n\n</think>\n\n¡Hola!')).toEqual({ reasoning: '', content: '¡Hola!' })
+  })
+
+  it('should only recognize the tag at the start of the answer', () => {
+    const text = 'Usa la etiqueta <think> para razonar.'
+
+    expect(splitReasoning(text)).toEqual({ reasoning: '', content: text })
+  })
+
+  it('should treat an unclosed block as reasoning', () => {
+    expect(splitReasoning('<think>Pensando sin fin')).toEqual({ reasoning: 'Pensando sin fin', content: '' })
+  })
+
+  it('should handle tags split across chunk boundaries', () => {
+    const pieces = ['<', 'thi', 'nk>\nPrimero', ' saludo.</th', 'ink', '>\n\n', '¡Ho', 'la!']
+
+    expect(splitStream(pieces)).toEqual({ reasoning: 'Primero saludo.', content: '¡Hola!' })
+  })
+
+  it('should release plain text as soon as it cannot be a tag', () => {
+    const splitter = createReasoningSplitter()
+
+    expect(splitter.push('<t')).toEqual({ reasoning: '', content: '' })
+    expect(splitter.push('abla>')).toEqual({ reasoning: '', content: '<tabla>' })
+  })
+})
@@ -0,0 +1,176 @@
+// tests/unit/resilience.service.test.js
+import { describe, it, expect, vi } from 'vitest'
+import { isTransient, withRetry, createCircuitBreaker, callModel } from '../../src/service/resilience.service.js'
+import { CircuitOpenError } from '../../src/errors.js'
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+// Mock env: short backoffs
+vi.mock('../../src/config/env.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  MODEL_RETRIES: 2,
+  MODEL_RETRY_BASE_MS: 1,
+  MODEL_RETRY_MAX_MS: 4
+}))
+
+// Errors as thrown by fetch and by the provider clients
+const connectionError = (code) => new TypeError('fetch failed', { cause: { code } })
+const responseError = (status) => Object.assign(new Error(`status ${status}`), { name: 'ResponseError', status_code: status })
+
+describe('Model Resilience', () => {
+  describe('isTransient', () => {
+    it('should only flag failures that may succeed when sent again', () => {
+      expect(isTransient(connectionError('ECONNRESET'))).toBe(true)
+      expect(isTransient(connectionError('ECONNREFUSED'))).toBe(true)
+      expect(isTransient(responseError(503))).toBe(true)
+      expect(isTransient(responseError(429))).toBe(true)
+      expect(isTransient(responseError(400))).toBe(false)
+      expect(isTransient(responseError(404))).toBe(false)
+      expect(isTransient(new CircuitOpenError(5))).toBe(false)
+      expect(isTransient(new Error('model not found'))).toBe(false)
+    })
+  })
+
+  describe('withRetry', () => {
+    const policy = { retries: 2, baseDelayMs: 1, maxDelayMs: 4 }
+
+    it('should retry transient failures until an attempt succeeds', async () => {
+      const task = vi.fn()
+        .mockRejectedValueOnce(connectionError('ECONNRESET'))
+        .mockRejectedValueOnce(responseError(502))
+        .mockResolvedValueOnce('ok')
+
+      await expect(withRetry(task, policy)).resolves.toBe('ok')
+      expect(task).toHaveBeenCalledTimes(3)
+    })
+
+    it('should give up after the configured retries', async () => {
+      const error = responseError(503)
+      const task = vi.fn().mockRejectedValue(error)
+
+      await expect(withRetry(task, policy)).rejects.toBe(error)
+      expect(task).toHaveBeenCalledTimes(3)
+    })
+
+    it('should not retry other failures', async () => {
+      const task = vi.fn().mockRejectedValue(responseError(400))
+
+      await expect(withRetry(task, policy)).rejects.toMatchObject({ status_code: 400 })
+      expect(task).toHaveBeenCalledTimes(1)
+    })
+
+    it('should wait a random share of an exponentially growing backoff', async () => {
+      const task = vi.fn().mockRejectedValue(connectionError('ECONNRESET'))
+      const wait = vi.fn().mockResolvedValue()
+
+      await expect(withRetry(task, { retries: 3, baseDelayMs: 100, maxDelayMs: 300, random: () => 0.5, wait })).rejects.toThrow('fetch failed')
+
+      // 0.5 * 100, 0.5 * 200, 0.5 * min(300, 400)
+      expect(wait.mock.calls.map(([ms]) => ms)).toEqual([50, 100, 150])
+      expect(task).toHaveBeenCalledTimes(4)
+    })
+
+    it('should stop retrying once the request is aborted', async () => {
+      const controller = new AbortController()
+      const reason = new Error('timeout')
+      const task = vi.fn().mockRejectedValue(connectionError('ECONNRESET'))
+
+      const run = withRetry(task, { retries: 5, baseDelayMs: 10000, maxDelayMs: 10000, random: () => 1, signal: controller.signal })
+      await vi.waitFor(() => expect(task).toHaveBeenCalledTimes(1))
+      controller.abort(reason)
+
+      await expect(run).rejects.toBe(reason)
+      expect(task).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('createCircuitBreaker', () => {
+    const fail = () => Promise.reject(connectionError('ECONNREFUSED'))
+    const succeed = () => Promise.resolve('ok')
+
+    it('should open after consecutive transient failures and fail fast', async () => {
+      let now = 0
+      const breaker = createCircuitBreaker({ failureThreshold: 2, resetMs: 10000, now: () => now })
+      const task = vi.fn(fail)
+
+      await expect(breaker.run(task)).rejects.toThrow('fetch failed')
+      await expect(breaker.run(task)).rejects.toThrow('fetch failed')
+      expect(breaker.stats()).toMatchObject({ state: 'open', opened: 1, retryAfter: 10 })
+
+      now += 4000
+      await expect(breaker.run(task)).rejects.toBeInstanceOf(CircuitOpenError)
+      await expect(breaker.run(task)).rejects.toMatchObject({ statusCode: 503, retryAfter: 6 })
+      expect(task).toHaveBeenCalledTimes(2)
+      expect(breaker.stats().rejected).toBe(2)
+    })
+
+    it('should not count answers of a reachable server as failures', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 2, resetMs: 10000 })
+
+      await expect(breaker.run(fail)).rejects.toThrow()
+      await expect(breaker.run(() => Promise.reject(responseError(404)))).rejects.toThrow()
+      await expect(breaker.run(fail)).rejects.toThrow()
+
+      expect(breaker.stats()).toMatchObject({ state: 'closed', failures: 1 })
+    })
+
+    it('should not count aborted calls as failures', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetMs: 10000 })
+
+      await expect(breaker.run(fail, { signal: AbortSignal.abort() })).rejects.toThrow()
+
+      expect(breaker.stats()).toMatchObject({ state: 'closed', failures: 0 })
+    })
+
+    it('should close again after a successful half-open probe', async () => {
+      let now = 0
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetMs: 10000, now: () => now })
+      await expect(breaker.run(fail)).rejects.toThrow()
+
+      now += 10000
+      expect(breaker.stats().state).toBe('half-open')
+      let finishProbe
+      const probe = breaker.run(() => new Promise((resolve) => { finishProbe = resolve }))
+
+      // Only one probe at a time
+      await expect(breaker.run(succeed)).rejects.toBeInstanceOf(CircuitOpenError)
+
+      finishProbe('ok')
+      await expect(probe).resolves.toBe('ok')
+      expect(breaker.stats()).toMatchObject({ state: 'closed', failures: 0, probes: 1 })
+      await expect(breaker.run(succeed)).resolves.toBe('ok')
+    })
+
+    it('should open again when the probe fails', async () => {
+      let now = 0
+      const breaker = createCircuitBreaker({ failureThreshold: 3, resetMs: 10000, now: () => now })
+      for (let i = 0; i < 3; i++) await expect(breaker.run(fail)).rejects.toThrow()
+
+      now += 10000
+      await expect(breaker.run(fail)).rejects.toThrow('fetch failed')
+
+      expect(breaker.stats()).toMatchObject({ state: 'open', opened: 2, retryAfter: 10 })
+    })
+  })
+
+  describe('callModel', () => {
+    it('should free the slot of the call while it waits to retry', async () => {
+      const task = vi.fn()
+        .mockRejectedValueOnce(connectionError('ECONNRESET'))
+        .mockResolvedValue('ok')
+      const slot = { pause: vi.fn((wait) => wait()) }
+
+      await expect(callModel(task, { model: 'retry-slot-model', slot })).resolves.toBe('ok')
+
+      expect(task).toHaveBeenCalledTimes(2)
+      expect(slot.pause).toHaveBeenCalledTimes(1)
+    })
+  })
+})
@@ -0,0 +1,86 @@
+// tests/unit/structured.service.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// Mock the chat service and logger
+vi.mock('../../src/service/ollama.service.js', () => ({
+  default: vi.fn()
+}))
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+const { chatStructured, parseOutput } = await import('../../src/service/structured.service.js')
+const chatOllama = (await import('../../src/service/ollama.service.js')).default
+const { StructuredOutputError } = await import('../../src/errors.js')
+
+const schema = {
+  type: 'object',
+  properties: { city: { type: 'string' }, population: { type: 'integer' } },
+  required: ['city', 'population']
+}
+
+const answer = (content) => ({
+  model: 'qwen3:0.6b',
+  done: true,
+  message: { role: 'assistant', content },
+  usage: { calls: 1, promptTokens: 5, completionTokens: 2, totalTokens: 7 }
+})
+
+describe('Structured output service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should parse and validate an answer, ignoring a leading think block', () => {
+    expect(parseOutput('<think>hmm</think>\n{"city":"Madrid","population":3}', schema))
+      .toEqual({ valid: true, parsed: { city: 'Madrid', population: 3 } })
+    expect(parseOutput('{"city":"Madrid"}', schema))
+      .toEqual({ valid: false, errors: ["/: must have required property 'population'"] })
+    expect(parseOutput('no json').valid).toBe(false)
+  })
+
+  it('should forward the schema as format and return the parsed answer', async () => {
+    chatOllama.mockResolvedValue(answer('{"city":"Madrid","population":3}'))
+
+    const result = await chatStructured('Capital of Spain?', 'test-request-id', { format: schema, model: 'qwen3:0.6b' })
+
+    expect(chatOllama).toHaveBeenCalledWith('Capital of Spain?', 'test-request-id', {
+      model: 'qwen3:0.6b',
+      format: schema,
+      history: []
+    })
+    expect(result).toMatchObject({ parsed: { city: 'Madrid', population: 3 }, attempts: 1 })
+  })
+
+  it('should show the model its invalid answer and retry', async () => {
+    chatOllama
+      .mockResolvedValueOnce(answer('{"city":"Madrid","population":"muchos"}'))
+      .mockResolvedValueOnce(answer('{"city":"Madrid","population":3}'))
+
+    const result = await chatStructured('Capital of Spain?', 'test-request-id', { format: schema })
+
+    expect(result.attempts).toBe(2)
+    expect(result.usage).toMatchObject({ calls: 2, totalTokens: 14 })
+    const [prompt, , { history }] = chatOllama.mock.calls[1]
+    expect(history).toEqual([
+      { role: 'user', content: 'Capital of Spain?' },
+      { role: 'assistant', content: '{"city":"Madrid","population":"muchos"}' }
+    ])
+    expect(prompt).toContain('/population: must be integer')
+  })
+
+  it('should throw StructuredOutputError when no attempt is valid', async () => {
+    chatOllama.mockResolvedValue(answer('not json'))
+
+    const error = await chatStructured('Capital of Spain?', 'test-request-id', { format: 'json' }).catch((e) => e)
+
+    expect(error).toBeInstanceOf(StructuredOutputError)
+    expect(error.statusCode).toBe(502)
+    expect(error.raw).toBe('not json')
+    expect(chatOllama).toHaveBeenCalledTimes(3)
+  })
+})
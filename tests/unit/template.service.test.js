@@ -0,0 +1,131 @@
+// tests/unit/template.service.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { ZodError } from 'zod'
+
+import Template from '../../src/models/template.model.js'
+import {
+  toVariablesSchema,
+  renderTemplate,
+  createTemplate,
+  addTemplateVersion,
+  getTemplate,
+  deleteTemplate
+} from '../../src/service/template.service.js'
+
+// Mock the Template model and logger
+vi.mock('../../src/models/template.model.js', () => ({
+  default: {
+    create: vi.fn(),
+    findOne: vi.fn(),
+    deleteMany: vi.fn()
+  }
+}))
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+// Query results as returned by Mongoose, resolved by lean()
+const query = (value) => {
+  const chain = { sort: vi.fn(() => chain), lean: vi.fn().mockResolvedValue(value) }
+  return chain
+}
+const stored = (data) => ({ toObject: () => data })
+
+describe('Template Service', () => {
+  const template = {
+    name: 'resumen-ticket',
+    version: 2,
+    body: 'Resume en tono {{tone}} y en {{ words }} palabras:\n\n{{ticket}}{{note}}',
+    variables: {
+      ticket: { type: 'string', maxLength: 50 },
+      tone: { type: 'enum', values: ['formal', 'informal'], default: 'formal' },
+      words: { type: 'integer', min: 10, max: 300, default: 80 },
+      note: { type: 'string', optional: true }
+    }
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('toVariablesSchema', () => {
+    it('should validate values against the declared types and bounds', () => {
+      const schema = toVariablesSchema({
+        text: { type: 'string', minLength: 2 },
+        count: { type: 'integer', min: 1 },
+        ratio: { type: 'number', max: 1 },
+        flag: { type: 'boolean' },
+        tone: { type: 'enum', values: ['a', 'b'] }
+      })
+      const valid = { text: 'ok', count: 3, ratio: 0.5, flag: true, tone: 'b' }
+
+      expect(schema.parse(valid)).toEqual(valid)
+      expect(schema.safeParse({ ...valid, text: 'x' }).success).toBe(false)
+      expect(schema.safeParse({ ...valid, count: 1.5 }).success).toBe(false)
+      expect(schema.safeParse({ ...valid, ratio: 2 }).success).toBe(false)
+      expect(schema.safeParse({ ...valid, flag: 'yes' }).success).toBe(false)
+      expect(schema.safeParse({ ...valid, tone: 'c' }).success).toBe(false)
+      expect(schema.safeParse({ ...valid, extra: 1 }).success).toBe(false)
+    })
+
+    it('should report invalid values in Spanish, by variable', () => {
+      const result = toVariablesSchema({ count: { type: 'integer', max: 5 } }).safeParse({ count: 9 })
+
+      expect(result.error.issues[0]).toMatchObject({ path: ['count'], message: 'La variable "count" no puede ser mayor que 5.' })
+    })
+  })
+
+  describe('renderTemplate', () => {
+    it('should fill the placeholders, applying defaults and leaving optional variables empty', () => {
+      expect(renderTemplate(template, { ticket: 'No arranca.' }))
+        .toBe('Resume en tono formal y en 80 palabras:\n\nNo arranca.')
+      expect(renderTemplate(template, { ticket: 'No arranca.', tone: 'informal', words: 20, note: ' (urgente)' }))
+        .toBe('Resume en tono informal y en 20 palabras:\n\nNo arranca. (urgente)')
+    })
+
+    it('should reject missing and invalid values', () => {
+      expect(() => renderTemplate(template, {})).toThrow(ZodError)
+      expect(() => renderTemplate(template, { ticket: 'x'.repeat(51) })).toThrow(ZodError)
+    })
+  })
+
+  describe('storage', () => {
+    it('should create templates at version 1 and reject inconsistent ones', async () => {
+      Template.create.mockImplementation(async (data) => stored(data))
+      const data = { name: 'saludo', body: 'Saluda a {{nombre}}', variables: { nombre: { type: 'string' } } }
+
+      await expect(createTemplate(data)).resolves.toMatchObject({ name: 'saludo', version: 1 })
+      await expect(createTemplate({ ...data, variables: {} })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('nombre') })
+      await expect(createTemplate({ ...data, variables: { nombre: { type: 'integer', default: 'Ana' } } })).rejects.toMatchObject({ statusCode: 400 })
+      expect(Template.create).toHaveBeenCalledTimes(1)
+
+      Template.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+      await expect(createTemplate(data)).rejects.toMatchObject({ statusCode: 409 })
+    })
+
+    it('should number new versions after the latest one', async () => {
+      Template.findOne.mockReturnValue(query(template))
+      Template.create.mockImplementation(async (data) => stored(data))
+
+      const version = await addTemplateVersion('resumen-ticket', { body: 'Resume: {{ticket}}', variables: { ticket: { type: 'string' } } })
+
+      expect(version).toMatchObject({ name: 'resumen-ticket', version: 3 })
+      expect(Template.findOne).toHaveBeenCalledWith({ name: 'resumen-ticket' })
+    })
+
+    it('should fetch pinned versions and report unknown templates', async () => {
+      Template.findOne.mockReturnValue(query(null))
+
+      await expect(getTemplate('resumen-ticket', 7)).rejects.toMatchObject({ statusCode: 404, message: 'Versión de plantilla no encontrada' })
+      expect(Template.findOne).toHaveBeenCalledWith({ name: 'resumen-ticket', version: 7 })
+
+      await expect(addTemplateVersion('nada', { body: 'Hola', variables: {} })).rejects.toMatchObject({ statusCode: 404 })
+
+      Template.deleteMany.mockResolvedValue({ deletedCount: 0 })
+      await expect(deleteTemplate('nada')).rejects.toMatchObject({ statusCode: 404 })
+    })
+  })
+})
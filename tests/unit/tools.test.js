@@ -0,0 +1,108 @@
+// tests/unit/tools.test.js
+import { describe, it, expect, vi } from 'vitest'
+import { evaluate } from '../../src/tools/calculator.tool.js'
+import { toToolDefinitions, hasTool } from '../../src/tools/index.js'
+import { runToolCall } from '../../src/service/tool.service.js'
+
+// Mock logger
+vi.mock('../../src/logger.js', () => ({
+  default: {
+    info: vi.fn()
+  }
+}))
+
+describe('Tools', () => {
+  describe('calculator', () => {
+    it('should respect operator precedence, parentheses and powers', () => {
+      expect(evaluate('2 + 3 * 4')).toBe(14)
+      expect(evaluate('(2 + 3) * 4')).toBe(20)
+      expect(evaluate('2 ^ 3 ^ 2')).toBe(512)
+      expect(evaluate('-3 + 10 % 4')).toBe(-1)
+      expect(evaluate('.5 * 3')).toBe(1.5)
+    })
+
+    it('should reject anything that is not arithmetic', () => {
+      expect(() => evaluate('process.exit()')).toThrow('Carácter no permitido')
+      expect(() => evaluate('(1 + 2')).toThrow('paréntesis')
+      expect(() => evaluate('1 / 0')).toThrow('finito')
+    })
+  })
+
+  describe('registry', () => {
+    it('should declare registered tools with their JSON Schema', () => {
+      expect(hasTool('calculate')).toBe(true)
+      expect(hasTool('rm_rf')).toBe(false)
+
+      expect(toToolDefinitions(['calculate'])).toEqual([{
+        type: 'function',
+        function: {
+          name: 'calculate',
+          description: expect.any(String),
+          parameters: expect.objectContaining({
+            type: 'object',
+            required: ['expression']
+          })
+        }
+      }])
+    })
+
+    it('should skip tools that are no longer registered', () => {
+      expect(toToolDefinitions(['retired_tool', 'calculate']).map(({ function: { name } }) => name)).toEqual(['calculate'])
+    })
+  })
+
+  describe('runToolCall', () => {
+    it('should run the tool and return its result as a tool message', async () => {
+      const { message, invocation } = await runToolCall(
+        { function: { name: 'calculate', arguments: { expression: '6 * 7' } } },
+        'test-request-id',
+        ['calculate']
+      )
+
+      expect(message).toEqual({
+        role: 'tool',
+        tool_name: 'calculate',
+        content: '{"expression":"6 * 7","result":42}'
+      })
+      expect(invocation).toMatchObject({
+        name: 'calculate',
+        arguments: { expression: '6 * 7' },
+        result: { result: 42 },
+        duration: expect.any(Number)
+      })
+    })
+
+    it('should report invalid arguments to the model instead of throwing', async () => {
+      const { message, invocation } = await runToolCall(
+        { function: { name: 'calculate', arguments: { expression: 42 } } },
+        'test-request-id',
+        ['calculate']
+      )
+
+      expect(invocation.error).toContain('Argumentos no válidos')
+      expect(JSON.parse(message.content)).toEqual({ error: invocation.error })
+    })
+
+    it('should report unknown tools to the model', async () => {
+      const { invocation } = await runToolCall(
+        { function: { name: 'rm_rf', arguments: {} } },
+        'test-request-id',
+        ['calculate']
+      )
+
+      expect(invocation.error).toBe('La herramienta "rm_rf" no existe.')
+    })
+
+    it('should refuse registered tools that were not enabled for the request', async () => {
+      const { message, invocation } = await runToolCall(
+        { function: { name: 'calculate', arguments: { expression: '6 * 7' } } },
+        'test-request-id',
+        ['get_current_time']
+      )
+
+      expect(invocation.error).toBe('La herramienta "calculate" no está habilitada para esta solicitud.')
+      expect(invocation.result).toBeUndefined()
+      expect(JSON.parse(message.content)).toEqual({ error: invocation.error })
+    })
+  })
+})
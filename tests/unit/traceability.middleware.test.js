@@ -6,7 +6,8 @@ let traceabilityMiddleware
 // Mock logger and crypto before importing the middleware
 vi.mock('../../src/logger.js', () => ({
   default: {
-    info: vi.fn()
+    info: vi.fn(),
+    warn: vi.fn()
   }
 }))
 
@@ -35,8 +36,8 @@ describe('Traceability Middleware', () => {
       method: 'POST',
       url: '/test',
       ip: '127.0.0.1',
-      get: vi.fn().mockReturnValue('TestAgent'),
-      headers: {},
+      get: vi.fn((name) => mockRequest.headers[name.toLowerCase()]),
+      headers: { 'user-agent': 'TestAgent' },
       connection: { remoteAddress: '127.0.0.1' }
     }
     mockResponse = {
@@ -102,4 +103,25 @@ describe('Traceability Middleware', () => {
       statusMessage: 'OK'
     })
   })
-})
\ No newline at end of file
+
+  it('should attach a well-formed X-User-ID header as req.userId', () => {
+    mockRequest.headers['x-user-id'] = ' ana@example.com '
+
+    traceabilityMiddleware(mockRequest, mockResponse, mockNext)
+
+    expect(mockRequest.userId).toBe('ana@example.com')
+    expect(mockLogger.info).toHaveBeenCalledWith('Incoming request', expect.objectContaining({
+      userId: 'ana@example.com'
+    }))
+  })
+
+  it('should ignore a malformed X-User-ID header', () => {
+    mockRequest.headers['x-user-id'] = 'ana; DROP TABLE users'
+
+    traceabilityMiddleware(mockRequest, mockResponse, mockNext)
+
+    expect(mockRequest.userId).toBeUndefined()
+    expect(mockLogger.warn).toHaveBeenCalledWith('Ignoring malformed X-User-ID header', expect.any(Object))
+    expect(mockNext).toHaveBeenCalled()
+  })
+})
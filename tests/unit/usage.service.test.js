@@ -0,0 +1,85 @@
+// tests/unit/usage.service.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import Audit from '../../src/models/audit.model.js'
+import { toUsage, addUsage, summarizeUsage } from '../../src/service/usage.service.js'
+
+// Mock the Audit model
+vi.mock('../../src/models/audit.model.js', () => ({
+  default: {
+    aggregate: vi.fn()
+  }
+}))
+
+const call = (promptTokens, completionTokens) => toUsage({
+  prompt_eval_count: promptTokens,
+  eval_count: completionTokens,
+  total_duration: 1000
+})
+
+describe('Usage Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should extract the usage of a model call', () => {
+    expect(toUsage({ prompt_eval_count: 12, eval_count: 30, total_duration: 5e8, eval_duration: 4e8 })).toEqual({
+      calls: 1,
+      promptTokens: 12,
+      completionTokens: 30,
+      totalTokens: 42,
+      totalDuration: 5e8,
+      loadDuration: 0,
+      promptEvalDuration: 0,
+      evalDuration: 4e8
+    })
+  })
+
+  it('should add up the usage of several calls, skipping missing ones', () => {
+    expect(addUsage(undefined, call(10, 5), call(3, 2))).toMatchObject({
+      calls: 2,
+      promptTokens: 13,
+      completionTokens: 7,
+      totalTokens: 20,
+      totalDuration: 2000
+    })
+  })
+
+  it('should aggregate the recorded usage by the requested keys', async () => {
+    Audit.aggregate.mockResolvedValue([
+      { _id: { day: '2025-06-01', userId: 'ana' }, requests: 2, ...call(10, 5) },
+      { _id: { day: '2025-06-01' }, requests: 1, ...call(3, 2) }
+    ])
+    const from = new Date('2025-06-01T00:00:00Z')
+
+    const { totals, groups } = await summarizeUsage({ from, groupBy: ['day', 'user'], model: 'qwen3:0.6b' })
+
+    const [[match, group]] = Audit.aggregate.mock.calls[0]
+    expect(match.$match).toEqual({
+      usage: { $exists: true },
+      timestamp: { $gte: from },
+      $or: [
+        { 'chat.answeredBy': 'qwen3:0.6b' },
+        { 'chat.answeredBy': { $exists: false }, 'chat.model': 'qwen3:0.6b' },
+        { 'embedding.model': 'qwen3:0.6b' }
+      ]
+    })
+    expect(Object.keys(group.$group._id)).toEqual(['day', 'userId'])
+    expect(groups.map(({ day, userId, requests }) => ({ day, userId, requests }))).toEqual([
+      { day: '2025-06-01', userId: 'ana', requests: 2 },
+      { day: '2025-06-01', userId: null, requests: 1 }
+    ])
+    expect(totals).toMatchObject({ requests: 3, calls: 2, totalTokens: 20 })
+  })
+
+  it('should charge chat usage to the model that answered after a fallback', async () => {
+    Audit.aggregate.mockResolvedValue([])
+
+    await summarizeUsage({ groupBy: ['model'], model: 'llama3.2:1b' })
+
+    // A request for qwen3:0.6b answered by its fallback counts for llama3.2:1b only
+    const [[{ $match }, { $group }]] = Audit.aggregate.mock.calls[0]
+    expect($match.$or).toContainEqual({ 'chat.answeredBy': 'llama3.2:1b' })
+    expect($match.$or).toContainEqual({ 'chat.answeredBy': { $exists: false }, 'chat.model': 'llama3.2:1b' })
+    expect($group._id.model).toEqual({ $ifNull: ['$chat.answeredBy', { $ifNull: ['$chat.model', '$embedding.model'] }] })
+  })
+})
@@ -1,12 +1,13 @@
 // tests/unit/validations.test.js
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { validatePrompt } from '../../src/validations.js'
-import { promptSchema } from '../../src/zod.js'
+import { validatePrompt, validateChatCompletion } from '../../src/validations.js'
+import { promptSchema, chatCompletionSchema } from '../../src/zod.js'
 import { FORBIDDEN_PATTERNS } from '../../src/config/patterns.js'
 
 // Mock logger
 vi.mock('../../src/logger.js', () => ({
   default: {
+    info: vi.fn(),
     warn: vi.fn()
   }
 }))
@@ -33,13 +34,22 @@ describe('Validations', () => {
   })
 
   describe('validatePrompt', () => {
+    it('should attach the parsed body, with the schema transforms applied', () => {
+      req.body = { prompt: '  Hola  ', model: ' qwen3:0.6b ' }
+
+      validatePrompt(req, res, next)
+
+      expect(next).toHaveBeenCalledWith()
+      expect(req.validatedPrompt).toEqual({ prompt: 'Hola', model: 'qwen3:0.6b' })
+    })
+
     it('should call next() for a valid prompt', () => {
       req.body = { prompt: 'Hello, this is a valid prompt.' }
 
       validatePrompt(req, res, next)
 
       expect(next).toHaveBeenCalled()
-      expect(req.validatedPrompt).toBe(req.body.prompt)
+      expect(req.validatedPrompt).toEqual(req.body)
       expect(res.status).not.toHaveBeenCalled()
       expect(res.json).not.toHaveBeenCalled()
     })
@@ -64,6 +74,33 @@ describe('Validations', () => {
       expect(res.json).not.toHaveBeenCalled()
     })
 
+    it('should call next(err) for a model outside the allowlist (Zod validation)', () => {
+      req.body = { prompt: 'Hello', model: 'not-allowed:latest' }
+
+      validatePrompt(req, res, next)
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'ZodError' }))
+      expect(res.status).not.toHaveBeenCalled()
+    })
+
+    it('should call next(err) for out-of-range or unknown generation options', () => {
+      req.body = { prompt: 'Hello', options: { temperature: 5 } }
+      validatePrompt(req, res, next)
+      expect(next).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'ZodError' }))
+
+      req.body = { prompt: 'Hello', options: { temprature: 0.5 } }
+      validatePrompt(req, res, next)
+      expect(next).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'ZodError' }))
+    })
+
+    it('should call next() for valid generation options', () => {
+      req.body = { prompt: 'Hello', options: { temperature: 0.2, top_p: 0.9, num_ctx: 4096, seed: 7, stop: ['\n\n'] } }
+
+      validatePrompt(req, res, next)
+
+      expect(next).toHaveBeenCalledWith()
+    })
+
     it('should return 400 for a prompt containing a forbidden pattern', async () => {
       const forbiddenPrompt = `This is a test with a ${FORBIDDEN_PATTERNS[0].source} pattern.`
       req.body = { prompt: forbiddenPrompt }
@@ -102,10 +139,80 @@ describe('Validations', () => {
       validatePrompt(req, res, next)
 
       expect(next).toHaveBeenCalled()
-      expect(req.validatedPrompt).toBe(req.body.prompt)
+      expect(req.validatedPrompt).toEqual(req.body)
       expect(res.status).not.toHaveBeenCalled()
       expect(res.json).not.toHaveBeenCalled()
       expect(mockLogger.warn).not.toHaveBeenCalled()
     })
   })
-})
\ No newline at end of file
+  describe('structured output fields', () => {
+    it('should accept format "json" and a valid response schema', () => {
+      const result = promptSchema.safeParse({
+        prompt: 'Hola',
+        format: 'json',
+        responseSchema: { type: 'object', properties: { name: { type: 'string' } } }
+      })
+
+      expect(result.success).toBe(true)
+    })
+
+    it('should reject an invalid response schema', () => {
+      const result = promptSchema.safeParse({ prompt: 'Hola', responseSchema: { type: 'nope' } })
+
+      expect(result.success).toBe(false)
+      expect(result.error.issues[0].message).toBe('El campo "responseSchema" no es un JSON Schema válido.')
+    })
+  })
+
+  describe('validateChatCompletion', () => {
+    it('should call next() and attach the parsed request for valid messages', () => {
+      req.body = {
+        messages: [
+          { role: 'system', content: 'Responde en español.' },
+          { role: 'user', content: 'Hola' }
+        ],
+        max_tokens: 64,
+        n: 1
+      }
+
+      validateChatCompletion(req, res, next)
+
+      expect(next).toHaveBeenCalledWith()
+      expect(req.validatedCompletion).toEqual({
+        messages: req.body.messages,
+        max_tokens: 64
+      })
+    })
+
+    it('should reject a conversation that does not end with a user message', () => {
+      const result = chatCompletionSchema.safeParse({
+        messages: [{ role: 'user', content: 'Hola' }, { role: 'assistant', content: 'Hola' }]
+      })
+
+      expect(result.success).toBe(false)
+      expect(result.error.issues[0].message).toBe('El último mensaje debe ser un mensaje no vacío del usuario.')
+    })
+
+    it('should screen every message for forbidden patterns', () => {
+      req.body = {
+        messages: [
+          { role: 'system', content: `Test ${FORBIDDEN_PATTERNS[0].source}` },
+          { role: 'user', content: 'Hola' }
+        ]
+      }
+
+      validateChatCompletion(req, res, next)
+
+      expect(res.status).toHaveBeenCalledWith(400)
+      expect(res.json).toHaveBeenCalledWith({
+        error: {
+          message: 'El prompt contiene patrones bloqueados por seguridad (jailbreak, etc.).',
+          type: 'invalid_request_error',
+          param: 'messages.0.content',
+          code: 'content_not_allowed'
+        }
+      })
+      expect(next).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -5,6 +5,9 @@ export default defineConfig({
     globals: true, // Permite usar APIs de Vitest directamente sin importarlos
     environment: 'node', // Entorno de ejecución
     include: ['tests/**/*.{test,spec}.{js,mjs,cjs,ts,mts,cts,jsx,tsx}'], // Patrón para encontrar tests
+    env: {
+      RATE_LIMIT_MAX: '1000' // La suite de integración supera el límite por defecto de 20 solicitudes por minuto
+    },
     coverage: {
       provider: 'v8', // Proveedor de cobertura
       reporter: ['text', 'lcov'], // Formatos de reporte
@@ -12,6 +15,7 @@ export default defineConfig({
         'src/**/*.js',
         '!src/logger.js', // Excluir logger de la cobertura
         '!src/server.js', // Excluir punto de entrada
+        '!src/worker.js', // Excluir punto de entrada del worker de trabajos
         '!src/config/**'  // Excluir configuraciones
       ],
       reportsDirectory: './coverage' // Directorio para los reportes